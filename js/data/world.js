@@ -0,0 +1,26 @@
+import { LEVELS } from '../systems/LevelLoader.js';
+import { ROOM_PERSISTENCE } from '../systems/WorldGraph.js';
+
+/**
+ * World layout - rooms, their maps and how exits connect
+ * Exit names must match `exit` objects in each room's Tiled map.
+ */
+export const WORLD = Object.freeze({
+  startRoom: 'arena',
+  rooms: {
+    arena: {
+      levelKey: LEVELS.TEST_ARENA,
+      persistence: ROOM_PERSISTENCE.RESET,
+      exits: {
+        corridor_door: { to: 'corridor', entry: 'west' },
+      },
+    },
+    corridor: {
+      levelKey: LEVELS.TEST_CORRIDOR,
+      persistence: ROOM_PERSISTENCE.PERSIST,
+      exits: {
+        west: { to: 'arena', entry: 'corridor_door' },
+      },
+    },
+  },
+});
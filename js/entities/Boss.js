@@ -1,6 +1,12 @@
 import { COMBAT } from '../utils/combat.js';
 import { PHYSICS } from '../utils/physics.js';
 import { CombatBox, BOX_TYPE, TEAM } from '../systems/CombatBox.js';
+import { StatusEffects } from '../systems/StatusEffects.js';
+import { Juggle, JUGGLE_EVENT } from '../systems/Knockback.js';
+import { Poise, POISE_RESULT } from '../systems/Poise.js';
+import { ATTACK_PHASE } from '../systems/CounterHit.js';
+import { StatusIcons } from '../ui/StatusIcons.js';
+import { CUE, getCueColor } from '../utils/palette.js';
 
 /**
  * Boss entity base class
@@ -40,6 +46,7 @@ export class Boss {
     // Attack system
     this.attackPatterns = config.attackPatterns || {};
     this.currentAttack = null;
+    this.attackPhase = null; // Set by attack patterns: 'windup', 'recovery', or their own active phases
     this.attackTimer = 0;
     this.attackCooldowns = {}; // Track individual attack cooldowns
     this.globalCooldown = 0;
@@ -54,6 +61,28 @@ export class Boss {
     this.hitstunRemaining = 0;
     this.hitstunResistance = config.hitstunResistance || 0.3;
 
+    // Whole-world freeze when hit (0 for just the usual attacker/defender hitstop)
+    this.impactFrames = config.impactFrames ?? COMBAT.HITSTOP.BOSS;
+
+    // Status effects - bosses set their own immunities and resistances
+    this.statusEffects = new StatusEffects({
+      immunities: config.statusImmunities,
+      resistance: config.statusResistance,
+    });
+
+    // Air combos - bosses are heavy, so they set their own limits
+    this.juggle = new Juggle({
+      limit: config.juggleLimit ?? 2,
+      launchResistance: config.launchResistance ?? 0.5,
+    });
+
+    // Poise - hits it absorbs before its guard breaks into a stagger;
+    // attack patterns with superArmor can't be interrupted
+    this.poise = new Poise({
+      max: config.poise ?? 0,
+      staggerDuration: config.staggerDuration ?? 1500,
+    });
+
     // Create sprite
     this.sprite = scene.physics.add.sprite(x, y, 'boss_placeholder');
     this.sprite.setDisplaySize(config.width || 64, config.height || 80);
@@ -67,6 +96,7 @@ export class Boss {
 
     // Health bar (special boss health bar)
     this.createHealthBar();
+    this.statusIcons = new StatusIcons(scene, { getColor: (cue) => this.cueColor(cue) });
 
     // Hitbox for attacks (set by subclass)
     this.hitbox = null;
@@ -118,7 +148,7 @@ export class Boss {
     this.healthBarBg.setStrokeStyle(2, 0x444444);
 
     // Fill
-    this.healthBarFill = this.scene.add.rectangle(x + 2, y, barWidth - 4, barHeight - 4, 0xff3333);
+    this.healthBarFill = this.scene.add.rectangle(x + 2, y, barWidth - 4, barHeight - 4, this.cueColor(CUE.BOSS_PHASE_1));
     this.healthBarFill.setOrigin(0, 0.5);
 
     // Boss name
@@ -161,8 +191,8 @@ export class Boss {
     this.healthBarFill.setScale(percent, 1);
 
     // Color based on phase
-    const colors = [0xff3333, 0xff8833, 0xffff33];
-    this.healthBarFill.setFillStyle(colors[this.currentPhase] || 0xff3333);
+    const cues = [CUE.BOSS_PHASE_1, CUE.BOSS_PHASE_2, CUE.BOSS_PHASE_3];
+    this.healthBarFill.setFillStyle(this.cueColor(cues[this.currentPhase] || CUE.BOSS_PHASE_1));
   }
 
   /**
@@ -195,6 +225,28 @@ export class Boss {
   update(time, delta) {
     if (!this.isAlive) return;
 
+    // In its own hitstop - holds while the rest of the world moves
+    if (this.scene.timeManager?.isEntityFrozen(this)) return;
+
+    const juggleEvent = this.juggle.update(delta, this.body);
+    if (juggleEvent === JUGGLE_EVENT.WALL_BOUNCE || juggleEvent === JUGGLE_EVENT.GROUND_BOUNCE) {
+      this.scene.events.emit('combat:bounce', { entity: this, type: juggleEvent });
+    }
+
+    // Status effects - tick damage, then icons over the boss
+    const statusDamage = this.statusEffects.update(delta);
+    if (statusDamage > 0) {
+      this.takeStatusDamage(statusDamage);
+      if (!this.isAlive) return;
+    }
+    this.statusIcons.update(this.sprite.x, this.sprite.y - this.sprite.displayHeight / 2 - 12, this.statusEffects.getActive());
+
+    this.poise.update(delta);
+
+    // Slowed bosses run their patterns at reduced speed
+    this.statusEffects.restoreSpeed(this.body);
+    delta *= this.statusEffects.getSpeedMultiplier();
+
     // Update timers
     this.stateTimer += delta;
     this.globalCooldown = Math.max(0, this.globalCooldown - delta);
@@ -214,6 +266,12 @@ export class Boss {
       return;
     }
 
+    // Stunned - the pattern waits
+    if (this.statusEffects.isStunned()) {
+      this.body.setVelocityX(0);
+      return;
+    }
+
     // State machine
     switch (this.state) {
       case 'INTRO':
@@ -242,6 +300,8 @@ export class Boss {
       this.sprite.setFlipX(this.facingDirection < 0);
     }
 
+    this.statusEffects.applySlow(this.body);
+
     // Update hurtbox position
     if (this.hurtbox) {
       this.hurtbox.updatePosition();
@@ -306,7 +366,7 @@ export class Boss {
   selectAttack(availableAttacks) {
     // Override in subclass for smarter selection
     // Default: random
-    return availableAttacks[Math.floor(Math.random() * availableAttacks.length)];
+    return this.scene.random.ai.pick(availableAttacks);
   }
 
   /**
@@ -322,6 +382,7 @@ export class Boss {
 
     this.currentAttack = { id: attackId, ...pattern };
     this.attackTimer = 0;
+    this.poise.setArmor(Boolean(pattern.superArmor));
     this.setState('ATTACKING');
 
     // Call attack's start function if defined
@@ -371,10 +432,24 @@ export class Boss {
     }
 
     this.currentAttack = null;
+    this.poise.setArmor(false);
     this.deactivateHitbox();
     this.setState('IDLE');
   }
 
+  /**
+   * Where the boss is in its current attack - hitting its windup is a
+   * counter-hit, hitting its recovery a punish (see CounterHit)
+   * Any other phase a pattern names counts as active.
+   * @returns {string|null} ATTACK_PHASE value, or null when not attacking
+   */
+  getAttackPhase() {
+    if (this.state !== 'ATTACKING' || !this.attackPhase) return null;
+    if (this.attackPhase === 'windup') return ATTACK_PHASE.STARTUP;
+    if (this.attackPhase === 'recovery') return ATTACK_PHASE.RECOVERY;
+    return ATTACK_PHASE.ACTIVE;
+  }
+
   /**
    * Phase transition state
    */
@@ -388,14 +463,25 @@ export class Boss {
   }
 
   /**
-   * Staggered state (after certain attacks or conditions)
+   * Staggered state - guard broken (see stagger())
    */
   updateStaggered(time, delta) {
-    if (this.stateTimer >= 1500) {
+    this.body.setVelocityX(0);
+    if (this.stateTimer >= this.poise.staggerDuration) {
+      this.sprite.setTint(this.config.color);
       this.setState('IDLE');
     }
   }
 
+  /**
+   * Guard broken - drop the attack and stand open for the stagger
+   */
+  stagger() {
+    this.finishAttack();
+    this.hitstunRemaining = 0;
+    this.setState('STAGGERED');
+  }
+
   /**
    * Defeated state
    */
@@ -421,12 +507,26 @@ export class Boss {
   takeDamage(amount, hitData = null) {
     if (!this.isAlive || this.isInvulnerable) return;
 
+    amount = Math.round(amount * this.statusEffects.getDamageTakenMultiplier());
     this.health = Math.max(0, this.health - amount);
 
-    // Reduced hitstun for bosses
-    const baseHitstun = hitData?.hitstun || 100;
-    this.hitstunRemaining = baseHitstun * this.hitstunResistance;
-    this.sprite.setTint(0xff8888);
+    // Effects the attack carries - what landed goes back out on the hit event
+    if (hitData?.statusEffects) {
+      hitData.appliedStatusEffects = this.statusEffects.applyAll(hitData.statusEffects);
+    }
+
+    // Poise and super armor keep it from flinching; breaking poise staggers it
+    const poiseResult = hitData ? this.poise.onHit(hitData) : POISE_RESULT.FLINCH;
+    if (poiseResult === POISE_RESULT.BROKEN) {
+      this.stagger();
+    } else if (poiseResult === POISE_RESULT.FLINCH) {
+      // Reduced hitstun for bosses
+      const baseHitstun = hitData?.hitstun || 100;
+      this.hitstunRemaining = baseHitstun * this.hitstunResistance;
+    } else {
+      this.juggle.end(this.body); // Holds its ground - no launch
+    }
+    this.flashTint(this.cueColor(CUE.HURT));
 
     // Check for phase transition
     this.checkPhaseTransition();
@@ -440,6 +540,46 @@ export class Boss {
     this.scene.events.emit('boss:damaged', { boss: this, damage: amount });
   }
 
+  /**
+   * Damage from a status effect tick (bleed, burn) - no hitstun
+   * Phase transitions still happen; invulnerability still holds.
+   * @param {number} amount
+   */
+  takeStatusDamage(amount) {
+    if (this.isInvulnerable) return;
+
+    this.health = Math.max(0, this.health - amount);
+    this.checkPhaseTransition();
+
+    if (this.health <= 0) {
+      this.defeat();
+    }
+
+    this.scene.events.emit('boss:damaged', { boss: this, damage: amount });
+  }
+
+  /**
+   * Color for a cue in the player's palette
+   * @param {string} cue - CUE value
+   * @returns {number} Hex color
+   */
+  cueColor(cue) {
+    return this.scene.effectsManager ? this.scene.effectsManager.getColor(cue) : getCueColor(cue);
+  }
+
+  /**
+   * Briefly tint the boss (hurt, counter)
+   * Goes through EffectsManager.tintFlash, so reduced flashing can hold it back.
+   * @param {number} color - Hex color
+   */
+  flashTint(color) {
+    if (this.scene.effectsManager) {
+      this.scene.effectsManager.tintFlash(this.sprite, color);
+    } else {
+      this.sprite.setTint(color);
+    }
+  }
+
   /**
    * Check if we should transition to next phase
    */
@@ -489,18 +629,20 @@ export class Boss {
   defeat() {
     this.isAlive = false;
     this.setState('DEFEATED');
+    this.statusEffects.clear();
+    this.juggle.end(this.body);
+    this.poise.reset();
+    this.statusIcons.clear();
 
-    // Drop weapon
-    if (this.weaponDrop) {
-      this.scene.events.emit('boss:defeated', {
-        boss: this,
-        weaponDrop: this.weaponDrop,
-      });
+    // Emitted for every boss so defeats can be recorded, even without a drop
+    this.scene.events.emit('boss:defeated', {
+      boss: this,
+      weaponDrop: this.weaponDrop || null,
+    });
 
-      // Grant weapon to player
-      if (this.scene.player) {
-        this.scene.player.unlockWeapon(this.weaponDrop);
-      }
+    // Drop weapon - grant it to the player
+    if (this.weaponDrop && this.scene.player) {
+      this.scene.player.unlockWeapon(this.weaponDrop);
     }
 
     // Visual feedback
@@ -546,6 +688,25 @@ export class Boss {
     }
   }
 
+  /**
+   * Fire a projectile from the boss (see ProjectilePool.spawn)
+   * @param {object} config - Projectile settings; position defaults to the boss
+   * @returns {Projectile|null}
+   */
+  spawnProjectile(config) {
+    if (!this.scene.projectiles) return null;
+
+    return this.scene.projectiles.spawn({
+      owner: this,
+      team: TEAM.ENEMY,
+      x: this.sprite.x,
+      y: this.sprite.y,
+      color: this.cueColor(CUE.PROJECTILE),
+      damage: this.damage,
+      ...config,
+    });
+  }
+
   /**
    * Get distance to player
    * @returns {number}
@@ -603,6 +764,8 @@ export class Boss {
       state: this.state,
       attack: this.currentAttack?.id || 'none',
       invulnerable: this.isInvulnerable,
+      poise: `${Math.ceil(this.poise.current)}/${this.poise.max}${this.poise.hasArmor() ? ' (armor)' : ''}`,
+      status: this.statusEffects.getActive().map((effect) => effect.type).join(',') || 'none',
     };
   }
 
@@ -626,6 +789,7 @@ export class Boss {
     if (this.healthBarContainer) {
       this.healthBarContainer.destroy();
     }
+    this.statusIcons.destroy();
     // Unregister hurtbox from combat manager before destroying
     if (this.hurtbox) {
       if (this.scene.combatManager) {
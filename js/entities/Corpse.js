@@ -425,6 +425,31 @@ export class Corpse {
     });
   }
 
+  /**
+   * Drop a settled (or snapping) corpse back into FALLING - used when the
+   * corpse under it is pulled out of the pile. Its grid cell must already
+   * be cleared; it finds a new one as it falls.
+   */
+  unsettle() {
+    if (!this.sprite) return;
+
+    this.isSettled = false;
+    this.state = CORPSE_STATE.FALLING;
+    this.gridCell = null;
+    this.snapData = null;
+    this.fallTime = 0;
+
+    // Back to a full-size dynamic body that collides on every side
+    const body = this.sprite.body;
+    body.moves = true;
+    body.checkCollision.up = true;
+    body.checkCollision.down = true;
+    body.checkCollision.left = true;
+    body.checkCollision.right = true;
+    this.setupPhysics();
+    this.setupVisuals();
+  }
+
   /**
    * Begin the decay fade-out animation
    */
@@ -1,6 +1,12 @@
 import { StateMachine, State } from '../systems/StateMachine.js';
 import { CombatBox, BOX_TYPE, TEAM } from '../systems/CombatBox.js';
+import { StatusEffects } from '../systems/StatusEffects.js';
+import { Juggle, JUGGLE_EVENT } from '../systems/Knockback.js';
+import { Poise, POISE_RESULT } from '../systems/Poise.js';
+import { ATTACK_PHASE } from '../systems/CounterHit.js';
+import { StatusIcons } from '../ui/StatusIcons.js';
 import { PHYSICS } from '../utils/physics.js';
+import { CUE, getCueColor } from '../utils/palette.js';
 
 /**
  * Enemy states (generic)
@@ -80,7 +86,7 @@ export const ENEMY_PRESETS = Object.freeze({
 
     // Combat Response
     hitstunMultiplier: 1.5,  // 50% longer hitstun than normal
-    launchResistance: 0,     // Easy to launch
+    launchResistance: 0,     // Easy to launch (see Juggle)
     grappleWeight: 'LIGHT',
 
     // State Durations
@@ -123,6 +129,12 @@ export const ENEMY_PRESETS = Object.freeze({
     corpseDestroyForce: 300,
     mass: 5,
     canClimbEnemies: false,
+    statusResistance: { stun: 0.5, slow: 0.5 }, // Hard to stop
+    launchResistance: 0.5,   // Launchers only lift it halfway
+    juggleLimit: 3,
+    grappleWeight: 'HEAVY',  // Too heavy to grab alive - its corpse can still be thrown
+    poise: 40,               // Shrugs off light hits - heavies break it (see Poise)
+    attackArmor: true,       // Super armor through windup and swing
   },
   /**
    * LUNGER - Telegraphed charge attack
@@ -141,6 +153,7 @@ export const ENEMY_PRESETS = Object.freeze({
     width: 36,
     height: 44,
     canBePulled: true,
+    grappleWeight: 'MEDIUM',
     behavior: 'lunger',
     chargeWindup: 600,
     chargeDuration: 400,
@@ -165,10 +178,12 @@ export const ENEMY_PRESETS = Object.freeze({
     width: 38,
     height: 48,
     canBePulled: true,
+    grappleWeight: 'HEAVY',
     pullResistance: 0.5,
     behavior: 'shield',
     blockAngle: 90,
     guardBreakThreshold: 30,
+    statusResistance: { bleed: 0.5 }, // Armored
     corpseInteraction: 'climb',
     stepUpHeight: 32,
     mass: 3,
@@ -191,6 +206,7 @@ export const ENEMY_PRESETS = Object.freeze({
     width: 32,
     height: 40,
     canBePulled: true,
+    grappleWeight: 'MEDIUM',
     behavior: 'lobber',
     projectileSpeed: 300,
     projectileArc: 0.5,
@@ -215,10 +231,12 @@ export const ENEMY_PRESETS = Object.freeze({
     width: 28,
     height: 32,
     canBePulled: true,
+    grappleWeight: 'LIGHT',
     behavior: 'detonator',
     explosionRadius: 80,
     fuseTime: 500,
     chainReaction: true,
+    statusImmunities: ['burn'], // Already lit
     corpseInteraction: 'climb',
     stepUpHeight: 32,
     mass: 1,
@@ -311,6 +329,25 @@ export class Enemy {
     // Hitstun tracking
     this.hitstunRemaining = 0;
 
+    // Held or thrown by the player (see HoldState) - the holder moves it
+    this.heldBy = null;
+
+    // Status effects (bleed, stun, ...) and their icons
+    this.statusEffects = new StatusEffects({
+      immunities: this.config.statusImmunities,
+      resistance: this.config.statusResistance,
+    });
+    this.statusIcons = new StatusIcons(scene, { getColor: (cue) => this.cueColor(cue) });
+
+    // Air combos and bounces
+    this.juggle = new Juggle({
+      limit: this.config.juggleLimit,
+      launchResistance: this.config.launchResistance,
+    });
+
+    // Poise - 0 (most enemies) flinches on every hit
+    this.poise = new Poise({ max: this.config.poise });
+
     // Swarmer-specific: retreat target for debug visualization
     this.currentRetreatTarget = null;
 
@@ -794,32 +831,64 @@ export class Enemy {
   update(time, delta) {
     if (!this.isAlive) return;
 
-    if (this.hitstunRemaining > 0) {
+    // In its own hitstop - holds while the rest of the world moves
+    if (this.scene.timeManager?.isEntityFrozen(this)) return;
+
+    // Held or in flight from a throw - no AI until it's let go
+    if (this.heldBy) {
+      this.hurtbox.updatePosition();
+      return;
+    }
+
+    const juggleEvent = this.juggle.update(delta, this.sprite.body);
+    if (juggleEvent === JUGGLE_EVENT.WALL_BOUNCE || juggleEvent === JUGGLE_EVENT.GROUND_BOUNCE) {
+      this.scene.events.emit('combat:bounce', { entity: this, type: juggleEvent });
+    }
+
+    // Juggled enemies stay in hitstun until they land
+    if (this.hitstunRemaining > 0 && !this.juggle.isJuggled()) {
       this.hitstunRemaining = Math.max(0, this.hitstunRemaining - delta);
     }
+    this.poise.update(delta);
+
+    // Status effects - tick damage can finish the enemy off (a lit fuse runs its course)
+    const statusDamage = this.statusEffects.update(delta);
+    if (statusDamage > 0 && !this.isExploding) {
+      this.takeStatusDamage(statusDamage);
+      if (!this.isAlive) return;
+    }
+
+    // Slowed enemies think and move at reduced speed; stunned ones don't act
+    const aiDelta = delta * this.statusEffects.getSpeedMultiplier();
+    this.statusEffects.restoreSpeed(this.sprite.body);
 
     // Route to behavior-specific AI
-    switch (this.stats.behavior) {
+    switch (this.statusEffects.isStunned() ? 'stunned' : this.stats.behavior) {
+      case 'stunned':
+        break;
       case 'lunger':
-        this.updateLungerAI(time, delta);
+        this.updateLungerAI(time, aiDelta);
         break;
       case 'shield':
-        this.updateShieldAI(time, delta);
+        this.updateShieldAI(time, aiDelta);
         break;
       case 'lobber':
-        this.updateLobberAI(time, delta);
+        this.updateLobberAI(time, aiDelta);
         break;
       case 'detonator':
-        this.updateDetonatorAI(time, delta);
+        this.updateDetonatorAI(time, aiDelta);
         break;
       case 'swarmer':
       case 'brute':
       default:
         // Use existing state machine for standard enemies
-        this.stateMachine.update(time, delta);
+        this.stateMachine.update(time, aiDelta);
         break;
     }
 
+    this.statusEffects.applySlow(this.sprite.body);
+    this.statusIcons.update(this.sprite.x, this.sprite.y - this.sprite.displayHeight / 2 - 10, this.statusEffects.getActive());
+
     this.hurtbox.updatePosition();
     this.attackHitbox.updatePosition();
 
@@ -835,17 +904,31 @@ export class Enemy {
   takeDamage(amount, hitData = null) {
     if (!this.isAlive) return;
 
-    // Check for shield block
-    if (this.stats.behavior === 'shield' && this.checkBlock({ ...hitData, damage: amount })) {
+    // Check for shield block (armor break opens the guard)
+    if (this.stats.behavior === 'shield' && !this.statusEffects.isArmorBroken() &&
+        this.checkBlock({ ...hitData, damage: amount })) {
       return; // Damage blocked
     }
 
+    amount = Math.round(amount * this.statusEffects.getDamageTakenMultiplier());
     this.health = Math.max(0, this.health - amount);
 
-    if (hitData && hitData.hitstun) {
+    // Effects the attack carries - what landed goes back out on the hit event
+    if (hitData?.statusEffects) {
+      hitData.appliedStatusEffects = this.statusEffects.applyAll(hitData.statusEffects);
+    }
+
+    // Poise and super armor keep it from flinching; breaking poise staggers it
+    const poiseResult = hitData ? this.poise.onHit(hitData) : POISE_RESULT.FLINCH;
+    if (poiseResult === POISE_RESULT.ABSORBED || poiseResult === POISE_RESULT.ARMORED) {
+      this.juggle.end(this.sprite.body); // Holds its ground - no launch
+    }
+    const broken = poiseResult === POISE_RESULT.BROKEN;
+
+    if (hitData && (broken || (poiseResult === POISE_RESULT.FLINCH && hitData.hitstun))) {
       // Apply hitstun multiplier for swarmers (they have longer hitstun)
-      let hitstun = hitData.hitstun;
-      if (this.config.type === 'SWARMER') {
+      let hitstun = broken ? this.poise.staggerDuration : hitData.hitstun;
+      if (this.config.type === 'SWARMER' && !broken) {
         const multiplier = this.config.hitstunMultiplier || 1.5;
         hitstun = Math.round(hitstun * multiplier);
       }
@@ -856,8 +939,8 @@ export class Enemy {
 
       // Transition to correct hitstun state based on enemy type
       if (this.config.type === 'SWARMER') {
-        // Check for launcher attacks (swarmers can be launched)
-        if (hitData.launcher || (hitData.knockback && hitData.knockback.y < -200)) {
+        // Launched, or hit in the air (swarmers can be juggled)
+        if (this.juggle.isJuggled()) {
           this.stateMachine.transition(SWARMER_STATES.LAUNCHED, { hitData }, true);
         } else {
           this.stateMachine.transition(SWARMER_STATES.HITSTUN, { hitData }, true);
@@ -876,6 +959,99 @@ export class Enemy {
       hitData,
     });
 
+    this.checkDeath();
+  }
+
+  /**
+   * Seized by a grab - physics off until release(), the holder moves the sprite
+   * Any attack in progress is dropped: update() stops running while held, so
+   * a live hitbox would otherwise follow the body and hit the holder.
+   * @param {object} holder - Whoever holds it (the player, then the throw's projectile)
+   */
+  grab(holder) {
+    this.heldBy = holder;
+    this.isBlocking = false;
+    this.juggle.end(this.sprite.body);
+    this.sprite.body.stop();
+    this.sprite.body.enable = false;
+
+    this.attackHitbox.deactivate();
+    this.poise.setArmor(false);
+    this.currentState = 'IDLE';
+    this.hasDealtDamage = false;
+    this.stateMachine.transition(
+      this.config.type === 'SWARMER' ? SWARMER_STATES.IDLE : ENEMY_STATES.IDLE,
+      {},
+      true
+    );
+    if (this.stats.color) {
+      this.sprite.setTint(this.stats.color);
+    }
+  }
+
+  /**
+   * Let go of a held or thrown enemy where its sprite is
+   */
+  release() {
+    this.heldBy = null;
+    if (!this.isAlive || !this.sprite.body) return;
+
+    this.sprite.body.enable = true;
+    this.sprite.body.reset(this.sprite.x, this.sprite.y);
+  }
+
+  /**
+   * Where this enemy is in its attack - hitting its startup is a counter-hit,
+   * hitting its recovery a punish (see CounterHit)
+   * State-machine enemies ask their attack states; custom-AI behaviors go by
+   * currentState.
+   * @returns {string|null} ATTACK_PHASE value, or null when not attacking
+   */
+  getAttackPhase() {
+    if (!this.isAlive) return null;
+
+    const state = this.stateMachine.currentState;
+    if (state?.getAttackPhase) {
+      return state.getAttackPhase();
+    }
+
+    switch (this.currentState) {
+      case 'CHARGE_WINDUP':
+      case 'ATTACK_WINDUP':
+        return ATTACK_PHASE.STARTUP;
+      case 'CHARGING':
+        return ATTACK_PHASE.ACTIVE;
+      case 'ATTACK':
+        // Shield bash - recovering once the bash has gone out
+        return this.hasDealtDamage ? ATTACK_PHASE.RECOVERY : ATTACK_PHASE.STARTUP;
+      case 'ATTACK_RECOVERY':
+        return ATTACK_PHASE.RECOVERY;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Damage from a status effect tick (bleed, burn) - no hitstun, no block
+   * @param {number} amount
+   */
+  takeStatusDamage(amount) {
+    this.health = Math.max(0, this.health - amount);
+
+    this.scene.events.emit('enemy:damaged', {
+      enemy: this,
+      damage: amount,
+      health: this.health,
+      hitData: null,
+    });
+
+    this.checkDeath();
+  }
+
+  /**
+   * Die once health runs out
+   */
+  checkDeath() {
     if (this.health <= 0) {
       // Detonators explode on death
       if (this.stats.behavior === 'detonator' && !this.isExploding) {
@@ -887,12 +1063,12 @@ export class Enemy {
   }
 
   flashWhite() {
-    this.sprite.setTint(0xffffff);
+    this.flashTint(0xffffff);
     this.scene.time.delayedCall(50, () => {
       if (this.sprite && this.sprite.active) {
         // Restore behavior-specific tint
         if (this.stats.behavior === 'shield' && this.isBlocking) {
-          this.sprite.setTint(0x6699ff);
+          this.sprite.setTint(this.cueColor(CUE.SHIELD_UP));
         } else if (this.stats.color) {
           this.sprite.setTint(this.stats.color);
         } else {
@@ -902,6 +1078,28 @@ export class Enemy {
     });
   }
 
+  /**
+   * Color for a cue in the player's palette
+   * @param {string} cue - CUE value
+   * @returns {number} Hex color
+   */
+  cueColor(cue) {
+    return this.scene.effectsManager ? this.scene.effectsManager.getColor(cue) : getCueColor(cue);
+  }
+
+  /**
+   * Briefly tint the enemy (hit flash)
+   * Goes through EffectsManager.tintFlash, so reduced flashing can hold it back.
+   * @param {number} color - Hex color
+   */
+  flashTint(color) {
+    if (this.scene.effectsManager) {
+      this.scene.effectsManager.tintFlash(this.sprite, color);
+    } else {
+      this.sprite.setTint(color);
+    }
+  }
+
   /**
    * Simple patrol behavior for new enemy types
    */
@@ -986,7 +1184,7 @@ export class Enemy {
           this.currentState = 'CHARGE_WINDUP';
           this.chargeDirection = direction;
           this.windupTimer = 0;
-          this.sprite.setTint(0xffff00); // Yellow warning
+          this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_CHARGE)); // Yellow warning
         } else {
           // Move toward player
           this.sprite.body.setVelocityX(direction * this.stats.speed);
@@ -1000,12 +1198,12 @@ export class Enemy {
         this.windupTimer += delta;
 
         // Shake to telegraph
-        this.sprite.x += (Math.random() - 0.5) * 3;
+        this.sprite.x += (this.scene.random.ai.next() - 0.5) * 3;
 
         if (this.windupTimer >= this.stats.chargeWindup) {
           this.currentState = 'CHARGING';
           this.chargeTimer = 0;
-          this.sprite.setTint(0xff0000); // Red = danger
+          this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_DANGER)); // Red = danger
           this.lastAttackTime = time;
         }
         break;
@@ -1016,7 +1214,7 @@ export class Enemy {
         this.chargeTimer += delta;
 
         // Create trail effect
-        if (this.scene.effectsManager && Math.random() < 0.3) {
+        if (this.scene.effectsManager && this.scene.random.vfx.chance(0.3)) {
           this.scene.effectsManager.dustCloud(
             this.sprite.x,
             this.sprite.y + (this.stats.height || 32) / 2,
@@ -1081,7 +1279,7 @@ export class Enemy {
         if (distance < this.stats.detectionRange) {
           this.currentState = 'ADVANCE';
           this.isBlocking = true;
-          this.sprite.setTint(0x6699ff); // Shield active tint
+          this.sprite.setTint(this.cueColor(CUE.SHIELD_UP)); // Shield active tint
         } else {
           this.updatePatrol(time, delta);
           this.isBlocking = false;
@@ -1124,7 +1322,7 @@ export class Enemy {
           this.currentState = 'ADVANCE';
           this.hasDealtDamage = false;
           this.isBlocking = true;
-          this.sprite.setTint(0x6699ff);
+          this.sprite.setTint(this.cueColor(CUE.SHIELD_UP));
         }
         break;
 
@@ -1132,7 +1330,7 @@ export class Enemy {
         if (this.hitstunRemaining <= 0) {
           this.currentState = 'ADVANCE';
           this.isBlocking = true;
-          this.sprite.setTint(0x6699ff);
+          this.sprite.setTint(this.cueColor(CUE.SHIELD_UP));
         }
         break;
     }
@@ -1235,7 +1433,7 @@ export class Enemy {
 
       case 'ATTACK_WINDUP':
         this.windupTimer += delta;
-        this.sprite.setTint(0xaaff44); // Glow before throw
+        this.sprite.setTint(this.cueColor(CUE.PROJECTILE_WINDUP)); // Glow before throw
 
         if (this.windupTimer >= 400) {
           this.throwProjectile(this.target);
@@ -1278,37 +1476,24 @@ export class Enemy {
     const dy = targetY - startY;
     const distance = Math.abs(dx);
 
-    // Create projectile
-    const projectile = scene.add.circle(startX, startY, 8, 0x88ff44);
-    scene.physics.add.existing(projectile);
-
-    const projBody = projectile.body;
-    projBody.setCircle(8);
-    projBody.setAllowGravity(true);
-
-    const gravity = 400 * this.stats.projectileArc;
-    projBody.setGravityY(gravity);
-
     // Calculate velocity for arc (corrected formula for projectile motion)
+    const gravity = 400 * this.stats.projectileArc;
     const flightTime = distance / this.stats.projectileSpeed;
     const vx = dx / flightTime;
     const vy = (dy / flightTime) + (0.5 * gravity * flightTime);
 
-    projBody.setVelocity(vx, vy);
-
-    // Track projectile
-    if (!scene.enemyProjectiles) scene.enemyProjectiles = [];
-    scene.enemyProjectiles.push({
-      sprite: projectile,
-      damage: this.stats.damage,
+    scene.projectiles.spawn({
       owner: this,
-    });
-
-    // Destroy after 3 seconds
-    scene.time.delayedCall(3000, () => {
-      const idx = scene.enemyProjectiles.findIndex(p => p.sprite === projectile);
-      if (idx !== -1) scene.enemyProjectiles.splice(idx, 1);
-      if (projectile && projectile.active) projectile.destroy();
+      team: TEAM.ENEMY,
+      x: startX,
+      y: startY,
+      velocityX: vx,
+      velocityY: vy,
+      gravity,
+      color: this.cueColor(CUE.PROJECTILE),
+      damage: this.stats.damage,
+      knockback: { x: 100, y: -100 },
+      hitstun: 150,
     });
   }
 
@@ -1339,7 +1524,7 @@ export class Enemy {
       case 'PATROL':
         if (distance < this.stats.detectionRange) {
           this.currentState = 'CHASE';
-          this.sprite.setTint(0xff6666); // Warning color
+          this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_WARNING)); // Warning color
         } else {
           this.updatePatrol(time, delta);
         }
@@ -1348,12 +1533,15 @@ export class Enemy {
       case 'CHASE':
         this.sprite.setFlipX(direction < 0);
 
-        // Flash faster as it gets closer
-        const flashRate = Math.max(100, 500 - (300 - distance));
+        // Flash faster as it gets closer (held to a safe rate with reduced flashing)
+        let flashRate = Math.max(100, 500 - (300 - distance));
+        if (this.scene.effectsManager) {
+          flashRate = this.scene.effectsManager.getBlinkPeriod(flashRate);
+        }
         if (Math.floor(time / flashRate) % 2 === 0) {
-          this.sprite.setTint(0xff0000);
+          this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_DANGER));
         } else {
-          this.sprite.setTint(0xff6666);
+          this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_WARNING));
         }
 
         if (distance < this.stats.attackRange) {
@@ -1404,7 +1592,7 @@ export class Enemy {
       // Big particle burst
       for (let i = 0; i < 20; i++) {
         const angle = (i / 20) * Math.PI * 2;
-        const speed = 200 + Math.random() * 100;
+        const speed = 200 + scene.random.vfx.next() * 100;
         const particle = scene.add.circle(x, y, 6, 0xff4444);
         scene.physics.add.existing(particle);
         particle.body.setVelocity(
@@ -1479,6 +1667,10 @@ export class Enemy {
     this.isAlive = false;
     this.hurtbox.deactivate();
     this.attackHitbox.deactivate();
+    this.statusEffects.clear();
+    this.juggle.end(this.sprite.body);
+    this.poise.reset();
+    this.statusIcons.clear();
 
     // Transition to correct dead state based on enemy type
     if (this.config.type === 'SWARMER') {
@@ -1632,6 +1824,8 @@ export class Enemy {
       state: this.stateMachine.getCurrentStateName(),
       hitstun: Math.round(this.hitstunRemaining),
       alive: this.isAlive,
+      status: this.statusEffects.getActive().map((effect) => effect.type).join(',') || 'none',
+      poise: `${Math.ceil(this.poise.current)}/${this.poise.max}${this.poise.hasArmor() ? ' (armor)' : ''}`,
     };
 
     // Add pack info for swarmers
@@ -1672,6 +1866,7 @@ export class Enemy {
     }
     this.hurtbox.destroy();
     this.attackHitbox.destroy();
+    this.statusIcons.destroy();
 
     // Clean up pack debug graphics (Swarmer-specific)
     if (this.packDebugGraphics) {
@@ -1841,7 +2036,12 @@ class EnemyAttackState extends State {
     this.enemy.sprite.setFlipX(direction < 0);
 
     // Telegraph - turn red during windup
-    this.enemy.sprite.setTint(0xff8888);
+    this.enemy.sprite.setTint(this.enemy.cueColor(CUE.ATTACK_WINDUP));
+
+    // Armored attackers (Brutes) can't be interrupted until the swing is over
+    if (this.enemy.stats.attackArmor) {
+      this.enemy.poise.setArmor(true);
+    }
   }
 
   update(time, delta) {
@@ -1859,7 +2059,7 @@ class EnemyAttackState extends State {
     if (stateTime < this.windupTime + this.activeTime) {
       if (!this.enemy.attackHitbox.active) {
         this.enemy.attackHitbox.activate();
-        this.enemy.sprite.setTint(0xff4444); // Brighter red during attack
+        this.enemy.sprite.setTint(this.enemy.cueColor(CUE.ATTACK_ACTIVE)); // Brighter red during attack
 
         // Lunge forward slightly
         const direction = this.enemy.sprite.flipX ? -1 : 1;
@@ -1871,6 +2071,7 @@ class EnemyAttackState extends State {
     // Recovery phase
     if (stateTime < this.totalDuration) {
       this.enemy.attackHitbox.deactivate();
+      this.enemy.poise.setArmor(false);
       this.enemy.sprite.clearTint();
       this.enemy.stop();
       return null;
@@ -1885,9 +2086,17 @@ class EnemyAttackState extends State {
 
   exit(nextState) {
     this.enemy.attackHitbox.deactivate();
+    this.enemy.poise.setArmor(false);
     this.enemy.sprite.clearTint();
   }
 
+  getAttackPhase() {
+    const stateTime = this.stateMachine.getStateTime();
+    if (stateTime < this.windupTime) return ATTACK_PHASE.STARTUP;
+    if (stateTime < this.windupTime + this.activeTime) return ATTACK_PHASE.ACTIVE;
+    return ATTACK_PHASE.RECOVERY;
+  }
+
   canBeInterrupted(nextStateName) {
     return nextStateName === ENEMY_STATES.HITSTUN ||
            nextStateName === ENEMY_STATES.DEAD;
@@ -2279,7 +2488,7 @@ class SwarmerAttackWindupState extends State {
     this.enemy.lastAttackTime = this.enemy.scene?.time?.now || 0;
 
     // Red tint to telegraph
-    this.enemy.sprite.setTint(0xff6666);
+    this.enemy.sprite.setTint(this.enemy.cueColor(CUE.TELEGRAPH_WARNING));
   }
 
   update(time, delta) {
@@ -2296,6 +2505,10 @@ class SwarmerAttackWindupState extends State {
     return null;
   }
 
+  getAttackPhase() {
+    return ATTACK_PHASE.STARTUP;
+  }
+
   canBeInterrupted(nextStateName) {
     // Can be interrupted by damage
     return nextStateName === SWARMER_STATES.HITSTUN ||
@@ -2326,7 +2539,7 @@ class SwarmerAttackingState extends State {
     this.enemy.attackHitbox.activate();
 
     // Brighter red during attack
-    this.enemy.sprite.setTint(0xff4444);
+    this.enemy.sprite.setTint(this.enemy.cueColor(CUE.ATTACK_ACTIVE));
 
     // Lunge forward
     const direction = this.enemy.sprite.flipX ? -1 : 1;
@@ -2347,6 +2560,10 @@ class SwarmerAttackingState extends State {
     this.enemy.attackHitbox.deactivate();
   }
 
+  getAttackPhase() {
+    return ATTACK_PHASE.ACTIVE;
+  }
+
   canBeInterrupted(nextStateName) {
     return nextStateName === SWARMER_STATES.HITSTUN ||
            nextStateName === SWARMER_STATES.LAUNCHED ||
@@ -2392,6 +2609,10 @@ class SwarmerAttackRecoveryState extends State {
     return null;
   }
 
+  getAttackPhase() {
+    return ATTACK_PHASE.RECOVERY;
+  }
+
   canBeInterrupted(nextStateName) {
     return nextStateName === SWARMER_STATES.HITSTUN ||
            nextStateName === SWARMER_STATES.LAUNCHED ||
@@ -2420,12 +2641,12 @@ class SwarmerHitstunState extends State {
     const multiplier = this.enemy.config.hitstunMultiplier || 1.5;
 
     // Check if this was a launcher hit
-    if (params?.hitData?.launcher) {
+    if (params?.hitData?.launches) {
       this.wasLaunched = true;
     }
 
     // Flash white
-    this.enemy.sprite.setTint(0xffffff);
+    this.enemy.flashTint(0xffffff);
 
     // Schedule tint restoration
     this.enemy.scene.time.delayedCall(50, () => {
@@ -1,6 +1,10 @@
 import { StateMachine } from '../systems/StateMachine.js';
 import { createPlayerStates, PLAYER_STATES } from '../systems/PlayerStates.js';
 import { CombatBox, BOX_TYPE, TEAM } from '../systems/CombatBox.js';
+import { getLaunchProperties } from '../systems/Knockback.js';
+import { TimingEvaluator } from '../systems/TimingEvaluator.js';
+import { Guard, GUARD_RESULT } from '../systems/Guard.js';
+import { getCueColor } from '../utils/palette.js';
 import { PHYSICS } from '../utils/physics.js';
 import { COMBAT } from '../utils/combat.js';
 import { WeaponManager } from '../weapons/WeaponManager.js';
@@ -40,9 +44,12 @@ export class Player {
     this.ultimateMeter = 0;
     this.maxUltimateMeter = COMBAT.ULTIMATE.MAX_METER;
 
-    // Parry tracking (for Tonfas and similar weapons)
-    this.isParrying = false;
-    this.parryState = null;
+    // Grades combo links - perfect ones crit
+    this.timing = new TimingEvaluator();
+
+    // Guard meter - stats follow the equipped weapon
+    this.guard = new Guard();
+    this.blockState = null; // BlockState while the guard is up
 
     // State machine
     this.stateMachine = new StateMachine(this, PLAYER_STATES.IDLE);
@@ -94,6 +101,18 @@ export class Player {
       followFacing: false, // Don't flip with facing - stay on opposite side
     });
 
+    // Grab box - GrabState checks it against bodies itself; it's never
+    // registered, so it deals no damage
+    this.grabBox = new CombatBox(scene, {
+      owner: this,
+      type: BOX_TYPE.HITBOX,
+      team: TEAM.PLAYER,
+      width: COMBAT.GRAB.WIDTH,
+      height: COMBAT.GRAB.HEIGHT,
+      offsetX: COMBAT.GRAB.REACH,
+      offsetY: 0,
+    });
+
     // Register with combat manager if available
     if (scene.combatManager) {
       scene.combatManager.register(this.hurtbox);
@@ -135,7 +154,11 @@ export class Player {
    * @param {number} delta - Time since last frame in ms
    */
   update(time, delta) {
+    // In its own hitstop - holds while the rest of the world moves
+    if (this.scene.timeManager?.isEntityFrozen(this)) return;
+
     this.stateMachine.update(time, delta);
+    this.guard.update(delta);
 
     // Update weapon manager
     this.weaponManager.update(delta);
@@ -184,29 +207,39 @@ export class Player {
 
   /**
    * Take damage
+   * While blocking, the block state decides what gets through and sets
+   * source.guardResult (CombatManager applies the knockback it leaves).
    * @param {number} amount - Damage amount
    * @param {object} source - What dealt the damage (hitData object)
    */
   takeDamage(amount, source = null) {
     if (this.isInvulnerable) return;
 
-    // Check for parry
-    if (this.isParrying && this.parryState) {
-      const blocked = this.parryState.onIncomingDamage({
-        damage: amount,
-        attacker: source?.owner || source,
-        ...source,
-      });
-      if (blocked) return;
+    if (this.blockState) {
+      source = source || {};
+      amount = this.blockState.onIncomingDamage(amount, source);
+      // Hits from behind get past the guard untouched
+      if (source.guardResult) {
+        this.scene.events.emit('player:blocked', {
+          player: this,
+          result: source.guardResult,
+          damage: amount,
+          source,
+        });
+      }
+      if (source.guardResult === GUARD_RESULT.PARRIED) return;
     }
 
     this.health = Math.max(0, this.health - amount);
 
-    // Reduce ultimate meter on damage
-    this.ultimateMeter = Math.max(
-      0,
-      this.ultimateMeter - COMBAT.ULTIMATE.METER_DECAY_ON_HIT
-    );
+    // Chip damage doesn't cost timing or meter
+    if (source?.guardResult !== GUARD_RESULT.BLOCKED) {
+      this.timing.reset();
+      this.ultimateMeter = Math.max(
+        0,
+        this.ultimateMeter - COMBAT.ULTIMATE.METER_DECAY_ON_HIT
+      );
+    }
 
     // Notify state machine
     this.stateMachine.onDamage(amount, source);
@@ -224,6 +257,15 @@ export class Player {
     }
   }
 
+  /**
+   * Color for a cue in the player's palette
+   * @param {string} cue - CUE value
+   * @returns {number} Hex color
+   */
+  cueColor(cue) {
+    return this.scene.effectsManager ? this.scene.effectsManager.getColor(cue) : getCueColor(cue);
+  }
+
   /**
    * Heal the player
    * @param {number} amount
@@ -273,6 +315,27 @@ export class Player {
     return false;
   }
 
+  /**
+   * Check if the equipped weapon's special move can be used - off cooldown
+   * with enough ultimate meter for its cost
+   * @returns {boolean}
+   */
+  canUseSpecial() {
+    const move = this.getCurrentWeapon()?.specialMove;
+    if (!move) return false;
+    return this.weaponManager.getSpecialCooldown() <= 0 && this.ultimateMeter >= move.meterCost;
+  }
+
+  /**
+   * Pay for the equipped weapon's special move: spend meter, start the cooldown
+   */
+  paySpecialCost() {
+    const move = this.getCurrentWeapon()?.specialMove;
+    if (!move) return;
+    this.ultimateMeter = Math.max(0, this.ultimateMeter - move.meterCost);
+    this.weaponManager.startSpecialCooldown();
+  }
+
   /**
    * Handle player death
    */
@@ -282,6 +345,39 @@ export class Player {
     // TODO: Death state, respawn logic
   }
 
+  /**
+   * Snapshot state carried between rooms
+   * @returns {object}
+   */
+  getTransferState() {
+    return {
+      health: this.health,
+      ultimateMeter: this.ultimateMeter,
+      weapons: this.weaponManager.getState(),
+      facingRight: this.facingRight,
+      velocity: this.getVelocity(),
+    };
+  }
+
+  /**
+   * Restore state from getTransferState() after entering a room
+   * @param {object} state
+   */
+  applyTransferState(state) {
+    if (!state) return;
+
+    this.health = Math.min(this.maxHealth, state.health ?? this.health);
+    this.ultimateMeter = Math.min(this.maxUltimateMeter, state.ultimateMeter ?? this.ultimateMeter);
+    this.weaponManager.applyState(state.weapons);
+
+    this.facingRight = state.facingRight ?? this.facingRight;
+    this.sprite.setFlipX(!this.facingRight);
+
+    if (state.velocity) {
+      this.sprite.body.setVelocity(state.velocity.x, state.velocity.y);
+    }
+  }
+
   /**
    * Add collision with a group or object
    * @param {Phaser.GameObjects.Group|Phaser.Tilemaps.TilemapLayer} target
@@ -362,6 +458,8 @@ export class Player {
       onGround: this.isOnGround(),
       health: `${this.health}/${this.maxHealth}`,
       facing: this.facingRight ? 'right' : 'left',
+      timing: this.timing.lastGrade || '-',
+      guard: `${Math.round(this.guard.current)}/${this.guard.stats.meter}${this.guard.isCrushed() ? ' CRUSHED' : ''}`,
     };
   }
 
@@ -369,6 +467,7 @@ export class Player {
    * Activate attack hitbox with specific properties
    * @param {object} config - Attack configuration
    *   - For single hitbox: { damage, knockback, width, height, offsetX, offsetY, ... }
+   *     plus the launch properties (airKnockback, knockbackAngle, launches, wallBounce, groundBounce)
    *   - For multi-hitbox (e.g. spin): { hitboxes: [{ offsetX, offsetY, knockback }, ...], damage, ... }
    */
   activateAttackHitbox(config = {}) {
@@ -388,6 +487,10 @@ export class Player {
           knockback: hbKnockback,
           hitstun: config.hitstun || 200,
           hitstop: config.hitstop || 50,
+          poiseDamage: config.poiseDamage,
+          statusEffects: config.statusEffects,
+          isCritical: config.isCritical,
+          ...getLaunchProperties(config),
         });
 
         // Update dimensions
@@ -418,6 +521,10 @@ export class Player {
         knockback: config.knockback || { x: 300, y: -150 },
         hitstun: config.hitstun || 200,
         hitstop: config.hitstop || 50,
+        poiseDamage: config.poiseDamage,
+        statusEffects: config.statusEffects,
+        isCritical: config.isCritical,
+        ...getLaunchProperties(config),
       });
 
       // Update dimensions if provided
@@ -457,6 +564,7 @@ export class Player {
     this.hurtbox.setDebug(show);
     this.attackHitbox.setDebug(show);
     this.attackHitboxSecondary.setDebug(show);
+    this.grabBox.setDebug(show);
   }
 
   /**
@@ -502,6 +610,7 @@ export class Player {
     }
     this.hurtbox.destroy();
     this.attackHitbox.destroy();
+    this.grabBox.destroy();
     this.sprite.destroy();
   }
 }
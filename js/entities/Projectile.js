@@ -0,0 +1,353 @@
+import { CombatBox, BOX_TYPE, TEAM } from '../systems/CombatBox.js';
+
+/**
+ * Why a projectile went away (passed to onExpire)
+ */
+export const PROJECTILE_EXPIRE = Object.freeze({
+  HIT: 'hit',           // Ran out of pierce
+  LIFETIME: 'lifetime', // Flew for its whole lifetime
+  TERRAIN: 'terrain',   // Hit a wall, floor or the world edge
+  CLEARED: 'cleared',   // Removed by the scene (room reset) or recycled by the pool
+});
+
+/**
+ * Projectile settings when fire() leaves them out
+ */
+export const PROJECTILE_DEFAULTS = Object.freeze({
+  team: TEAM.ENEMY,
+  radius: 8,
+  color: 0xffffff,
+  velocityX: 0,
+  velocityY: 0,
+  gravity: 0,           // px/s² - 0 flies straight
+  lifetime: 3000,       // ms of scaled time
+  pierce: 0,            // Extra targets it passes through
+  reflectable: true,    // Parries can send it back
+  damage: 10,
+  knockback: { x: 100, y: -100 },
+  hitstun: 150,
+  hitstop: 30,
+  statusEffects: [],
+  carry: null,          // Entity or corpse riding the shot (throws) - moved along, never hit by it
+  onHit: null,          // (projectile, hitData) => void
+  onExpire: null,       // (projectile, reason) => void
+});
+
+/**
+ * Projectile - A shot with a hitbox CombatBox, owned by ProjectilePool
+ *
+ * Its hitbox goes through CombatManager like any attack: the hitbox's owner
+ * is the projectile (so the box follows it), and CombatManager credits the
+ * hit to the projectile's owner - the entity that fired it.
+ * Don't construct these directly; use ProjectilePool.spawn().
+ */
+export class Projectile {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {ProjectilePool} pool
+   */
+  constructor(scene, pool) {
+    this.scene = scene;
+    this.pool = pool;
+    this.isProjectile = true;
+
+    this.sprite = scene.add.circle(0, 0, PROJECTILE_DEFAULTS.radius, PROJECTILE_DEFAULTS.color);
+    scene.physics.add.existing(this.sprite);
+    this.body = this.sprite.body;
+    this.body.setCollideWorldBounds(true);
+
+    this.hitbox = new CombatBox(scene, {
+      owner: this,
+      type: BOX_TYPE.HITBOX,
+      team: PROJECTILE_DEFAULTS.team,
+      width: PROJECTILE_DEFAULTS.radius * 2,
+      height: PROJECTILE_DEFAULTS.radius * 2,
+      followFacing: false,
+    });
+    if (scene.combatManager) {
+      scene.combatManager.register(this.hitbox);
+    }
+
+    this.active = false;
+    this.config = PROJECTILE_DEFAULTS;
+    this.owner = null;
+    this.lifetimeRemaining = 0;
+    this.pierceRemaining = 0;
+    this.timesReflected = 0;
+    this.park();
+  }
+
+  /**
+   * Launch from a position
+   * @param {object} config - PROJECTILE_DEFAULTS fields plus owner, x, y
+   */
+  fire(config) {
+    this.config = { ...PROJECTILE_DEFAULTS, ...config };
+    const { radius, x, y } = this.config;
+
+    this.active = true;
+    this.owner = this.config.owner || null;
+    this.lifetimeRemaining = this.config.lifetime;
+    this.pierceRemaining = this.config.pierce;
+    this.timesReflected = 0;
+
+    this.sprite.setRadius(radius);
+    this.sprite.setFillStyle(this.config.color);
+    this.sprite.setPosition(x, y);
+    this.sprite.setVisible(!this.config.carry); // The carried body is the visual
+    this.sprite.setActive(true);
+
+    // A parked body still has the contact flags of its last flight
+    this.body.enable = true;
+    this.body.reset(x, y);
+    Object.assign(this.body.blocked, { none: true, up: false, down: false, left: false, right: false });
+    this.body.setCircle(radius);
+    this.body.setAllowGravity(this.config.gravity !== 0);
+    this.body.setGravityY(this.config.gravity);
+    this.body.setVelocity(this.config.velocityX, this.config.velocityY);
+
+    this.hitbox.team = this.config.team;
+    this.hitbox.width = radius * 2;
+    this.hitbox.height = radius * 2;
+    this.hitbox.zone.body.setSize(radius * 2, radius * 2);
+    this.hitbox.activate({
+      damage: this.config.damage,
+      knockback: this.config.knockback,
+      hitstun: this.config.hitstun,
+      hitstop: this.config.hitstop,
+      statusEffects: this.config.statusEffects,
+    });
+    if (this.config.carry) {
+      this.hitbox.markHit(this.config.carry);
+    }
+  }
+
+  /**
+   * Count down lifetime and check for terrain
+   * @param {number} delta - Scaled step length in ms
+   */
+  update(delta) {
+    if (!this.active) return;
+
+    this.lifetimeRemaining -= delta;
+    if (this.lifetimeRemaining <= 0) {
+      this.expire(PROJECTILE_EXPIRE.LIFETIME);
+      return;
+    }
+
+    // Terrain colliders (ProjectilePool.setTerrain) and world bounds stop it
+    if (!this.body.blocked.none) {
+      this.expire(PROJECTILE_EXPIRE.TERRAIN);
+      return;
+    }
+
+    const carried = this.config.carry?.sprite;
+    if (carried?.active) {
+      carried.setPosition(this.sprite.x, this.sprite.y);
+    }
+  }
+
+  /**
+   * Horizontal direction of travel, for knockback
+   * @returns {number} -1 or 1
+   */
+  getDirection() {
+    return this.body.velocity.x < 0 ? -1 : 1;
+  }
+
+  /**
+   * Called by CombatManager after the hit was applied
+   * @param {object} hitData
+   */
+  onHitLanded(hitData) {
+    if (!this.active) return;
+
+    // Reflected by this very hit (parry) - it's flying the other way now
+    if (hitData.hurtbox && hitData.hurtbox.team === this.hitbox.team) return;
+
+    this.config.onHit?.(this, hitData);
+
+    if (this.pierceRemaining > 0) {
+      this.pierceRemaining--;
+    } else {
+      this.expire(PROJECTILE_EXPIRE.HIT);
+    }
+  }
+
+  /**
+   * Send the projectile back, now on another team
+   * Aims at whoever fired it when they're still around, otherwise reverses.
+   * @param {object} newOwner - Entity that reflected it (credited with its hits)
+   * @param {string} team - TEAM it now belongs to
+   * @param {number} [damageMultiplier=1]
+   * @returns {boolean} False if this projectile can't be reflected
+   */
+  reflect(newOwner, team, damageMultiplier = 1) {
+    if (!this.active || !this.config.reflectable) return false;
+
+    const target = this.owner?.isAlive ? this.owner.sprite : null;
+    const speed = Math.hypot(this.body.velocity.x, this.body.velocity.y);
+
+    if (target) {
+      // Straight back at the shooter
+      const dx = target.x - this.sprite.x;
+      const dy = target.y - this.sprite.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      this.body.setAllowGravity(false);
+      this.body.setVelocity((dx / distance) * speed, (dy / distance) * speed);
+    } else {
+      this.body.setVelocity(-this.body.velocity.x, -this.body.velocity.y);
+    }
+
+    this.owner = newOwner;
+    this.timesReflected++;
+    this.lifetimeRemaining = this.config.lifetime;
+    this.pierceRemaining = this.config.pierce;
+    this.hitbox.team = team;
+    this.hitbox.activate({
+      damage: Math.round(this.hitbox.damage * damageMultiplier),
+      statusEffects: this.hitbox.statusEffects,
+    });
+
+    this.scene.events.emit('projectile:reflected', { projectile: this, owner: newOwner });
+    return true;
+  }
+
+  /**
+   * Remove from play and hand back to the pool
+   * @param {string} reason - PROJECTILE_EXPIRE value
+   */
+  expire(reason) {
+    if (!this.active) return;
+
+    this.active = false;
+    this.config.onExpire?.(this, reason);
+    this.park();
+    this.pool.release(this);
+  }
+
+  /**
+   * Hide and disable until fired again
+   */
+  park() {
+    this.hitbox.deactivate();
+    this.body.stop();
+    this.body.enable = false;
+    this.sprite.setVisible(false);
+    this.sprite.setActive(false);
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    if (this.scene.combatManager) {
+      this.scene.combatManager.unregister(this.hitbox);
+    }
+    this.hitbox.destroy();
+    this.sprite.destroy();
+  }
+}
+
+/**
+ * ProjectilePool - Every projectile in the scene, reused instead of
+ * created and destroyed per shot
+ *
+ * Enemies, bosses and player states fire through spawn(); the scene calls
+ * update() each step with the scaled delta.
+ */
+export class ProjectilePool {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {object} [config]
+   * @param {number} [config.maxActive=64] - Past this, the oldest shot is recycled
+   */
+  constructor(scene, config = {}) {
+    this.scene = scene;
+    this.maxActive = config.maxActive || 64;
+
+    this.active = [];     // In flight, oldest first
+    this.available = [];  // Parked, ready to fire
+    this.terrain = [];
+  }
+
+  /**
+   * Terrain that stops projectiles
+   * @param {...Phaser.GameObjects.GameObject} groups - Static groups or tilemap layers
+   */
+  setTerrain(...groups) {
+    this.terrain = groups.filter((group) => group != null);
+  }
+
+  /**
+   * Fire a projectile
+   * @param {object} config - PROJECTILE_DEFAULTS fields plus owner, x, y
+   * @returns {Projectile}
+   */
+  spawn(config) {
+    if (this.active.length >= this.maxActive) {
+      this.active[0].expire(PROJECTILE_EXPIRE.CLEARED);
+    }
+
+    let projectile = this.available.pop();
+    if (!projectile) {
+      projectile = new Projectile(this.scene, this);
+      for (const group of this.terrain) {
+        this.scene.physics.add.collider(projectile.sprite, group);
+      }
+    }
+
+    this.active.push(projectile);
+    projectile.fire(config);
+    return projectile;
+  }
+
+  /**
+   * Called by Projectile.expire()
+   * @param {Projectile} projectile
+   */
+  release(projectile) {
+    const index = this.active.indexOf(projectile);
+    if (index === -1) return;
+
+    this.active.splice(index, 1);
+    this.available.push(projectile);
+  }
+
+  /**
+   * @param {number} delta - Scaled step length in ms
+   */
+  update(delta) {
+    // Copy - projectiles release themselves as they expire
+    for (const projectile of [...this.active]) {
+      projectile.update(delta);
+    }
+  }
+
+  /**
+   * @returns {Projectile[]} Projectiles in flight
+   */
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Expire every projectile in flight (room reset, respawn)
+   */
+  clear() {
+    for (const projectile of [...this.active]) {
+      projectile.expire(PROJECTILE_EXPIRE.CLEARED);
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.clear();
+    for (const projectile of this.available) {
+      projectile.destroy();
+    }
+    this.available = [];
+  }
+}
@@ -1,4 +1,5 @@
 import { Boss } from '../Boss.js';
+import { CUE } from '../../utils/palette.js';
 
 /**
  * The Tonfa Warden - First Boss
@@ -7,6 +8,7 @@ import { Boss } from '../Boss.js';
  * Mechanics:
  * - Defensive stance that auto-parries attacks
  * - Counter-attacks after successful parry
+ * - Super armor through the combo rush; enough heavies break its guard
  * - Teaches players to bait and punish
  */
 export class TonfaWarden extends Boss {
@@ -24,6 +26,10 @@ export class TonfaWarden extends Boss {
       color: 0x4488ff,
 
       hitstunResistance: 0.2,
+      statusImmunities: ['stun'],          // Never drops its guard
+      statusResistance: { slow: 0.5 },
+      launchResistance: 0.75,              // Planted - launchers barely lift it
+      poise: 60,                           // A few heavies break its guard
       minGlobalCooldown: 400,
 
       phases: [
@@ -50,7 +56,7 @@ export class TonfaWarden extends Boss {
           range: 100,
           onStart: function() {
             this.attackPhase = 'windup';
-            this.sprite.setTint(0x6699ff);
+            this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_STRIKE));
           },
           onUpdate: function(timer, delta) {
             switch (this.attackPhase) {
@@ -95,7 +101,7 @@ export class TonfaWarden extends Boss {
             this.attackPhase = 'stance';
             this.isDefending = true;
             this.hasCountered = false;
-            this.sprite.setTint(0x88aaff);
+            this.sprite.setTint(this.cueColor(CUE.DEFENSIVE_STANCE));
             this.body.setVelocityX(0);
 
             // Visual indicator
@@ -103,7 +109,7 @@ export class TonfaWarden extends Boss {
               this.sprite.x,
               this.sprite.y,
               60,
-              0x88aaff,
+              this.cueColor(CUE.DEFENSIVE_STANCE),
               0.3
             );
           },
@@ -152,7 +158,7 @@ export class TonfaWarden extends Boss {
           damage: 10,
           onStart: function() {
             this.attackPhase = 'windup';
-            this.sprite.setTint(0xff8844);
+            this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_LOW));
           },
           onUpdate: function(timer, delta) {
             switch (this.attackPhase) {
@@ -196,10 +202,11 @@ export class TonfaWarden extends Boss {
           duration: 1200,
           cooldown: 4000,
           damage: 8,
+          superArmor: true, // Windup and all four hits - trade or get out of the way
           onStart: function() {
             this.attackPhase = 'windup';
             this.comboCount = 0;
-            this.sprite.setTint(0xff6644);
+            this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_RUSH));
           },
           onUpdate: function(timer, delta) {
             switch (this.attackPhase) {
@@ -239,6 +246,7 @@ export class TonfaWarden extends Boss {
                 if (this.comboCount >= 4 && timer - this.lastHitTime >= hitInterval) {
                   this.attackPhase = 'recovery';
                   this.body.setVelocityX(0);
+                  this.poise.setArmor(false); // Open for the punish
                 }
                 break;
               case 'recovery':
@@ -259,7 +267,7 @@ export class TonfaWarden extends Boss {
           damage: 5,
           onStart: function() {
             this.attackPhase = 'windup';
-            this.sprite.setTint(0xff3333);
+            this.sprite.setTint(this.cueColor(CUE.TELEGRAPH_DESPERATION));
             this.spinSpeed = 0;
 
             if (this.scene.effectsManager) {
@@ -295,7 +303,7 @@ export class TonfaWarden extends Boss {
                 }
 
                 // Continuous damage ticks
-                if (Math.random() < 0.3) {
+                if (this.scene.random.ai.chance(0.3)) {
                   this.activateAttackHitbox({
                     damage: 5,
                     width: 90,
@@ -374,7 +382,7 @@ export class TonfaWarden extends Boss {
     }
 
     // Visual feedback
-    this.sprite.setTint(0xffff00);
+    this.flashTint(this.cueColor(CUE.COUNTER));
 
     if (this.scene.effectsManager) {
       this.scene.effectsManager.screenFlash(0xffff00, 100, 0.3);
@@ -427,7 +435,7 @@ export class TonfaWarden extends Boss {
         a === 'sweep' || a === 'defensive_stance'
       );
       if (closeAttacks.length > 0) {
-        return closeAttacks[Math.floor(Math.random() * closeAttacks.length)];
+        return this.scene.random.ai.pick(closeAttacks);
       }
     } else if (dx < 200) {
       // Medium range - jab or combo
@@ -435,12 +443,12 @@ export class TonfaWarden extends Boss {
         a === 'quick_jab' || a === 'combo_rush'
       );
       if (midAttacks.length > 0) {
-        return midAttacks[Math.floor(Math.random() * midAttacks.length)];
+        return this.scene.random.ai.pick(midAttacks);
       }
     }
 
     // Default random
-    return availableAttacks[Math.floor(Math.random() * availableAttacks.length)];
+    return this.scene.random.ai.pick(availableAttacks);
   }
 
   /**
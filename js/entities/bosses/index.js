@@ -1,2 +1,11 @@
+import { TonfaWarden } from './TonfaWarden.js';
+
 export { Boss } from '../Boss.js';
-export { TonfaWarden } from './TonfaWarden.js';
+export { TonfaWarden };
+
+/**
+ * Boss classes by id - used by level boss triggers
+ */
+export const BOSSES = Object.freeze({
+  tonfa_warden: TonfaWarden,
+});
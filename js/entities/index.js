@@ -1,2 +1,3 @@
 export { Player } from './Player.js';
 export { Enemy, ENEMY_STATES } from './Enemy.js';
+export { Projectile, ProjectilePool, PROJECTILE_DEFAULTS, PROJECTILE_EXPIRE } from './Projectile.js';
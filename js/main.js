@@ -1,6 +1,11 @@
 import { BootScene } from './scenes/BootScene.js';
 import { PreloadScene } from './scenes/PreloadScene.js';
+import { TitleScene } from './scenes/TitleScene.js';
+import { LevelScene } from './scenes/LevelScene.js';
 import { TestArenaScene } from './scenes/TestArenaScene.js';
+import { ControlsScene } from './scenes/ControlsScene.js';
+import { SettingsScene } from './scenes/SettingsScene.js';
+import { PauseScene } from './scenes/PauseScene.js';
 
 // Phaser game configuration
 const config = {
@@ -19,6 +24,11 @@ const config = {
     autoCenter: Phaser.Scale.CENTER_BOTH,
   },
 
+  // Input - gamepad plugin is off by default in Phaser
+  input: {
+    gamepad: true,
+  },
+
   // Physics
   physics: {
     default: 'arcade',
@@ -28,12 +38,12 @@ const config = {
       debugShowBody: true,
       debugShowStaticBody: true,
       debugShowVelocity: false,
-      fps: 120,  // Higher physics FPS for better collision detection
+      fps: 120,  // Matches SIMULATION.RATE - BaseScene steps physics once per simulation step
     },
   },
 
   // Scene sequence
-  scene: [BootScene, PreloadScene, TestArenaScene],
+  scene: [BootScene, PreloadScene, TitleScene, LevelScene, TestArenaScene, ControlsScene, SettingsScene, PauseScene],
 };
 
 // Create game instance
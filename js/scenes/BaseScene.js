@@ -1,42 +1,141 @@
 import { InputManager } from '../systems/InputManager.js';
+import { RandomService } from '../systems/RandomService.js';
+import { FixedTimestep } from '../systems/FixedTimestep.js';
+import { SpriteInterpolator } from '../systems/SpriteInterpolator.js';
 
 /**
  * Base class for all gameplay scenes
- * Provides common functionality: input, camera setup, transitions
+ * Provides common functionality: input, seeded random streams, camera setup, transitions
+ *
+ * Gameplay runs in fixed simulation steps (SIMULATION.STEP_MS) decoupled from
+ * the render frame rate: timers, arcade physics and onFixedUpdate() advance
+ * once per step, onUpdate() once per rendered frame, and physics sprites are
+ * drawn interpolated between the last two steps.
  */
 export class BaseScene extends Phaser.Scene {
   constructor(key) {
     super(key);
     this.inputManager = null;
+    this.random = null;
+    this.simulation = null;
+    this.interpolator = null;
   }
 
   /**
    * Standard Phaser create - sets up common systems then calls onCreate
    */
   create() {
+    // Seeded random streams every system pulls from (see RandomService)
+    this.random = new RandomService(this.getRandomSeed());
+
     // Initialize input system
     this.inputManager = new InputManager(this);
 
     // Setup camera defaults
     this.setupCamera();
 
+    // Fixed-step simulation driver
+    this.setupSimulation();
+
+    // Phaser emits shutdown on scene.start/restart - route it to our cleanup
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+
     // Call subclass-specific setup
     this.onCreate();
   }
 
   /**
-   * Standard Phaser update - updates systems then calls onUpdate
+   * Take timers and physics off Phaser's per-frame update so they can run
+   * once per simulation step instead
+   */
+  setupSimulation() {
+    this.simulation = new FixedTimestep();
+    this.interpolator = new SpriteInterpolator();
+
+    const { PRE_UPDATE, UPDATE, POST_UPDATE } = Phaser.Scenes.Events;
+    this.events.off(PRE_UPDATE, this.time.preUpdate, this.time);
+    this.events.off(UPDATE, this.time.update, this.time);
+
+    const world = this.physics?.world;
+    if (world) {
+      // One physics step per world.update() call, sized by our step
+      world.fixedStep = false;
+      this.events.off(UPDATE, world.update, world);
+      this.events.off(POST_UPDATE, world.postUpdate, world);
+    }
+  }
+
+  /**
+   * Standard Phaser update - samples input, runs the due simulation steps,
+   * then calls onUpdate once for the rendered frame
    * @param {number} time - Total elapsed time in ms
    * @param {number} delta - Time since last frame in ms
    */
   update(time, delta) {
-    // Update input system (cleans buffer)
+    // Physics must only ever see simulated positions
+    this.interpolator.restore();
+
+    // Sample input once per frame (also cleans the buffer); presses wait to be read by a step
     if (this.inputManager) {
-      this.inputManager.update(time);
+      this.inputManager.update(this.simulation.time);
+    }
+
+    const steps = this.simulation.advance(delta);
+    for (let i = 0; i < steps; i++) {
+      this.stepSimulation();
     }
 
     // Call subclass-specific update
     this.onUpdate(time, delta);
+
+    this.interpolator.apply(this.simulation.alpha);
+  }
+
+  /**
+   * Run one fixed step: timers, physics, then onFixedUpdate
+   * Same order Phaser uses within a frame.
+   */
+  stepSimulation() {
+    const step = this.simulation.stepMs;
+    this.interpolator.capture(this.getInterpolatedObjects());
+
+    const time = this.simulation.tick();
+    this.time.preUpdate(time, step);
+    this.time.update(time, step);
+
+    const world = this.physics?.world;
+    if (world) {
+      world.update(time, step);
+      world.postUpdate();
+    }
+
+    this.onFixedUpdate(time, step);
+  }
+
+  /**
+   * Objects drawn interpolated between steps - every enabled dynamic physics body
+   * @returns {Phaser.GameObjects.GameObject[]}
+   */
+  getInterpolatedObjects() {
+    const world = this.physics?.world;
+    if (!world) return [];
+
+    const objects = [];
+    for (const body of world.bodies.entries) {
+      if (body.enable && body.gameObject) {
+        objects.push(body.gameObject);
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * Seed for this run's RandomService
+   * Override to pin the seed (e.g. replays); undefined picks a fresh one.
+   * @returns {number|undefined}
+   */
+  getRandomSeed() {
+    return undefined;
   }
 
   /**
@@ -47,7 +146,16 @@ export class BaseScene extends Phaser.Scene {
   }
 
   /**
-   * Override in subclasses for scene-specific update logic
+   * Override in subclasses for gameplay logic - runs once per simulation step
+   * @param {number} time - Simulation time in ms
+   * @param {number} delta - Step length in ms (SIMULATION.STEP_MS)
+   */
+  onFixedUpdate(time, delta) {
+    // Override me
+  }
+
+  /**
+   * Override in subclasses for per-frame presentation logic (HUD, debug text)
    * @param {number} time
    * @param {number} delta
    */
@@ -78,6 +186,9 @@ export class BaseScene extends Phaser.Scene {
    * Clean up when scene shuts down
    */
   shutdown() {
+    if (this.interpolator) {
+      this.interpolator.clear();
+    }
     if (this.inputManager) {
       this.inputManager.destroy();
       this.inputManager = null;
@@ -0,0 +1,260 @@
+import { ACTIONS, getBindingProfile } from '../systems/InputManager.js';
+import { BINDING_CONFLICT, MAX_KEYS_PER_ACTION } from '../systems/InputBindings.js';
+
+// Layout
+const ROW_HEIGHT = 38;
+const LIST_TOP = 150;
+const LABEL_X = 560;
+const SLOT_X = 900;
+const SLOT_WIDTH = 170;
+
+const COLORS = Object.freeze({
+  TEXT: '#ffffff',
+  DIM: '#888888',
+  SELECTED: '#e94560',
+  LISTENING: '#ffd700',
+  CHANGED: '#88ccff',
+});
+
+/**
+ * Turn an ACTIONS key into a menu label ('ATTACK_LIGHT' -> 'Attack Light')
+ * @param {string} name
+ * @returns {string}
+ */
+function formatActionName(name) {
+  return name
+    .toLowerCase()
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Controls menu - rebind any action to the next key pressed
+ *
+ * Runs on top of a paused scene:
+ *   this.scene.launch('Controls', { returnTo: this.scene.key });
+ *   this.scene.pause();
+ *
+ * Navigation uses raw keyboard events rather than an InputManager so the
+ * menu still works when the player has unbound movement keys.
+ */
+export class ControlsScene extends Phaser.Scene {
+  constructor() {
+    super('Controls');
+    this.returnTo = null;
+    this.bindings = null;
+    this.actionNames = [];
+    this.rows = [];
+    this.selectedRow = 0;
+    this.selectedSlot = 0;
+    this.isListening = false;
+    this.statusText = null;
+    this.keyNames = null;
+  }
+
+  /**
+   * @param {object} data
+   * @param {string} [data.returnTo] - Paused scene to resume on close
+   */
+  init(data = {}) {
+    this.returnTo = data.returnTo || null;
+    this.selectedRow = 0;
+    this.selectedSlot = 0;
+    this.isListening = false;
+  }
+
+  create() {
+    this.bindings = getBindingProfile();
+    this.actionNames = Object.keys(ACTIONS);
+    this.keyNames = this.buildKeyNames();
+
+    const { width, height } = this.cameras.main;
+    this.add.rectangle(0, 0, width, height, 0x000000, 0.85).setOrigin(0, 0);
+
+    this.add.text(width / 2, 60, 'CONTROLS', {
+      fontFamily: 'monospace',
+      fontSize: '48px',
+      color: COLORS.TEXT,
+    }).setOrigin(0.5);
+
+    this.createRows();
+
+    this.statusText = this.add.text(width / 2, height - 90, '', {
+      fontFamily: 'monospace',
+      fontSize: '20px',
+      color: COLORS.LISTENING,
+    }).setOrigin(0.5);
+
+    this.add.text(width / 2, height - 50,
+      'Arrows: select   Enter: rebind   Backspace: clear   R: reset action   Shift+R: reset all   Esc: back', {
+        fontFamily: 'monospace',
+        fontSize: '18px',
+        color: COLORS.DIM,
+      }).setOrigin(0.5);
+
+    this.input.keyboard.on('keydown', this.handleKeyDown, this);
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.input.keyboard.off('keydown', this.handleKeyDown, this);
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Map browser key codes back to Phaser key code names
+   * @returns {Map<number, string>}
+   */
+  buildKeyNames() {
+    const names = new Map();
+    for (const [name, code] of Object.entries(Phaser.Input.Keyboard.KeyCodes)) {
+      if (!names.has(code)) {
+        names.set(code, name);
+      }
+    }
+    return names;
+  }
+
+  createRows() {
+    const textStyle = { fontFamily: 'monospace', fontSize: '22px', color: COLORS.TEXT };
+
+    this.rows = this.actionNames.map((name, index) => {
+      const y = LIST_TOP + index * ROW_HEIGHT;
+      const label = this.add.text(LABEL_X, y, formatActionName(name), textStyle).setOrigin(0, 0.5);
+      const slots = [];
+      for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+        slots.push(this.add.text(SLOT_X + slot * SLOT_WIDTH, y, '', textStyle).setOrigin(0, 0.5));
+      }
+      return { action: ACTIONS[name], label, slots };
+    });
+  }
+
+  /**
+   * Redraw key names and highlight the selected cell
+   */
+  refresh() {
+    this.rows.forEach((row, rowIndex) => {
+      const keys = this.bindings.getKeys(row.action);
+      const isSelectedRow = rowIndex === this.selectedRow;
+      const isDefault = this.bindings.isDefault(row.action);
+
+      row.label.setColor(isSelectedRow ? COLORS.SELECTED : (isDefault ? COLORS.TEXT : COLORS.CHANGED));
+
+      row.slots.forEach((text, slot) => {
+        const isSelected = isSelectedRow && slot === this.selectedSlot;
+        if (isSelected && this.isListening) {
+          text.setText('[ ... ]').setColor(COLORS.LISTENING);
+        } else {
+          const keyName = keys[slot] || '-';
+          text.setText(isSelected ? `[${keyName}]` : ` ${keyName} `);
+          text.setColor(isSelected ? COLORS.SELECTED : COLORS.TEXT);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+
+    if (this.isListening) {
+      this.isListening = false;
+      if (event.keyCode === KeyCodes.ESC) {
+        this.setStatus('Cancelled');
+      } else {
+        this.bindSelected(event.keyCode);
+      }
+      this.refresh();
+      return;
+    }
+
+    const action = this.rows[this.selectedRow].action;
+
+    switch (event.keyCode) {
+      case KeyCodes.UP:
+        this.selectedRow = (this.selectedRow - 1 + this.rows.length) % this.rows.length;
+        break;
+      case KeyCodes.DOWN:
+        this.selectedRow = (this.selectedRow + 1) % this.rows.length;
+        break;
+      case KeyCodes.LEFT:
+        this.selectedSlot = Math.max(0, this.selectedSlot - 1);
+        break;
+      case KeyCodes.RIGHT:
+        this.selectedSlot = Math.min(MAX_KEYS_PER_ACTION - 1, this.selectedSlot + 1);
+        break;
+      case KeyCodes.ENTER:
+        this.isListening = true;
+        this.setStatus('Press a key (Esc to cancel)');
+        break;
+      case KeyCodes.BACKSPACE:
+      case KeyCodes.DELETE:
+        if (this.bindings.unbind(action, this.selectedSlot)) {
+          this.setStatus('Key cleared');
+        }
+        break;
+      case KeyCodes.R:
+        if (event.shiftKey) {
+          this.bindings.resetAll();
+          this.setStatus('All controls reset to defaults');
+        } else {
+          this.bindings.resetAction(action);
+          this.setStatus('Action reset to defaults');
+        }
+        break;
+      case KeyCodes.ESC:
+        this.close();
+        return;
+      default:
+        return;
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Bind the pressed key to the selected slot, swapping with any action that had it
+   * @param {number} keyCode
+   */
+  bindSelected(keyCode) {
+    const keyName = this.keyNames.get(keyCode);
+    if (!keyName) {
+      this.setStatus('That key cannot be bound');
+      return;
+    }
+
+    const action = this.rows[this.selectedRow].action;
+    const result = this.bindings.rebind(action, keyName, {
+      slot: this.selectedSlot,
+      onConflict: BINDING_CONFLICT.SWAP,
+    });
+
+    if (!result.ok) {
+      this.setStatus(result.error || 'Could not bind key');
+    } else if (result.conflicts.length > 0) {
+      const names = result.conflicts.map((other) => formatActionName(other.toUpperCase()));
+      this.setStatus(`${keyName} was used by ${names.join(', ')} - swapped`);
+    } else {
+      this.setStatus(`Bound ${keyName}`);
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  setStatus(message) {
+    this.statusText.setText(message);
+  }
+
+  /**
+   * Close the menu and resume the scene that opened it
+   */
+  close() {
+    if (this.returnTo) {
+      this.scene.resume(this.returnTo);
+    }
+    this.scene.stop();
+  }
+}
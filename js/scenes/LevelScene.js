@@ -0,0 +1,1534 @@
+import { BaseScene } from './BaseScene.js';
+import { Player } from '../entities/Player.js';
+import { Enemy, CORPSE_INTERACTION } from '../entities/Enemy.js';
+import { ProjectilePool } from '../entities/Projectile.js';
+import { BOSSES } from '../entities/bosses/index.js';
+import { CombatManager } from '../systems/CombatManager.js';
+import { TimeManager } from '../systems/TimeManager.js';
+import { EffectsManager } from '../systems/EffectsManager.js';
+import { AudioManager } from '../systems/AudioManager.js';
+import { CorpseManager } from '../systems/CorpseManager.js';
+import { JUGGLE_EVENT } from '../systems/Knockback.js';
+import { POISE_RESULT } from '../systems/Poise.js';
+import { GUARD_RESULT } from '../systems/Guard.js';
+import { LevelLoader, LEVELS, EXIT_KIND } from '../systems/LevelLoader.js';
+import { WorldGraph } from '../systems/WorldGraph.js';
+import { WorldState } from '../systems/WorldState.js';
+import { SaveManager } from '../systems/SaveManager.js';
+import { getSettingsService } from '../systems/SettingsService.js';
+import { ReplayRecorder, ReplayPlayer, REPLAY_TRACE, parseReplay, serializeReplay } from '../systems/Replay.js';
+import { ACTIONS } from '../systems/InputManager.js';
+import { HUD } from '../ui/HUD.js';
+import { WORLD } from '../data/world.js';
+import { COMBAT } from '../utils/combat.js';
+import { SOUNDS } from '../utils/audio.js';
+import { PHYSICS } from '../utils/physics.js';
+import { createSeed } from '../utils/random.js';
+
+// Camera fade duration for room transitions (ms)
+const ROOM_FADE_TIME = 250;
+
+/**
+ * Check whether a point lies inside a map zone
+ * @param {{x: number, y: number, width: number, height: number}} zone
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function zoneContains(zone, x, y) {
+  return x >= zone.x && x <= zone.x + zone.width &&
+    y >= zone.y && y <= zone.y + zone.height;
+}
+
+/**
+ * Short name for a combatant in replay traces
+ * @param {object} entity - Player, Enemy or Boss
+ * @param {Player} player
+ * @returns {string}
+ */
+function describeCombatant(entity, player) {
+  if (entity === player) return 'player';
+  return entity.id || entity.config?.type || 'unknown';
+}
+
+/**
+ * Reusable gameplay scene driven by a Tiled map
+ * Builds terrain, player, enemies and boss triggers from the level file,
+ * and owns the combat/corpse systems shared by every level.
+ *
+ * Start with data to pick a room or map:
+ *   this.scene.start('Level', { roomId: 'corridor' })
+ *   this.scene.start('Level', { levelKey: 'my_map' })
+ * Rooms come from the world graph (js/data/world.js); exits restart this
+ * scene with the next room and carry the player's state across.
+ */
+export class LevelScene extends BaseScene {
+  /**
+   * @param {string} [key='Level'] - Phaser scene key
+   * @param {string} [levelKey] - Default map to load if none is passed on start
+   */
+  constructor(key = 'Level', levelKey = LEVELS.TEST_ARENA) {
+    super(key);
+    this.levelKey = levelKey;
+    this.level = null;
+    this.levelLoader = null;
+    this.eventHandlers = {};
+
+    // World/room state
+    this.worldGraph = null;
+    this.worldState = null;
+    this.roomId = null;
+    this.entryName = null;
+    this.transferData = null;
+    this.roomSnapshot = null;
+    this.exits = [];
+    this.isTransitioning = false;
+    this.saveManager = null;
+    this.entryData = null;
+    this.isNewGame = false;
+    this.saveData = null;
+
+    // Replay session (see startRecording / playReplay)
+    this.replayRequest = null;
+    this.replayRecorder = null;
+    this.replayPlayer = null;
+    this.replayTime = 0;
+    this.lastTracedHistory = null;
+
+    this.player = null;
+    this.enemies = [];
+    this.enemyGroup = null;
+    this.projectiles = null;
+    this.currentBoss = null;
+    this.bossTriggers = [];
+    this.ground = null;
+    this.platforms = null;
+    this.combatManager = null;
+    this.timeManager = null;
+    this.effectsManager = null;
+    this.audioManager = null;
+    this.corpseManager = null;
+    this.hud = null;
+    this.showCombatDebug = false;
+
+    // Dev overlay, created by scenes that offer it (see TestArenaScene)
+    this.frameDataInspector = null;
+
+    // Collider references for cleanup/reset
+    this.enemyEnemyCollider = null;
+    this.playerEnemyCollider = null;
+    this.enemyCorpseCollider = null;
+  }
+
+  /**
+   * Phaser init - receives data passed to scene.start
+   * @param {object} data
+   * @param {string} [data.roomId] - World graph room to load
+   * @param {string} [data.levelKey] - Level to load when not using a room
+   * @param {string} [data.entry] - Exit name the player arrives at
+   * @param {object} [data.playerState] - Player.getTransferState() from the previous room
+   * @param {number} [data.kills] - HUD kill count from the previous room
+   * @param {number} [data.counterHits] - HUD counter-hit count from the previous room
+   * @param {number} [data.punishes] - HUD punish count from the previous room
+   * @param {object} [data.replay] - { mode: 'record'|'play', seed, setup, data } - see startRecording
+   * @param {boolean} [data.newGame] - Forget world progress from a previous playthrough
+   * @param {object} [data.save] - Loaded save data to continue from (its room wins over roomId)
+   */
+  init(data = {}) {
+    this.entryData = data;
+    this.roomId = data.roomId || null;
+    this.replayRequest = data.replay || null;
+    this.entryName = data.entry || null;
+    this.transferData = data.playerState ? data : null;
+    this.isNewGame = !!data.newGame;
+    this.saveData = data.save || null;
+    this.isTransitioning = false;
+
+    // A save carries weapons and kills over like a room exit does
+    if (this.saveData) {
+      this.transferData = {
+        playerState: { weapons: this.saveData.weapons },
+        kills: this.saveData.kills,
+      };
+    }
+
+    if (data.levelKey) {
+      this.levelKey = data.levelKey;
+    }
+  }
+
+  /**
+   * Replays reuse the recorded seed so every random stream rolls the same numbers
+   * @returns {number|undefined}
+   */
+  getRandomSeed() {
+    return this.replayRequest?.seed;
+  }
+
+  onCreate() {
+    // Physics debug - start with debug hidden (debug enabled in config for toggling)
+    this.physics.world.drawDebug = false;
+    if (this.physics.world.debugGraphic) {
+      this.physics.world.debugGraphic.setVisible(false);
+    }
+
+    // Create managers BEFORE entities
+    this.timeManager = new TimeManager(this);
+    this.combatManager = new CombatManager(this);
+    this.combatManager.setTimeManager(this.timeManager);
+    this.projectiles = new ProjectilePool(this);
+    this.effectsManager = new EffectsManager(this);
+    this.audioManager = new AudioManager(this);
+    this.audioManager.applySettings(this.registry.get('audioSettings'));
+    if (this.saveData) {
+      this.audioManager.applySettings(this.saveData.settings.audio);
+    }
+
+    // Player settings win over saved volumes and stay applied while the scene runs
+    const settings = getSettingsService();
+    this.audioManager.useSettings(settings);
+    this.effectsManager.useSettings(settings);
+    this.inputManager.useSettings(settings);
+    this.saveManager = new SaveManager();
+
+    // Create HUD
+    this.hud = new HUD(this);
+    this.hud.useSettings(settings);
+
+    // Create level geometry first (needed for platformLayer)
+    this.createLevel();
+
+    // Create corpse manager with platform layer for grid ground detection
+    // Limits come from the map's corpse_settings object, falling back to manager defaults
+    this.corpseManager = new CorpseManager(this, {
+      platformLayer: this.ground,
+      ...this.level.corpseSettings,
+    });
+
+    // Set terrain for corpse-platform collision during falling
+    this.corpseManager.setTerrain(this.ground, this.platforms);
+    this.projectiles.setTerrain(this.ground, this.platforms);
+
+    // Create enemy group for collision handling
+    // runChildUpdate: false prevents group from interfering with enemy updates
+    this.enemyGroup = this.physics.add.group({
+      runChildUpdate: false,
+    });
+
+    // Create player at the map's spawn point (or the exit we entered through)
+    const spawn = this.getPlayerSpawn();
+    this.player = new Player(this, spawn.x, spawn.y);
+    this.player.addCollider(this.ground);
+    this.player.addCollider(this.platforms);
+
+    // Player-corpse collision with step-up handling
+    this.playerStepUpHeight = 32; // Generous height for smooth traversal
+    this.isPlayerSteppingUp = false;
+    this.physics.add.collider(
+      this.player.sprite,
+      this.corpseManager.corpseGroup,
+      this.handlePlayerCorpseCollision,
+      this.shouldPlayerCollideWithCorpse,
+      this
+    );
+
+    // Camera follows the player within the map bounds
+    this.cameras.main.startFollow(this.player.sprite, true, 0.1, 0.1);
+
+    // Exits the player spawned inside stay disarmed until they step out
+    this.exits = this.level.exits.map((exit) => ({
+      ...exit,
+      armed: !zoneContains(exit, spawn.x, spawn.y),
+    }));
+
+    // Carry health, meter, weapons and momentum over from the previous room
+    if (this.transferData) {
+      this.player.applyTransferState(this.transferData.playerState);
+      this.hud.updateHealth(this.player.health, this.player.maxHealth);
+      this.hud.setKills(this.transferData.kills || 0);
+      this.hud.setHitTypeCounts(this.transferData.counterHits || 0, this.transferData.punishes || 0);
+      this.effectsManager.fadeIn(ROOM_FADE_TIME);
+    }
+
+    // Expose for console debugging
+    window.player = this.player;
+    window.scene = this;
+
+    // Spawn initial enemies, or restore survivors of a persistent room
+    if (this.roomSnapshot) {
+      this.restoreRoomSnapshot(this.roomSnapshot);
+    } else {
+      this.spawnEnemies();
+    }
+
+    // Set up all enemy-related colliders
+    this.setupColliders();
+
+    // Event listeners
+    this.setupEventListeners();
+
+    if (this.replayRequest) {
+      this.beginReplaySession(this.replayRequest);
+    }
+  }
+
+  /**
+   * Resolve the current room, then load the map and build terrain,
+   * world bounds and boss triggers
+   */
+  createLevel() {
+    this.worldGraph = new WorldGraph(WORLD);
+    this.worldState = this.getWorldState();
+
+    // New games forget the last playthrough; saves replace it and pick the room
+    if (this.isNewGame) {
+      this.worldState.resetAll();
+    } else if (this.saveData) {
+      this.worldState.restore(this.saveData);
+      this.roomId = this.worldState.currentRoomId;
+    }
+
+    // A room id wins; otherwise look up the room that owns this map (if any)
+    const room = this.roomId
+      ? this.worldGraph.getRoom(this.roomId)
+      : this.worldGraph.getRoomByLevel(this.levelKey);
+    if (this.roomId && !room) {
+      console.warn(`Unknown room "${this.roomId}", loading level "${this.levelKey}"`);
+    }
+    this.roomId = room ? room.id : null;
+    if (room) {
+      this.levelKey = room.levelKey;
+    }
+    this.roomSnapshot = room ? this.worldState.enterRoom(room.id) : null;
+
+    // Replays always start from the map's own layout
+    if (this.replayRequest) {
+      this.roomSnapshot = null;
+    }
+
+    this.levelLoader = new LevelLoader(this);
+    this.level = this.levelLoader.load(this.levelKey);
+
+    if (!this.level) {
+      throw new Error(`LevelScene: could not load level "${this.levelKey}"`);
+    }
+
+    const { ground, platforms } = this.levelLoader.build(this.level);
+    this.ground = ground;
+    this.platforms = platforms;
+
+    this.physics.world.setBounds(0, 0, this.level.width, this.level.height);
+    this.cameras.main.setBounds(0, 0, this.level.width, this.level.height);
+
+    this.bossTriggers = this.level.bossTriggers.map((trigger) => ({
+      ...trigger,
+      triggered: false,
+    }));
+  }
+
+  /**
+   * Get the shared world state, creating it on first use
+   * Lives in the game registry so it survives scene restarts
+   * @returns {WorldState}
+   */
+  getWorldState() {
+    let worldState = this.registry.get('worldState');
+    if (!worldState) {
+      worldState = new WorldState(this.worldGraph);
+      this.registry.set('worldState', worldState);
+    }
+    return worldState;
+  }
+
+  /**
+   * Where the player appears: the entry exit's spawn point, else the map spawn
+   * @returns {{x: number, y: number}}
+   */
+  getPlayerSpawn() {
+    if (this.entryName) {
+      const entry = LevelLoader.getExit(this.level, this.entryName);
+      if (entry) {
+        return { x: entry.spawnX, y: entry.spawnY };
+      }
+      console.warn(`Entry "${this.entryName}" not found in level "${this.levelKey}", using player spawn`);
+    }
+    return this.level.playerSpawn;
+  }
+
+  /**
+   * Transition through an exit when the player uses it
+   * Edge exits fire on contact, doors need INTERACT
+   */
+  checkExits() {
+    if (this.isTransitioning || !this.player || !this.player.isAlive) return;
+
+    const { x, y } = this.player.sprite;
+    for (const exit of this.exits) {
+      if (!zoneContains(exit, x, y)) {
+        exit.armed = true;
+        continue;
+      }
+      if (!exit.armed) continue;
+      if (exit.kind === EXIT_KIND.DOOR && !this.inputManager.justPressed(ACTIONS.INTERACT)) continue;
+
+      // Disarm so an unlinked exit only warns once per visit
+      exit.armed = false;
+      this.useExit(exit.name);
+      return;
+    }
+  }
+
+  /**
+   * Leave the room through a named exit
+   * Stores/discards this room's state, fades out and restarts the scene in the next room
+   * @param {string} exitName
+   * @returns {boolean} True if a transition started
+   */
+  useExit(exitName) {
+    if (this.isTransitioning) return false;
+
+    const link = this.roomId ? this.worldGraph.getExit(this.roomId, exitName) : null;
+    if (!link || !this.worldGraph.getRoom(link.to)) {
+      console.warn(`Exit "${exitName}" in room "${this.roomId}" is not linked in the world graph`);
+      return false;
+    }
+
+    this.isTransitioning = true;
+
+    // Capture state at the moment of exit so momentum carries through the fade
+    const { kills, counterHits, punishes } = this.hud.getStats();
+    const data = {
+      roomId: link.to,
+      entry: link.entry,
+      playerState: this.player.getTransferState(),
+      kills,
+      counterHits,
+      punishes,
+    };
+    this.worldState.leaveRoom(this.roomId, this.createRoomSnapshot());
+
+    this.effectsManager.fadeOut(ROOM_FADE_TIME, () => {
+      this.transitionTo(this.scene.key, data);
+    });
+    return true;
+  }
+
+  /**
+   * Snapshot living enemies, corpses and spent boss triggers
+   * @returns {object}
+   */
+  createRoomSnapshot() {
+    const liveBossId = this.currentBoss && this.currentBoss.isAlive ? this.currentBoss.id : null;
+
+    return {
+      enemies: this.enemies
+        .filter((enemy) => enemy.isAlive)
+        .map((enemy) => ({
+          type: enemy.config.type,
+          x: enemy.sprite.x,
+          y: enemy.sprite.y,
+          health: enemy.health,
+        })),
+      corpses: this.corpseManager.getCorpses()
+        .filter((corpse) => corpse.sprite && corpse.sprite.active)
+        .map((corpse) => ({
+          x: corpse.sprite.x,
+          y: corpse.sprite.y,
+          enemyType: corpse.config.enemyType,
+          width: corpse.config.width,
+          height: corpse.config.height,
+        })),
+      // A boss still fighting when the player leaves gets its trigger back
+      triggeredBossTriggers: this.bossTriggers
+        .filter((trigger) => trigger.triggered && trigger.bossId !== liveBossId)
+        .map((trigger) => trigger.id),
+    };
+  }
+
+  /**
+   * Rebuild a persistent room from its snapshot instead of the map spawns
+   * @param {object} snapshot - From createRoomSnapshot()
+   */
+  restoreRoomSnapshot(snapshot) {
+    for (const saved of snapshot.enemies) {
+      const enemy = this.spawnEnemy(saved.type, saved.x, saved.y);
+      enemy.health = saved.health;
+    }
+
+    for (const saved of snapshot.corpses) {
+      this.corpseManager.spawn(saved.x, saved.y, saved.enemyType, {
+        width: saved.width,
+        height: saved.height,
+      });
+    }
+
+    for (const trigger of this.bossTriggers) {
+      if (snapshot.triggeredBossTriggers.includes(trigger.id)) {
+        trigger.triggered = true;
+      }
+    }
+
+    console.log(`Restored room "${this.roomId}": ${snapshot.enemies.length} enemies, ${snapshot.corpses.length} corpses`);
+  }
+
+  /**
+   * Collect progress for a save slot
+   * @returns {object} Save data (see createDefaultSaveData)
+   */
+  getSaveData() {
+    return {
+      weapons: this.player.weaponManager.getState(),
+      defeatedBosses: [...this.worldState.defeatedBosses],
+      roomId: this.roomId,
+      kills: this.hud.getStats().kills,
+      settings: {
+        audio: this.audioManager.getSettings(),
+      },
+    };
+  }
+
+  /**
+   * Save progress to a slot
+   * @param {number} [slot=0]
+   * @returns {boolean} True if saved
+   */
+  saveGame(slot = 0) {
+    const result = this.saveManager.save(slot, this.getSaveData());
+    if (result.ok) {
+      console.log(`Saved to slot ${slot}`);
+    }
+    return result.ok;
+  }
+
+  /**
+   * Load a save slot and restart in its room
+   * Room state is not saved, so the room rebuilds from its map.
+   * Corrupt or future-version saves are reported and leave the game untouched.
+   * @param {number} [slot=0]
+   * @returns {boolean} True if a load started
+   */
+  loadGame(slot = 0) {
+    if (this.isTransitioning) return false;
+
+    const result = this.saveManager.load(slot);
+    if (!result.ok) return false;
+
+    this.isTransitioning = true;
+    this.effectsManager.fadeOut(ROOM_FADE_TIME, () => {
+      this.transitionTo(this.scene.key, { save: result.data });
+    });
+
+    console.log(`Loading slot ${slot}${result.migrated ? ` (migrated from v${result.version})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Freeze the room and open the pause menu on top
+   * Pausing the scene stops its update, so the simulation, timers and
+   * hitstop hold on the current step and the input buffer keeps its presses.
+   * @returns {boolean} True if the game paused
+   */
+  pauseGame() {
+    if (this.isTransitioning || !this.scene.isActive()) return false;
+
+    this.audioManager.pauseMusic();
+    this.scene.launch('Pause', { returnTo: this.scene.key });
+    this.scene.pause();
+    return true;
+  }
+
+  /**
+   * Start the room over as the player entered it
+   * Persistent rooms come back from their entry snapshot; boss defeats stay.
+   * @returns {boolean} True if a restart started
+   */
+  restartRoom() {
+    if (this.isTransitioning) return false;
+
+    this.isTransitioning = true;
+    this.leavePause();
+    this.transitionTo(this.scene.key, this.getRestartData());
+    return true;
+  }
+
+  /**
+   * Scene start data that enters this room again the way the player did
+   * New Game and Continue only apply on the way in - sent again they would
+   * reset or reload the world and undo this session's boss defeats. Weapons
+   * unlocked since entering stay too: the boss that dropped them won't
+   * spawn again to drop them a second time.
+   * @returns {object}
+   */
+  getRestartData() {
+    const { newGame, save, ...data } = this.entryData;
+    const entryState = this.transferData?.playerState;
+
+    return {
+      ...data,
+      roomId: this.roomId,
+      kills: this.transferData?.kills,
+      playerState: {
+        ...entryState,
+        weapons: {
+          ...entryState?.weapons,
+          unlocked: this.player.weaponManager.getUnlockedWeapons(),
+        },
+      },
+      // A restart is a fresh run, not a new replay session
+      replay: null,
+    };
+  }
+
+  /**
+   * Leave the game for the title screen
+   * World progress stays in the registry until New Game or Continue replaces it.
+   */
+  quitToTitle() {
+    this.isTransitioning = true;
+    this.leavePause();
+    this.transitionTo('Title');
+  }
+
+  /**
+   * Let go of the music pauseGame() held before leaving from the pause menu
+   * Only closing the menu resumes the scene (and its music); restarting or
+   * quitting starts a scene over it, so the paused track is stopped here.
+   */
+  leavePause() {
+    this.audioManager.stopMusic(false);
+  }
+
+  /**
+   * Scene start data a replay needs to rebuild its first frame
+   * The player starts at rest so momentum from the previous room doesn't leak in.
+   * @returns {object}
+   */
+  getReplaySetup() {
+    return {
+      roomId: this.roomId,
+      levelKey: this.levelKey,
+      playerState: { ...this.player.getTransferState(), velocity: { x: 0, y: 0 } },
+      kills: this.hud.getStats().kills,
+      defeatedBosses: [...this.worldState.defeatedBosses],
+      // Toggle-held spin/block read the same input differently
+      holdModes: this.inputManager.getHoldModes(),
+    };
+  }
+
+  /**
+   * Restart the room and record input from that clean start
+   * Stop with stopRecording(); leaving the room also stops it.
+   * @returns {boolean} True if recording will start
+   */
+  startRecording() {
+    if (this.isTransitioning) return false;
+
+    this.restartForReplay({ mode: 'record', seed: createSeed(), setup: this.getReplaySetup() });
+    return true;
+  }
+
+  /**
+   * Stop recording and keep the replay in the registry as 'lastReplay'
+   * @returns {object|null} Replay data, or null if not recording
+   */
+  stopRecording() {
+    if (!this.replayRecorder) return null;
+
+    const replay = this.replayRecorder.finish();
+    this.replayRecorder = null;
+    this.registry.set('lastReplay', replay);
+
+    console.log(`Recorded ${replay.frameCount} frames (${serializeReplay(replay).length} bytes)`);
+    return replay;
+  }
+
+  /**
+   * Restart with a replay's setup and feed input from it
+   * @param {string|object} replay - Replay file contents or parsed replay
+   * @returns {boolean} True if playback will start
+   */
+  playReplay(replay) {
+    if (this.isTransitioning) return false;
+
+    const result = parseReplay(replay);
+    if (!result.ok) {
+      console.warn(`Cannot play replay: ${result.errors.join('; ')}`);
+      return false;
+    }
+
+    const { setup, seed } = result.replay;
+    this.worldState.restore(setup);
+    this.restartForReplay({ mode: 'play', seed, setup, data: result.replay });
+    return true;
+  }
+
+  /**
+   * @param {object} request - Replay request passed through init()
+   */
+  restartForReplay(request) {
+    const { setup } = request;
+    this.isTransitioning = true;
+    this.transitionTo(this.scene.key, {
+      roomId: setup.roomId,
+      levelKey: setup.levelKey,
+      playerState: setup.playerState,
+      kills: setup.kills,
+      replay: request,
+    });
+  }
+
+  /**
+   * Start recording or playback
+   * @param {object} request
+   */
+  beginReplaySession(request) {
+    this.replayTime = 0;
+    this.lastTracedHistory = null;
+
+    if (request.mode === 'play') {
+      this.replayPlayer = new ReplayPlayer(request.data);
+      this.inputManager.setHoldModes(request.setup.holdModes);
+      this.inputManager.startPlayback();
+      console.log(`Playing replay: ${request.data.frameCount} frames, seed ${request.seed}`);
+    } else {
+      this.replayRecorder = new ReplayRecorder({ seed: this.random.seed, setup: request.setup });
+      console.log(`Recording replay, seed ${this.random.seed}`);
+    }
+  }
+
+  /**
+   * Record an event, or check it against the replay being played
+   * @param {string} type - REPLAY_TRACE value
+   * @param {string} detail
+   */
+  traceReplay(type, detail) {
+    if (this.replayRecorder) {
+      this.replayRecorder.addTrace(type, detail);
+    } else if (this.replayPlayer) {
+      this.replayPlayer.check(type, detail);
+    }
+  }
+
+  /**
+   * Report the playback result and hand input back to the devices
+   */
+  finishPlayback() {
+    const result = this.replayPlayer.getResult();
+    this.replayPlayer = null;
+    this.inputManager.stopPlayback();
+    // Back to the player's own hold modes
+    this.inputManager.useSettings(getSettingsService());
+
+    if (result.inSync) {
+      console.log(`Replay finished in sync (${result.frames} frames)`);
+    } else {
+      console.warn(`Replay finished with a desync at frame ${result.desync.frame}`);
+    }
+    this.events.emit('replay:finished', result);
+  }
+
+  /**
+   * Run one frame of a replay session on a recorded (or recording) delta
+   * The fixed-step simulation turns the same deltas into the same steps.
+   * @param {number} delta - Live frame delta, used when no replay frame is left
+   */
+  stepReplayFrame(delta) {
+    let frameDelta = delta;
+    if (this.replayPlayer) {
+      const frame = this.replayPlayer.next();
+      if (frame) {
+        frameDelta = frame.delta;
+        this.inputManager.feedFrame(frame.input);
+      } else {
+        this.finishPlayback();
+      }
+    }
+
+    this.replayTime += frameDelta;
+    super.update(this.replayTime, frameDelta);
+
+    if (this.player) {
+      const history = this.player.stateMachine.getHistoryString();
+      if (history !== this.lastTracedHistory) {
+        this.lastTracedHistory = history;
+        this.traceReplay(REPLAY_TRACE.STATE, history);
+      }
+    }
+
+    if (this.replayRecorder) {
+      this.replayRecorder.recordFrame(frameDelta, this.inputManager.getFrame());
+    } else if (this.replayPlayer) {
+      this.replayPlayer.checkFrameEnd();
+    }
+  }
+
+  setupEventListeners() {
+    // Handlers kept so shutdown() can remove them before the scene restarts
+    this.eventHandlers = {
+      // Back from the pause menu (or any overlay that paused the scene)
+      [Phaser.Scenes.Events.RESUME]: () => {
+        this.audioManager.resumeMusic();
+      },
+
+      'combat:hit': (hitData) => {
+        // Determine hit intensity based on damage
+        let intensity = 'light';
+        if (hitData.isCritical) intensity = 'critical';
+        else if (hitData.damage >= 30) intensity = 'heavy';
+        else if (hitData.damage >= 15) intensity = 'medium';
+
+        // Get hit position (defender's position)
+        const defenderSprite = hitData.defender.sprite || hitData.defender;
+        const x = defenderSprite.x;
+        const y = defenderSprite.y;
+
+        // Sparks fly the way the hit pushes
+        const direction = hitData.direction;
+
+        // Hits on the player's guard get their effects from player:blocked
+        const guarded = hitData.guardResult === GUARD_RESULT.BLOCKED || hitData.guardResult === GUARD_RESULT.PARRIED;
+        if (!guarded) {
+          // Spawn effects - armor clanks instead of bleeding; a broken guard gets its own burst
+          if (hitData.poiseResult === POISE_RESULT.ARMORED) {
+            this.effectsManager.armorHit(x, y, direction);
+          } else {
+            this.effectsManager.hitEffect(x, y, intensity, direction);
+          }
+          if (hitData.poiseResult === POISE_RESULT.BROKEN) {
+            this.effectsManager.guardBreak(x, y);
+          }
+          this.effectsManager.damageNumber(x, y - 20, hitData.damage, hitData.isCritical);
+
+          // Play hit sound
+          if (this.audioManager) {
+            if (hitData.poiseResult === POISE_RESULT.ARMORED) {
+              this.audioManager.playArmorHit();
+            } else {
+              this.audioManager.playHit(hitData.damage, hitData.isCritical);
+            }
+            if (hitData.poiseResult === POISE_RESULT.BROKEN) {
+              this.audioManager.playGuardBreak();
+            }
+          }
+        }
+
+        const attacker = describeCombatant(hitData.attacker, this.player);
+        const defender = describeCombatant(hitData.defender, this.player);
+        this.traceReplay(REPLAY_TRACE.HIT, `${attacker}>${defender} ${hitData.damage} @${Math.round(x)},${Math.round(y)}`);
+        this.frameDataInspector?.recordHit(hitData);
+      },
+
+      // A hit on the player's raised guard (any source, not only combat:hit)
+      'player:blocked': (data) => {
+        const sprite = data.player.sprite;
+        const direction = data.source.direction ?? (sprite.flipX ? 1 : -1);
+
+        if (data.result === GUARD_RESULT.BLOCKED) {
+          this.effectsManager.blockHit(sprite.x, sprite.y, direction);
+          if (data.damage > 0) {
+            this.effectsManager.damageNumber(sprite.x, sprite.y - 20, data.damage);
+          }
+        } else if (data.result === GUARD_RESULT.CRUSHED) {
+          this.effectsManager.guardBreak(sprite.x, sprite.y);
+        }
+
+        if (this.audioManager) {
+          if (data.result === GUARD_RESULT.BLOCKED) {
+            this.audioManager.playBlock();
+          } else if (data.result === GUARD_RESULT.PARRIED) {
+            this.audioManager.playParry(true);
+          } else if (data.result === GUARD_RESULT.CRUSHED) {
+            this.audioManager.playGuardBreak();
+          }
+        }
+      },
+
+      // Knocked off a wall or the floor (AttackData.wallBounce / groundBounce)
+      'combat:bounce': (data) => {
+        const sprite = data.entity.sprite;
+        if (data.type === JUGGLE_EVENT.WALL_BOUNCE) {
+          this.effectsManager.dustCloud(sprite.x, sprite.y, 6, sprite.body.velocity.x < 0 ? -1 : 1);
+          this.effectsManager.screenShake(4, 80);
+        } else {
+          this.effectsManager.landingImpact(sprite.x, sprite.y + sprite.displayHeight / 2, 1);
+        }
+      },
+
+      'enemy:killed': (data) => {
+        // Grant ultimate meter
+        if (this.player) {
+          this.player.addUltimateMeter(COMBAT.ULTIMATE.GAIN_PER_KILL);
+        }
+
+        // HUD handles kill count display
+
+        // Death effect
+        this.effectsManager.deathEffect(data.enemy.sprite.x, data.enemy.sprite.y);
+
+        // Play death sound
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.ENEMY_DEATH);
+        }
+
+        // Remove from array and enemy group
+        const index = this.enemies.indexOf(data.enemy);
+        if (index > -1) {
+          this.enemies.splice(index, 1);
+        }
+        if (data.enemy.sprite && this.enemyGroup.contains(data.enemy.sprite)) {
+          this.enemyGroup.remove(data.enemy.sprite, true, true);
+        }
+      },
+
+      // Spawn corpse when enemy dies
+      'enemy:died': (data) => {
+        this.corpseManager.spawn(data.x, data.y, data.enemyType, {
+          width: data.width,
+          height: data.height || 16,
+        });
+      },
+
+      // Boss events
+      'boss:defeated': (data) => {
+        this.worldState.markBossDefeated(data.boss.id);
+        console.log(data.weaponDrop ? `Boss defeated! Unlocked weapon: ${data.weaponDrop}` : 'Boss defeated!');
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.BOSS_DEATH);
+        }
+        this.currentBoss = null;
+      },
+
+      'boss:phaseChange': (data) => {
+        console.log(`Boss entered phase ${data.phase + 1}!`);
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.BOSS_PHASE);
+        }
+      },
+
+      // Additional audio events
+      'combo:milestone': (data) => {
+        if (this.audioManager) {
+          this.audioManager.playComboMilestone(data.combo);
+        }
+      },
+
+      'weapon:equipped': () => {
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.WEAPON_SWAP);
+        }
+      },
+
+      'ultimate:ready': () => {
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.ULTIMATE_READY);
+        }
+      },
+
+      'ultimate:activated': () => {
+        if (this.audioManager) {
+          this.audioManager.playSFX(SOUNDS.ULTIMATE_ACTIVATE);
+        }
+      },
+    };
+
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.events.on(event, handler);
+    }
+  }
+
+  /**
+   * Spawn a boss by id at a position
+   * @param {string} bossId - Key in BOSSES (e.g. 'tonfa_warden')
+   * @param {number} x
+   * @param {number} y
+   * @returns {Boss|null}
+   */
+  spawnBoss(bossId, x, y) {
+    const BossClass = BOSSES[bossId];
+    if (!BossClass) {
+      console.warn(`Unknown boss id: ${bossId}`);
+      return null;
+    }
+
+    // Clear existing boss
+    if (this.currentBoss) {
+      this.currentBoss.destroy();
+      this.currentBoss = null;
+    }
+
+    this.currentBoss = new BossClass(this, x, y);
+    this.currentBoss.addCollider(this.ground);
+    this.currentBoss.addCollider(this.platforms);
+
+    // Add boss to enemy group for collision with player, other enemies, and corpses
+    if (this.currentBoss.sprite && this.enemyGroup) {
+      this.enemyGroup.add(this.currentBoss.sprite);
+
+      // Re-apply physics settings that group may have overwritten
+      this.currentBoss.sprite.body.setAllowGravity(true);
+      this.currentBoss.sprite.body.setGravityY(PHYSICS.GRAVITY);
+      this.currentBoss.sprite.body.setCollideWorldBounds(true);
+    }
+
+    // Apply combat debug if currently enabled
+    if (this.showCombatDebug && this.currentBoss.setCombatDebug) {
+      this.currentBoss.setCombatDebug(true);
+    }
+
+    console.log(`Boss spawned: ${this.currentBoss.name}`);
+    return this.currentBoss;
+  }
+
+  /**
+   * Spawn any boss whose trigger zone the player has entered
+   * Each trigger fires once per scene, and never for a defeated boss
+   */
+  checkBossTriggers() {
+    if (!this.player || !this.player.isAlive) return;
+
+    const { x, y } = this.player.sprite;
+    for (const trigger of this.bossTriggers) {
+      if (trigger.triggered || this.worldState.isBossDefeated(trigger.bossId)) continue;
+
+      if (zoneContains(trigger, x, y)) {
+        trigger.triggered = true;
+        this.spawnBoss(trigger.bossId, trigger.spawnX, trigger.spawnY);
+      }
+    }
+  }
+
+  /**
+   * Spawn the level's enemies
+   * Does not clear existing enemies - calling again adds another wave
+   */
+  spawnEnemies() {
+    // Clear existing projectiles to avoid stale references
+    this.clearProjectiles();
+
+    for (const spawn of this.level.enemySpawns) {
+      this.spawnEnemy(spawn.type, spawn.x, spawn.y);
+    }
+
+    console.log(`Spawned ${this.level.enemySpawns.length} enemies (total: ${this.enemies.length})`);
+  }
+
+  /**
+   * Spawn a single enemy and wire up terrain/group physics
+   * @param {string} type - ENEMY_PRESETS key
+   * @param {number} x
+   * @param {number} y
+   * @returns {Enemy}
+   */
+  spawnEnemy(type, x, y) {
+    const enemy = new Enemy(this, x, y, { type });
+    enemy.addCollider(this.ground);
+    enemy.addCollider(this.platforms);
+    enemy.setTarget(this.player);
+
+    // Add to enemy group for corpse collision
+    this.enemyGroup.add(enemy.sprite);
+
+    // Re-apply enemy physics settings that group may have overwritten
+    // World gravity is 0, so we must set per-body gravity
+    enemy.sprite.body.setAllowGravity(true);
+    enemy.sprite.body.setGravityY(PHYSICS.GRAVITY);
+    enemy.sprite.body.setCollideWorldBounds(true);
+
+    if (this.showCombatDebug) {
+      enemy.setCombatDebug(true);
+    }
+
+    this.enemies.push(enemy);
+    return enemy;
+  }
+
+  /**
+   * Destroy all regular enemies and their projectiles
+   */
+  clearEnemies() {
+    for (const enemy of this.enemies) {
+      this.timeManager?.clearEntityHitstop(enemy);
+      enemy.destroy();
+    }
+    this.enemies = [];
+    this.clearProjectiles();
+  }
+
+  /**
+   * Remove all projectiles in flight
+   */
+  clearProjectiles() {
+    if (this.projectiles) {
+      this.projectiles.clear();
+    }
+  }
+
+  /**
+   * Set up all enemy-related collision handlers
+   * Called after spawnEnemies() and when respawning
+   */
+  setupColliders() {
+    // Destroy existing colliders if any (for respawn scenarios)
+    if (this.enemyEnemyCollider) {
+      this.enemyEnemyCollider.destroy();
+      this.enemyEnemyCollider = null;
+    }
+    if (this.playerEnemyCollider) {
+      this.playerEnemyCollider.destroy();
+      this.playerEnemyCollider = null;
+    }
+    if (this.enemyCorpseCollider) {
+      this.enemyCorpseCollider.destroy();
+      this.enemyCorpseCollider = null;
+    }
+
+    // Enemy-enemy collision (solid collision between all enemies)
+    // Mass-based physics: heavier enemies push lighter ones
+    this.enemyEnemyCollider = this.physics.add.collider(
+      this.enemyGroup,
+      this.enemyGroup,
+      null, // no callback needed for basic collision
+      null, // no process callback
+      this
+    );
+
+    // Player-enemy collision (player and enemies cannot walk through each other)
+    // Player mass = 2, swarmers = 1 (player pushes), brutes = 5 (push player)
+    this.playerEnemyCollider = this.physics.add.collider(
+      this.player.sprite,
+      this.enemyGroup,
+      null, // no callback needed for basic collision
+      null, // no process callback
+      this
+    );
+
+    // Enemy-corpse collision
+    // Process callback prevents physics from moving corpses - only step-up/destroy logic applies
+    this.enemyCorpseCollider = this.physics.add.collider(
+      this.enemyGroup,
+      this.corpseManager.corpseGroup,
+      this.handleEnemyCorpseCollision,
+      this.shouldEnemyCollideWithCorpse,
+      this
+    );
+
+    console.log('Colliders setup. Enemy count:', this.enemies.length);
+  }
+
+  /**
+   * Replay sessions step the frame themselves; otherwise the normal update
+   * @param {number} time
+   * @param {number} delta
+   */
+  update(time, delta) {
+    if (this.replayRequest) {
+      this.stepReplayFrame(delta);
+    } else {
+      super.update(time, delta);
+    }
+  }
+
+  /**
+   * Gameplay - runs once per fixed simulation step
+   * @param {number} time - Simulation time
+   * @param {number} delta - Step length
+   */
+  onFixedUpdate(time, delta) {
+    // Update time manager first
+    this.timeManager.update(delta);
+
+    // Get scaled delta for gameplay
+    const scaledDelta = this.timeManager.getScaledDelta(delta);
+
+    // Impact frames hold everything; hitstop on single entities is checked in their own update()
+    if (!this.timeManager.isFrozen()) {
+      // Update player
+      this.player.update(time, scaledDelta);
+      this.frameDataInspector?.track();
+
+      // Spawn bosses when the player walks into a trigger
+      this.checkBossTriggers();
+
+      // Room exits (doors and edges)
+      this.checkExits();
+
+      // Update enemies
+      for (const enemy of this.enemies) {
+        enemy.update(time, scaledDelta);
+      }
+
+      // Update boss
+      if (this.currentBoss && this.currentBoss.isAlive) {
+        this.currentBoss.update(time, scaledDelta);
+
+        // Check boss hitbox collision with player
+        if (this.player && this.player.isAlive) {
+          this.currentBoss.checkHitboxCollision(this.player);
+        }
+      }
+
+      // Update projectiles (their hitboxes resolve in the combat manager)
+      this.projectiles.update(scaledDelta);
+
+      // Update combat manager
+      this.combatManager.update(time, scaledDelta);
+
+      // Update corpse manager
+      this.corpseManager.update(time, scaledDelta);
+      this.corpseManager.setReferencePosition(this.player.sprite.x, this.player.sprite.y);
+    }
+  }
+
+  /**
+   * Presentation - runs once per rendered frame
+   * @param {number} time
+   * @param {number} delta
+   */
+  onUpdate(time, delta) {
+    // Replays play back without stopping - their recorded pause presses are ignored
+    if (!this.replayPlayer && this.inputManager.justPressed(ACTIONS.PAUSE)) {
+      this.pauseGame();
+    }
+
+    this.hud.update(time, delta, this.player);
+    this.frameDataInspector?.draw();
+  }
+
+  /**
+   * Handle collision between enemy and corpse
+   * Called after collision resolution
+   * @param {Phaser.Physics.Arcade.Sprite} enemySprite
+   * @param {Phaser.Physics.Arcade.Sprite} corpseSprite
+   */
+  handleEnemyCorpseCollision(enemySprite, corpseSprite) {
+    const enemy = enemySprite.getData('owner');
+    const corpse = corpseSprite.getData('owner');
+
+    if (!enemy || !corpse || corpse.state !== 'settled') return;
+
+    // Brutes destroy corpses on contact
+    if (enemy.corpseInteraction === CORPSE_INTERACTION.DESTROY) {
+      this.destroyCorpseWithForce(enemy, corpse);
+      return;
+    }
+
+    // For climbing/blocking enemies, handle standing on corpse
+    const enemyBody = enemySprite.body;
+    const corpseBody = corpseSprite.body;
+
+    const enemyBottom = enemyBody.bottom;
+    const corpseTop = corpseBody.top;
+    const isStandingOn = enemyBottom >= corpseTop - 4 && enemyBottom <= corpseTop + 6;
+
+    if (isStandingOn && enemyBody.velocity.y >= 0) {
+      // Snap enemy to stand on top of corpse
+      enemySprite.y = corpseTop - enemyBody.halfHeight;
+      enemyBody.velocity.y = 0;
+
+      // Mark enemy as grounded for AI/movement purposes
+      enemyBody.blocked.down = true;
+    }
+  }
+
+  /**
+   * Process callback for enemy-corpse collision
+   * Handles step-up positioning for climbing enemies
+   * @param {Phaser.Physics.Arcade.Sprite} enemySprite
+   * @param {Phaser.Physics.Arcade.Sprite} corpseSprite
+   * @returns {boolean} Whether to apply collision physics
+   */
+  shouldEnemyCollideWithCorpse(enemySprite, corpseSprite) {
+    const enemy = enemySprite.getData('owner');
+    const corpse = corpseSprite.getData('owner');
+
+    // Only collide with settled corpses (they have static platform bodies)
+    if (!corpse || corpse.state !== 'settled') {
+      return false;
+    }
+
+    if (!enemy) return true;
+
+    const enemyBody = enemySprite.body;
+    const corpseBody = corpseSprite.body;
+    const enemyBottom = enemyBody.bottom;
+    const corpseTop = corpseBody.top;
+    const heightDiff = enemyBottom - corpseTop;
+
+    // Brutes destroy corpses on contact
+    if (enemy.corpseInteraction === CORPSE_INTERACTION.DESTROY) {
+      return true; // Collision triggers destruction in handler
+    }
+
+    // Blocking enemies are fully blocked by corpses
+    if (enemy.corpseInteraction === CORPSE_INTERACTION.BLOCK) {
+      // Don't collide if too far below (prevents getting stuck on sides)
+      if (heightDiff > 16) {
+        return false;
+      }
+      return true;
+    }
+
+    // Climbing enemies (CORPSE_INTERACTION.CLIMB)
+    const stepUpHeight = enemy.stepUpHeight || 32;
+
+    // Enemy is above or at corpse top - normal collision for standing/landing
+    if (enemyBottom <= corpseTop + 4) {
+      return true;
+    }
+
+    // Enemy below corpse top but within step-up range - assist step-up
+    const canStepUp = heightDiff > 0 && heightDiff <= stepUpHeight;
+    const isMoving = Math.abs(enemyBody.velocity.x) > 5 || enemyBody.velocity.y !== 0;
+
+    if (canStepUp && isMoving) {
+      // Smoothly step up onto corpse
+      const targetY = corpseTop - enemyBody.halfHeight;
+
+      if (enemySprite.y > targetY + 2) {
+        // Gradual step-up for smoother movement
+        const stepSpeed = 3;
+        enemySprite.y -= stepSpeed;
+
+        // Snap to final position when close
+        if (enemySprite.y <= targetY + stepSpeed) {
+          enemySprite.y = targetY;
+        }
+
+        // Neutralize downward velocity during step-up
+        if (enemyBody.velocity.y > 0) {
+          enemyBody.velocity.y = 0;
+        }
+      }
+      return true;
+    }
+
+    // Enemy too far below - don't collide (prevents getting stuck on sides)
+    if (heightDiff > stepUpHeight) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Destroy a corpse with knockback force (used by Brutes)
+   * @param {Enemy} enemy - The enemy destroying the corpse
+   * @param {Object} corpse - The corpse being destroyed
+   */
+  destroyCorpseWithForce(enemy, corpse) {
+    // Prevent double-destruction
+    if (corpse._beingDestroyed) return;
+    corpse._beingDestroyed = true;
+
+    // Determine knockback direction (away from enemy)
+    const direction = corpse.sprite.x > enemy.sprite.x ? 1 : -1;
+    const force = enemy.corpseDestroyForce || 300;
+
+    // Re-enable corpse body as dynamic for knockback effect
+    if (corpse.sprite.body) {
+      corpse.sprite.body.enable = true;
+      corpse.sprite.body.moves = true;
+      corpse.sprite.body.setImmovable(false);
+      corpse.sprite.body.setAllowGravity(true);
+      // Restore full body size for flying effect
+      corpse.sprite.body.setSize(corpse.config.width, corpse.config.height);
+      corpse.sprite.body.setOffset(0, 0);
+      // Apply knockback force
+      corpse.sprite.body.setVelocity(direction * force, -200);
+    }
+
+    // Visual feedback - flash red
+    corpse.sprite.setTint(0xff4444);
+
+    // Destroy after brief delay (shows the knockback)
+    this.time.delayedCall(200, () => {
+      // Emit particles at corpse position if EffectsManager exists
+      if (this.effectsManager) {
+        this.effectsManager.createImpact(
+          corpse.sprite.x,
+          corpse.sprite.y,
+          { color: 0x666666, count: 5 }
+        );
+      }
+      this.corpseManager.remove(corpse);
+    });
+  }
+
+  /**
+   * Process callback for player-corpse collision
+   * Enables smooth step-up onto corpse piles
+   * @param {Phaser.Physics.Arcade.Sprite} playerSprite
+   * @param {Phaser.Physics.Arcade.Sprite} corpseSprite
+   * @returns {boolean} Whether to apply collision physics
+   */
+  shouldPlayerCollideWithCorpse(playerSprite, corpseSprite) {
+    const corpse = corpseSprite.getData('owner');
+
+    // Only collide with settled corpses (they have static platform bodies)
+    if (!corpse || corpse.state !== 'settled') {
+      return false;
+    }
+
+    const playerBody = playerSprite.body;
+    const corpseBody = corpseSprite.body;
+
+    // Corpse body is a thin platform at the top, so corpseBody.top is the walking surface
+    const playerBottom = playerBody.bottom;
+    const corpseTop = corpseBody.top;
+    const heightDiff = playerBottom - corpseTop;
+
+    // Player is above or at the corpse top level - normal collision for standing/landing
+    if (playerBottom <= corpseTop + 4) {
+      return true;
+    }
+
+    // Player is below corpse top but within step-up range
+    // Assist by nudging player up onto the platform
+    const canStepUp = heightDiff > 0 && heightDiff <= this.playerStepUpHeight;
+    const isMoving = Math.abs(playerBody.velocity.x) > 5 || playerBody.velocity.y !== 0;
+
+    if (canStepUp && isMoving) {
+      // Smoothly step up: position player on top of corpse
+      const targetY = corpseTop - playerBody.halfHeight;
+
+      if (playerSprite.y > targetY + 2) {
+        // Gradual step-up for smoother feel
+        const stepSpeed = 4;
+        playerSprite.y -= stepSpeed;
+
+        // If close enough, snap to final position
+        if (playerSprite.y <= targetY + stepSpeed) {
+          playerSprite.y = targetY;
+        }
+
+        // Neutralize downward velocity during step-up
+        if (playerBody.velocity.y > 0) {
+          playerBody.velocity.y = 0;
+        }
+      }
+      return true;
+    }
+
+    // Player too far below - don't collide (prevents getting stuck on sides)
+    if (heightDiff > this.playerStepUpHeight) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Handle collision between player and corpse
+   * Called after collision resolution
+   * @param {Phaser.Physics.Arcade.Sprite} playerSprite
+   * @param {Phaser.Physics.Arcade.Sprite} corpseSprite
+   */
+  handlePlayerCorpseCollision(playerSprite, corpseSprite) {
+    const playerBody = playerSprite.body;
+    const corpseBody = corpseSprite.body;
+
+    // Check if player is standing on top of this corpse
+    const playerBottom = playerBody.bottom;
+    const corpseTop = corpseBody.top;
+    const isStandingOn = playerBottom >= corpseTop - 4 && playerBottom <= corpseTop + 6;
+
+    if (isStandingOn && playerBody.velocity.y >= 0) {
+      // Snap player to stand exactly on top for clean landing
+      playerSprite.y = corpseTop - playerBody.halfHeight;
+      playerBody.velocity.y = 0;
+
+      // Mark player as touching ground (for jump detection)
+      playerBody.blocked.down = true;
+    }
+  }
+
+  shutdown() {
+    // Leaving the room ends a recording - keep what was captured
+    this.stopRecording();
+    this.replayPlayer = null;
+
+    super.shutdown();
+
+    // Remove scene event listeners so a restart doesn't double them up
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.events.off(event, handler);
+    }
+    this.eventHandlers = {};
+
+    // Audio settings outlive the scene so mutes/volumes carry between rooms
+    if (this.audioManager) {
+      this.registry.set('audioSettings', this.audioManager.getSettings());
+    }
+
+    // Clean up global debug references
+    window.player = null;
+    window.scene = null;
+
+    // Clean up colliders
+    if (this.enemyEnemyCollider) {
+      this.enemyEnemyCollider.destroy();
+      this.enemyEnemyCollider = null;
+    }
+    if (this.playerEnemyCollider) {
+      this.playerEnemyCollider.destroy();
+      this.playerEnemyCollider = null;
+    }
+    if (this.enemyCorpseCollider) {
+      this.enemyCorpseCollider.destroy();
+      this.enemyCorpseCollider = null;
+    }
+
+    // Clean up boss
+    if (this.currentBoss) {
+      this.currentBoss.destroy();
+      this.currentBoss = null;
+    }
+
+    // Clean up enemies and projectiles
+    this.clearEnemies();
+    if (this.projectiles) {
+      this.projectiles.destroy();
+      this.projectiles = null;
+    }
+
+    // Clean up enemy group
+    if (this.enemyGroup) {
+      this.enemyGroup.destroy(true);
+      this.enemyGroup = null;
+    }
+
+    // Clean up player
+    if (this.player) {
+      this.player.destroy();
+      this.player = null;
+    }
+
+    // Clean up HUD
+    if (this.hud) {
+      this.hud.destroy();
+      this.hud = null;
+    }
+    if (this.frameDataInspector) {
+      this.frameDataInspector.destroy();
+      this.frameDataInspector = null;
+    }
+
+    // Clean up managers
+    if (this.combatManager) {
+      this.combatManager.destroy();
+      this.combatManager = null;
+    }
+    if (this.effectsManager) {
+      this.effectsManager.destroy();
+      this.effectsManager = null;
+    }
+    if (this.audioManager) {
+      this.audioManager.destroy();
+      this.audioManager = null;
+    }
+    if (this.corpseManager) {
+      this.corpseManager.destroy();
+      this.corpseManager = null;
+    }
+  }
+}
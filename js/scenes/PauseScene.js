@@ -0,0 +1,146 @@
+import { MenuList, MENU_INPUT, MENU_KEYS, MENU_PAD_LAYOUT } from '../ui/MenuList.js';
+import { GAMEPAD_BUTTONS } from '../systems/GamepadInput.js';
+
+/**
+ * Pause menu options
+ */
+export const PAUSE_OPTIONS = Object.freeze({
+  RESUME: 'resume',
+  SETTINGS: 'settings',
+  RESTART: 'restart',
+  QUIT: 'quit',
+});
+
+// The pause keys (Esc/P, Start) also close the menu
+const PAUSE_MENU_KEYS = Object.freeze({
+  ...MENU_KEYS,
+  [MENU_INPUT.BACK]: [...MENU_KEYS[MENU_INPUT.BACK], 'P'],
+});
+
+const PAUSE_PAD_LAYOUT = Object.freeze({
+  ...MENU_PAD_LAYOUT,
+  [MENU_INPUT.BACK]: [...MENU_PAD_LAYOUT[MENU_INPUT.BACK], { button: GAMEPAD_BUTTONS.START }],
+});
+
+const COLORS = Object.freeze({
+  TEXT: '#ffffff',
+  DIM: '#888888',
+});
+
+/**
+ * Pause menu - overlay on top of a paused gameplay scene
+ *
+ * Opened by LevelScene.pauseGame(), which pauses the gameplay scene: its
+ * update stops, so the fixed-step simulation (physics, timers, TimeManager
+ * hitstop, input buffer timestamps) holds exactly where it was and resumes
+ * from the same step.
+ *
+ * Keyboard: Up/Down or W/S to select, Enter/Space to choose, Esc/P to resume.
+ * Gamepad: D-pad or left stick to select, A to choose, B/Start to resume.
+ */
+export class PauseScene extends Phaser.Scene {
+  constructor() {
+    super('Pause');
+    this.returnTo = null;
+    this.menu = null;
+    this.isClosing = false;
+  }
+
+  /**
+   * @param {object} data
+   * @param {string} data.returnTo - Paused LevelScene key
+   */
+  init(data = {}) {
+    this.returnTo = data.returnTo || null;
+    this.isClosing = false;
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    this.add.rectangle(0, 0, width, height, 0x000000, 0.7).setOrigin(0, 0);
+
+    this.add.text(width / 2, 300, 'PAUSED', {
+      fontFamily: 'monospace',
+      fontSize: '64px',
+      color: COLORS.TEXT,
+    }).setOrigin(0.5);
+
+    this.menu = new MenuList(this, {
+      x: width / 2,
+      y: 440,
+      audio: this.getTarget()?.audioManager,
+      keys: PAUSE_MENU_KEYS,
+      padLayout: PAUSE_PAD_LAYOUT,
+      items: [
+        { id: PAUSE_OPTIONS.RESUME, label: 'Resume' },
+        { id: PAUSE_OPTIONS.SETTINGS, label: 'Settings' },
+        { id: PAUSE_OPTIONS.RESTART, label: 'Restart Room' },
+        { id: PAUSE_OPTIONS.QUIT, label: 'Quit to Title' },
+      ],
+      onSelect: (item) => this.choose(item.id),
+      onBack: () => this.choose(PAUSE_OPTIONS.RESUME),
+    });
+
+    this.add.text(width / 2, height - 50, 'Up/Down: select   Enter: choose   Esc: resume', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: COLORS.DIM,
+    }).setOrigin(0.5);
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.menu.destroy();
+      this.menu = null;
+    });
+  }
+
+  update() {
+    this.menu.update();
+  }
+
+  /**
+   * @returns {LevelScene|null} The paused gameplay scene
+   */
+  getTarget() {
+    return this.returnTo ? this.scene.get(this.returnTo) : null;
+  }
+
+  /**
+   * @param {string} option - PAUSE_OPTIONS value
+   */
+  choose(option) {
+    if (this.isClosing) return;
+
+    switch (option) {
+      case PAUSE_OPTIONS.RESUME:
+        this.close();
+        break;
+      case PAUSE_OPTIONS.SETTINGS:
+        this.scene.launch('Settings', { returnTo: this.scene.key });
+        this.scene.pause();
+        break;
+      case PAUSE_OPTIONS.RESTART:
+        this.isClosing = true;
+        this.scene.stop();
+        this.getTarget()?.restartRoom();
+        break;
+      case PAUSE_OPTIONS.QUIT:
+        this.isClosing = true;
+        this.scene.stop();
+        this.getTarget()?.quitToTitle();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Close the menu and resume the gameplay scene
+   */
+  close() {
+    this.isClosing = true;
+    if (this.returnTo) {
+      this.scene.resume(this.returnTo);
+    }
+    this.scene.stop();
+  }
+}
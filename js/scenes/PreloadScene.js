@@ -1,4 +1,6 @@
 import { SOUNDS, MUSIC } from '../utils/audio.js';
+import { LevelLoader, LEVELS } from '../systems/LevelLoader.js';
+import { WEAPON_FILES, getWeaponPath, loadWeaponDefinition } from '../weapons/WeaponRegistry.js';
 
 /**
  * Asset loading scene - loads all game assets and shows progress
@@ -19,6 +21,12 @@ export class PreloadScene extends Phaser.Scene {
     // Load audio assets
     this.loadAudio();
 
+    // Load level maps
+    this.loadLevels();
+
+    // Load weapon definitions
+    this.loadWeapons();
+
     // Simulate loading time for testing loading bar
     // Remove this when you have real assets
     for (let i = 0; i < 100; i++) {
@@ -94,12 +102,49 @@ export class PreloadScene extends Phaser.Scene {
     this.load.audio(MUSIC.VICTORY, 'assets/audio/music/victory.ogg');
   }
 
+  /**
+   * Load all Tiled level maps into the JSON cache
+   * LevelLoader parses them when a LevelScene starts
+   */
+  loadLevels() {
+    for (const levelKey of Object.values(LEVELS)) {
+      this.load.json(levelKey, LevelLoader.getMapPath(levelKey));
+    }
+  }
+
+  /**
+   * Load all weapon definitions into the JSON cache
+   * They are validated and registered in create()
+   */
+  loadWeapons() {
+    for (const id of WEAPON_FILES) {
+      this.load.json(`weapon_${id}`, getWeaponPath(id));
+    }
+  }
+
+  /**
+   * Validate the loaded weapon definitions and register them in WEAPONS
+   * Invalid files are reported field by field and left out
+   */
+  registerWeapons() {
+    for (const id of WEAPON_FILES) {
+      const data = this.cache.json.get(`weapon_${id}`);
+      if (!data) {
+        console.warn(`Weapon "${id}" not found in cache`);
+        continue;
+      }
+      loadWeaponDefinition(data);
+    }
+  }
+
   create() {
+    this.registerWeapons();
+
     // Create placeholder textures for development
     this.createPlaceholderTextures();
 
-    console.log('Preload: Assets ready. Starting TestArena...');
-    this.scene.start('TestArena');
+    console.log('Preload: Assets ready. Starting Title...');
+    this.scene.start('Title');
   }
 
   createLoadingBar() {
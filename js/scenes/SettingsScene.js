@@ -0,0 +1,172 @@
+import { MenuList } from '../ui/MenuList.js';
+import { AudioManager } from '../systems/AudioManager.js';
+import { getSettingsService, SETTING_CATEGORY, SETTING_TYPE } from '../systems/SettingsService.js';
+
+const CATEGORY_LABELS = Object.freeze({
+  [SETTING_CATEGORY.AUDIO]: '- Audio -',
+  [SETTING_CATEGORY.EFFECTS]: '- Effects -',
+  [SETTING_CATEGORY.DISPLAY]: '- Display -',
+  [SETTING_CATEGORY.ACCESSIBILITY]: '- Accessibility -',
+});
+
+const COLORS = Object.freeze({
+  TEXT: '#ffffff',
+  DIM: '#888888',
+});
+
+/**
+ * Show a setting's value ('80%' for 0-1 ranges, 'x1.25' for multipliers,
+ * 'On'/'Off', or the choice's label)
+ * @param {object} definition - From SETTING_DEFINITIONS
+ * @param {boolean|number|string} value
+ * @returns {string}
+ */
+function formatValue(definition, value) {
+  if (definition.type === SETTING_TYPE.TOGGLE) {
+    return value ? 'On' : 'Off';
+  }
+  if (definition.type === SETTING_TYPE.CHOICE) {
+    return `< ${definition.optionLabels?.[value] ?? value} >`;
+  }
+  const text = definition.max === 1 ? `${Math.round(value * 100)}%` : `x${value}`;
+  return `< ${text} >`;
+}
+
+/**
+ * Settings menu - audio volumes, effect toggles, display and accessibility options
+ *
+ * Runs on top of a paused scene, like the controls menu:
+ *   this.scene.launch('Settings', { returnTo: this.scene.key });
+ *   this.scene.pause();
+ *
+ * Every change goes straight to the shared SettingsService, which saves it
+ * and tells subscribers (AudioManager, EffectsManager, HUD, InputManager) -
+ * so the paused game behind the menu already sounds and looks the new way.
+ */
+export class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super('Settings');
+    this.returnTo = null;
+    this.settings = null;
+    this.menu = null;
+    this.audioManager = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * @param {object} data
+   * @param {string} [data.returnTo] - Paused scene to resume on close
+   */
+  init(data = {}) {
+    this.returnTo = data.returnTo || null;
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    this.add.rectangle(0, 0, width, height, 0x000000, 0.85).setOrigin(0, 0);
+
+    this.add.text(width / 2, 60, 'SETTINGS', {
+      fontFamily: 'monospace',
+      fontSize: '48px',
+      color: COLORS.TEXT,
+    }).setOrigin(0.5);
+
+    this.settings = getSettingsService();
+
+    // Own audio so menu sounds follow the volume being changed
+    this.audioManager = new AudioManager(this);
+    this.audioManager.applySettings(this.registry.get('audioSettings'));
+    this.audioManager.useSettings(this.settings);
+
+    this.menu = new MenuList(this, {
+      x: width / 2,
+      y: 130,
+      spacing: 38,
+      fontSize: '22px',
+      audio: this.audioManager,
+      items: this.buildItems(),
+      onBack: () => this.close(),
+    });
+
+    // Keep labels in step with the service, whoever changed it
+    this.unsubscribe = this.settings.subscribe((key) => {
+      this.menu.setLabel(key, this.getLabel(key));
+    });
+
+    this.add.text(width / 2, height - 50, 'Up/Down: select   Left/Right: adjust   Enter: toggle   Esc: back', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: COLORS.DIM,
+    }).setOrigin(0.5);
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.unsubscribe();
+      this.menu.destroy();
+      this.audioManager.destroy();
+    });
+  }
+
+  update() {
+    this.menu.update();
+  }
+
+  /**
+   * One row per setting under a header per category, then the actions
+   * @returns {object[]} MenuList items
+   */
+  buildItems() {
+    const items = [];
+
+    for (const category of Object.values(SETTING_CATEGORY)) {
+      items.push({ id: `header:${category}`, label: CATEGORY_LABELS[category], disabled: true });
+
+      for (const key of this.settings.getKeys(category)) {
+        const { type } = this.settings.getDefinition(key);
+        const isToggle = type === SETTING_TYPE.TOGGLE;
+        let onSelect = null;
+        if (isToggle) {
+          onSelect = () => this.settings.toggle(key);
+        } else if (type === SETTING_TYPE.CHOICE) {
+          onSelect = () => this.settings.adjust(key, 1);
+        }
+        items.push({
+          id: key,
+          label: this.getLabel(key),
+          onSelect,
+          onAdjust: (item, step) => (isToggle ? this.settings.toggle(key) : this.settings.adjust(key, step)),
+        });
+      }
+    }
+
+    items.push(
+      { id: 'controls', label: 'Controls...', onSelect: () => this.openControls() },
+      { id: 'reset', label: 'Reset to Defaults', onSelect: () => this.settings.reset() },
+      { id: 'back', label: 'Back', onSelect: () => this.close() },
+    );
+    return items;
+  }
+
+  /**
+   * @param {string} key - Setting key
+   * @returns {string}
+   */
+  getLabel(key) {
+    const definition = this.settings.getDefinition(key);
+    return `${definition.label}: ${formatValue(definition, this.settings.get(key))}`;
+  }
+
+  openControls() {
+    this.scene.launch('Controls', { returnTo: this.scene.key });
+    this.scene.pause();
+  }
+
+  /**
+   * Close the menu and resume the scene that opened it
+   */
+  close() {
+    if (this.returnTo) {
+      this.scene.resume(this.returnTo);
+    }
+    this.scene.stop();
+  }
+}
@@ -0,0 +1,187 @@
+import { MenuList } from '../ui/MenuList.js';
+import { AudioManager } from '../systems/AudioManager.js';
+import { SaveManager } from '../systems/SaveManager.js';
+import { getSettingsService } from '../systems/SettingsService.js';
+import { MUSIC } from '../utils/audio.js';
+
+/**
+ * Title menu options
+ */
+export const TITLE_OPTIONS = Object.freeze({
+  NEW_GAME: 'new_game',
+  CONTINUE: 'continue',
+  SETTINGS: 'settings',
+  CREDITS: 'credits',
+});
+
+// Scene a new or continued game starts in
+const GAME_SCENE = 'TestArena';
+
+const CREDITS_LINES = [
+  'Design & Development',
+  'Kandler',
+  '',
+  'Inspired by',
+  'Hollow Knight (Team Cherry)',
+  'Stick figure animation community',
+  'Devil May Cry series (Capcom)',
+];
+
+const COLORS = Object.freeze({
+  TITLE: '#e94560',
+  TEXT: '#ffffff',
+  DIM: '#888888',
+});
+
+/**
+ * Title screen - main menu shown after loading
+ *
+ * New Game clears world progress and starts the arena; Continue loads the
+ * most recent save that reads cleanly (disabled if there is none).
+ * Plays the menu music and menu sounds.
+ */
+export class TitleScene extends Phaser.Scene {
+  constructor() {
+    super('Title');
+    this.menu = null;
+    this.creditsMenu = null;
+    this.creditsText = null;
+    this.statusText = null;
+    this.audioManager = null;
+    this.saveManager = null;
+    this.continueSlot = null;
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    this.cameras.main.setBackgroundColor('#1a1a2e');
+
+    this.audioManager = new AudioManager(this);
+    this.audioManager.applySettings(this.registry.get('audioSettings'));
+    this.audioManager.useSettings(getSettingsService());
+    this.audioManager.playMusic(MUSIC.MENU);
+
+    this.saveManager = new SaveManager();
+    this.continueSlot = this.saveManager.getLatestSlot();
+
+    this.add.text(width / 2, 260, 'PROJECT BLENDER', {
+      fontFamily: 'monospace',
+      fontSize: '96px',
+      color: COLORS.TITLE,
+    }).setOrigin(0.5);
+
+    this.add.text(width / 2, 360, 'Be the boss fight.', {
+      fontFamily: 'monospace',
+      fontSize: '28px',
+      color: COLORS.DIM,
+    }).setOrigin(0.5);
+
+    this.menu = new MenuList(this, {
+      x: width / 2,
+      y: 540,
+      audio: this.audioManager,
+      items: [
+        { id: TITLE_OPTIONS.NEW_GAME, label: 'New Game', onSelect: () => this.newGame() },
+        {
+          id: TITLE_OPTIONS.CONTINUE,
+          label: 'Continue',
+          disabled: this.continueSlot === null,
+          onSelect: () => this.continueGame(),
+        },
+        { id: TITLE_OPTIONS.SETTINGS, label: 'Settings', onSelect: () => this.openSettings() },
+        { id: TITLE_OPTIONS.CREDITS, label: 'Credits', onSelect: () => this.showCredits(true) },
+      ],
+    });
+    if (this.continueSlot !== null) {
+      this.menu.select(TITLE_OPTIONS.CONTINUE);
+    }
+
+    this.createCredits();
+
+    this.statusText = this.add.text(width / 2, height - 110, '', {
+      fontFamily: 'monospace',
+      fontSize: '20px',
+      color: COLORS.TITLE,
+    }).setOrigin(0.5);
+
+    this.add.text(width / 2, height - 50, 'Up/Down: select   Enter: choose   Esc: back', {
+      fontFamily: 'monospace',
+      fontSize: '18px',
+      color: COLORS.DIM,
+    }).setOrigin(0.5);
+
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+  }
+
+  createCredits() {
+    const { width } = this.cameras.main;
+
+    this.creditsText = this.add.text(width / 2, 460, CREDITS_LINES.join('\n'), {
+      fontFamily: 'monospace',
+      fontSize: '28px',
+      color: COLORS.TEXT,
+      align: 'center',
+      lineSpacing: 12,
+    }).setOrigin(0.5, 0).setVisible(false);
+
+    this.creditsMenu = new MenuList(this, {
+      x: width / 2,
+      y: 460 + this.creditsText.height + 60,
+      audio: this.audioManager,
+      items: [{ id: 'back', label: 'Back' }],
+      onSelect: () => this.showCredits(false),
+      onBack: () => this.showCredits(false),
+    });
+    this.creditsMenu.setVisible(false);
+  }
+
+  update() {
+    this.menu.update();
+    this.creditsMenu.update();
+  }
+
+  /**
+   * Swap the main menu for the credits, or back
+   * @param {boolean} visible
+   */
+  showCredits(visible) {
+    this.creditsText.setVisible(visible);
+    this.creditsMenu.setVisible(visible);
+    this.menu.setVisible(!visible);
+  }
+
+  /**
+   * Start over: forget the last playthrough's rooms and bosses
+   */
+  newGame() {
+    this.scene.start(GAME_SCENE, { newGame: true });
+  }
+
+  /**
+   * Load the latest save and start in its room
+   */
+  continueGame() {
+    const result = this.saveManager.load(this.continueSlot);
+    if (!result.ok) {
+      // Changed since the menu opened (another tab, manual edit)
+      this.statusText.setText(`Could not load save: ${result.message}`);
+      this.continueSlot = this.saveManager.getLatestSlot();
+      this.menu.setDisabled(TITLE_OPTIONS.CONTINUE, this.continueSlot === null);
+      return;
+    }
+
+    console.log(`Continuing from slot ${this.continueSlot}${result.migrated ? ` (migrated from v${result.version})` : ''}`);
+    this.scene.start(GAME_SCENE, { save: result.data });
+  }
+
+  openSettings() {
+    this.scene.launch('Settings', { returnTo: this.scene.key });
+    this.scene.pause();
+  }
+
+  shutdown() {
+    this.menu.destroy();
+    this.creditsMenu.destroy();
+    this.audioManager.destroy();
+  }
+}
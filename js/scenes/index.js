@@ -1,4 +1,9 @@
 export { BaseScene } from './BaseScene.js';
 export { BootScene } from './BootScene.js';
 export { PreloadScene } from './PreloadScene.js';
+export { TitleScene, TITLE_OPTIONS } from './TitleScene.js';
+export { LevelScene } from './LevelScene.js';
 export { TestArenaScene } from './TestArenaScene.js';
+export { ControlsScene } from './ControlsScene.js';
+export { SettingsScene } from './SettingsScene.js';
+export { PauseScene, PAUSE_OPTIONS } from './PauseScene.js';
@@ -1,3 +1,5 @@
+import { SeededRandom } from '../utils/random.js';
+
 /**
  * AudioManager - Handles all game audio
  * Features:
@@ -13,6 +15,10 @@ export class AudioManager {
   constructor(scene) {
     this.scene = scene;
 
+    // Cosmetic stream for pitch variation - menu scenes have no RandomService,
+    // and any unseeded stream will do there
+    this.random = scene.random ? scene.random.audio : new SeededRandom();
+
     // Volume settings (0-1)
     this.volumes = {
       master: 0.8,
@@ -40,6 +46,9 @@ export class AudioManager {
       music: false,
     };
 
+    // Set by useSettings()
+    this.unsubscribeSettings = null;
+
     // Initialize pools for common sounds
     this.initSoundPools();
   }
@@ -186,7 +195,7 @@ export class AudioManager {
    * @param {object} config
    */
   playSFXVaried(key, variance = 0.1, config = {}) {
-    const rate = 1 + (Math.random() - 0.5) * 2 * variance;
+    const rate = 1 + (this.random.next() - 0.5) * 2 * variance;
     return this.playSFX(key, { ...config, rate });
   }
 
@@ -360,6 +369,66 @@ export class AudioManager {
     return this.muted[category];
   }
 
+  /**
+   * Get volume and mute settings for saving
+   * @returns {{volumes: object, muted: object}}
+   */
+  getSettings() {
+    return {
+      volumes: { ...this.volumes },
+      muted: { ...this.muted },
+    };
+  }
+
+  /**
+   * Restore saved volume and mute settings
+   * Unknown categories are ignored so old saves cannot add new ones
+   * @param {{volumes?: object, muted?: object}} settings
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    for (const [category, volume] of Object.entries(settings.volumes || {})) {
+      if (category in this.volumes && typeof volume === 'number') {
+        this.setVolume(category, volume);
+      }
+    }
+    for (const [category, muted] of Object.entries(settings.muted || {})) {
+      if (category in this.muted) {
+        this.muted[category] = !!muted;
+      }
+    }
+
+    if (this.currentMusic) {
+      this.currentMusic.setVolume(this.getEffectiveVolume('music'));
+    }
+  }
+
+  /**
+   * Follow the settings service: apply its volumes now and whenever they change
+   * Mutes stay local (debug toggle) and are not part of the settings.
+   * @param {SettingsService} settings
+   */
+  useSettings(settings) {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+    }
+
+    for (const category of Object.keys(this.volumes)) {
+      const volume = settings.get(`audio.${category}`);
+      if (typeof volume === 'number') {
+        this.setVolume(category, volume);
+      }
+    }
+
+    this.unsubscribeSettings = settings.subscribe((key, value) => {
+      const [section, category] = key.split('.');
+      if (section === 'audio' && category in this.volumes) {
+        this.setVolume(category, value);
+      }
+    });
+  }
+
   // ==================
   // Combat Sound Helpers
   // ==================
@@ -388,6 +457,28 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Play the clank of a hit on super armor
+   */
+  playArmorHit() {
+    this.playSFXVaried('block', 0.05, { rate: 0.7 });
+  }
+
+  /**
+   * Play a hit landing on the player's guard
+   */
+  playBlock() {
+    this.playSFXVaried('block', 0.1);
+  }
+
+  /**
+   * Play the sound of poise breaking (or the player's guard being crushed)
+   */
+  playGuardBreak() {
+    this.playSFX('block', { rate: 0.5, volume: 1.0 });
+    this.playSFXVaried('hit_heavy', 0.1);
+  }
+
   /**
    * Play movement sound
    * @param {string} type - 'jump', 'land', 'footstep', 'dodge'
@@ -435,6 +526,11 @@ export class AudioManager {
    * Clean up
    */
   destroy() {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
+
     this.stopMusic(false);
 
     // Clear pools
@@ -38,9 +38,20 @@ export class CombatBox {
 
     // Hitbox-specific properties
     this.damage = config.damage || 0;
+    this.poiseDamage = config.poiseDamage ?? null; // AttackData.poiseDamage; null uses damage
     this.knockback = config.knockback || { x: 200, y: -100 };
     this.hitstun = config.hitstun || 200; // ms
     this.hitstop = config.hitstop || 50;  // ms
+    this.statusEffects = config.statusEffects || []; // AttackData.statusEffects
+
+    // Knockback shaping (see Knockback.js)
+    this.airKnockback = config.airKnockback || null;   // Used on airborne targets
+    this.knockbackAngle = config.knockbackAngle ?? null; // Degrees, overrides the knockback direction
+    this.launches = config.launches || false;
+    this.wallBounce = config.wallBounce || false;
+    this.groundBounce = config.groundBounce || false;
+
+    this.isCritical = config.isCritical || false; // Perfect-timing link (see TimingEvaluator)
 
     // State
     this.active = false;
@@ -80,6 +91,17 @@ export class CombatBox {
     if (overrides.hitstun !== undefined) this.hitstun = overrides.hitstun;
     if (overrides.hitstop !== undefined) this.hitstop = overrides.hitstop;
 
+    // Effects and launch properties belong to the attack, so one that has
+    // none clears the last one's
+    this.statusEffects = overrides.statusEffects || [];
+    this.poiseDamage = overrides.poiseDamage ?? null;
+    this.airKnockback = overrides.airKnockback || null;
+    this.knockbackAngle = overrides.knockbackAngle ?? null;
+    this.launches = overrides.launches || false;
+    this.wallBounce = overrides.wallBounce || false;
+    this.groundBounce = overrides.groundBounce || false;
+    this.isCritical = overrides.isCritical || false;
+
     this.updatePosition();
   }
 
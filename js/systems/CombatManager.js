@@ -1,5 +1,7 @@
 import { BOX_TYPE, TEAM } from './CombatBox.js';
 import { COMBAT } from '../utils/combat.js';
+import { resolveKnockbackVector } from './Knockback.js';
+import { applyHitType } from './CounterHit.js';
 
 /**
  * CombatManager - Handles all combat collision detection and resolution
@@ -136,47 +138,159 @@ export class CombatManager {
     // Mark as hit to prevent multi-hit
     hitbox.markHit(hurtbox.owner);
 
+    // A projectile's hitbox belongs to the projectile; the hit is its shooter's
+    const projectile = hitbox.owner.isProjectile ? hitbox.owner : null;
+
     // Build hit data
     const hitData = {
-      attacker: hitbox.owner,
+      attacker: projectile ? projectile.owner : hitbox.owner,
       defender: hurtbox.owner,
       damage: hitbox.damage,
+      poiseDamage: hitbox.poiseDamage ?? hitbox.damage,
       knockback: { ...hitbox.knockback },
+      airKnockback: hitbox.airKnockback,
+      knockbackAngle: hitbox.knockbackAngle,
+      launches: hitbox.launches,
+      wallBounce: hitbox.wallBounce,
+      groundBounce: hitbox.groundBounce,
+      direction: this.getKnockbackDirection(hitbox, hurtbox),
       hitstun: hitbox.hitstun,
       hitstop: hitbox.hitstop,
+      statusEffects: hitbox.statusEffects,
+      isCritical: hitbox.isCritical,
+      projectile,
       hitbox,
       hurtbox,
     };
 
-    // Determine knockback direction based on attacker facing
-    const attackerSprite = hitbox.owner.sprite || hitbox.owner;
-    if (attackerSprite.flipX) {
-      hitData.knockback.x = -Math.abs(hitData.knockback.x);
+    this.applyHit(hitData, hitbox.team);
+
+    // Pierce, onHit hook, expiry
+    if (projectile) {
+      projectile.onHitLanded(hitData);
+    }
+  }
+
+  /**
+   * Which way a hit pushes its target: away from where it came from
+   * Projectiles push along their flight. Melee hits push from the attacker's
+   * body to the hurtbox rather than from the hitbox, whose center can be past
+   * the target; that way the spin's back hitbox pushes backwards. When the two
+   * are stacked (a dive kick from above), the side the hitbox reaches out to
+   * decides, then the attacker's facing.
+   * @param {CombatBox} hitbox
+   * @param {CombatBox} hurtbox
+   * @returns {number} -1 or 1
+   */
+  getKnockbackDirection(hitbox, hurtbox) {
+    if (hitbox.owner.isProjectile) {
+      return hitbox.owner.getDirection();
+    }
+
+    const { DIRECTION_DEAD_ZONE } = COMBAT.KNOCKBACK;
+    const source = hitbox.owner.sprite || hitbox.owner;
+
+    const dx = hurtbox.zone.x - source.x;
+    if (Math.abs(dx) > DIRECTION_DEAD_ZONE) return Math.sign(dx);
+
+    const reach = hitbox.zone.x - source.x;
+    if (Math.abs(reach) > DIRECTION_DEAD_ZONE) return Math.sign(reach);
+
+    return source.flipX ? -1 : 1;
+  }
+
+  /**
+   * Final knockback velocity for a hit, written back to hitData.knockback
+   * Picks the ground or air vector for the defender, applies the attack's
+   * angle, then lets the defender's Juggle (if it has one) shape it.
+   * hitData.direction defaults to the sign of knockback.x, for callers of
+   * applyHit() that point it themselves.
+   * @param {object} hitData
+   */
+  resolveKnockback(hitData) {
+    const body = hitData.defender.sprite?.body;
+    hitData.direction = hitData.direction ?? (hitData.knockback?.x < 0 ? -1 : 1);
+    hitData.airborne = body?.blocked ? !(body.blocked.down || body.touching.down) : false;
+    hitData.knockback = resolveKnockbackVector(hitData, hitData.direction, hitData.airborne);
+
+    if (hitData.defender.juggle && body) {
+      hitData.defender.juggle.onHit(hitData, body);
     } else {
-      hitData.knockback.x = Math.abs(hitData.knockback.x);
+      hitData.launches = Boolean(hitData.launches);
+    }
+  }
+
+  /**
+   * Freeze the two entities in a hit, plus impact frames for the whole
+   * world when the hit asks for them (hitData.impactFrames) or lands on
+   * something that does (bosses - Boss.impactFrames)
+   * A projectile's shooter is elsewhere, so only its target freezes.
+   * @param {object} hitData
+   */
+  applyHitstop(hitData) {
+    if (!this.timeManager) return;
+
+    if (hitData.hitstop > 0) {
+      this.timeManager.applyEntityHitstop(hitData.defender, hitData.hitstop);
+      if (!hitData.projectile) {
+        this.timeManager.applyEntityHitstop(hitData.attacker, hitData.hitstop);
+      }
     }
 
-    // Apply hitstop
-    if (this.timeManager && hitData.hitstop > 0) {
-      this.timeManager.applyHitstop(hitData.hitstop);
+    const impactFrames = hitData.impactFrames ?? hitData.defender.impactFrames ?? 0;
+    if (impactFrames > 0) {
+      this.timeManager.applyHitstop(impactFrames);
     }
+  }
+
+  /**
+   * Apply a hit - hitstop, damage, meter, knockback and the combat:hit event
+   * Used by resolveHit() and by attacks that pick their targets themselves
+   * (e.g. area specials), which pass hitbox: null
+   * The defender's takeDamage() applies hitData.statusEffects and fills in
+   * appliedStatusEffects with the ones that landed (empty if blocked or resisted).
+   * Knockback is resolved first (see resolveKnockback), so takeDamage() sees
+   * the final launches, airborne and juggle fields.
+   * Critical hits (isCritical) give the player perfect-timing meter on top.
+   * Defenders with Poise set poiseResult in takeDamage(); poiseDamage
+   * defaults to damage.
+   * Hits that catch the defender winding up or recovering (getAttackPhase())
+   * are counter-hits or punishes with scaled damage and hitstun - see
+   * applyHitType(); the result is hitData.hitType.
+   * @param {object} hitData - { attacker, defender, damage, poiseDamage?, knockback, airKnockback?, knockbackAngle?, launches?, wallBounce?, groundBounce?, direction?, hitstun, hitstop, impactFrames?, statusEffects?, isCritical?, projectile?, hitbox, hurtbox }
+   * @param {string} team - TEAM of the attacker
+   */
+  applyHit(hitData, team) {
+    const defender = hitData.defender;
+    hitData.statusEffects = hitData.statusEffects || [];
+    hitData.appliedStatusEffects = [];
+    hitData.isCritical = Boolean(hitData.isCritical);
+    hitData.poiseDamage = hitData.poiseDamage ?? hitData.damage;
+    applyHitType(hitData);
+    this.resolveKnockback(hitData);
+
+    this.applyHitstop(hitData);
 
     // Deal damage to defender
-    if (hurtbox.owner.takeDamage) {
-      hurtbox.owner.takeDamage(hitData.damage, hitData);
+    if (defender.takeDamage) {
+      defender.takeDamage(hitData.damage, hitData);
     }
 
     // Grant ultimate meter to attacker (if player)
-    if (hitbox.team === TEAM.PLAYER && hitbox.owner.addUltimateMeter) {
-      const meterGain = hitbox.damage >= 20
+    if (team === TEAM.PLAYER && hitData.attacker.addUltimateMeter) {
+      const meterGain = hitData.damage >= 20
         ? COMBAT.ULTIMATE.GAIN_PER_HEAVY_HIT
         : COMBAT.ULTIMATE.GAIN_PER_LIGHT_HIT;
-      hitbox.owner.addUltimateMeter(meterGain);
+      hitData.attacker.addUltimateMeter(meterGain);
+
+      if (hitData.isCritical) {
+        hitData.attacker.addUltimateMeter(COMBAT.ULTIMATE.GAIN_PER_PERFECT_TIMING);
+      }
     }
 
     // Apply knockback to defender
-    if (hurtbox.owner.sprite && hurtbox.owner.sprite.body) {
-      hurtbox.owner.sprite.body.setVelocity(
+    if (defender.sprite && defender.sprite.body) {
+      defender.sprite.body.setVelocity(
         hitData.knockback.x,
         hitData.knockback.y
       );
@@ -190,7 +304,7 @@ export class CombatManager {
       callback(hitData);
     }
 
-    console.log(`Hit! ${hitData.damage} damage to ${hurtbox.team}`);
+    console.log(`Hit! ${hitData.damage} damage to ${hitData.hurtbox?.team ?? 'target'}`);
   }
 
   /**
@@ -167,6 +167,30 @@ export class CorpseGrid {
     }
   }
 
+  /**
+   * Get the two cells that rest on a given cell - the inverse of getSupportCells
+   * @param {number} col - Column index
+   * @param {number} row - Row index
+   * @returns {Array<{ col: number, row: number }>}
+   */
+  getSupportedCells(col, row) {
+    const rowAbove = row - 1;
+
+    if (rowAbove % 2 === 0) {
+      // Even row above: rests on (col, row) from (col, row-1) and (col+1, row-1)
+      return [
+        { col: col, row: rowAbove },
+        { col: col + 1, row: rowAbove },
+      ];
+    } else {
+      // Odd row above: rests on (col, row) from (col-1, row-1) and (col, row-1)
+      return [
+        { col: col - 1, row: rowAbove },
+        { col: col, row: rowAbove },
+      ];
+    }
+  }
+
   /**
    * Get the corpse data stored in a cell
    * @param {number} col - Column index
@@ -430,6 +454,33 @@ export class CorpseGrid {
     this.markRowDirty(row);
   }
 
+  /**
+   * Clear every cell left hanging once a cell is emptied - corpses that
+   * rested on it with no other support, then whatever rested on those
+   * @param {number} col - Column of the emptied cell
+   * @param {number} row - Row of the emptied cell
+   * @returns {Array<*>} Corpse data of the cleared cells, lowest first
+   */
+  collapseAbove(col, row) {
+    const fallen = [];
+    const emptied = [{ col, row }];
+
+    while (emptied.length > 0) {
+      const cell = emptied.shift();
+
+      for (const above of this.getSupportedCells(cell.col, cell.row)) {
+        if (!this.isOccupied(above.col, above.row)) continue;
+        if (this.hasSupport(above.col, above.row)) continue;
+
+        fallen.push(this.getCellData(above.col, above.row));
+        this.clearCell(above.col, above.row);
+        emptied.push(above);
+      }
+    }
+
+    return fallen;
+  }
+
   /**
    * Find the best valid cell for a falling corpse near position (x, y)
    * Uses bottom-up search to ensure corpses settle at the LOWEST valid position,
@@ -39,6 +39,9 @@ export class CorpseManager {
   constructor(scene, config = {}) {
     this.scene = scene;
 
+    // Cosmetic stream for spawn puffs
+    this.random = scene.random.vfx;
+
     // Store config with defaults
     this.config = {
       maxCorpses: config.maxCorpses ?? CORPSE_MANAGER_DEFAULTS.MAX_CORPSES,
@@ -307,8 +310,8 @@ export class CorpseManager {
     } else {
       // Fallback: simple particle burst using scene directly
       for (let i = 0; i < 4; i++) {
-        const angle = (i / 4) * Math.PI * 2 + Math.random() * 0.5;
-        const speed = 30 + Math.random() * 20;
+        const angle = (i / 4) * Math.PI * 2 + this.random.next() * 0.5;
+        const speed = 30 + this.random.next() * 20;
         const particle = this.scene.add.circle(x, y, 3, 0x666666, 0.6);
 
         // Simple tween animation
@@ -360,6 +363,43 @@ export class CorpseManager {
     corpse.destroy();
   }
 
+  /**
+   * Pull a settled corpse out of its pile to carry it (grabs)
+   * The corpse leaves the manager - no longer tracked, counted or collided
+   * with - and the corpses resting on it fall. Put it back down with
+   * spawn() and destroy() the taken one.
+   * @param {Corpse} corpse - The corpse to take
+   * @returns {Corpse|null} The corpse, or null if it isn't a settled corpse of this manager
+   */
+  take(corpse) {
+    const index = this.corpses.indexOf(corpse);
+    if (index === -1 || corpse.state !== CORPSE_STATE.SETTLED) return null;
+
+    // Remove from tracking array
+    this.corpses.splice(index, 1);
+
+    // Keep the sprite, but out of the group and without a body
+    this.corpseGroup.remove(corpse.sprite);
+    corpse.sprite.body.enable = false;
+
+    // Free its cell and drop whatever it was holding up
+    const cell = corpse.gridCell;
+    corpse.gridCell = null;
+    if (cell) {
+      this.grid.clearCell(cell.col, cell.row);
+      for (const fallen of this.grid.collapseAbove(cell.col, cell.row)) {
+        fallen.unsettle();
+      }
+    }
+
+    this.scene.events.emit('corpse:taken', {
+      corpse,
+      remainingCount: this.corpses.length,
+    });
+
+    return corpse;
+  }
+
   /**
    * Remove the oldest corpse, prioritizing settled corpses first
    * This is less disruptive as settled corpses are no longer moving
@@ -0,0 +1,59 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * Where an attacker is in its own attack (entity.getAttackPhase())
+ */
+export const ATTACK_PHASE = Object.freeze({
+  STARTUP: 'startup',   // Winding up - telegraphed, not hitting yet
+  ACTIVE: 'active',     // Hitbox out
+  RECOVERY: 'recovery', // Swing over, not yet able to act
+});
+
+/**
+ * What kind of hit landed (hitData.hitType)
+ */
+export const HIT_TYPE = Object.freeze({
+  NORMAL: 'normal',
+  COUNTER: 'counter', // Caught the target in its startup
+  PUNISH: 'punish',   // Caught the target in its recovery
+});
+
+// Multipliers for each rewarded hit type
+const HIT_BONUS = Object.freeze({
+  [HIT_TYPE.COUNTER]: COMBAT.COUNTER_HIT,
+  [HIT_TYPE.PUNISH]: COMBAT.PUNISH,
+});
+
+/**
+ * Classify a hit by the phase its target was in when it landed
+ * @param {string|null} phase - ATTACK_PHASE value, or null when not attacking
+ * @returns {string} HIT_TYPE value
+ */
+export function classifyHit(phase) {
+  if (phase === ATTACK_PHASE.STARTUP) return HIT_TYPE.COUNTER;
+  if (phase === ATTACK_PHASE.RECOVERY) return HIT_TYPE.PUNISH;
+  return HIT_TYPE.NORMAL;
+}
+
+/**
+ * Classify a hit against its defender and scale it for the result
+ * Sets hitData.hitType. Counter-hits and punishes multiply damage, poise
+ * damage and hitstun by COMBAT.COUNTER_HIT / COMBAT.PUNISH. Defenders
+ * without getAttackPhase() only ever take normal hits.
+ * Must run before takeDamage(), which moves the defender out of its attack.
+ * @param {object} hitData - defender, damage, poiseDamage, hitstun
+ * @returns {string} HIT_TYPE value
+ */
+export function applyHitType(hitData) {
+  const phase = hitData.defender.getAttackPhase?.() ?? null;
+  hitData.hitType = classifyHit(phase);
+
+  const bonus = HIT_BONUS[hitData.hitType];
+  if (bonus) {
+    hitData.damage = Math.round(hitData.damage * bonus.DAMAGE);
+    hitData.poiseDamage = Math.round(hitData.poiseDamage * bonus.DAMAGE);
+    hitData.hitstun = Math.round((hitData.hitstun || 0) * bonus.HITSTUN);
+  }
+
+  return hitData.hitType;
+}
@@ -1,3 +1,32 @@
+import { COLORBLIND_MODE, CUE, getCueColor } from '../utils/palette.js';
+
+/**
+ * Limits while reduced flashing is on
+ * At most three flashes a second (the common photosensitivity guideline),
+ * dim, and faded out gently instead of cut.
+ */
+export const SAFE_FLASH = Object.freeze({
+  MIN_INTERVAL: 334,  // ms between flashes
+  MAX_ALPHA: 0.15,    // Screen flash brightness cap
+  MIN_DURATION: 250,  // ms - screen flashes fade out over at least this
+  LOCAL_ALPHA: 0.3,   // Hit-location flash brightness cap
+});
+
+/**
+ * Settings service keys -> EffectsManager.settings fields
+ */
+const SETTING_FIELDS = Object.freeze({
+  'effects.particles': 'particlesEnabled',
+  'effects.screenShake': 'screenShakeEnabled',
+  'effects.screenFlash': 'screenFlashEnabled',
+  'effects.chromatic': 'chromaticEnabled',
+  'effects.trails': 'trailsEnabled',
+  'display.shakeIntensity': 'screenShakeScale',
+  'display.damageNumbers': 'damageNumbersEnabled',
+  'accessibility.reducedFlashing': 'reducedFlashing',
+  'accessibility.palette': 'colorblindMode',
+});
+
 /**
  * EffectsManager - Handles screen effects, particles, and visual feedback
  * Enhanced with better game feel effects
@@ -10,6 +39,9 @@ export class EffectsManager {
     this.scene = scene;
     this.camera = scene.cameras.main;
 
+    // Cosmetic stream - particle rolls never shift gameplay randomness
+    this.random = scene.random.vfx;
+
     // Effect settings (can be adjusted for performance/preference)
     this.settings = {
       particlesEnabled: true,
@@ -17,8 +49,19 @@ export class EffectsManager {
       screenFlashEnabled: true,
       chromaticEnabled: true,
       trailsEnabled: true,
+      screenShakeScale: 1,      // Multiplies every shake (0 = none)
+      damageNumbersEnabled: true,
+      reducedFlashing: false,   // Photosensitivity-safe flashes (SAFE_FLASH)
+      colorblindMode: COLORBLIND_MODE.OFF,
     };
 
+    // Set by useSettings()
+    this.unsubscribeSettings = null;
+
+    // Reduced flashing: when the screen, and each sprite, last flashed
+    this.lastScreenFlashTime = -Infinity;
+    this.tintFlashTimes = new WeakMap();
+
     // Active effects tracking
     this.activeTrails = [];
     this.activeEffects = [];
@@ -160,7 +203,7 @@ export class EffectsManager {
    */
   screenShake(intensity = 5, duration = 100) {
     if (!this.settings.screenShakeEnabled) return;
-    this.camera.shake(duration, intensity / 1000);
+    this.camera.shake(duration, (intensity * this.settings.screenShakeScale) / 1000);
   }
 
   /**
@@ -173,7 +216,7 @@ export class EffectsManager {
     if (!this.settings.screenShakeEnabled) return;
 
     const startX = this.camera.scrollX;
-    const offsetX = direction * intensity;
+    const offsetX = direction * intensity * this.settings.screenShakeScale;
 
     this.scene.tweens.add({
       targets: this.camera,
@@ -193,6 +236,11 @@ export class EffectsManager {
   screenFlash(color = 0xffffff, duration = 50, alpha = 0.3) {
     if (!this.settings.screenFlashEnabled) return;
 
+    if (this.settings.reducedFlashing) {
+      this.safeScreenFlash(color, duration, alpha);
+      return;
+    }
+
     this.camera.flash(
       duration,
       (color >> 16) & 0xff,
@@ -204,13 +252,82 @@ export class EffectsManager {
     );
   }
 
+  /**
+   * Reduced-flashing screen flash: a dim overlay faded out gently, dropped
+   * if the last one was under SAFE_FLASH.MIN_INTERVAL ago
+   * @param {number} color - Hex color
+   * @param {number} duration - Duration in ms
+   * @param {number} alpha - Max alpha (0-1), capped at SAFE_FLASH.MAX_ALPHA
+   * @returns {boolean} True if it flashed
+   */
+  safeScreenFlash(color, duration, alpha) {
+    const now = this.scene.time.now;
+    if (now - this.lastScreenFlashTime < SAFE_FLASH.MIN_INTERVAL) return false;
+    this.lastScreenFlashTime = now;
+
+    const overlay = this.scene.add.rectangle(0, 0, this.camera.width, this.camera.height, color,
+      Math.min(alpha, SAFE_FLASH.MAX_ALPHA));
+    overlay.setOrigin(0, 0);
+    overlay.setScrollFactor(0);
+    overlay.setDepth(1000);
+
+    this.scene.tweens.add({
+      targets: overlay,
+      alpha: 0,
+      duration: Math.max(duration, SAFE_FLASH.MIN_DURATION),
+      ease: 'Sine.easeOut',
+      onComplete: () => overlay.destroy(),
+    });
+    return true;
+  }
+
+  /**
+   * Tint a sprite to flag an event (hurt, counter, phase change)
+   * Use this rather than setTint() for short-lived tints: with reduced
+   * flashing, a sprite re-tinted within SAFE_FLASH.MIN_INTERVAL keeps its
+   * current tint instead of strobing. Restoring the tint is up to the caller.
+   * @param {Phaser.GameObjects.Sprite} sprite
+   * @param {number} color - Hex color
+   * @returns {boolean} True if the tint was applied
+   */
+  tintFlash(sprite, color) {
+    if (this.settings.reducedFlashing) {
+      const now = this.scene.time.now;
+      if (now - (this.tintFlashTimes.get(sprite) ?? -Infinity) < SAFE_FLASH.MIN_INTERVAL) return false;
+      this.tintFlashTimes.set(sprite, now);
+    }
+
+    sprite.setTint(color);
+    return true;
+  }
+
+  /**
+   * Period for a blinking cue (e.g. a detonator's warning blink)
+   * Reduced flashing slows blinks to at most three changes a second.
+   * @param {number} period - Wanted ms between color changes
+   * @returns {number}
+   */
+  getBlinkPeriod(period) {
+    return this.settings.reducedFlashing ? Math.max(period, SAFE_FLASH.MIN_INTERVAL) : period;
+  }
+
+  /**
+   * Color for a cue in the player's palette
+   * @param {string} cue - CUE value
+   * @returns {number} Hex color
+   */
+  getColor(cue) {
+    return getCueColor(cue, this.settings.colorblindMode);
+  }
+
   /**
    * Chromatic aberration effect for heavy hits
+   * Skipped with reduced flashing - the rapid back-and-forth reads as flicker.
    * @param {number} intensity - Pixel offset
    * @param {number} duration - Duration in ms
    */
   chromaticAberration(intensity = 3, duration = 100) {
-    if (!this.settings.chromaticEnabled) return;
+    if (!this.settings.chromaticEnabled || this.settings.reducedFlashing) return;
 
     // Create red and blue offset layers using camera post-pipeline if available
     // Fallback: simulate with quick camera pan
@@ -226,6 +343,29 @@ export class EffectsManager {
     });
   }
 
+  /**
+   * Fade the camera to a color (room transitions)
+   * Not affected by effect settings - transitions always fade
+   * @param {number} duration - Duration in ms
+   * @param {Function} [onComplete] - Called once fully faded
+   * @param {number} color - Hex color
+   */
+  fadeOut(duration = 250, onComplete = null, color = 0x000000) {
+    if (onComplete) {
+      this.camera.once('camerafadeoutcomplete', onComplete);
+    }
+    this.camera.fadeOut(duration, (color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+  }
+
+  /**
+   * Fade the camera in from a color
+   * @param {number} duration - Duration in ms
+   * @param {number} color - Hex color
+   */
+  fadeIn(duration = 250, color = 0x000000) {
+    this.camera.fadeIn(duration, (color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+  }
+
   // ==================
   // Particle Effects
   // ==================
@@ -267,7 +407,8 @@ export class EffectsManager {
   impactFlash(x, y, size = 30, color = 0xffffff) {
     if (!this.settings.particlesEnabled) return;
 
-    const flash = this.scene.add.circle(x, y, size, color, 0.8);
+    const alpha = this.settings.reducedFlashing ? SAFE_FLASH.LOCAL_ALPHA : 0.8;
+    const flash = this.scene.add.circle(x, y, size, color, alpha);
     flash.setDepth(900);
 
     this.scene.tweens.add({
@@ -291,7 +432,7 @@ export class EffectsManager {
     if (!this.settings.particlesEnabled) return;
 
     for (let i = 0; i < count; i++) {
-      const angle = (i / count) * Math.PI * 2 + Math.random() * 0.3;
+      const angle = (i / count) * Math.PI * 2 + this.random.next() * 0.3;
       const line = this.scene.add.rectangle(
         x,
         y,
@@ -364,6 +505,48 @@ export class EffectsManager {
     this.scheduleDestroy(particles, 500);
   }
 
+  /**
+   * Clank for a hit soaked up by super armor - no blood, no flinch
+   * @param {number} x
+   * @param {number} y
+   * @param {number} direction - Way the hit pushed
+   */
+  armorHit(x, y, direction = 1) {
+    const color = this.getColor(CUE.SUPER_ARMOR);
+
+    this.screenShake(3, 60);
+    this.impactFlash(x, y, 28, color);
+    this.hitSparks(x, y, 10, -direction, color);
+  }
+
+  /**
+   * Hit stopped by a raised guard - sparks off the guard, no blood
+   * @param {number} x
+   * @param {number} y
+   * @param {number} direction - Way the hit pushed
+   */
+  blockHit(x, y, direction = 1) {
+    this.screenShake(2, 50);
+    this.impactFlash(x, y, 22, this.getColor(CUE.GUARD));
+    this.hitSparks(x, y, 5, -direction, this.getColor(CUE.GUARD));
+  }
+
+  /**
+   * Poise broken or guard crushed - the target's guard shatters into a stagger
+   * @param {number} x
+   * @param {number} y
+   */
+  guardBreak(x, y) {
+    const color = this.getColor(CUE.SUPER_ARMOR);
+
+    this.screenShake(8, 150);
+    this.screenFlash(color, 60, 0.25);
+    this.impactFlash(x, y, 45, color);
+    this.impactLines(x, y, 10, 60);
+    this.hitSparks(x, y, 12, 1, color);
+    this.hitSparks(x, y, 12, -1, color);
+  }
+
   // ==================
   // Movement Effects
   // ==================
@@ -835,6 +1018,8 @@ export class EffectsManager {
    * @param {number} color - Optional custom color
    */
   damageNumber(x, y, damage, isCrit = false, color = null) {
+    if (!this.settings.damageNumbersEnabled) return;
+
     const textColor = color
       ? `#${color.toString(16).padStart(6, '0')}`
       : isCrit
@@ -845,8 +1030,8 @@ export class EffectsManager {
     const displayText = isCrit ? `${damage}!` : damage.toString();
 
     // Slight random offset for multiple hits
-    const offsetX = (Math.random() - 0.5) * 30;
-    const offsetY = (Math.random() - 0.5) * 10;
+    const offsetX = (this.random.next() - 0.5) * 30;
+    const offsetY = (this.random.next() - 0.5) * 10;
 
     const text = this.scene.add.text(x + offsetX, y + offsetY, displayText, {
       fontFamily: 'monospace',
@@ -929,7 +1114,7 @@ export class EffectsManager {
   /**
    * Toggle effect settings
    * @param {string} setting
-   * @param {boolean} enabled
+   * @param {boolean|number|string} enabled - Number for screenShakeScale, COLORBLIND_MODE for colorblindMode
    */
   setSetting(setting, enabled) {
     if (this.settings.hasOwnProperty(setting)) {
@@ -937,10 +1122,38 @@ export class EffectsManager {
     }
   }
 
+  /**
+   * Follow the settings service: apply its effect options now and whenever they change
+   * @param {SettingsService} settings
+   */
+  useSettings(settings) {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+    }
+
+    for (const [key, field] of Object.entries(SETTING_FIELDS)) {
+      const value = settings.get(key);
+      if (value !== undefined) {
+        this.setSetting(field, value);
+      }
+    }
+
+    this.unsubscribeSettings = settings.subscribe((key, value) => {
+      if (SETTING_FIELDS[key]) {
+        this.setSetting(SETTING_FIELDS[key], value);
+      }
+    });
+  }
+
   /**
    * Clean up all active effects
    */
   destroy() {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
+
     for (const trail of this.activeTrails) {
       if (trail && trail.destroy) trail.destroy();
     }
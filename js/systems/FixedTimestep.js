@@ -0,0 +1,81 @@
+import { SIMULATION } from '../utils/timing.js';
+
+// Tolerance for float drift, so 2 x 8.333ms still counts as 16.667ms
+const STEP_EPSILON = 1e-6;
+
+/**
+ * FixedTimestep - Accumulator that turns render frame deltas into whole steps
+ *
+ * Each frame, advance(delta) banks the frame time and returns how many
+ * fixed steps are due; the caller runs tick() once per step. Leftover time
+ * carries to the next frame and `alpha` says how far between the last two
+ * steps the frame sits, for interpolating what is drawn.
+ */
+export class FixedTimestep {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.stepMs=SIMULATION.STEP_MS]
+   * @param {number} [options.maxSteps=SIMULATION.MAX_STEPS_PER_FRAME]
+   */
+  constructor({ stepMs = SIMULATION.STEP_MS, maxSteps = SIMULATION.MAX_STEPS_PER_FRAME } = {}) {
+    this.stepMs = stepMs;
+    this.maxSteps = maxSteps;
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.droppedTime = 0;
+  }
+
+  /**
+   * Simulation clock - time of the last completed step (ms)
+   * @returns {number}
+   */
+  get time() {
+    return this.stepCount * this.stepMs;
+  }
+
+  /**
+   * How far the render frame is past the last step (0-1)
+   * @returns {number}
+   */
+  get alpha() {
+    return Math.min(1, this.accumulator / this.stepMs);
+  }
+
+  /**
+   * Bank a frame's time and get the number of steps to run
+   * After a stall (tab switch, breakpoint) at most maxSteps run and the
+   * rest of the time is dropped, so the game slows down instead of freezing.
+   * @param {number} delta - Render frame time (ms)
+   * @returns {number} Steps due this frame
+   */
+  advance(delta) {
+    this.accumulator += Math.max(0, delta);
+
+    const due = Math.floor(this.accumulator / this.stepMs + STEP_EPSILON);
+    const steps = Math.min(due, this.maxSteps);
+    if (due > steps) {
+      this.droppedTime += (due - steps) * this.stepMs;
+    }
+
+    this.accumulator = Math.max(0, this.accumulator - due * this.stepMs);
+    return steps;
+  }
+
+  /**
+   * Count one completed step
+   * @returns {number} Simulation time after the step
+   */
+  tick() {
+    this.stepCount++;
+    return this.time;
+  }
+
+  /**
+   * Start over at time 0
+   */
+  reset() {
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.droppedTime = 0;
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Standard gamepad button indices (W3C "standard" mapping, Xbox labels)
+ */
+export const GAMEPAD_BUTTONS = Object.freeze({
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  LEFT_STICK: 10,
+  RIGHT_STICK: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+});
+
+/**
+ * Standard gamepad axis indices - each stick is an (x, y) pair, y is down-positive
+ */
+export const GAMEPAD_AXES = Object.freeze({
+  LEFT_X: 0,
+  LEFT_Y: 1,
+  RIGHT_X: 2,
+  RIGHT_Y: 3,
+});
+
+/**
+ * Default dead zones and thresholds
+ */
+export const GAMEPAD_DEFAULTS = Object.freeze({
+  STICK_DEAD_ZONE: 0.2,     // Radial - stick drift below this reads as centered
+  TRIGGER_DEAD_ZONE: 0.15,  // Analog buttons below this read as released
+  STICK_PRESS: 0.5,         // Stick push needed to count as a digital press
+});
+
+/**
+ * Scale a 0-1 analog value so the dead zone reads as 0 and full travel as 1
+ * @param {number} value
+ * @param {number} deadZone
+ * @returns {number}
+ */
+export function applyDeadZone(value, deadZone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) return 0;
+  const scaled = (Math.min(1, magnitude) - deadZone) / (1 - deadZone);
+  return Math.sign(value) * scaled;
+}
+
+/**
+ * Radial dead zone for a stick - keeps direction, rescales magnitude
+ * Radial (not per-axis) so diagonals are not snapped to the cardinal axes.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} deadZone
+ * @returns {{x: number, y: number}}
+ */
+export function applyRadialDeadZone(x, y, deadZone) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+  const scale = applyDeadZone(magnitude, deadZone) / magnitude;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * GamepadInput - Reads a Phaser gamepad as ACTIONS
+ *
+ * Tracks button/stick edges once per frame in update(); justPressed and
+ * justReleased are consumed on read like Phaser's Keyboard.JustDown, so a
+ * press is reported once whether it came from a key or a button.
+ * Follows hot-plugging: the first connected pad is used, and a disconnect
+ * falls back to any other connected pad.
+ */
+export class GamepadInput {
+  /**
+   * @param {Phaser.Input.Gamepad.GamepadPlugin|null} plugin - scene.input.gamepad (null if disabled)
+   * @param {Object<string, Array<{button?: number, axis?: number, direction?: number}>>} layout - Action -> bindings
+   * @param {object} [options]
+   * @param {number} [options.stickDeadZone]
+   * @param {number} [options.triggerDeadZone]
+   * @param {number} [options.stickPress]
+   */
+  constructor(plugin, layout, options = {}) {
+    this.plugin = plugin || null;
+    this.pad = null;
+    this.layout = layout;
+
+    this.deadZones = {
+      stick: options.stickDeadZone ?? GAMEPAD_DEFAULTS.STICK_DEAD_ZONE,
+      trigger: options.triggerDeadZone ?? GAMEPAD_DEFAULTS.TRIGGER_DEAD_ZONE,
+    };
+    this.stickPress = options.stickPress ?? GAMEPAD_DEFAULTS.STICK_PRESS;
+
+    // Per-action { down, justDown, justUp }
+    this.actionStates = {};
+
+    if (this.plugin) {
+      this.plugin.on('connected', this.onConnected, this);
+      this.plugin.on('disconnected', this.onDisconnected, this);
+      this.pad = this.findConnectedPad();
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} [exclude] - Pad to skip (one being unplugged)
+   * @returns {Phaser.Input.Gamepad.Gamepad|null}
+   */
+  findConnectedPad(exclude = null) {
+    if (!this.plugin) return null;
+    const pads = this.plugin.getAll ? this.plugin.getAll() : [];
+    return pads.find((pad) => pad && pad !== exclude && pad.connected !== false) || null;
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  onConnected(pad) {
+    if (!this.pad) {
+      this.pad = pad;
+      console.log(`Gamepad connected: ${pad.id || 'unknown'}`);
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  onDisconnected(pad) {
+    if (pad !== this.pad) return;
+
+    console.log(`Gamepad disconnected: ${pad.id || 'unknown'}`);
+    this.pad = this.findConnectedPad(pad);
+
+    // Release everything so held actions do not stick on unplug
+    this.releaseAll();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.pad !== null;
+  }
+
+  /**
+   * Set dead zones at runtime (e.g. from a settings menu)
+   * @param {{stick?: number, trigger?: number}} deadZones - 0 to <1
+   */
+  setDeadZones({ stick, trigger } = {}) {
+    if (stick !== undefined) {
+      this.deadZones.stick = Math.max(0, Math.min(0.95, stick));
+    }
+    if (trigger !== undefined) {
+      this.deadZones.trigger = Math.max(0, Math.min(0.95, trigger));
+    }
+  }
+
+  /**
+   * Analog value of a button after the trigger dead zone (0-1)
+   * @param {number} index
+   * @returns {number}
+   */
+  getButtonValue(index) {
+    const button = this.pad?.buttons?.[index];
+    if (!button) return 0;
+    return applyDeadZone(button.value || 0, this.deadZones.trigger);
+  }
+
+  /**
+   * Stick position after the radial dead zone
+   * @param {'left'|'right'} stick
+   * @returns {{x: number, y: number}}
+   */
+  getStick(stick) {
+    const xIndex = stick === 'right' ? GAMEPAD_AXES.RIGHT_X : GAMEPAD_AXES.LEFT_X;
+    const axes = this.pad?.axes;
+    if (!axes) return { x: 0, y: 0 };
+
+    const x = axes[xIndex]?.value || 0;
+    const y = axes[xIndex + 1]?.value || 0;
+    return applyRadialDeadZone(x, y, this.deadZones.stick);
+  }
+
+  /**
+   * Analog value of one binding (0-1)
+   * @param {{button?: number, axis?: number, direction?: number}} binding
+   * @returns {number}
+   */
+  getBindingValue(binding) {
+    if (binding.button !== undefined) {
+      return this.getButtonValue(binding.button);
+    }
+
+    const stick = this.getStick(binding.axis >= GAMEPAD_AXES.RIGHT_X ? 'right' : 'left');
+    const value = binding.axis % 2 === 0 ? stick.x : stick.y;
+    return Math.max(0, value * binding.direction);
+  }
+
+  /**
+   * Strongest analog value across an action's bindings (0-1)
+   * Useful for pressure-sensitive actions such as a trigger-held spin charge.
+   * @param {string} action
+   * @returns {number}
+   */
+  getActionValue(action) {
+    if (!this.pad) return 0;
+    const bindings = this.layout[action] || [];
+    return bindings.reduce((max, binding) => Math.max(max, this.getBindingValue(binding)), 0);
+  }
+
+  /**
+   * @param {{button?: number, axis?: number}} binding
+   * @returns {boolean}
+   */
+  isBindingDown(binding) {
+    const value = this.getBindingValue(binding);
+    // Sticks need a firm push to count as a press; buttons only clear the dead zone
+    return binding.button !== undefined ? value > 0 : value >= this.stickPress;
+  }
+
+  /**
+   * Sample the pad and record press/release edges - call once per frame
+   */
+  update() {
+    for (const action of Object.keys(this.layout)) {
+      const state = this.getActionState(action);
+      const down = this.pad !== null && this.layout[action].some((binding) => this.isBindingDown(binding));
+
+      if (down && !state.down) {
+        state.justDown = true;
+      } else if (!down && state.down) {
+        state.justUp = true;
+      }
+      state.down = down;
+    }
+  }
+
+  /**
+   * @param {string} action
+   * @returns {{down: boolean, justDown: boolean, justUp: boolean}}
+   */
+  getActionState(action) {
+    if (!this.actionStates[action]) {
+      this.actionStates[action] = { down: false, justDown: false, justUp: false };
+    }
+    return this.actionStates[action];
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isDown(action) {
+    return this.actionStates[action]?.down || false;
+  }
+
+  /**
+   * True once per press (consumed on read)
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justPressed(action) {
+    const state = this.actionStates[action];
+    if (!state || !state.justDown) return false;
+    state.justDown = false;
+    return true;
+  }
+
+  /**
+   * True once per release (consumed on read)
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justReleased(action) {
+    const state = this.actionStates[action];
+    if (!state || !state.justUp) return false;
+    state.justUp = false;
+    return true;
+  }
+
+  /**
+   * Left stick X, falling back to the D-pad (-1 to 1)
+   * @returns {number}
+   */
+  getHorizontalAxis() {
+    if (!this.pad) return 0;
+    const { x } = this.getStick('left');
+    if (x !== 0) return x;
+    return this.getButtonValue(GAMEPAD_BUTTONS.DPAD_RIGHT) - this.getButtonValue(GAMEPAD_BUTTONS.DPAD_LEFT);
+  }
+
+  /**
+   * Left stick Y (-1 = up, 1 = down)
+   * @returns {number}
+   */
+  getVerticalAxis() {
+    if (!this.pad) return 0;
+    return this.getStick('left').y;
+  }
+
+  /**
+   * Mark every held action as released
+   */
+  releaseAll() {
+    for (const state of Object.values(this.actionStates)) {
+      if (state.down) {
+        state.justUp = true;
+      }
+      state.down = false;
+      state.justDown = false;
+    }
+  }
+
+  /**
+   * Stop listening for hot-plug events
+   */
+  destroy() {
+    if (this.plugin) {
+      this.plugin.off('connected', this.onConnected, this);
+      this.plugin.off('disconnected', this.onDisconnected, this);
+    }
+    this.plugin = null;
+    this.pad = null;
+    this.actionStates = {};
+  }
+}
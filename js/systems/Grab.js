@@ -0,0 +1,72 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * What a grab is holding (HoldState params.kind)
+ */
+export const GRAB_TARGET = Object.freeze({
+  ENEMY: 'enemy',   // A living enemy - struggles free after COMBAT.GRAB.HOLD_TIME
+  CORPSE: 'corpse', // A settled corpse pulled out of its pile
+});
+
+/**
+ * How a body handles once grabbed, by ENEMY_PRESETS grappleWeight
+ * Heavier bodies fly slower but hit harder.
+ */
+export const GRAB_WEIGHT = Object.freeze({
+  LIGHT: Object.freeze({ throwSpeed: 1, damage: 1 }),
+  MEDIUM: Object.freeze({ throwSpeed: 0.8, damage: 1.25 }),
+  HEAVY: Object.freeze({ throwSpeed: 0.6, damage: 1.5 }),
+});
+
+/**
+ * Whether a living enemy can be seized (ENEMY_PRESETS canBePulled)
+ * Corpses can always be grabbed.
+ * @param {object} stats - Enemy stats
+ * @returns {boolean}
+ */
+export function canGrab(stats) {
+  return Boolean(stats?.canBePulled);
+}
+
+/**
+ * Weight class of a body - enemies without a grappleWeight are MEDIUM
+ * @param {object} [stats] - Enemy stats, or the preset of a corpse's enemy type
+ * @returns {object} GRAB_WEIGHT value
+ */
+export function getGrabWeight(stats) {
+  return GRAB_WEIGHT[stats?.grappleWeight] ?? GRAB_WEIGHT.MEDIUM;
+}
+
+/**
+ * Launch velocity of a throw
+ * Aims along the held direction (forward when neutral) and adds
+ * COMBAT.GRAB.THROW_LIFT so the body arcs - except when spiked downward.
+ * @param {number} horizontal - Held horizontal axis (-1..1)
+ * @param {number} vertical - Held vertical axis (-1 up..1 down)
+ * @param {boolean} facingRight - Aim used when nothing is held
+ * @param {object} [weight=GRAB_WEIGHT.MEDIUM]
+ * @returns {{x: number, y: number}} px/s
+ */
+export function getThrowVelocity(horizontal, vertical, facingRight, weight = GRAB_WEIGHT.MEDIUM) {
+  let x = horizontal;
+  let y = vertical;
+  if (x === 0 && y === 0) {
+    x = facingRight ? 1 : -1;
+  }
+
+  const length = Math.hypot(x, y);
+  const speed = COMBAT.GRAB.THROW_SPEED * weight.throwSpeed;
+  return {
+    x: (x / length) * speed,
+    y: (y / length) * speed + (y > 0 ? 0 : COMBAT.GRAB.THROW_LIFT),
+  };
+}
+
+/**
+ * Damage a thrown body does
+ * @param {object} [weight=GRAB_WEIGHT.MEDIUM]
+ * @returns {number}
+ */
+export function getThrowDamage(weight = GRAB_WEIGHT.MEDIUM) {
+  return Math.round(COMBAT.GRAB.THROW_DAMAGE * weight.damage);
+}
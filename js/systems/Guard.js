@@ -0,0 +1,146 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * What a hit did to a raised guard (hitData.guardResult)
+ */
+export const GUARD_RESULT = Object.freeze({
+  BLOCKED: 'blocked', // Guard held - chip damage and block stun
+  PARRIED: 'parried', // Perfect parry (weapons with mechanics.parry) - no damage at all
+  CRUSHED: 'crushed', // Guard meter ran out - the hit lands in full and the guard stays down
+});
+
+/**
+ * Guard stats for weapons that don't set their own (weapon JSON: "guard")
+ */
+export const DEFAULT_GUARD = Object.freeze({
+  damageReduction: 0.75, // Share of a blocked hit's damage kept off health - the rest is chip damage
+  chipDamage: 1,         // Least health a blocked hit takes (never more than the hit's damage)
+  meter: 100,            // Guard meter size
+  meterDamage: 1,        // Guard meter lost per point of the hit's poise damage
+  blockStun: 150,        // ms stuck in the block after blocking a hit
+  crushStun: 900,        // ms staggered when the guard is crushed
+  regenDelay: 1000,      // ms after the last blocked hit before the meter refills
+  regenRate: 30,         // Guard meter per second
+});
+
+/**
+ * Whether a hit comes at the front of a guard
+ * Goes by which way the hit pushes (hitData.direction, else the sign of its
+ * knockback): a guard facing right stops hits that push left. Hits that
+ * push neither way count as in front.
+ * @param {object} hitData
+ * @param {boolean} facingRight
+ * @returns {boolean}
+ */
+export function isHitInFront(hitData, facingRight) {
+  const push = hitData.direction ?? Math.sign(hitData.knockback?.x ?? 0);
+  if (!push) return true;
+  return facingRight ? push < 0 : push > 0;
+}
+
+/**
+ * Guard - The player's guard meter
+ *
+ * Blocking takes a hit's poise damage (times the weapon's meterDamage) off
+ * the meter and lets only chip damage through to health. When the meter
+ * runs out the guard is crushed: that hit lands in full and the player is
+ * staggered for crushStun, after which the meter is full again. The meter
+ * starts refilling a while after the last blocked hit.
+ * Stats come from the equipped weapon (Weapon.guard); swapping keeps the
+ * meter's fill share.
+ *
+ * The player owns one; BlockState calls block() from takeDamage() for hits
+ * in front (isHitInFront) and the player calls update() every step.
+ */
+export class Guard {
+  /**
+   * @param {object} [stats=DEFAULT_GUARD]
+   */
+  constructor(stats = DEFAULT_GUARD) {
+    this.stats = stats;
+    this.current = stats.meter;
+    this.regenDelay = 0;
+    this.crushedRemaining = 0;
+  }
+
+  /**
+   * Use another weapon's guard stats
+   * @param {object} [stats=DEFAULT_GUARD]
+   */
+  setStats(stats = DEFAULT_GUARD) {
+    const share = this.current / this.stats.meter;
+    this.stats = stats;
+    this.current = share * stats.meter;
+  }
+
+  /**
+   * @returns {boolean} True while staggered from a crushed guard
+   */
+  isCrushed() {
+    return this.crushedRemaining > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canBlock() {
+    return !this.isCrushed();
+  }
+
+  /**
+   * Block a hit and shape it for the result
+   * Sets hitData.guardResult. Blocked hits keep COMBAT.GUARD.PUSHBACK of
+   * their push and lose their lift and launch.
+   * @param {number} damage - Health damage the hit would do
+   * @param {object} hitData - poiseDamage (falls back to damage), knockback, launches
+   * @returns {number} Health damage that gets through
+   */
+  block(damage, hitData) {
+    const { stats } = this;
+    const meterDamage = (hitData.poiseDamage ?? damage) * stats.meterDamage;
+
+    this.current = Math.max(0, this.current - meterDamage);
+    this.regenDelay = stats.regenDelay;
+
+    if (this.current === 0) {
+      this.crushedRemaining = stats.crushStun;
+      hitData.guardResult = GUARD_RESULT.CRUSHED;
+      return damage;
+    }
+
+    hitData.guardResult = GUARD_RESULT.BLOCKED;
+    hitData.knockback = { x: (hitData.knockback?.x ?? 0) * COMBAT.GUARD.PUSHBACK, y: 0 };
+    hitData.launches = false;
+
+    const chip = Math.round(damage * (1 - stats.damageReduction));
+    return Math.min(damage, Math.max(stats.chipDamage, chip));
+  }
+
+  /**
+   * Crush countdown and refill
+   * @param {number} delta - Scaled step length in ms
+   */
+  update(delta) {
+    if (this.crushedRemaining > 0) {
+      this.crushedRemaining = Math.max(0, this.crushedRemaining - delta);
+      if (this.crushedRemaining === 0) this.current = this.stats.meter;
+      return;
+    }
+
+    if (this.regenDelay > 0) {
+      this.regenDelay = Math.max(0, this.regenDelay - delta);
+      return;
+    }
+
+    this.current = Math.min(this.stats.meter, this.current + (this.stats.regenRate * delta) / 1000);
+  }
+
+  /**
+   * Back to full, not crushed
+   */
+  reset() {
+    this.current = this.stats.meter;
+    this.regenDelay = 0;
+    this.crushedRemaining = 0;
+  }
+}
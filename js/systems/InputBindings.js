@@ -0,0 +1,342 @@
+import { createDefaultStorage } from './SaveStorage.js';
+
+/**
+ * Binding profile format version written by exportJSON
+ */
+export const BINDINGS_VERSION = 1;
+
+/**
+ * Storage key for the player's custom bindings
+ */
+export const BINDINGS_STORAGE_KEY = 'blender_bindings';
+
+/**
+ * Most keys a single action can hold
+ */
+export const MAX_KEYS_PER_ACTION = 3;
+
+/**
+ * What rebind() does when the new key already belongs to another action
+ */
+export const BINDING_CONFLICT = Object.freeze({
+  REJECT: 'reject',     // Leave everything unchanged and report the conflict
+  SWAP: 'swap',         // Give the other action the key being replaced (or just remove it)
+  REPLACE: 'replace',   // Remove the key from the other action
+});
+
+// Phaser key code names: 'A', 'SPACE', 'ONE', 'F1', 'NUMPAD_ZERO', ...
+const KEY_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Deep-copy a bindings table
+ * @param {Object<string, string[]>} bindings
+ * @returns {Object<string, string[]>}
+ */
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const [action, keys] of Object.entries(bindings)) {
+    copy[action] = [...keys];
+  }
+  return copy;
+}
+
+/**
+ * BindingProfile - The player's action-to-key table
+ *
+ * Pure data (no Phaser) so rebinding rules can be tested. InputManager reads
+ * it to build key objects and rebuilds whenever `revision` changes, so every
+ * live scene picks up a rebind. Changes are written to storage immediately.
+ */
+export class BindingProfile {
+  /**
+   * @param {Object<string, string[]>} defaults - Action -> Phaser key code names
+   * @param {object} [storage] - Adapter with getItem/setItem/removeItem; null keeps bindings in memory only
+   * @param {string} [storageKey=BINDINGS_STORAGE_KEY]
+   */
+  constructor(defaults, storage = null, storageKey = BINDINGS_STORAGE_KEY) {
+    this.defaults = cloneBindings(defaults);
+    this.bindings = cloneBindings(defaults);
+    this.storage = storage;
+    this.storageKey = storageKey;
+
+    // Bumped on every change so InputManagers know to rebuild their keys
+    this.revision = 0;
+  }
+
+  /**
+   * Create a profile backed by localStorage with any saved bindings applied
+   * @param {Object<string, string[]>} defaults
+   * @param {object} [storage] - Defaults to localStorage (memory if unavailable)
+   * @returns {BindingProfile}
+   */
+  static load(defaults, storage = createDefaultStorage()) {
+    const profile = new BindingProfile(defaults, storage);
+    const raw = storage.getItem(profile.storageKey);
+    if (raw !== null && raw !== undefined) {
+      const result = profile.importJSON(raw, false);
+      if (!result.ok) {
+        console.warn(`Saved key bindings ignored: ${result.errors.join('; ')}`);
+      }
+    }
+    return profile;
+  }
+
+  /**
+   * @param {string} keyName
+   * @returns {boolean} True if the name looks like a Phaser key code name
+   */
+  static isValidKeyName(keyName) {
+    return typeof keyName === 'string' && KEY_NAME_PATTERN.test(keyName);
+  }
+
+  /**
+   * @returns {string[]} All bindable actions
+   */
+  getActions() {
+    return Object.keys(this.defaults);
+  }
+
+  /**
+   * @param {string} action
+   * @returns {string[]} Key names bound to the action (copy)
+   */
+  getKeys(action) {
+    return [...(this.bindings[action] || [])];
+  }
+
+  /**
+   * @returns {Object<string, string[]>} Full table (copy)
+   */
+  getAll() {
+    return cloneBindings(this.bindings);
+  }
+
+  /**
+   * Find the actions other than `action` that use a key
+   * @param {string} keyName
+   * @param {string} [action] - Action to ignore
+   * @returns {string[]}
+   */
+  findConflicts(keyName, action = null) {
+    return this.getActions().filter((other) =>
+      other !== action && this.bindings[other].includes(keyName)
+    );
+  }
+
+  /**
+   * Bind a key to one of an action's slots
+   * A slot past the end appends (up to MAX_KEYS_PER_ACTION).
+   * @param {string} action - Action from ACTIONS
+   * @param {string} keyName - Phaser key code name
+   * @param {object} [options]
+   * @param {number} [options.slot=0]
+   * @param {string} [options.onConflict=BINDING_CONFLICT.REJECT]
+   * @returns {{ok: boolean, conflicts: string[], error?: string}}
+   */
+  rebind(action, keyName, { slot = 0, onConflict = BINDING_CONFLICT.REJECT } = {}) {
+    if (!this.bindings[action]) {
+      console.warn(`Cannot rebind unknown action "${action}"`);
+      return { ok: false, conflicts: [], error: `Unknown action "${action}"` };
+    }
+    if (!BindingProfile.isValidKeyName(keyName)) {
+      console.warn(`Cannot bind invalid key "${keyName}"`);
+      return { ok: false, conflicts: [], error: `Invalid key "${keyName}"` };
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= MAX_KEYS_PER_ACTION) {
+      return { ok: false, conflicts: [], error: `Invalid slot ${slot}` };
+    }
+
+    const conflicts = this.findConflicts(keyName, action);
+    if (conflicts.length > 0 && onConflict === BINDING_CONFLICT.REJECT) {
+      return { ok: false, conflicts };
+    }
+
+    const keys = this.bindings[action];
+    const replaced = keys[slot] ?? null;
+
+    for (const other of conflicts) {
+      const otherKeys = this.bindings[other];
+      const index = otherKeys.indexOf(keyName);
+      if (onConflict === BINDING_CONFLICT.SWAP && replaced && !otherKeys.includes(replaced)) {
+        otherKeys[index] = replaced;
+      } else {
+        otherKeys.splice(index, 1);
+      }
+    }
+
+    const existing = keys.indexOf(keyName);
+    if (existing !== -1) {
+      // Already bound to this action - swap it into the requested slot
+      const target = Math.min(slot, keys.length - 1);
+      keys[existing] = keys[target];
+      keys[target] = keyName;
+    } else if (slot < keys.length) {
+      keys[slot] = keyName;
+    } else {
+      keys.push(keyName);
+    }
+
+    this.changed();
+    return { ok: true, conflicts };
+  }
+
+  /**
+   * Remove the key in one of an action's slots
+   * @param {string} action
+   * @param {number} [slot=0]
+   * @returns {boolean} True if a key was removed
+   */
+  unbind(action, slot = 0) {
+    const keys = this.bindings[action];
+    if (!keys || slot < 0 || slot >= keys.length) return false;
+
+    keys.splice(slot, 1);
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Restore one action's default keys
+   * Default keys held by other actions are taken back from them.
+   * @param {string} action
+   */
+  resetAction(action) {
+    if (!this.defaults[action]) return;
+
+    for (const keyName of this.defaults[action]) {
+      for (const other of this.findConflicts(keyName, action)) {
+        this.bindings[other] = this.bindings[other].filter((key) => key !== keyName);
+      }
+    }
+    this.bindings[action] = [...this.defaults[action]];
+    this.changed();
+  }
+
+  /**
+   * Restore every default binding
+   */
+  resetAll() {
+    this.bindings = cloneBindings(this.defaults);
+    this.changed();
+  }
+
+  /**
+   * @param {string} [action] - Check one action, or the whole table if omitted
+   * @returns {boolean} True if bindings match the defaults
+   */
+  isDefault(action = null) {
+    const actions = action ? [action] : this.getActions();
+    return actions.every((name) =>
+      this.bindings[name].length === this.defaults[name].length &&
+      this.bindings[name].every((key, i) => key === this.defaults[name][i])
+    );
+  }
+
+  /**
+   * @returns {{version: number, bindings: Object<string, string[]>}}
+   */
+  toJSON() {
+    return {
+      version: BINDINGS_VERSION,
+      bindings: this.getAll(),
+    };
+  }
+
+  /**
+   * Serialize the profile for sharing or backup
+   * @returns {string}
+   */
+  exportJSON() {
+    return JSON.stringify(this.toJSON(), null, 2);
+  }
+
+  /**
+   * Replace bindings from an exported profile
+   * Actions missing from the profile keep their defaults; unknown actions are
+   * ignored. Nothing changes unless the whole profile is valid.
+   * @param {string|object} json - exportJSON() output or its parsed object
+   * @param {boolean} [persist=true] - Write the result to storage
+   * @returns {{ok: boolean, errors: string[]}}
+   */
+  importJSON(json, persist = true) {
+    let profile = json;
+    if (typeof json === 'string') {
+      try {
+        profile = JSON.parse(json);
+      } catch (error) {
+        return { ok: false, errors: ['Binding profile is not valid JSON'] };
+      }
+    }
+
+    if (!profile || typeof profile !== 'object' || !profile.bindings || typeof profile.bindings !== 'object') {
+      return { ok: false, errors: ['Binding profile has no bindings object'] };
+    }
+    if (!Number.isInteger(profile.version) || profile.version > BINDINGS_VERSION) {
+      return { ok: false, errors: [`Unsupported binding profile version ${profile.version}`] };
+    }
+
+    const errors = [];
+    const bindings = cloneBindings(this.defaults);
+    const owners = new Map();
+
+    for (const [action, keys] of Object.entries(profile.bindings)) {
+      if (!this.defaults[action]) {
+        console.warn(`Ignoring bindings for unknown action "${action}"`);
+        continue;
+      }
+      if (!Array.isArray(keys) || keys.length > MAX_KEYS_PER_ACTION || !keys.every(BindingProfile.isValidKeyName)) {
+        errors.push(`Invalid keys for "${action}"`);
+        continue;
+      }
+      bindings[action] = [...new Set(keys)];
+    }
+
+    // Defaults filled in for missing actions can collide with imported keys too
+    for (const [action, keys] of Object.entries(bindings)) {
+      for (const keyName of keys) {
+        if (owners.has(keyName)) {
+          errors.push(`Key ${keyName} is bound to both "${owners.get(keyName)}" and "${action}"`);
+        } else {
+          owners.set(keyName, action);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return { ok: false, errors };
+    }
+
+    this.bindings = bindings;
+    this.revision++;
+    if (persist) {
+      this.persist();
+    }
+    return { ok: true, errors: [] };
+  }
+
+  /**
+   * Record a change and persist it
+   */
+  changed() {
+    this.revision++;
+    this.persist();
+  }
+
+  /**
+   * Write bindings to storage
+   * Default bindings clear the stored entry so future default changes apply
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      if (this.isDefault()) {
+        this.storage.removeItem(this.storageKey);
+      } else {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+      }
+    } catch (error) {
+      console.warn(`Could not save key bindings: ${error.message}`);
+    }
+  }
+}
@@ -1,3 +1,6 @@
+import { BindingProfile, BINDING_CONFLICT } from './InputBindings.js';
+import { GamepadInput, GAMEPAD_BUTTONS, GAMEPAD_AXES } from './GamepadInput.js';
+
 /**
  * Game actions - use these instead of raw key codes
  */
@@ -13,6 +16,7 @@ export const ACTIONS = Object.freeze({
   ATTACK_HEAVY: 'attack_heavy',
   SPIN: 'spin',
   SPECIAL: 'special',
+  BLOCK: 'block',
   ULTIMATE: 'ultimate',
 
   // Movement Abilities
@@ -21,7 +25,6 @@ export const ACTIONS = Object.freeze({
   GRAPPLE: 'grapple',
 
   // Weapons
-  WEAPON_SWAP: 'weapon_swap',
   WEAPON_NEXT: 'weapon_next',
   WEAPON_PREV: 'weapon_prev',
   WEAPON_1: 'weapon_1',
@@ -39,7 +42,7 @@ export const ACTIONS = Object.freeze({
  * Default keyboard bindings
  * Each action maps to an array of Phaser key codes
  */
-const DEFAULT_BINDINGS = {
+export const DEFAULT_BINDINGS = Object.freeze({
   [ACTIONS.MOVE_LEFT]: ['A', 'LEFT'],
   [ACTIONS.MOVE_RIGHT]: ['D', 'RIGHT'],
   [ACTIONS.JUMP]: ['SPACE', 'W', 'UP'],
@@ -48,11 +51,11 @@ const DEFAULT_BINDINGS = {
   [ACTIONS.ATTACK_HEAVY]: ['K'],
   [ACTIONS.SPIN]: ['L'],
   [ACTIONS.SPECIAL]: ['O'],
+  [ACTIONS.BLOCK]: ['SEMICOLON'],
   [ACTIONS.ULTIMATE]: ['V'],
   [ACTIONS.FLIP]: ['SHIFT'],
   [ACTIONS.BLINK]: ['I'],
   [ACTIONS.GRAPPLE]: ['U'],
-  [ACTIONS.WEAPON_SWAP]: ['TAB'],
   [ACTIONS.WEAPON_NEXT]: ['E'],
   [ACTIONS.WEAPON_PREV]: ['Q'],
   [ACTIONS.WEAPON_1]: ['ONE'],
@@ -62,34 +65,222 @@ const DEFAULT_BINDINGS = {
   [ACTIONS.PAUSE]: ['ESC', 'P'],
   [ACTIONS.MAP]: ['M'],
   [ACTIONS.INTERACT]: ['F'],
-};
+});
+
+/**
+ * Default controller layout (standard mapping)
+ * Each action maps to buttons ({ button }) and/or stick directions ({ axis, direction })
+ */
+export const DEFAULT_GAMEPAD_LAYOUT = Object.freeze({
+  [ACTIONS.MOVE_LEFT]: [{ axis: GAMEPAD_AXES.LEFT_X, direction: -1 }, { button: GAMEPAD_BUTTONS.DPAD_LEFT }],
+  [ACTIONS.MOVE_RIGHT]: [{ axis: GAMEPAD_AXES.LEFT_X, direction: 1 }, { button: GAMEPAD_BUTTONS.DPAD_RIGHT }],
+  [ACTIONS.JUMP]: [{ button: GAMEPAD_BUTTONS.A }],
+  [ACTIONS.CROUCH]: [{ axis: GAMEPAD_AXES.LEFT_Y, direction: 1 }],
+  [ACTIONS.ATTACK_LIGHT]: [{ button: GAMEPAD_BUTTONS.X }],
+  [ACTIONS.ATTACK_HEAVY]: [{ button: GAMEPAD_BUTTONS.Y }],
+  [ACTIONS.SPIN]: [{ button: GAMEPAD_BUTTONS.RT }],   // Analog trigger - hold to charge
+  [ACTIONS.SPECIAL]: [{ button: GAMEPAD_BUTTONS.B }],
+  [ACTIONS.BLOCK]: [{ button: GAMEPAD_BUTTONS.LB }],
+  [ACTIONS.ULTIMATE]: [{ button: GAMEPAD_BUTTONS.RIGHT_STICK }],
+  [ACTIONS.FLIP]: [{ button: GAMEPAD_BUTTONS.RB }],
+  [ACTIONS.BLINK]: [{ button: GAMEPAD_BUTTONS.LT }],
+  [ACTIONS.GRAPPLE]: [{ button: GAMEPAD_BUTTONS.LEFT_STICK }],
+  [ACTIONS.WEAPON_NEXT]: [{ button: GAMEPAD_BUTTONS.DPAD_UP }],
+  [ACTIONS.WEAPON_PREV]: [{ button: GAMEPAD_BUTTONS.DPAD_DOWN }],
+  // Right stick is a four-way quick slot selector
+  [ACTIONS.WEAPON_1]: [{ axis: GAMEPAD_AXES.RIGHT_Y, direction: -1 }],
+  [ACTIONS.WEAPON_2]: [{ axis: GAMEPAD_AXES.RIGHT_X, direction: 1 }],
+  [ACTIONS.WEAPON_3]: [{ axis: GAMEPAD_AXES.RIGHT_Y, direction: 1 }],
+  [ACTIONS.WEAPON_4]: [{ axis: GAMEPAD_AXES.RIGHT_X, direction: -1 }],
+  [ACTIONS.PAUSE]: [{ button: GAMEPAD_BUTTONS.START }],
+  [ACTIONS.MAP]: [{ button: GAMEPAD_BUTTONS.BACK }],
+  [ACTIONS.INTERACT]: [{ axis: GAMEPAD_AXES.LEFT_Y, direction: -1 }],
+});
+
+/**
+ * How hold-to-use actions (spin charge, block) are held
+ * TOGGLE: press once to start, press again to let go - no holding needed
+ */
+export const HOLD_MODE = Object.freeze({
+  HOLD: 'hold',
+  TOGGLE: 'toggle',
+});
+
+/**
+ * Settings service keys -> actions whose hold mode they choose
+ */
+const HOLD_MODE_SETTINGS = Object.freeze({
+  'accessibility.spinInput': ACTIONS.SPIN,
+  'accessibility.blockInput': ACTIONS.BLOCK,
+});
+
+// Shared by every InputManager so a rebind reaches all running scenes
+let sharedBindings = null;
+
+/**
+ * Get the player's binding profile, loading saved bindings on first use
+ * @returns {BindingProfile}
+ */
+export function getBindingProfile() {
+  if (!sharedBindings) {
+    sharedBindings = BindingProfile.load(DEFAULT_BINDINGS);
+  }
+  return sharedBindings;
+}
+
+/**
+ * Create an empty input frame - every action released
+ * @returns {{down: Set<string>, pressed: Set<string>, released: Set<string>, values: Object<string, number>, horizontal: number, vertical: number}}
+ */
+export function createInputFrame() {
+  return {
+    down: new Set(),      // Actions held this frame
+    pressed: new Set(),   // Actions that went down this frame
+    released: new Set(),  // Actions that went up this frame
+    values: {},           // Analog values that are not simply 0 (up) or 1 (down)
+    horizontal: 0,
+    vertical: 0,
+  };
+}
 
 /**
  * InputManager - Handles all game input with buffering support
+ * Reads the keyboard and the first connected gamepad; either can drive any action.
+ *
+ * Devices are sampled once per frame in update() into an input frame, and
+ * every query reads that frame. During replay playback the frame comes from
+ * feedFrame() instead of the devices, so gameplay sees identical input.
  */
 export class InputManager {
   /**
    * @param {Phaser.Scene} scene - The scene this manager belongs to
+   * @param {BindingProfile} [bindings] - Defaults to the shared, persisted profile
    */
-  constructor(scene) {
+  constructor(scene, bindings = getBindingProfile()) {
     this.scene = scene;
     this.keys = {};
     this.buffer = [];
-    this.bindings = { ...DEFAULT_BINDINGS };
+    this.bindings = bindings;
+    this.bindingsRevision = -1;
+
+    // Input sampled this frame, plus press/release edges not yet read
+    this.frame = createInputFrame();
+    this.unreadPresses = new Set();
+    this.pressTimes = new Map(); // action -> time of its last press
+    this.unreadReleases = new Set();
+
+    // Replay playback - frames come from feedFrame() instead of the devices
+    this.isPlayback = false;
+    this.fedFrame = null;
+
+    // Actions held by toggling instead of holding (HOLD_MODE), set by useSettings()
+    this.holdModes = {};
+    this.unsubscribeSettings = null;
 
     this.setupKeys();
+
+    // scene.input.gamepad is only present when the game config enables gamepads
+    this.gamepad = new GamepadInput(scene.input.gamepad || null, DEFAULT_GAMEPAD_LAYOUT);
   }
 
   /**
    * Create Phaser key objects for all bindings
+   * Safe to call again after a rebind - keys no longer bound are released
    */
   setupKeys() {
-    for (const action in this.bindings) {
-      const keyCodes = this.bindings[action];
-      this.keys[action] = keyCodes.map(code =>
-        this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[code])
-      );
+    const keyboard = this.scene.input.keyboard;
+    const previousKeys = new Set(Object.values(this.keys).flat());
+    this.keys = {};
+
+    for (const action of this.bindings.getActions()) {
+      this.keys[action] = [];
+      for (const code of this.bindings.getKeys(action)) {
+        const keyCode = Phaser.Input.Keyboard.KeyCodes[code];
+        if (keyCode === undefined) {
+          console.warn(`Unknown key "${code}" bound to ${action}, skipping`);
+          continue;
+        }
+        const key = keyboard.addKey(keyCode);
+        previousKeys.delete(key);
+        this.keys[action].push(key);
+      }
+    }
+
+    for (const key of previousKeys) {
+      keyboard.removeKey(key);
+    }
+
+    this.bindingsRevision = this.bindings.revision;
+  }
+
+  /**
+   * Bind a key to an action and persist it
+   * @param {string} action - Action from ACTIONS enum
+   * @param {string} keyName - Phaser key code name (e.g. 'J', 'SPACE')
+   * @param {object} [options] - { slot, onConflict } - see BindingProfile.rebind
+   * @returns {{ok: boolean, conflicts: string[], error?: string}}
+   */
+  rebind(action, keyName, options = {}) {
+    const result = this.bindings.rebind(action, keyName, {
+      onConflict: BINDING_CONFLICT.REJECT,
+      ...options,
+    });
+    if (result.ok) {
+      this.setupKeys();
     }
+    return result;
+  }
+
+  /**
+   * Get the key names bound to an action
+   * @param {string} action
+   * @returns {string[]}
+   */
+  getBindings(action) {
+    return this.bindings.getKeys(action);
+  }
+
+  /**
+   * Find actions other than `action` already using a key
+   * @param {string} keyName
+   * @param {string} [action]
+   * @returns {string[]}
+   */
+  getConflicts(keyName, action = null) {
+    return this.bindings.findConflicts(keyName, action);
+  }
+
+  /**
+   * Restore default keys for one action, or for all actions if omitted
+   * @param {string} [action]
+   */
+  resetBindings(action = null) {
+    if (action) {
+      this.bindings.resetAction(action);
+    } else {
+      this.bindings.resetAll();
+    }
+    this.setupKeys();
+  }
+
+  /**
+   * @returns {string} Binding profile as JSON
+   */
+  exportBindings() {
+    return this.bindings.exportJSON();
+  }
+
+  /**
+   * Replace bindings with an exported profile
+   * @param {string|object} json
+   * @returns {{ok: boolean, errors: string[]}}
+   */
+  importBindings(json) {
+    const result = this.bindings.importJSON(json);
+    if (result.ok) {
+      this.setupKeys();
+    }
+    return result;
   }
 
   /**
@@ -98,9 +289,7 @@ export class InputManager {
    * @returns {boolean}
    */
   isDown(action) {
-    const keys = this.keys[action];
-    if (!keys) return false;
-    return keys.some(key => key.isDown);
+    return this.frame.down.has(action);
   }
 
   /**
@@ -114,24 +303,137 @@ export class InputManager {
 
   /**
    * Check if action was just pressed this frame
+   * Consumed on read, like Phaser's Keyboard.JustDown
    * @param {string} action - Action from ACTIONS enum
    * @returns {boolean}
    */
   justPressed(action) {
-    const keys = this.keys[action];
-    if (!keys) return false;
-    return keys.some(key => Phaser.Input.Keyboard.JustDown(key));
+    return this.unreadPresses.delete(action);
+  }
+
+  /**
+   * When an action was last pressed
+   * @param {string} action - Action from ACTIONS enum
+   * @returns {number|null} Game time passed to update() for that frame, null if never
+   */
+  getPressTime(action) {
+    return this.pressTimes.get(action) ?? null;
   }
 
   /**
    * Check if action was just released this frame
+   * Consumed on read, like Phaser's Keyboard.JustUp
    * @param {string} action - Action from ACTIONS enum
    * @returns {boolean}
    */
   justReleased(action) {
-    const keys = this.keys[action];
-    if (!keys) return false;
-    return keys.some(key => Phaser.Input.Keyboard.JustUp(key));
+    return this.unreadReleases.delete(action);
+  }
+
+  /**
+   * Get how strongly an action is pressed (0-1)
+   * Keys read as 0 or 1; analog triggers and sticks give partial values.
+   * @param {string} action - Action from ACTIONS enum
+   * @returns {number}
+   */
+  getActionValue(action) {
+    return this.frame.values[action] ?? (this.isDown(action) ? 1 : 0);
+  }
+
+  /**
+   * @param {string} action - Action from ACTIONS enum
+   * @returns {string} HOLD_MODE value
+   */
+  getHoldMode(action) {
+    return this.holdModes[action] || HOLD_MODE.HOLD;
+  }
+
+  /**
+   * @param {string} action - Action from ACTIONS enum
+   * @param {string} mode - HOLD_MODE value
+   */
+  setHoldMode(action, mode) {
+    if (mode === HOLD_MODE.TOGGLE) {
+      this.holdModes[action] = mode;
+    } else {
+      delete this.holdModes[action];
+    }
+  }
+
+  /**
+   * @returns {Object<string, string>} Actions not in HOLD_MODE.HOLD (copy, for replays)
+   */
+  getHoldModes() {
+    return { ...this.holdModes };
+  }
+
+  /**
+   * Replace every hold mode (e.g. with the ones a replay was recorded with)
+   * @param {Object<string, string>} [modes]
+   */
+  setHoldModes(modes = {}) {
+    this.holdModes = {};
+    for (const [action, mode] of Object.entries(modes)) {
+      this.setHoldMode(action, mode);
+    }
+  }
+
+  /**
+   * Check if a hold-to-use action has been let go
+   * In TOGGLE mode that is the next press, which is consumed so it doesn't
+   * start the move again.
+   * @param {string} action - Action from ACTIONS enum
+   * @returns {boolean}
+   */
+  isHoldReleased(action) {
+    return this.getHoldMode(action) === HOLD_MODE.TOGGLE
+      ? this.justPressed(action)
+      : this.isUp(action);
+  }
+
+  /**
+   * How strongly a hold-to-use action is held (0-1)
+   * TOGGLE mode holds at full strength; HOLD mode reads getActionValue().
+   * @param {string} action - Action from ACTIONS enum
+   * @returns {number}
+   */
+  getHoldValue(action) {
+    return this.getHoldMode(action) === HOLD_MODE.TOGGLE ? 1 : this.getActionValue(action);
+  }
+
+  /**
+   * Take hold modes from the settings service and follow changes
+   * @param {SettingsService} settings
+   */
+  useSettings(settings) {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+    }
+
+    for (const [key, action] of Object.entries(HOLD_MODE_SETTINGS)) {
+      this.setHoldMode(action, settings.get(key));
+    }
+
+    this.unsubscribeSettings = settings.subscribe((key, value) => {
+      if (HOLD_MODE_SETTINGS[key]) {
+        this.setHoldMode(HOLD_MODE_SETTINGS[key], value);
+      }
+    });
+  }
+
+  /**
+   * Set gamepad dead zones
+   * @param {{stick?: number, trigger?: number}} deadZones
+   */
+  setDeadZones(deadZones) {
+    this.gamepad.setDeadZones(deadZones);
+  }
+
+  /**
+   * @returns {boolean} True if a gamepad is connected
+   */
+  isGamepadConnected() {
+    return this.gamepad.isConnected();
   }
 
   /**
@@ -181,32 +483,126 @@ export class InputManager {
   }
 
   /**
-   * Get horizontal movement axis (-1, 0, or 1)
+   * Get horizontal movement axis (-1 to 1)
+   * Analog when the left stick is pushed past its dead zone, else -1, 0 or 1
    * @returns {number}
    */
   getHorizontalAxis() {
-    const left = this.isDown(ACTIONS.MOVE_LEFT) ? -1 : 0;
-    const right = this.isDown(ACTIONS.MOVE_RIGHT) ? 1 : 0;
-    return left + right;
+    return this.frame.horizontal;
   }
 
   /**
-   * Get vertical movement axis (-1, 0, or 1)
+   * Get vertical movement axis (-1 to 1)
    * -1 = up, 1 = down
    * @returns {number}
    */
   getVerticalAxis() {
-    const up = this.isDown(ACTIONS.JUMP) ? -1 : 0;
-    const down = this.isDown(ACTIONS.CROUCH) ? 1 : 0;
-    return up + down;
+    return this.frame.vertical;
+  }
+
+  /**
+   * Read the keyboard and gamepad into a new input frame
+   * Key edges are taken with JustDown/JustUp here, so every edge lands in
+   * exactly one frame whether or not gameplay reads it.
+   * @returns {object} Input frame (see createInputFrame)
+   */
+  sampleDevices() {
+    const frame = createInputFrame();
+    const { JustDown, JustUp } = Phaser.Input.Keyboard;
+
+    // Sample the gamepad once per frame so its press edges line up with the keyboard's
+    this.gamepad.update();
+
+    for (const action of this.bindings.getActions()) {
+      const keys = this.keys[action] || [];
+      // Read every key (no short-circuit) so no stale edge is left behind
+      const keyPressed = keys.filter((key) => JustDown(key)).length > 0;
+      const keyReleased = keys.filter((key) => JustUp(key)).length > 0;
+      const keyDown = keys.some((key) => key.isDown);
+      const padPressed = this.gamepad.justPressed(action);
+      const padReleased = this.gamepad.justReleased(action);
+      const down = keyDown || this.gamepad.isDown(action);
+
+      if (down) frame.down.add(action);
+      if (keyPressed || padPressed) frame.pressed.add(action);
+      if (keyReleased || padReleased) frame.released.add(action);
+
+      const value = keyDown ? 1 : this.gamepad.getActionValue(action);
+      if (value !== (down ? 1 : 0)) {
+        frame.values[action] = value;
+      }
+    }
+
+    const padHorizontal = this.gamepad.getHorizontalAxis();
+    frame.horizontal = padHorizontal !== 0 ? padHorizontal
+      : (frame.down.has(ACTIONS.MOVE_RIGHT) ? 1 : 0) - (frame.down.has(ACTIONS.MOVE_LEFT) ? 1 : 0);
+
+    const padVertical = this.gamepad.getVerticalAxis();
+    frame.vertical = padVertical !== 0 ? padVertical
+      : (frame.down.has(ACTIONS.CROUCH) ? 1 : 0) - (frame.down.has(ACTIONS.JUMP) ? 1 : 0);
+
+    return frame;
+  }
+
+  /**
+   * Switch to replay playback - devices are ignored until stopPlayback()
+   */
+  startPlayback() {
+    this.isPlayback = true;
+    this.fedFrame = null;
+    this.unreadPresses.clear();
+    this.unreadReleases.clear();
+    this.pressTimes.clear();
   }
 
   /**
-   * Update - call each frame to clean expired buffer entries
+   * Return to live keyboard/gamepad input
+   */
+  stopPlayback() {
+    this.isPlayback = false;
+    this.fedFrame = null;
+  }
+
+  /**
+   * Supply the input frame for the next update() during playback
+   * @param {object} frame - Input frame (see createInputFrame)
+   */
+  feedFrame(frame) {
+    this.fedFrame = frame;
+  }
+
+  /**
+   * @returns {object} The input frame sampled by the last update()
+   */
+  getFrame() {
+    return this.frame;
+  }
+
+  /**
+   * Update - call each frame to sample input and clean expired buffer entries
    * @param {number} time - Current game time
    * @param {number} maxAge - Max age of buffer entries in ms (default 200)
    */
   update(time, maxAge = 200) {
+    // Pick up rebinds made by another scene (e.g. the controls menu)
+    if (this.bindingsRevision !== this.bindings.revision) {
+      this.setupKeys();
+    }
+
+    if (this.isPlayback) {
+      // A missing frame means the replay ran out - treat it as all released
+      this.frame = this.fedFrame || createInputFrame();
+      this.fedFrame = null;
+    } else {
+      this.frame = this.sampleDevices();
+    }
+
+    for (const action of this.frame.pressed) {
+      this.unreadPresses.add(action);
+      this.pressTimes.set(action, time);
+    }
+    for (const action of this.frame.released) this.unreadReleases.add(action);
+
     // Remove expired buffer entries
     this.buffer = this.buffer.filter(entry =>
       (time - entry.timestamp) <= maxAge
@@ -224,7 +620,16 @@ export class InputManager {
    * Clean up when scene is destroyed
    */
   destroy() {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
     this.buffer = [];
     this.keys = {};
+    this.frame = createInputFrame();
+    this.unreadPresses.clear();
+    this.unreadReleases.clear();
+    this.pressTimes.clear();
+    this.gamepad.destroy();
   }
 }
@@ -0,0 +1,219 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * What Juggle.update() reports for a step
+ */
+export const JUGGLE_EVENT = Object.freeze({
+  LANDED: 'landed',               // Juggle over, back on the ground
+  WALL_BOUNCE: 'wall_bounce',
+  GROUND_BOUNCE: 'ground_bounce',
+});
+
+/**
+ * The knockback-shaping fields of an attack, for passing on to a hitbox
+ * or applyHit() next to damage and knockback
+ * @param {AttackData|object|null} attack
+ * @returns {{airKnockback: object|null, knockbackAngle: number|null, launches: boolean, wallBounce: boolean, groundBounce: boolean}}
+ */
+export function getLaunchProperties(attack) {
+  return {
+    airKnockback: attack?.airKnockback ?? null,
+    knockbackAngle: attack?.knockbackAngle ?? null,
+    launches: attack?.launches ?? false,
+    wallBounce: attack?.wallBounce ?? false,
+    groundBounce: attack?.groundBounce ?? false,
+  };
+}
+
+/**
+ * Work out a hit's knockback velocity
+ * The attack's vectors give the strength (x away from the attacker, y as
+ * in Phaser - negative is up); knockbackAngle, when set, replaces their
+ * direction: 0 is straight away, 90 straight up, -90 straight down.
+ * @param {object} hit - { knockback, airKnockback?, knockbackAngle? }
+ * @param {number} direction - -1 or 1, which way "away" is
+ * @param {boolean} airborne - Use airKnockback when the attack has one
+ * @returns {{x: number, y: number}}
+ */
+export function resolveKnockbackVector(hit, direction, airborne) {
+  const base = (airborne && hit.airKnockback) || hit.knockback || { x: 0, y: 0 };
+
+  if (hit.knockbackAngle === null || hit.knockbackAngle === undefined) {
+    return { x: direction * Math.abs(base.x), y: base.y };
+  }
+
+  const strength = Math.hypot(base.x, base.y);
+  const radians = (hit.knockbackAngle * Math.PI) / 180;
+  return {
+    x: direction * Math.cos(radians) * strength,
+    y: -Math.sin(radians) * strength,
+  };
+}
+
+/**
+ * Juggle - Air combo tracking for one entity
+ *
+ * A launcher, or any hit while airborne, starts a juggle. Every hit in it
+ * adds gravity so the target comes down sooner, and past the juggle limit
+ * hits stop carrying it up and it drops out. Landing ends the juggle and
+ * restores gravity.
+ * Also holds the wall/ground bounce an attack armed (AttackData.wallBounce,
+ * groundBounce) until the target hits a wall or the floor, or it runs out.
+ *
+ * Enemies and bosses own one, fed from their stats:
+ *   - juggleLimit: airborne hits before dropping out (COMBAT.JUGGLE.LIMIT)
+ *   - launchResistance: 0-1 share of launch height shrugged off
+ *     (1 can't be launched)
+ * CombatManager calls onHit(); the owner calls update() every step.
+ */
+export class Juggle {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.limit]
+   * @param {number} [config.launchResistance=0]
+   */
+  constructor(config = {}) {
+    this.limit = config.limit ?? COMBAT.JUGGLE.LIMIT;
+    this.launchResistance = config.launchResistance ?? 0;
+
+    this.active = false;
+    this.hits = 0;
+    this.leftGround = false;
+    this.groundedTime = 0;
+    this.baseGravityY = 0;
+
+    this.wallBounce = false;
+    this.groundBounce = false;
+    this.bounceTimer = 0;
+
+    // Velocity at the end of last step - collisions zero it before we see them
+    this.lastVelocity = { x: 0, y: 0 };
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isJuggled() {
+    return this.active;
+  }
+
+  /**
+   * Shape a hit's knockback for the juggle, and start or continue it
+   * Sets hitData.launches (false if resisted), juggleHits and juggleDropped.
+   * @param {object} hitData - knockback already resolved; launches, airborne, wallBounce, groundBounce
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  onHit(hitData, body) {
+    const knockback = hitData.knockback;
+    const launches = Boolean(hitData.launches) && this.launchResistance < 1;
+
+    if (hitData.launches && knockback.y < 0) {
+      knockback.y *= 1 - Math.min(1, this.launchResistance);
+    }
+
+    if (launches || hitData.airborne) {
+      if (!this.active) this.start(body);
+      this.hits++;
+
+      if (this.hits > this.limit) {
+        // Out of juggle - no more lift, straight down
+        knockback.y = Math.max(knockback.y, COMBAT.JUGGLE.DROP_VELOCITY);
+        hitData.juggleDropped = true;
+      }
+
+      const { GRAVITY_SCALING, MAX_GRAVITY_SCALE } = COMBAT.JUGGLE;
+      const scale = Math.min(MAX_GRAVITY_SCALE, 1 + GRAVITY_SCALING * (this.hits - 1));
+      body.setGravityY(this.baseGravityY * scale);
+    }
+
+    hitData.launches = launches && !hitData.juggleDropped;
+    hitData.juggleHits = this.hits;
+
+    // What the hit sets - a spike into the floor has already stopped by next step
+    this.lastVelocity.x = knockback.x;
+    this.lastVelocity.y = knockback.y;
+
+    if (hitData.wallBounce || hitData.groundBounce) {
+      this.wallBounce = Boolean(hitData.wallBounce);
+      this.groundBounce = Boolean(hitData.groundBounce);
+      this.bounceTimer = COMBAT.BOUNCE.WINDOW;
+    }
+  }
+
+  /**
+   * Bounces and landing
+   * @param {number} delta - Scaled step length in ms
+   * @param {Phaser.Physics.Arcade.Body} body
+   * @returns {string|null} JUGGLE_EVENT value, or null
+   */
+  update(delta, body) {
+    const { BOUNCE } = COMBAT;
+    const onFloor = body.blocked.down || body.touching.down;
+    let event = null;
+
+    if (this.bounceTimer > 0) {
+      this.bounceTimer = Math.max(0, this.bounceTimer - delta);
+      if (this.bounceTimer === 0) {
+        this.wallBounce = false;
+        this.groundBounce = false;
+      }
+    }
+
+    // Knocked into a wall - back off it with a little lift
+    const hitWall = (body.blocked.left && this.lastVelocity.x < 0) || (body.blocked.right && this.lastVelocity.x > 0);
+    if (this.wallBounce && hitWall && Math.abs(this.lastVelocity.x) >= BOUNCE.MIN_WALL_SPEED) {
+      this.wallBounce = false;
+      body.setVelocity(-this.lastVelocity.x * BOUNCE.WALL_RESTITUTION, BOUNCE.WALL_LIFT);
+      event = JUGGLE_EVENT.WALL_BOUNCE;
+    } else if (this.groundBounce && onFloor && this.lastVelocity.y >= BOUNCE.MIN_GROUND_SPEED) {
+      // Spiked into the floor - back up into the air, still juggled
+      this.groundBounce = false;
+      if (!this.active) this.start(body);
+      this.leftGround = false;
+      this.groundedTime = 0;
+      body.setVelocityY(-this.lastVelocity.y * BOUNCE.GROUND_RESTITUTION);
+      event = JUGGLE_EVENT.GROUND_BOUNCE;
+    } else if (this.active) {
+      if (!onFloor) {
+        this.leftGround = true;
+        this.groundedTime = 0;
+      } else {
+        this.groundedTime += delta;
+        if (this.leftGround || this.groundedTime > COMBAT.JUGGLE.LAUNCH_GRACE) {
+          this.end(body);
+          event = JUGGLE_EVENT.LANDED;
+        }
+      }
+    }
+
+    this.lastVelocity.x = body.velocity.x;
+    this.lastVelocity.y = body.velocity.y;
+    return event;
+  }
+
+  /**
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  start(body) {
+    this.active = true;
+    this.hits = 0;
+    this.leftGround = false;
+    this.groundedTime = 0;
+    this.baseGravityY = body.gravity.y;
+  }
+
+  /**
+   * End the juggle and put gravity back
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  end(body) {
+    if (this.active) {
+      body.setGravityY(this.baseGravityY);
+    }
+    this.active = false;
+    this.hits = 0;
+    this.wallBounce = false;
+    this.groundBounce = false;
+    this.bounceTimer = 0;
+  }
+}
@@ -0,0 +1,391 @@
+import { ENEMY_PRESETS } from '../entities/Enemy.js';
+import { CLEANUP_MODE } from './CorpseManager.js';
+
+/**
+ * Registered level keys - each maps to a Tiled JSON file in assets/tilemaps/
+ */
+export const LEVELS = Object.freeze({
+  TEST_ARENA: 'test_arena',
+  TEST_CORRIDOR: 'test_corridor',
+});
+
+/**
+ * Layer names the loader looks for in a Tiled map
+ */
+export const LEVEL_LAYERS = Object.freeze({
+  GROUND: 'ground',         // Tile layer - solid ground and walls (one body per tile)
+  PLATFORMS: 'platforms',   // Tile layer - platforms (horizontal runs merged into one body)
+});
+
+/**
+ * Object types recognised in object layers
+ * Tiled 1.9+ writes the type as `class`, older versions as `type` - both are accepted
+ */
+export const LEVEL_OBJECTS = Object.freeze({
+  PLAYER_SPAWN: 'player_spawn',
+  ENEMY_SPAWN: 'enemy_spawn',
+  BOSS_TRIGGER: 'boss_trigger',
+  CORPSE_SETTINGS: 'corpse_settings',
+  EXIT: 'exit',
+});
+
+/**
+ * How an exit zone is used
+ */
+export const EXIT_KIND = Object.freeze({
+  EDGE: 'edge',   // Walking into the zone transitions immediately
+  DOOR: 'door',   // Player must press INTERACT inside the zone
+});
+
+/**
+ * Placeholder textures used for each tile layer
+ */
+const LAYER_TEXTURES = Object.freeze({
+  [LEVEL_LAYERS.GROUND]: 'ground_placeholder',
+  [LEVEL_LAYERS.PLATFORMS]: 'platform_placeholder',
+});
+
+/**
+ * LevelLoader - Reads Tiled-format JSON maps and builds level geometry
+ *
+ * Parsing is pure (no Phaser) so maps can be validated in tests.
+ * Building produces the same `ground`/`platforms` static groups that
+ * Player.addCollider, CorpseManager.setTerrain and CorpseGrid consume.
+ */
+export class LevelLoader {
+  /**
+   * @param {Phaser.Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+  }
+
+  /**
+   * Get the asset path for a level key
+   * @param {string} levelKey
+   * @returns {string}
+   */
+  static getMapPath(levelKey) {
+    return `assets/tilemaps/${levelKey}.json`;
+  }
+
+  /**
+   * Parse a Tiled JSON map into a level description
+   * @param {object} mapData - Raw Tiled JSON
+   * @returns {object} Parsed level
+   * @throws {Error} If the map is malformed or uses unsupported Tiled features
+   */
+  static parse(mapData) {
+    if (!mapData || typeof mapData !== 'object') {
+      throw new Error('Level map must be a Tiled JSON object');
+    }
+    if (mapData.infinite) {
+      throw new Error('Infinite Tiled maps are not supported');
+    }
+
+    const tileWidth = mapData.tilewidth;
+    const tileHeight = mapData.tileheight;
+    if (!(tileWidth > 0) || !(tileHeight > 0) || !(mapData.width > 0) || !(mapData.height > 0)) {
+      throw new Error('Level map is missing width/height/tilewidth/tileheight');
+    }
+    if (!Array.isArray(mapData.layers)) {
+      throw new Error('Level map has no layers array');
+    }
+
+    const level = {
+      width: mapData.width * tileWidth,
+      height: mapData.height * tileHeight,
+      tileWidth,
+      tileHeight,
+      properties: LevelLoader.readProperties(mapData.properties),
+      ground: [],
+      platforms: [],
+      playerSpawn: null,
+      enemySpawns: [],
+      bossTriggers: [],
+      corpseSettings: null,
+      exits: [],
+    };
+
+    for (const layer of LevelLoader.flattenLayers(mapData.layers)) {
+      if (layer.type === 'tilelayer') {
+        LevelLoader.parseTileLayer(layer, mapData, level);
+      } else if (layer.type === 'objectgroup') {
+        LevelLoader.parseObjectLayer(layer, level);
+      }
+    }
+
+    if (!level.playerSpawn) {
+      throw new Error(`Level map has no ${LEVEL_OBJECTS.PLAYER_SPAWN} object`);
+    }
+
+    return level;
+  }
+
+  /**
+   * Flatten Tiled group layers, applying group offsets to children
+   * @param {object[]} layers
+   * @param {number} [offsetX=0]
+   * @param {number} [offsetY=0]
+   * @returns {object[]}
+   */
+  static flattenLayers(layers, offsetX = 0, offsetY = 0) {
+    const result = [];
+    for (const layer of layers) {
+      const x = offsetX + (layer.offsetx || 0);
+      const y = offsetY + (layer.offsety || 0);
+      if (layer.type === 'group') {
+        result.push(...LevelLoader.flattenLayers(layer.layers || [], x, y));
+      } else {
+        result.push({ ...layer, offsetx: x, offsety: y });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convert a Tiled properties array into a plain object
+   * @param {Array<{name: string, value: *}>} [properties]
+   * @returns {object}
+   */
+  static readProperties(properties) {
+    const result = {};
+    if (!Array.isArray(properties)) return result;
+    for (const prop of properties) {
+      result[prop.name] = prop.value;
+    }
+    return result;
+  }
+
+  /**
+   * Parse a tile layer into ground tiles or merged platform rects
+   * @param {object} layer
+   * @param {object} mapData
+   * @param {object} level - Level being built (mutated)
+   */
+  static parseTileLayer(layer, mapData, level) {
+    const name = (layer.name || '').toLowerCase();
+    if (name !== LEVEL_LAYERS.GROUND && name !== LEVEL_LAYERS.PLATFORMS) {
+      // Decorative layers are ignored by the loader
+      return;
+    }
+    if (!Array.isArray(layer.data)) {
+      throw new Error(`Tile layer "${layer.name}" must use CSV/array encoding`);
+    }
+
+    const cols = layer.width || mapData.width;
+    const rows = layer.height || mapData.height;
+    const { tileWidth, tileHeight } = level;
+    const ox = layer.offsetx || 0;
+    const oy = layer.offsety || 0;
+
+    for (let row = 0; row < rows; row++) {
+      let runStart = -1;
+
+      for (let col = 0; col <= cols; col++) {
+        const filled = col < cols && layer.data[row * cols + col] > 0;
+
+        if (name === LEVEL_LAYERS.GROUND) {
+          if (filled) {
+            level.ground.push({
+              x: ox + col * tileWidth + tileWidth / 2,
+              y: oy + row * tileHeight + tileHeight / 2,
+              width: tileWidth,
+              height: tileHeight,
+            });
+          }
+          continue;
+        }
+
+        // Platforms: merge horizontal runs of tiles into a single body
+        if (filled && runStart < 0) {
+          runStart = col;
+        } else if (!filled && runStart >= 0) {
+          const runWidth = (col - runStart) * tileWidth;
+          level.platforms.push({
+            x: ox + runStart * tileWidth + runWidth / 2,
+            y: oy + row * tileHeight + tileHeight / 2,
+            width: runWidth,
+            height: tileHeight,
+          });
+          runStart = -1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse an object layer for spawns, boss triggers, exits and corpse settings
+   * @param {object} layer
+   * @param {object} level - Level being built (mutated)
+   */
+  static parseObjectLayer(layer, level) {
+    const ox = layer.offsetx || 0;
+    const oy = layer.offsety || 0;
+
+    for (const obj of layer.objects || []) {
+      const type = obj.class || obj.type;
+      const props = LevelLoader.readProperties(obj.properties);
+      const width = obj.width || 0;
+      const height = obj.height || 0;
+      // Spawn points use the object's center (points have zero size)
+      const x = ox + obj.x + width / 2;
+      const y = oy + obj.y + height / 2;
+
+      switch (type) {
+        case LEVEL_OBJECTS.PLAYER_SPAWN:
+          level.playerSpawn = { x, y };
+          break;
+
+        case LEVEL_OBJECTS.ENEMY_SPAWN: {
+          const enemyType = props.enemyType || obj.name;
+          if (!ENEMY_PRESETS[enemyType]) {
+            console.warn(`Level: unknown enemy type "${enemyType}" (object ${obj.id}), skipping`);
+            break;
+          }
+          level.enemySpawns.push({ x, y, type: enemyType });
+          break;
+        }
+
+        case LEVEL_OBJECTS.BOSS_TRIGGER: {
+          const bossId = props.boss || obj.name;
+          if (!bossId) {
+            console.warn(`Level: boss trigger ${obj.id} has no boss id, skipping`);
+            break;
+          }
+          level.bossTriggers.push({
+            id: obj.id,
+            bossId,
+            x: ox + obj.x,
+            y: oy + obj.y,
+            width,
+            height,
+            spawnX: props.spawnX ?? x,
+            spawnY: props.spawnY ?? y,
+          });
+          break;
+        }
+
+        case LEVEL_OBJECTS.CORPSE_SETTINGS:
+          level.corpseSettings = LevelLoader.parseCorpseSettings(props);
+          break;
+
+        case LEVEL_OBJECTS.EXIT: {
+          // Exit names are matched against the world graph, so they are required
+          if (!obj.name) {
+            console.warn(`Level: exit ${obj.id} has no name, skipping`);
+            break;
+          }
+          const kind = props.kind || EXIT_KIND.EDGE;
+          if (!Object.values(EXIT_KIND).includes(kind)) {
+            console.warn(`Level: exit "${obj.name}" has unknown kind "${kind}", skipping`);
+            break;
+          }
+          level.exits.push({
+            name: obj.name,
+            kind,
+            x: ox + obj.x,
+            y: oy + obj.y,
+            width,
+            height,
+            // Where the player appears when entering the room through this exit
+            spawnX: props.spawnX ?? x,
+            spawnY: props.spawnY ?? y,
+          });
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Find an exit by name
+   * @param {object} level - Parsed level
+   * @param {string} name
+   * @returns {object|null}
+   */
+  static getExit(level, name) {
+    return level.exits.find((exit) => exit.name === name) || null;
+  }
+
+  /**
+   * Convert corpse_settings properties into CorpseManager config
+   * A maxCorpses of 0 or less means unlimited (JSON cannot store Infinity)
+   * @param {object} props
+   * @returns {object}
+   */
+  static parseCorpseSettings(props) {
+    const settings = {};
+
+    if (props.maxCorpses !== undefined) {
+      settings.maxCorpses = props.maxCorpses > 0 ? props.maxCorpses : Infinity;
+    }
+    if (props.cleanupMode !== undefined) {
+      if (Object.values(CLEANUP_MODE).includes(props.cleanupMode)) {
+        settings.cleanupMode = props.cleanupMode;
+      } else {
+        console.warn(`Level: unknown corpse cleanupMode "${props.cleanupMode}", using default`);
+      }
+    }
+    if (props.decayEnabled !== undefined) {
+      settings.decayEnabled = !!props.decayEnabled;
+    }
+    if (props.decayTime !== undefined) {
+      settings.decayTime = props.decayTime;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Load a level from the JSON cache (loaded by PreloadScene)
+   * @param {string} levelKey
+   * @returns {object|null} Parsed level, or null if the map is missing
+   */
+  load(levelKey) {
+    const mapData = this.scene.cache.json.get(levelKey);
+    if (!mapData) {
+      console.warn(`Level "${levelKey}" not found in cache`);
+      return null;
+    }
+    return LevelLoader.parse(mapData);
+  }
+
+  /**
+   * Build static physics groups for a parsed level
+   * @param {object} level - Result of LevelLoader.parse
+   * @returns {{ground: Phaser.Physics.Arcade.StaticGroup, platforms: Phaser.Physics.Arcade.StaticGroup}}
+   */
+  build(level) {
+    const ground = this.scene.physics.add.staticGroup();
+    for (const tile of level.ground) {
+      this.createStaticRect(ground, tile, LAYER_TEXTURES[LEVEL_LAYERS.GROUND]);
+    }
+
+    const platforms = this.scene.physics.add.staticGroup();
+    for (const rect of level.platforms) {
+      this.createStaticRect(platforms, rect, LAYER_TEXTURES[LEVEL_LAYERS.PLATFORMS]);
+    }
+
+    return { ground, platforms };
+  }
+
+  /**
+   * Create a static body sized to a level rect
+   * @param {Phaser.Physics.Arcade.StaticGroup} group
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   * @param {string} texture
+   * @returns {Phaser.Physics.Arcade.Sprite}
+   */
+  createStaticRect(group, rect, texture) {
+    const block = group.create(rect.x, rect.y, texture);
+    if (block.width !== rect.width || block.height !== rect.height) {
+      block.setDisplaySize(rect.width, rect.height);
+      block.refreshBody();
+    }
+    return block;
+  }
+}
@@ -1,6 +1,18 @@
 import { State } from './StateMachine.js';
 import { PHYSICS } from '../utils/physics.js';
+import { TIMING } from '../utils/timing.js';
+import { COMBAT } from '../utils/combat.js';
 import { ACTIONS } from './InputManager.js';
+import { ComboGraph, COMBO_INPUT, getHeldDirections } from '../weapons/ComboGraph.js';
+import { getSpecialBehavior } from '../weapons/SpecialMoves.js';
+import { TEAM } from './CombatBox.js';
+import { getLaunchProperties } from './Knockback.js';
+import { GUARD_RESULT, isHitInFront } from './Guard.js';
+import { GRAB_TARGET, GRAB_WEIGHT, canGrab, getGrabWeight, getThrowVelocity, getThrowDamage } from './Grab.js';
+import { ENEMY_PRESETS } from '../entities/Enemy.js';
+import { CORPSE_STATE } from '../entities/Corpse.js';
+import { PROJECTILE_EXPIRE } from '../entities/Projectile.js';
+import { CUE } from '../utils/palette.js';
 
 /**
  * Player state names - use these constants to avoid typos
@@ -11,12 +23,9 @@ export const PLAYER_STATES = Object.freeze({
   JUMP: 'jump',
   FALL: 'fall',
   LAND: 'land',
-  // Combat states
-  ATTACK_LIGHT_1: 'attack_light_1',
-  ATTACK_LIGHT_2: 'attack_light_2',
-  ATTACK_LIGHT_3: 'attack_light_3',
-  ATTACK_HEAVY: 'attack_heavy',
-  ATTACK_AIR: 'attack_air',
+  // Combat states - one attack state; which attack comes from the weapon's combo graph
+  ATTACK: 'attack',
+  SPECIAL: 'special',
   // Movement abilities
   FLIP: 'flip',
   DIVE_KICK: 'dive_kick',
@@ -32,14 +41,25 @@ export const PLAYER_STATES = Object.freeze({
   GRAPPLE_PULL: 'grapple_pull',
   // Wall mechanics
   WALL_SLIDE: 'wall_slide',
+  // Defense
+  BLOCK: 'block',
+  GUARD_CRUSH: 'guard_crush',
+  // Grab and throw
+  GRAB: 'grab',
+  HOLD: 'hold',
   // Weapon-specific states
-  PARRY: 'parry',
   COUNTER_ATTACK: 'counter_attack',
   WEAPON_SWAP: 'weapon_swap',
   // Ultimate
   ULTIMATE: 'ultimate',
 });
 
+// Button pressed for each combo input
+const COMBO_ACTIONS = Object.freeze({
+  [COMBO_INPUT.LIGHT]: ACTIONS.ATTACK_LIGHT,
+  [COMBO_INPUT.HEAVY]: ACTIONS.ATTACK_HEAVY,
+});
+
 /**
  * Base class for player states with common helpers
  */
@@ -60,6 +80,14 @@ class PlayerState extends State {
     return this.player.sprite.body;
   }
 
+  /**
+   * Scene clock time (ms)
+   * Used instead of performance.now() so replays drive the same timings
+   */
+  get now() {
+    return this.player.scene.time.now;
+  }
+
   /**
    * Handle horizontal movement (common to most states)
    */
@@ -85,6 +113,57 @@ class PlayerState extends State {
            this.input.consumeBuffered(ACTIONS.JUMP, time, PHYSICS.PLAYER.JUMP_BUFFER);
   }
 
+  /**
+   * Directions held on the movement axes, relative to facing
+   * @returns {Set<string>} COMBO_DIRECTION values
+   */
+  getHeldDirections() {
+    return getHeldDirections(this.input.getHorizontalAxis(), this.input.getVerticalAxis(), this.player.facingRight);
+  }
+
+  /**
+   * Take the first combo edge whose direction is held and whose button was
+   * pressed - presses are only consumed by an edge that uses them
+   * @param {object[]} edges - From ComboGraph.getStarters() or getRoutes()
+   * @param {boolean} air - Whether the attack is an air attack
+   * @returns {{state: string, params: object, edge: object}|null} Transition into the edge's attack
+   */
+  takeComboEdge(edges, air) {
+    const edge = ComboGraph.pick(edges, this.getHeldDirections(),
+      (input) => this.input.justPressed(COMBO_ACTIONS[input]));
+    if (!edge) return null;
+    return { state: PLAYER_STATES.ATTACK, params: { attack: edge.to, air }, edge };
+  }
+
+  /**
+   * Start an attack from neutral using the current weapon's starters
+   * @param {boolean} air - Use the air starters
+   * @returns {{state: string, params: object}|null}
+   */
+  checkAttackStart(air) {
+    const graph = this.player.getCurrentWeapon()?.comboGraph;
+    if (!graph) return null;
+    return this.takeComboEdge(graph.getStarters(air), air);
+  }
+
+  /**
+   * Start the current weapon's special move if it can be used here and now
+   * A press while it's on cooldown or unaffordable is used up, not buffered.
+   * @param {boolean} air - Whether the player is in the air
+   * @returns {string|null} SPECIAL or null
+   */
+  checkSpecialStart(air) {
+    const move = this.player.getCurrentWeapon()?.specialMove;
+    if (!move || !(air ? move.air : move.ground)) return null;
+    if (!this.input.justPressed(ACTIONS.SPECIAL)) return null;
+
+    if (!this.player.canUseSpecial()) {
+      this.player.scene.events.emit('special:unavailable', { player: this.player });
+      return null;
+    }
+    return PLAYER_STATES.SPECIAL;
+  }
+
   /**
    * Set player invulnerability
    * @param {boolean} invulnerable
@@ -141,15 +220,9 @@ export class IdleState extends PlayerState {
       return PLAYER_STATES.JUMP;
     }
 
-    // Light attack
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT)) {
-      return PLAYER_STATES.ATTACK_LIGHT_1;
-    }
-
-    // Heavy attack
-    if (this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_HEAVY;
-    }
+    // Attacks (light, heavy and any directional starters)
+    const attack = this.checkAttackStart(false);
+    if (attack) return attack;
 
     // Flip
     if (this.input.justPressed(ACTIONS.FLIP)) {
@@ -188,12 +261,15 @@ export class IdleState extends PlayerState {
       return PLAYER_STATES.ULTIMATE;
     }
 
-    // Parry (weapon-specific - only if weapon has parry mechanic)
-    const weapon = this.player.getCurrentWeapon();
-    if (weapon?.mechanics?.parry && this.input.justPressed(ACTIONS.SPECIAL)) {
-      return PLAYER_STATES.PARRY;
+    // Block (parry weapons parry from the same guard)
+    if (this.input.justPressed(ACTIONS.BLOCK) && this.player.guard.canBlock()) {
+      return PLAYER_STATES.BLOCK;
     }
 
+    // Special move
+    const special = this.checkSpecialStart(false);
+    if (special) return special;
+
     return null;
   }
 }
@@ -235,15 +311,9 @@ export class RunState extends PlayerState {
       return PLAYER_STATES.JUMP;
     }
 
-    // Light attack
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT)) {
-      return PLAYER_STATES.ATTACK_LIGHT_1;
-    }
-
-    // Heavy attack
-    if (this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_HEAVY;
-    }
+    // Attacks (light, heavy and any directional starters)
+    const attack = this.checkAttackStart(false);
+    if (attack) return attack;
 
     // Flip
     if (this.input.justPressed(ACTIONS.FLIP)) {
@@ -282,12 +352,15 @@ export class RunState extends PlayerState {
       return PLAYER_STATES.ULTIMATE;
     }
 
-    // Parry (weapon-specific - only if weapon has parry mechanic)
-    const weapon = this.player.getCurrentWeapon();
-    if (weapon?.mechanics?.parry && this.input.justPressed(ACTIONS.SPECIAL)) {
-      return PLAYER_STATES.PARRY;
+    // Block (parry weapons parry from the same guard)
+    if (this.input.justPressed(ACTIONS.BLOCK) && this.player.guard.canBlock()) {
+      return PLAYER_STATES.BLOCK;
     }
 
+    // Special move
+    const special = this.checkSpecialStart(false);
+    if (special) return special;
+
     return null;
   }
 }
@@ -360,10 +433,12 @@ export class JumpState extends PlayerState {
     }
 
     // Air attack
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT) ||
-        this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_AIR;
-    }
+    const attack = this.checkAttackStart(true);
+    if (attack) return attack;
+
+    // Air special
+    const special = this.checkSpecialStart(true);
+    if (special) return special;
 
     // Flip
     if (this.input.justPressed(ACTIONS.FLIP)) {
@@ -429,10 +504,12 @@ export class FallState extends PlayerState {
     }
 
     // Air attack
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT) ||
-        this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_AIR;
-    }
+    const attack = this.checkAttackStart(true);
+    if (attack) return attack;
+
+    // Air special
+    const special = this.checkSpecialStart(true);
+    if (special) return special;
 
     // Flip
     if (this.input.justPressed(ACTIONS.FLIP)) {
@@ -511,17 +588,26 @@ export class LandState extends PlayerState {
 }
 
 /**
- * Base class for attack states - reads from weapon data
+ * Attack State - plays any attack of the current weapon
+ *
+ * Which attack comes from the weapon's combo graph: idle/run/jump/fall start
+ * one through checkAttackStart(), and during the cancel part of recovery the
+ * attack's own combo edges lead on to the next, re-entering this state with
+ * { attack, air } params. A 5-hit chain or a down+heavy launcher is weapon
+ * data, not a new state.
  */
-class AttackState extends PlayerState {
+export class AttackState extends PlayerState {
   /**
-   * @param {string} name - State name
    * @param {StateMachine} stateMachine
-   * @param {string} attackType - 'light1', 'light2', 'light3', 'heavy', 'air'
+   * @param {string} [name] - For states built on this one (SpecialState)
    */
-  constructor(name, stateMachine, attackType) {
+  constructor(stateMachine, name = PLAYER_STATES.ATTACK) {
     super(name, stateMachine);
-    this.attackType = attackType;
+
+    // Set from params in enter()
+    this.attackType = null;
+    this.isAirAttack = false;
+    this.timingBonus = { damageMultiplier: 1, critical: false };
 
     // These will be populated from weapon data in enter()
     this.attackData = null;
@@ -535,13 +621,24 @@ class AttackState extends PlayerState {
     // Track real elapsed time by accumulating actual frame time
     this.realElapsedTime = 0;
     this.lastUpdateTime = 0;
+    this.elapsedSteps = 0;
   }
 
-  enter(prevState, params) {
+  /**
+   * @param {string} prevState
+   * @param {{attack: string, air?: boolean, timing?: string}} params - Attack
+   *   name in the current weapon; air defaults to whether the player is off
+   *   the ground; timing is the TIMING_GRADE of the link that started it
+   */
+  enter(prevState, params = {}) {
+    this.attackType = params.attack ?? 'light1';
+    this.isAirAttack = params.air ?? !this.body.onFloor();
+    this.timingBonus = this.player.timing.getBonus(params.timing ?? null);
     this.hitboxActivated = false;
     // Reset time tracking - use accumulation with capped deltas
     this.realElapsedTime = 0;
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = this.now;
+    this.elapsedSteps = 0;
 
     // Get attack data from current weapon
     this.attackData = this.player.getAttackData(this.attackType);
@@ -557,21 +654,32 @@ class AttackState extends PlayerState {
       this.totalDuration = this.startupTime + this.activeTime + this.recoveryTime;
     }
 
+    // Phases are counted in whole simulation steps so frame data is exact
+    this.startupSteps = TIMING.msToSteps(this.startupTime);
+    this.activeEndSteps = this.startupSteps + TIMING.msToSteps(this.activeTime);
+    this.totalSteps = TIMING.msToSteps(this.totalDuration);
+
     // Stop horizontal movement (slight momentum)
     this.body.setVelocityX(this.body.velocity.x * 0.3);
   }
 
   update(time, delta) {
+    // Air attacks end on landing
+    if (this.isAirAttack && this.body.onFloor()) {
+      return PLAYER_STATES.LAND;
+    }
+
     // Calculate real elapsed time by tracking actual frame intervals
     // This handles hitstop (update not called) and slowmo (delta is scaled) correctly
-    const now = performance.now();
+    const now = this.now;
     const rawDelta = now - this.lastUpdateTime;
     this.lastUpdateTime = now;
 
     // Cap delta to handle pauses (hitstop, tab switch, etc.) - max 50ms per frame
     const cappedDelta = Math.min(rawDelta, 50);
     this.realElapsedTime += cappedDelta;
-    const realElapsedTime = this.realElapsedTime;
+    const elapsedSteps = TIMING.msToSteps(this.realElapsedTime);
+    this.elapsedSteps = elapsedSteps;
 
     // Maintain floor contact to prevent ground clipping during attacks
     if (this.body.onFloor()) {
@@ -579,7 +687,7 @@ class AttackState extends PlayerState {
     }
 
     // Movement ability cancels (after startup)
-    if (realElapsedTime > this.startupTime) {
+    if (elapsedSteps > this.startupSteps) {
       if (this.input.justPressed(ACTIONS.FLIP)) {
         return PLAYER_STATES.FLIP;
       }
@@ -589,38 +697,15 @@ class AttackState extends PlayerState {
     }
 
     // Phase: Startup
-    if (realElapsedTime < this.startupTime) {
+    if (elapsedSteps < this.startupSteps) {
       return null;
     }
 
     // Phase: Active - hitbox on
-    if (realElapsedTime < this.startupTime + this.activeTime) {
+    if (elapsedSteps < this.activeEndSteps) {
       if (!this.hitboxActivated) {
         this.hitboxActivated = true;
-        if (this.attackData) {
-          this.player.activateAttackHitbox({
-            damage: this.attackData.damage,
-            knockback: this.attackData.knockback,
-            hitstun: this.attackData.hitstun,
-            hitstop: this.attackData.hitstop,
-            width: this.attackData.hitbox.width,
-            height: this.attackData.hitbox.height,
-            offsetX: this.attackData.hitbox.offsetX,
-            offsetY: this.attackData.hitbox.offsetY,
-          });
-        } else {
-          // Fallback hitbox when no weapon data available
-          this.player.activateAttackHitbox({
-            damage: 10,
-            knockback: { x: 200, y: -100 },
-            hitstun: 150,
-            hitstop: 40,
-            width: 50,
-            height: 40,
-            offsetX: 35,
-            offsetY: 0,
-          });
-        }
+        this.activateHitbox();
       }
       return null;
     }
@@ -631,30 +716,101 @@ class AttackState extends PlayerState {
       this.hitboxActivated = false;
     }
 
-    // Check for combo input during cancel window
-    const recoveryProgress = (realElapsedTime - this.startupTime - this.activeTime) / this.recoveryTime;
-    const cancelThreshold = this.attackData?.cancelWindow || 0.6;
-
-    if (recoveryProgress < cancelThreshold) {
-      const nextState = this.checkComboInput();
-      if (nextState) return nextState;
-    }
+    // Check for combo input during each edge's window
+    const recoveryProgress = (elapsedSteps - this.activeEndSteps) / Math.max(1, this.totalSteps - this.activeEndSteps);
+    const nextState = this.checkComboInput(recoveryProgress);
+    if (nextState) return nextState;
 
-    // Attack complete (use real elapsed time from performance.now())
-    if (realElapsedTime >= this.totalDuration) {
+    // Attack complete (use real elapsed time from the scene clock)
+    if (elapsedSteps >= this.totalSteps) {
       return this.getExitState();
     }
 
     return null;
   }
 
+  /**
+   * Turn the attack hitbox on - called on the first active frame
+   */
+  activateHitbox() {
+    if (this.attackData) {
+      this.player.activateAttackHitbox({
+        damage: Math.round(this.attackData.damage * this.timingBonus.damageMultiplier),
+        poiseDamage: this.attackData.poiseDamage,
+        knockback: this.attackData.knockback,
+        hitstun: this.attackData.hitstun,
+        hitstop: this.attackData.hitstop,
+        statusEffects: this.attackData.statusEffects,
+        isCritical: this.timingBonus.critical,
+        ...getLaunchProperties(this.attackData),
+        width: this.attackData.hitbox.width,
+        height: this.attackData.hitbox.height,
+        offsetX: this.attackData.hitbox.offsetX,
+        offsetY: this.attackData.hitbox.offsetY,
+      });
+    } else {
+      // Fallback hitbox when no weapon data available
+      this.player.activateAttackHitbox({
+        damage: 10,
+        knockback: { x: 200, y: -100 },
+        hitstun: 150,
+        hitstop: 40,
+        width: 50,
+        height: 40,
+        offsetX: 35,
+        offsetY: 0,
+      });
+    }
+  }
+
   /**
    * Check for combo follow-up input
-   * @returns {string|null} Next state or null
+   * @param {number} recoveryProgress - 0-1 through recovery
+   * @returns {{state: string, params: object}|null} Transition into the next attack
    */
-  checkComboInput() {
-    // Override in subclasses
-    return null;
+  checkComboInput(recoveryProgress) {
+    const graph = this.player.getCurrentWeapon()?.comboGraph;
+    if (!graph) return null;
+
+    const next = this.takeComboEdge(graph.getRoutes(this.attackType, recoveryProgress), this.isAirAttack);
+    if (next) {
+      next.params.timing = this.gradeLink(next.edge);
+    }
+    return next;
+  }
+
+  /**
+   * Grade the press that took a combo edge against the moment this attack's
+   * cancel window opened (see TimingEvaluator)
+   * The cancel window (AttackData.cancelWindow) runs from the start of
+   * recovery, so every link is graded from there - an edge with a later
+   * window of its own doesn't move the perfect press.
+   * @param {object} edge - Combo edge out of this attack
+   * @returns {string} TIMING_GRADE value
+   */
+  gradeLink(edge) {
+    const opensAt = TIMING.stepsToMs(this.activeEndSteps);
+
+    // Presses wait unread, so one made during startup is only taken now
+    const pressTime = this.input.getPressTime(COMBO_ACTIONS[edge.input]);
+    const pressAge = pressTime === null ? 0 : this.now - pressTime;
+    const pressedAt = TIMING.stepsToMs(this.elapsedSteps) - pressAge;
+
+    return this.player.timing.evaluateLink(pressedAt - opensAt);
+  }
+
+  /**
+   * Where this attack is in its timeline, for the frame-data inspector
+   * @returns {{attackType: string, attackData: AttackData, elapsedSteps: number}|null}
+   *   Null when the weapon has no data for this attack
+   */
+  getFrameState() {
+    if (!this.attackData) return null;
+    return {
+      attackType: this.attackType,
+      attackData: this.attackData,
+      elapsedSteps: this.elapsedSteps,
+    };
   }
 
   /**
@@ -662,7 +818,7 @@ class AttackState extends PlayerState {
    * @returns {string}
    */
   getExitState() {
-    if (this.body.onFloor()) {
+    if (!this.isAirAttack && this.body.onFloor()) {
       return this.input.getHorizontalAxis() !== 0
         ? PLAYER_STATES.RUN
         : PLAYER_STATES.IDLE;
@@ -683,93 +839,100 @@ class AttackState extends PlayerState {
 }
 
 /**
- * Light Attack 1
+ * Special State - the equipped weapon's special move (ACTIONS.SPECIAL)
+ *
+ * Plays the special's attack like any attack and runs the weapon's scripted
+ * behavior hooks (see SpecialMoves) alongside it. The cost - meter and
+ * cooldown from the weapon's specialMove - is paid on entry; the state that
+ * started it already checked it could be paid.
  */
-export class AttackLight1State extends AttackState {
+export class SpecialState extends AttackState {
   constructor(stateMachine) {
-    super(PLAYER_STATES.ATTACK_LIGHT_1, stateMachine, 'light1');
-  }
+    super(stateMachine, PLAYER_STATES.SPECIAL);
 
-  checkComboInput() {
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT)) {
-      return PLAYER_STATES.ATTACK_LIGHT_2;
-    }
-    if (this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_HEAVY;
-    }
-    return null;
+    this.move = null;
+    this.behavior = null;
+    // Per-use storage for the behavior
+    this.scratch = {};
+    // Enemies already hit by hitEnemiesInRange() this use
+    this.targetsHit = new Set();
   }
-}
 
-/**
- * Light Attack 2
- */
-export class AttackLight2State extends AttackState {
-  constructor(stateMachine) {
-    super(PLAYER_STATES.ATTACK_LIGHT_2, stateMachine, 'light2');
-  }
+  enter(prevState, params) {
+    const weapon = this.player.getCurrentWeapon();
+    this.move = weapon?.specialMove || null;
 
-  checkComboInput() {
-    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT)) {
-      return PLAYER_STATES.ATTACK_LIGHT_3;
-    }
-    if (this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
-      return PLAYER_STATES.ATTACK_HEAVY;
-    }
-    return null;
-  }
-}
+    // Specials run to the end wherever they land - no air-attack landing cut
+    super.enter(prevState, { attack: this.move?.attack ?? 'special', air: false });
 
-/**
- * Light Attack 3 (Finisher)
- */
-export class AttackLight3State extends AttackState {
-  constructor(stateMachine) {
-    super(PLAYER_STATES.ATTACK_LIGHT_3, stateMachine, 'light3');
-  }
+    this.behavior = getSpecialBehavior(this.move?.behavior) || {};
+    this.scratch = {};
+    this.targetsHit.clear();
 
-  // No combo follow-ups from finisher
-  checkComboInput() {
-    return null;
-  }
-}
+    this.player.paySpecialCost();
+    this.player.scene.events.emit('special:used', {
+      player: this.player,
+      weaponId: weapon?.id || null,
+      move: this.move,
+    });
 
-/**
- * Heavy Attack
- */
-export class AttackHeavyState extends AttackState {
-  constructor(stateMachine) {
-    super(PLAYER_STATES.ATTACK_HEAVY, stateMachine, 'heavy');
+    this.behavior.enter?.(this);
   }
 
-  checkComboInput() {
-    return null;
+  update(time, delta) {
+    const next = super.update(time, delta);
+    if (next) return next;
+    return this.behavior.update?.(this) || null;
   }
-}
 
-/**
- * Air Attack
- */
-export class AttackAirState extends AttackState {
-  constructor(stateMachine) {
-    super(PLAYER_STATES.ATTACK_AIR, stateMachine, 'air');
+  activateHitbox() {
+    if (this.behavior.activate?.(this)) return;
+    super.activateHitbox();
   }
 
-  update(time, delta) {
-    // Air attack can land during animation
-    if (this.body.onFloor()) {
-      return PLAYER_STATES.LAND;
-    }
+  /**
+   * Hit every living enemy in a box around the player, once per use, with
+   * the special's damage and knockback pushed away from the player
+   * @param {number} range - Horizontal reach (px) each side
+   * @param {number} [height=range] - Vertical reach (px) above and below
+   * @returns {number} Enemies hit
+   */
+  hitEnemiesInRange(range, height = range) {
+    const scene = this.player.scene;
+    if (!scene.enemies || !scene.combatManager || !this.attackData) return 0;
 
-    return super.update(time, delta);
-  }
+    let count = 0;
+    for (const enemy of scene.enemies) {
+      if (!enemy.isAlive || this.targetsHit.has(enemy)) continue;
 
-  checkComboInput() {
-    return null;
+      const dx = enemy.sprite.x - this.sprite.x;
+      const dy = enemy.sprite.y - this.sprite.y;
+      if (Math.abs(dx) > range || Math.abs(dy) > height) continue;
+
+      const direction = dx < 0 ? -1 : 1;
+      this.targetsHit.add(enemy);
+      scene.combatManager.applyHit({
+        attacker: this.player,
+        defender: enemy,
+        damage: this.attackData.damage,
+        poiseDamage: this.attackData.poiseDamage,
+        knockback: { x: direction * Math.abs(this.attackData.knockback.x), y: this.attackData.knockback.y },
+        ...getLaunchProperties(this.attackData),
+        direction,
+        hitstun: this.attackData.hitstun,
+        hitstop: this.attackData.hitstop,
+        statusEffects: this.attackData.statusEffects,
+        hitbox: null,
+        hurtbox: enemy.hurtbox || null,
+      }, TEAM.PLAYER);
+      count++;
+    }
+    return count;
   }
 
-  getExitState() {
-    return PLAYER_STATES.FALL;
+  exit(nextState) {
+    super.exit(nextState);
+    this.behavior.exit?.(this);
   }
 }
 
@@ -932,6 +1095,7 @@ export class DiveKickState extends PlayerState {
     this.player.activateAttackHitbox({
       damage: this.damage,
       knockback: { x: 150, y: 200 }, // Spike enemies down
+      groundBounce: true,              // ...and off the floor into a juggle
       hitstun: 300,
       hitstop: 60,
       width: 40,
@@ -990,9 +1154,12 @@ export class SpinChargeState extends PlayerState {
 
     this.chargeTime = 300; // Time to fully charge
     this.minChargeTime = 100; // Minimum charge before can release
+    this.charge = 0; // Accumulated charge in ms at full press
   }
 
   enter(prevState, params) {
+    this.charge = 0;
+
     // Slow down horizontal movement
     this.body.setVelocityX(this.body.velocity.x * 0.3);
 
@@ -1002,8 +1169,9 @@ export class SpinChargeState extends PlayerState {
   }
 
   update(time, delta) {
-    const stateTime = this.stateMachine.getStateTime();
-    const chargePercent = Math.min(1, stateTime / this.chargeTime);
+    // Keys (and toggle mode) charge at full rate; an analog trigger charges in proportion to how far it is pulled
+    this.charge += delta * this.input.getHoldValue(ACTIONS.SPIN);
+    const chargePercent = Math.min(1, this.charge / this.chargeTime);
 
     // Visual feedback for charge level
     const scale = 1 + (chargePercent * 0.2);
@@ -1017,9 +1185,9 @@ export class SpinChargeState extends PlayerState {
       this.body.setVelocityY(0);
     }
 
-    // Released button - go to active spin if charged enough
-    if (this.input.isUp(ACTIONS.SPIN)) {
-      if (stateTime >= this.minChargeTime) {
+    // Released button (or pressed again in toggle mode) - go to active spin if charged enough
+    if (this.input.isHoldReleased(ACTIONS.SPIN)) {
+      if (this.charge >= this.minChargeTime) {
         return PLAYER_STATES.SPIN_ACTIVE;
       } else {
         // Not charged enough - cancel
@@ -1028,7 +1196,7 @@ export class SpinChargeState extends PlayerState {
     }
 
     // Fully charged - auto transition to active
-    if (stateTime >= this.chargeTime) {
+    if (this.charge >= this.chargeTime) {
       return PLAYER_STATES.SPIN_ACTIVE;
     }
 
@@ -1099,6 +1267,8 @@ export class SpinActiveState extends PlayerState {
       damage,
       hitstun,
       hitstop,
+      statusEffects: spinData?.statusEffects,
+      ...getLaunchProperties(spinData),
       hitboxes: [
         {
           // Front hitbox
@@ -1148,8 +1318,8 @@ export class SpinActiveState extends PlayerState {
       this.player.attackHitboxSecondary.hasHit.clear();
     }
 
-    // Release button to finish
-    if (this.input.isUp(ACTIONS.SPIN)) {
+    // Release button (or press again in toggle mode) to finish
+    if (this.input.isHoldReleased(ACTIONS.SPIN)) {
       return PLAYER_STATES.SPIN_RELEASE;
     }
 
@@ -1209,6 +1379,8 @@ export class SpinReleaseState extends PlayerState {
       damage: finalDamage,
       hitstun,
       hitstop: isPerfect ? baseHitstop * 1.25 : baseHitstop,
+      statusEffects: releaseData?.statusEffects,
+      ...getLaunchProperties(releaseData),
       hitboxes: [
         {
           // Front hitbox
@@ -2041,8 +2213,7 @@ export class GrapplePullState extends PlayerState {
 
   canBeInterrupted(nextStateName) {
     // Can cancel into attack to combo off the pull, or exit normally
-    return nextStateName === PLAYER_STATES.ATTACK_LIGHT_1 ||
-           nextStateName === PLAYER_STATES.ATTACK_HEAVY ||
+    return nextStateName === PLAYER_STATES.ATTACK ||
            nextStateName === PLAYER_STATES.FLIP ||
            nextStateName === PLAYER_STATES.IDLE ||
            nextStateName === PLAYER_STATES.RUN ||
@@ -2192,121 +2363,117 @@ export class WallSlideState extends PlayerState {
 }
 
 /**
- * Parry State - Block with counter opportunity (Tonfas special)
+ * Block State - Guard raised (ACTIONS.BLOCK, any weapon)
+ *
+ * Hits are blocked through the player's Guard: chip damage only, a short
+ * block stun, and a crushed guard (GUARD_CRUSH) when the meter runs out.
+ * Weapons with mechanics.parry add a perfect parry on top - a hit right as
+ * the guard goes up (perfectWindow) does nothing, stuns the attacker,
+ * opens a counter window and can reflect projectiles.
  */
-export class ParryState extends PlayerState {
+export class BlockState extends PlayerState {
   constructor(stateMachine) {
-    super(PLAYER_STATES.PARRY, stateMachine);
+    super(PLAYER_STATES.BLOCK, stateMachine);
 
-    this.parryDuration = 400;     // Total parry stance time
-    this.perfectWindow = 80;      // Perfect parry frames
-    this.wasHit = false;
+    this.parry = null;            // Weapon's mechanics.parry, if any
+    this.blockStunRemaining = 0;
     this.wasPerfect = false;
     this.counterWindowActive = false;
-    this.counterWindowTime = 400;
     this.counterTimer = 0;
   }
 
   enter(prevState, params) {
-    this.wasHit = false;
+    this.parry = this.player.getCurrentWeapon()?.mechanics?.parry || null;
+    this.blockStunRemaining = 0;
     this.wasPerfect = false;
     this.counterWindowActive = false;
     this.counterTimer = 0;
 
-    // Get parry data from weapon
-    const weapon = this.player.getCurrentWeapon();
-    const parryData = weapon?.mechanics?.parry;
-
-    if (parryData) {
-      this.parryDuration = parryData.windowTime + 200; // Window + recovery
-      this.perfectWindow = parryData.perfectWindow;
-      this.counterWindowTime = parryData.counterWindowTime;
-    }
-
     // Stop movement
     this.body.setVelocityX(0);
 
     // Visual: defensive stance
-    this.sprite.setTint(0x8888ff);
+    this.sprite.setTint(this.player.cueColor(CUE.GUARD));
 
     // Register for incoming damage
-    this.player.isParrying = true;
-    this.player.parryState = this;
+    this.player.blockState = this;
   }
 
   /**
-   * Called by combat system when player would take damage
+   * Called by Player.takeDamage() for every hit while blocking
+   * Sets hitData.guardResult, except for hits from behind, which the guard
+   * doesn't touch.
+   * @param {number} damage
    * @param {object} hitData
-   * @returns {boolean} True if damage was blocked
+   * @returns {number} Health damage that gets through
    */
-  onIncomingDamage(hitData) {
-    const stateTime = this.stateMachine.getStateTime();
-
-    // Check if within parry window
-    if (stateTime > this.parryDuration - 200) {
-      // Recovery frames, can't parry
-      return false;
+  onIncomingDamage(damage, hitData) {
+    if (!isHitInFront(hitData, this.player.facingRight)) {
+      return damage;
     }
 
-    this.wasHit = true;
-
-    // Perfect parry?
-    if (stateTime <= this.perfectWindow) {
-      this.wasPerfect = true;
-      this.counterWindowActive = true;
-      this.counterTimer = 0;
+    if (this.parry && this.stateMachine.getStateTime() <= this.parry.perfectWindow) {
+      this.perfectParry(hitData);
+      return 0;
+    }
 
-      // Visual feedback
-      this.sprite.setTint(0xffff00);
+    const taken = this.player.guard.block(damage, hitData);
+    if (hitData.guardResult === GUARD_RESULT.BLOCKED) {
+      this.blockStunRemaining = this.player.guard.stats.blockStun;
+    }
+    return taken;
+  }
 
-      if (this.player.scene.effectsManager) {
-        this.player.scene.effectsManager.screenFlash(0xffff00, 100, 0.3);
-        this.player.scene.effectsManager.hitSparks(
-          this.sprite.x,
-          this.sprite.y,
-          8,
-          hitData.attacker?.sprite?.flipX ? 1 : -1
-        );
-      }
+  /**
+   * Perfect parry - no damage, attacker stunned, counter window open
+   * @param {object} hitData
+   */
+  perfectParry(hitData) {
+    hitData.guardResult = GUARD_RESULT.PARRIED;
+    hitData.knockback = { x: 0, y: 0 };
+    hitData.launches = false;
 
-      // Stun the attacker
-      if (hitData.attacker && hitData.attacker.hitstunRemaining !== undefined) {
-        const weapon = this.player.getCurrentWeapon();
-        const stunTime = weapon?.mechanics?.parry?.stunOnParry || 200;
-        hitData.attacker.hitstunRemaining = stunTime;
-      }
+    this.wasPerfect = true;
+    this.counterWindowActive = true;
+    this.counterTimer = 0;
 
-      // Time slow for impact
-      if (this.player.scene.timeManager) {
-        this.player.scene.timeManager.applySlowmo(150, 0.3);
-      }
+    // Visual feedback
+    this.sprite.setTint(0xffff00);
 
-      // Full block
-      return true;
+    if (this.player.scene.effectsManager) {
+      this.player.scene.effectsManager.screenFlash(0xffff00, 100, 0.3);
+      this.player.scene.effectsManager.hitSparks(
+        this.sprite.x,
+        this.sprite.y,
+        8,
+        hitData.attacker?.sprite?.flipX ? 1 : -1
+      );
     }
 
-    // Normal parry - reduced damage
-    const weapon = this.player.getCurrentWeapon();
-    const reduction = weapon?.mechanics?.parry?.blockReduction || 0.5;
+    // Tonfas send projectiles back at the shooter
+    if (hitData.projectile && this.parry.reflectProjectiles) {
+      hitData.projectile.reflect(this.player, TEAM.PLAYER, this.parry.reflectDamageMultiplier ?? 1);
+    }
 
-    // Apply reduced damage
-    const reducedDamage = Math.floor(hitData.damage * (1 - reduction));
-    if (reducedDamage > 0) {
-      this.player.health -= reducedDamage;
+    // Stun the attacker (only up close - a shooter across the room keeps going)
+    if (!hitData.projectile && hitData.attacker && hitData.attacker.hitstunRemaining !== undefined) {
+      hitData.attacker.hitstunRemaining = this.parry.stunOnParry || 200;
+    }
 
-      // Still show some feedback
-      if (this.player.scene.effectsManager) {
-        this.player.scene.effectsManager.hitSparks(
-          this.sprite.x,
-          this.sprite.y,
-          3,
-          hitData.attacker?.sprite?.flipX ? 1 : -1
-        );
-      }
+    // Time slow for impact
+    if (this.player.scene.timeManager) {
+      this.player.scene.timeManager.applySlowmo(150, 0.3);
     }
+  }
 
-    // Damage was "blocked" (reduced)
-    return true;
+  /**
+   * A crushed guard drops the block
+   * @param {number} damage
+   * @param {object} source - hitData with guardResult
+   * @returns {string|null}
+   */
+  onDamage(damage, source) {
+    return source?.guardResult === GUARD_RESULT.CRUSHED ? PLAYER_STATES.GUARD_CRUSH : null;
   }
 
   update(time, delta) {
@@ -2317,6 +2484,12 @@ export class ParryState extends PlayerState {
       this.body.setVelocityY(0);
     }
 
+    // Block stun - held in the guard until it wears off
+    if (this.blockStunRemaining > 0) {
+      this.blockStunRemaining = Math.max(0, this.blockStunRemaining - delta);
+      return null;
+    }
+
     // Counter window active after perfect parry
     if (this.counterWindowActive) {
       this.counterTimer += delta;
@@ -2328,19 +2501,24 @@ export class ParryState extends PlayerState {
       }
 
       // Counter window expired
-      if (this.counterTimer >= this.counterWindowTime) {
+      if (this.counterTimer >= this.parry.counterWindowTime) {
         this.counterWindowActive = false;
       }
     }
 
-    // Can release parry early
-    if (this.input.isUp(ACTIONS.SPECIAL) && stateTime > 100) {
-      return this.exitParry();
+    // Light attack out of the guard grabs
+    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT)) {
+      return PLAYER_STATES.GRAB;
     }
 
-    // Parry duration complete
-    if (stateTime >= this.parryDuration) {
-      return this.exitParry();
+    // Let go (press again in toggle mode)
+    if (stateTime > COMBAT.GUARD.MIN_HOLD && this.input.isHoldReleased(ACTIONS.BLOCK)) {
+      return this.exitBlock();
+    }
+
+    // Knocked off a ledge
+    if (!this.body.onFloor()) {
+      return PLAYER_STATES.FALL;
     }
 
     // Can flip cancel
@@ -2351,7 +2529,7 @@ export class ParryState extends PlayerState {
     return null;
   }
 
-  exitParry() {
+  exitBlock() {
     if (this.body.onFloor()) {
       return this.input.getHorizontalAxis() !== 0
         ? PLAYER_STATES.RUN
@@ -2361,17 +2539,357 @@ export class ParryState extends PlayerState {
   }
 
   exit(nextState) {
-    this.player.isParrying = false;
-    this.player.parryState = null;
+    this.player.blockState = null;
     this.sprite.clearTint();
   }
 
   canBeInterrupted(nextStateName) {
     return nextStateName === PLAYER_STATES.FLIP ||
-           nextStateName === PLAYER_STATES.COUNTER_ATTACK;
+           nextStateName === PLAYER_STATES.COUNTER_ATTACK ||
+           nextStateName === PLAYER_STATES.GUARD_CRUSH;
   }
 }
 
+/**
+ * Guard Crush State - Staggered after the guard meter ran out
+ * Lasts until the Guard's crush stun is over; nothing cancels it.
+ */
+export class GuardCrushState extends PlayerState {
+  constructor(stateMachine) {
+    super(PLAYER_STATES.GUARD_CRUSH, stateMachine);
+  }
+
+  enter(prevState, params) {
+    this.sprite.setTint(this.player.cueColor(CUE.GUARD_CRUSH));
+  }
+
+  update(time, delta) {
+    // Slide to a stop
+    this.body.setVelocityX(this.body.velocity.x * 0.9);
+
+    if (this.player.guard.isCrushed()) {
+      return null;
+    }
+
+    if (this.body.onFloor()) {
+      return PLAYER_STATES.IDLE;
+    }
+    return PLAYER_STATES.FALL;
+  }
+
+  exit(nextState) {
+    this.sprite.clearTint();
+  }
+
+  canBeInterrupted(nextStateName) {
+    return false;
+  }
+}
+
+/**
+ * Grab State - Reach for the body in front (light attack out of a block)
+ * The grab box is live for COMBAT.GRAB.ACTIVE_TIME. Living enemies that can
+ * be pulled (ENEMY_PRESETS canBePulled) are taken first, then settled
+ * corpses; grabbing nothing leaves the player open for a moment.
+ */
+export class GrabState extends PlayerState {
+  constructor(stateMachine) {
+    super(PLAYER_STATES.GRAB, stateMachine);
+  }
+
+  enter(prevState, params) {
+    this.body.setVelocityX(0);
+    this.player.grabBox.activate();
+  }
+
+  update(time, delta) {
+    const stateTime = this.stateMachine.getStateTime();
+
+    // Maintain floor contact
+    if (this.body.onFloor()) {
+      this.body.setVelocityY(0);
+    }
+
+    if (stateTime <= COMBAT.GRAB.ACTIVE_TIME) {
+      this.player.grabBox.updatePosition();
+      const grabbed = this.findTarget();
+      return grabbed ? { state: PLAYER_STATES.HOLD, params: grabbed } : null;
+    }
+
+    // Whiffed
+    if (stateTime >= COMBAT.GRAB.ACTIVE_TIME + COMBAT.GRAB.WHIFF_RECOVERY) {
+      return this.body.onFloor() ? PLAYER_STATES.IDLE : PLAYER_STATES.FALL;
+    }
+
+    return null;
+  }
+
+  /**
+   * First body inside the grab box
+   * @returns {{kind: string, target: object}|null} HoldState params
+   */
+  findTarget() {
+    const scene = this.player.scene;
+    const grabBox = this.player.grabBox;
+
+    for (const enemy of scene.enemies || []) {
+      if (!enemy.isAlive || enemy.heldBy || !canGrab(enemy.stats)) continue;
+
+      if (scene.combatManager.boxesOverlap(grabBox, enemy.hurtbox)) {
+        return { kind: GRAB_TARGET.ENEMY, target: enemy };
+      }
+    }
+
+    for (const corpse of scene.corpseManager?.getCorpses() || []) {
+      if (corpse.state !== CORPSE_STATE.SETTLED) continue;
+
+      // Settled corpses lie on their side - config height is their width
+      const bounds = { zone: corpse.sprite, width: corpse.config.height, height: corpse.config.width };
+      if (scene.combatManager.boxesOverlap(grabBox, bounds)) {
+        return { kind: GRAB_TARGET.CORPSE, target: corpse };
+      }
+    }
+
+    return null;
+  }
+
+  exit(nextState) {
+    this.player.grabBox.deactivate();
+  }
+
+  canBeInterrupted(nextStateName) {
+    return false;
+  }
+}
+
+/**
+ * Hold State - Carrying a grabbed enemy or corpse
+ * Walk slowly and throw with either attack along the held direction. The
+ * body flies as a projectile carrying it (see Projectile carry), so what it
+ * hits goes through the CombatManager. Held enemies struggle free after
+ * COMBAT.GRAB.HOLD_TIME; getting hit, flipping or falling drops the body.
+ */
+export class HoldState extends PlayerState {
+  constructor(stateMachine) {
+    super(PLAYER_STATES.HOLD, stateMachine);
+
+    this.kind = null;            // GRAB_TARGET value
+    this.target = null;          // Enemy, or the Corpse taken from its pile
+    this.weight = GRAB_WEIGHT.MEDIUM;
+  }
+
+  enter(prevState, params) {
+    this.kind = params.kind;
+
+    if (this.kind === GRAB_TARGET.CORPSE) {
+      // Pulling it out drops the pile resting on it
+      this.target = this.player.scene.corpseManager.take(params.target);
+      this.weight = getGrabWeight(ENEMY_PRESETS[params.target.config.enemyType]);
+    } else {
+      this.target = params.target;
+      this.target.grab(this.player);
+      this.weight = getGrabWeight(this.target.stats);
+    }
+
+    this.body.setVelocityX(0);
+
+    this.player.scene.events.emit('player:grabbed', {
+      player: this.player,
+      kind: this.kind,
+      target: this.target,
+    });
+  }
+
+  /**
+   * @returns {boolean} Whether the body is still there to hold (enemies can
+   *   bleed out, corpses decay)
+   */
+  isHolding() {
+    if (!this.target) return false;
+    return this.kind === GRAB_TARGET.ENEMY ? this.target.isAlive : Boolean(this.target.sprite);
+  }
+
+  /**
+   * Getting hit drops the body
+   * @returns {string}
+   */
+  onDamage(damage, source) {
+    return this.exitHold();
+  }
+
+  update(time, delta) {
+    const stateTime = this.stateMachine.getStateTime();
+
+    if (!this.isHolding()) {
+      return this.exitHold();
+    }
+
+    // Maintain floor contact
+    if (this.body.onFloor()) {
+      this.body.setVelocityY(0);
+    }
+
+    this.handleHorizontalMovement(COMBAT.GRAB.CARRY_SPEED);
+    this.carry();
+
+    if (this.input.justPressed(ACTIONS.ATTACK_LIGHT) ||
+        this.input.justPressed(ACTIONS.ATTACK_HEAVY)) {
+      this.throwBody();
+      return this.exitHold();
+    }
+
+    // Struggled free
+    if (this.kind === GRAB_TARGET.ENEMY && stateTime >= COMBAT.GRAB.HOLD_TIME) {
+      return this.exitHold();
+    }
+
+    if (!this.body.onFloor()) {
+      return PLAYER_STATES.FALL;
+    }
+
+    if (this.input.justPressed(ACTIONS.FLIP)) {
+      return PLAYER_STATES.FLIP;
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep the body in front of the player, above the shoulder
+   */
+  carry() {
+    const facing = this.sprite.flipX ? -1 : 1;
+    this.target.sprite.setPosition(
+      this.sprite.x + facing * COMBAT.GRAB.HOLD_X,
+      this.sprite.y + COMBAT.GRAB.HOLD_Y
+    );
+  }
+
+  /**
+   * Let go of the body as a projectile aimed with the movement axes
+   */
+  throwBody() {
+    const { kind, target, weight } = this;
+    this.target = null; // Thrown - exit() must not drop it as well
+
+    const scene = this.player.scene;
+    const velocity = getThrowVelocity(
+      this.input.getHorizontalAxis(),
+      this.input.getVerticalAxis(),
+      this.player.facingRight,
+      weight
+    );
+    const size = kind === GRAB_TARGET.ENEMY
+      ? Math.max(target.stats.width, target.stats.height)
+      : Math.max(target.config.width, target.config.height);
+
+    const projectile = scene.projectiles.spawn({
+      owner: this.player,
+      team: TEAM.PLAYER,
+      x: target.sprite.x,
+      y: target.sprite.y,
+      radius: size / 2,
+      velocityX: velocity.x,
+      velocityY: velocity.y,
+      gravity: COMBAT.GRAB.THROW_GRAVITY,
+      lifetime: COMBAT.GRAB.THROW_LIFETIME,
+      pierce: COMBAT.GRAB.THROW_PIERCE,
+      reflectable: false,
+      damage: getThrowDamage(weight),
+      knockback: { x: 350, y: -200 },
+      hitstun: COMBAT.GRAB.THROW_HITSTUN,
+      hitstop: COMBAT.HITSTOP.HEAVY,
+      carry: target,
+      onExpire: (projectile, reason) => landThrownBody(this.player, kind, target, projectile, reason),
+    });
+
+    // In flight the projectile holds it, until landThrownBody() releases it
+    if (kind === GRAB_TARGET.ENEMY) {
+      target.heldBy = projectile;
+    }
+
+    scene.events.emit('player:threw', { player: this.player, kind, target, velocity });
+  }
+
+  exitHold() {
+    if (this.body.onFloor()) {
+      return this.input.getHorizontalAxis() !== 0
+        ? PLAYER_STATES.RUN
+        : PLAYER_STATES.IDLE;
+    }
+    return PLAYER_STATES.FALL;
+  }
+
+  exit(nextState) {
+    // Still holding on - put it down where it is
+    if (this.isHolding()) {
+      if (this.kind === GRAB_TARGET.ENEMY) {
+        this.target.release();
+      } else {
+        dropCorpse(this.player.scene, this.target, this.target.sprite.x, this.target.sprite.y);
+      }
+    }
+    this.target = null;
+  }
+}
+
+/**
+ * Hand a carried corpse back to the CorpseManager - it falls and settles
+ * like a fresh one
+ * @param {Phaser.Scene} scene
+ * @param {Corpse} corpse - Taken with CorpseManager.take()
+ * @param {number} x
+ * @param {number} y
+ */
+function dropCorpse(scene, corpse, x, y) {
+  const { enemyType, width, height, tint } = corpse.config;
+  corpse.destroy();
+  scene.corpseManager.spawn(x, y, enemyType, { width, height, tint });
+}
+
+/**
+ * A thrown body's projectile ended - put the body down where it stopped
+ * Enemies take the throw's damage through the CombatManager as they land.
+ * Projectiles cleared by the scene drop enemies without the hit and take
+ * corpses with them.
+ * @param {Player} player - Who threw it
+ * @param {string} kind - GRAB_TARGET value
+ * @param {Enemy|Corpse} target
+ * @param {Projectile} projectile
+ * @param {string} reason - PROJECTILE_EXPIRE value
+ */
+function landThrownBody(player, kind, target, projectile, reason) {
+  const scene = player.scene;
+  const { x, y } = projectile.sprite;
+
+  if (kind === GRAB_TARGET.CORPSE) {
+    if (reason === PROJECTILE_EXPIRE.CLEARED) {
+      target.destroy();
+    } else {
+      dropCorpse(scene, target, x, y);
+    }
+    return;
+  }
+
+  if (target.isAlive && target.sprite.body) {
+    target.sprite.setPosition(x, y);
+  }
+  target.release();
+  if (!target.isAlive || reason === PROJECTILE_EXPIRE.CLEARED) return;
+
+  scene.combatManager.applyHit({
+    attacker: player,
+    defender: target,
+    damage: projectile.config.damage,
+    knockback: { x: 150, y: -150 },
+    direction: projectile.getDirection(),
+    hitstun: COMBAT.GRAB.THROW_HITSTUN,
+    hitstop: 0,
+    hitbox: null,
+    hurtbox: target.hurtbox,
+  }, TEAM.PLAYER);
+}
+
 /**
  * Counter Attack State - Powerful strike after perfect parry
  */
@@ -2390,7 +2908,7 @@ export class CounterAttackState extends PlayerState {
     this.hitboxActivated = false;
     // Reset time tracking - use accumulation with capped deltas
     this.realElapsedTime = 0;
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = this.now;
 
     // Get counter attack data (weapon's special)
     this.attackData = this.player.getAttackData('special');
@@ -2419,14 +2937,16 @@ export class CounterAttackState extends PlayerState {
 
   update(time, delta) {
     // Calculate real elapsed time by tracking actual frame intervals
-    const now = performance.now();
+    const now = this.now;
     const rawDelta = now - this.lastUpdateTime;
     this.lastUpdateTime = now;
 
     // Cap delta to handle pauses (hitstop, tab switch, etc.) - max 50ms per frame
     const cappedDelta = Math.min(rawDelta, 50);
     this.realElapsedTime += cappedDelta;
-    const realElapsedTime = this.realElapsedTime;
+    const elapsedSteps = TIMING.msToSteps(this.realElapsedTime);
+    const startupSteps = TIMING.msToSteps(this.attackData.startupTime);
+    const activeEndSteps = startupSteps + TIMING.msToSteps(this.attackData.activeTime);
 
     // Maintain floor contact
     if (this.body.onFloor()) {
@@ -2434,19 +2954,22 @@ export class CounterAttackState extends PlayerState {
     }
 
     // Startup
-    if (realElapsedTime < this.attackData.startupTime) {
+    if (elapsedSteps < startupSteps) {
       return null;
     }
 
     // Active
-    if (realElapsedTime < this.attackData.startupTime + this.attackData.activeTime) {
+    if (elapsedSteps < activeEndSteps) {
       if (!this.hitboxActivated) {
         this.hitboxActivated = true;
         this.player.activateAttackHitbox({
           damage: this.attackData.damage,
+          poiseDamage: this.attackData.poiseDamage,
           knockback: this.attackData.knockback,
           hitstun: this.attackData.hitstun,
           hitstop: this.attackData.hitstop,
+          statusEffects: this.attackData.statusEffects,
+          ...getLaunchProperties(this.attackData),
           width: this.attackData.hitbox.width,
           height: this.attackData.hitbox.height,
           offsetX: this.attackData.hitbox.offsetX,
@@ -2467,11 +2990,7 @@ export class CounterAttackState extends PlayerState {
       this.hitboxActivated = false;
     }
 
-    const totalDuration = this.attackData.startupTime +
-                          this.attackData.activeTime +
-                          this.attackData.recoveryTime;
-
-    if (realElapsedTime >= totalDuration) {
+    if (elapsedSteps >= activeEndSteps + TIMING.msToSteps(this.attackData.recoveryTime)) {
       if (this.body.onFloor()) {
         return this.input.getHorizontalAxis() !== 0
           ? PLAYER_STATES.RUN
@@ -2615,7 +3134,7 @@ export class UltimateState extends PlayerState {
     this.targetsHit.clear();
     // Reset time tracking - use accumulation with capped deltas
     this.realElapsedTime = 0;
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = this.now;
 
     // Become invulnerable
     this.setInvulnerable(true);
@@ -2646,7 +3165,7 @@ export class UltimateState extends PlayerState {
 
   update(time, delta) {
     // Calculate real elapsed time by tracking actual frame intervals
-    const now = performance.now();
+    const now = this.now;
     const rawDelta = now - this.lastUpdateTime;
     this.lastUpdateTime = now;
 
@@ -2741,6 +3260,11 @@ export class UltimateState extends PlayerState {
       target.takeDamage(this.damage, hitData);
       this.targetsHit.add(target);
 
+      // The last strike gets impact frames
+      if (this.attacksPerformed === this.maxAttacks - 1 && scene.timeManager) {
+        scene.timeManager.applyHitstop(COMBAT.HITSTOP.ULTIMATE);
+      }
+
       // Hit effect
       if (scene.effectsManager) {
         scene.effectsManager.hitEffect(
@@ -2831,11 +3355,8 @@ export function createPlayerStates(stateMachine) {
     new FallState(stateMachine),
     new LandState(stateMachine),
     // Combat
-    new AttackLight1State(stateMachine),
-    new AttackLight2State(stateMachine),
-    new AttackLight3State(stateMachine),
-    new AttackHeavyState(stateMachine),
-    new AttackAirState(stateMachine),
+    new AttackState(stateMachine),
+    new SpecialState(stateMachine),
     // Movement abilities
     new FlipState(stateMachine),
     new DiveKickState(stateMachine),
@@ -2851,8 +3372,13 @@ export function createPlayerStates(stateMachine) {
     new GrapplePullState(stateMachine),
     // Wall slide
     new WallSlideState(stateMachine),
+    // Defense
+    new BlockState(stateMachine),
+    new GuardCrushState(stateMachine),
+    // Grab and throw
+    new GrabState(stateMachine),
+    new HoldState(stateMachine),
     // Weapon-specific states
-    new ParryState(stateMachine),
     new CounterAttackState(stateMachine),
     new WeaponSwapState(stateMachine),
     // Ultimate
@@ -0,0 +1,138 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * What a hit did to its target's poise (hitData.poiseResult)
+ */
+export const POISE_RESULT = Object.freeze({
+  FLINCH: 'flinch',     // No poise to absorb it (or already broken) - usual hitstun
+  ABSORBED: 'absorbed', // Poise took it - pushed back, but no hitstun or launch
+  ARMORED: 'armored',   // Super armor took it - no hitstun, no knockback
+  BROKEN: 'broken',     // Poise ran out - guard-break stagger
+});
+
+/**
+ * Poise - How much punishment an entity takes before it flinches
+ *
+ * Hits take AttackData.poiseDamage off the meter instead of causing
+ * hitstun - the target is pushed back but keeps its footing. When it runs
+ * out the guard breaks: the owner staggers, and every hit flinches until
+ * the stagger is over and poise refills. Poise starts refilling a while
+ * after the last hit.
+ * Super armor (setArmor) covers attack windows - Brute swings, boss moves:
+ * hits don't move the target at all and only wear poise down at
+ * COMBAT.POISE.ARMOR_SCALING, so armor can be broken too, just slower.
+ *
+ * Enemies and bosses own one, fed from their stats:
+ *   - poise: meter size (0 flinches on every hit outside super armor)
+ * The owner calls onHit() from takeDamage() and update() every step.
+ */
+export class Poise {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.max=0]
+   * @param {number} [config.staggerDuration=COMBAT.POISE.BREAK_STAGGER]
+   */
+  constructor(config = {}) {
+    this.max = config.max ?? 0;
+    this.staggerDuration = config.staggerDuration ?? COMBAT.POISE.BREAK_STAGGER;
+
+    this.current = this.max;
+    this.armor = false;
+    this.regenDelay = 0;
+    this.brokenRemaining = 0;
+  }
+
+  /**
+   * Turn super armor on or off
+   * @param {boolean} active
+   */
+  setArmor(active) {
+    this.armor = Boolean(active);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasArmor() {
+    return this.armor && !this.isBroken();
+  }
+
+  /**
+   * @returns {boolean} True while staggered from a guard break
+   */
+  isBroken() {
+    return this.brokenRemaining > 0;
+  }
+
+  /**
+   * Take a hit's poise damage and shape the hit for the result
+   * Sets hitData.poiseResult. Absorbed hits lose their lift and launch,
+   * armored ones all their knockback.
+   * @param {object} hitData - poiseDamage (falls back to damage), knockback, launches
+   * @returns {string} POISE_RESULT value
+   */
+  onHit(hitData) {
+    const result = this.takePoiseDamage(hitData.poiseDamage ?? hitData.damage ?? 0);
+    hitData.poiseResult = result;
+
+    if (result === POISE_RESULT.ABSORBED) {
+      hitData.knockback = { x: hitData.knockback?.x ?? 0, y: 0 };
+      hitData.launches = false;
+    } else if (result === POISE_RESULT.ARMORED) {
+      hitData.knockback = { x: 0, y: 0 };
+      hitData.launches = false;
+    }
+    return result;
+  }
+
+  /**
+   * @param {number} amount
+   * @returns {string} POISE_RESULT value
+   */
+  takePoiseDamage(amount) {
+    if (this.isBroken()) return POISE_RESULT.FLINCH;
+    if (!this.armor && this.max <= 0) return POISE_RESULT.FLINCH;
+
+    this.regenDelay = COMBAT.POISE.REGEN_DELAY;
+    if (this.max <= 0) return POISE_RESULT.ARMORED; // Armor with no meter can't break
+
+    const scaling = this.armor ? COMBAT.POISE.ARMOR_SCALING : 1;
+    this.current = Math.max(0, this.current - amount * scaling);
+    if (this.current === 0) {
+      this.armor = false;
+      this.brokenRemaining = this.staggerDuration;
+      return POISE_RESULT.BROKEN;
+    }
+
+    return this.armor ? POISE_RESULT.ARMORED : POISE_RESULT.ABSORBED;
+  }
+
+  /**
+   * Stagger countdown and refill
+   * @param {number} delta - Scaled step length in ms
+   */
+  update(delta) {
+    if (this.brokenRemaining > 0) {
+      this.brokenRemaining = Math.max(0, this.brokenRemaining - delta);
+      if (this.brokenRemaining === 0) this.current = this.max;
+      return;
+    }
+
+    if (this.regenDelay > 0) {
+      this.regenDelay = Math.max(0, this.regenDelay - delta);
+      return;
+    }
+
+    this.current = Math.min(this.max, this.current + (COMBAT.POISE.REGEN_RATE * delta) / 1000);
+  }
+
+  /**
+   * Back to full, no armor (death, respawn)
+   */
+  reset() {
+    this.current = this.max;
+    this.armor = false;
+    this.regenDelay = 0;
+    this.brokenRemaining = 0;
+  }
+}
@@ -0,0 +1,107 @@
+import { SeededRandom, createSeed } from '../utils/random.js';
+
+/**
+ * Named random streams
+ */
+export const RANDOM_STREAMS = Object.freeze({
+  AI: 'ai',         // Enemy/boss decisions and movement - gameplay
+  LOOT: 'loot',     // Drops and rewards - gameplay
+  VFX: 'vfx',       // Particles, offsets, shakes - cosmetic
+  AUDIO: 'audio',   // Pitch/volume variation - cosmetic
+});
+
+/**
+ * Streams that affect the simulation and must replay exactly for a seed
+ */
+export const GAMEPLAY_STREAMS = Object.freeze([RANDOM_STREAMS.AI, RANDOM_STREAMS.LOOT]);
+
+/**
+ * Derive a stream's seed from the master seed and its name (FNV-1a)
+ * @param {number} seed
+ * @param {string} name
+ * @returns {number} 32-bit unsigned seed
+ */
+export function deriveStreamSeed(seed, name) {
+  let hash = 0x811c9dc5;
+  const text = `${seed >>> 0}:${name}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * RandomService - One seed, independent named streams
+ *
+ * A scene creates one service and every system pulls from the stream that
+ * matches its purpose. Each stream has its own seed derived from the master
+ * seed, so how often a cosmetic stream is rolled (more particles, a muted
+ * sound) never shifts the numbers a gameplay stream gives out.
+ *
+ *   this.scene.random.ai.pick(attacks);
+ *   this.scene.random.vfx.float(-15, 15);
+ */
+export class RandomService {
+  /**
+   * @param {number} [seed] - Master seed (random if omitted)
+   */
+  constructor(seed = createSeed()) {
+    this.seed = seed >>> 0;
+    this.streams = new Map();
+  }
+
+  /**
+   * Get a stream, creating it on first use
+   * Streams are kept for the service's lifetime, so holding one is safe.
+   * @param {string} name - RANDOM_STREAMS value (custom names are allowed)
+   * @returns {SeededRandom}
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new SeededRandom(deriveStreamSeed(this.seed, name));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Restart every stream from a new (or the same) master seed
+   * @param {number} [seed]
+   */
+  reseed(seed = this.seed) {
+    this.seed = seed >>> 0;
+    for (const [name, stream] of this.streams) {
+      stream.reset(deriveStreamSeed(this.seed, name));
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} True if the stream must stay deterministic
+   */
+  static isGameplayStream(name) {
+    return GAMEPLAY_STREAMS.includes(name);
+  }
+
+  /** @returns {SeededRandom} */
+  get ai() {
+    return this.stream(RANDOM_STREAMS.AI);
+  }
+
+  /** @returns {SeededRandom} */
+  get loot() {
+    return this.stream(RANDOM_STREAMS.LOOT);
+  }
+
+  /** @returns {SeededRandom} */
+  get vfx() {
+    return this.stream(RANDOM_STREAMS.VFX);
+  }
+
+  /** @returns {SeededRandom} */
+  get audio() {
+    return this.stream(RANDOM_STREAMS.AUDIO);
+  }
+}
@@ -0,0 +1,304 @@
+import { ACTIONS, createInputFrame } from './InputManager.js';
+
+/**
+ * Replay file format version written by ReplayRecorder
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Kinds of trace entries a replay checks during playback
+ */
+export const REPLAY_TRACE = Object.freeze({
+  STATE: 'state', // Player StateMachine history string changed
+  HIT: 'hit',     // combat:hit event
+});
+
+/**
+ * Pack an input frame into a compact array
+ * Actions become bits in masks, ordered by `actions`. Analog values are only
+ * stored when present: [down, pressed, released, horizontal, vertical, values?]
+ * @param {object} frame - Input frame (see createInputFrame)
+ * @param {string[]} actions - Action order for the bit masks
+ * @returns {Array}
+ */
+export function encodeInputFrame(frame, actions) {
+  let down = 0;
+  let pressed = 0;
+  let released = 0;
+  let values = null;
+
+  actions.forEach((action, index) => {
+    const bit = 1 << index;
+    if (frame.down.has(action)) down |= bit;
+    if (frame.pressed.has(action)) pressed |= bit;
+    if (frame.released.has(action)) released |= bit;
+    if (frame.values[action] !== undefined) {
+      values = values || {};
+      values[index] = frame.values[action];
+    }
+  });
+
+  const encoded = [down, pressed, released, frame.horizontal, frame.vertical];
+  if (values) {
+    encoded.push(values);
+  }
+  return encoded;
+}
+
+/**
+ * Unpack an array written by encodeInputFrame
+ * @param {Array} encoded
+ * @param {string[]} actions
+ * @returns {object} Input frame
+ */
+export function decodeInputFrame(encoded, actions) {
+  const [down, pressed, released, horizontal, vertical, values] = encoded;
+  const frame = createInputFrame();
+
+  actions.forEach((action, index) => {
+    const bit = 1 << index;
+    if (down & bit) frame.down.add(action);
+    if (pressed & bit) frame.pressed.add(action);
+    if (released & bit) frame.released.add(action);
+  });
+
+  if (values) {
+    for (const [index, value] of Object.entries(values)) {
+      frame.values[actions[index]] = value;
+    }
+  }
+  frame.horizontal = horizontal;
+  frame.vertical = vertical;
+  return frame;
+}
+
+/**
+ * Serialize a replay for saving to a file
+ * @param {object} replay - ReplayRecorder.finish() output
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay file
+ * @param {string|object} json - serializeReplay() output or its parsed object
+ * @returns {{ok: boolean, replay: object|null, errors: string[]}}
+ */
+export function parseReplay(json) {
+  let replay = json;
+  if (typeof json === 'string') {
+    try {
+      replay = JSON.parse(json);
+    } catch (error) {
+      return { ok: false, replay: null, errors: ['Replay is not valid JSON'] };
+    }
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    return { ok: false, replay: null, errors: ['Replay is not an object'] };
+  }
+  if (!Number.isInteger(replay.version) || replay.version > REPLAY_VERSION) {
+    return { ok: false, replay: null, errors: [`Unsupported replay version ${replay.version}`] };
+  }
+
+  const errors = [];
+  if (!Number.isInteger(replay.seed)) errors.push('seed must be an integer');
+  if (!replay.setup || typeof replay.setup !== 'object') errors.push('setup must be an object');
+  if (!Array.isArray(replay.actions) || replay.actions.length > 31) errors.push('actions must be an array of up to 31 names');
+  if (!Array.isArray(replay.frames)) errors.push('frames must be an array');
+  if (!Array.isArray(replay.trace)) errors.push('trace must be an array');
+
+  if (errors.length === 0) {
+    const unknown = replay.actions.filter((action) => !Object.values(ACTIONS).includes(action));
+    if (unknown.length > 0) errors.push(`Unknown actions: ${unknown.join(', ')}`);
+    if (!replay.frames.every((run) => Array.isArray(run) && Number.isInteger(run[0]) && run[0] > 0)) {
+      errors.push('frames contain an invalid run');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, replay: null, errors };
+  }
+  return { ok: true, replay, errors: [] };
+}
+
+/**
+ * ReplayRecorder - Captures per-frame input for a replay file
+ *
+ * Each frame stores its delta and the sampled input frame. Identical
+ * consecutive frames are run-length encoded as [count, delta, ...input],
+ * so idle stretches and held buttons cost one entry. A trace of state
+ * changes and hits lets playback detect the first frame that diverges.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {object} options
+   * @param {number} options.seed - RNG seed the recording started with
+   * @param {object} options.setup - Scene start data needed to rebuild the first frame
+   * @param {string[]} [options.actions] - Actions to record (defaults to all ACTIONS)
+   */
+  constructor({ seed, setup, actions = Object.values(ACTIONS) }) {
+    this.seed = seed;
+    this.setup = setup;
+    this.actions = [...actions];
+    this.frames = [];
+    this.trace = [];
+    this.frameCount = 0;
+    this.lastKey = null;
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Record one simulated frame - call after the frame has run
+   * @param {number} delta - Frame delta (ms) the simulation used
+   * @param {object} inputFrame - InputManager.getFrame()
+   */
+  recordFrame(delta, inputFrame) {
+    const encoded = [delta, ...encodeInputFrame(inputFrame, this.actions)];
+    const key = JSON.stringify(encoded);
+
+    if (key === this.lastKey) {
+      this.frames[this.frames.length - 1][0]++;
+    } else {
+      this.frames.push([1, ...encoded]);
+      this.lastKey = key;
+    }
+    this.frameCount++;
+  }
+
+  /**
+   * Note an event in the frame currently being simulated
+   * @param {string} type - REPLAY_TRACE value
+   * @param {string} detail
+   */
+  addTrace(type, detail) {
+    this.trace.push([this.frameCount, type, detail]);
+  }
+
+  /**
+   * @returns {object} Replay data (see serializeReplay)
+   */
+  finish() {
+    return {
+      version: REPLAY_VERSION,
+      createdAt: this.createdAt,
+      seed: this.seed,
+      setup: this.setup,
+      actions: this.actions,
+      frameCount: this.frameCount,
+      frames: this.frames,
+      trace: this.trace,
+    };
+  }
+}
+
+/**
+ * ReplayPlayer - Steps through a recorded replay and checks its trace
+ *
+ * next() hands out one frame's delta and input at a time. check() compares
+ * events seen during playback with the recorded trace; the first mismatch
+ * is kept as the desync so a bug report can name the exact frame.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {object} replay - Validated replay (see parseReplay)
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.actions = replay.actions;
+
+    this.runIndex = 0;
+    this.runRemaining = replay.frames.length > 0 ? replay.frames[0][0] : 0;
+    this.frameIndex = -1;
+
+    this.traceIndex = 0;
+    this.desync = null;
+  }
+
+  /**
+   * @returns {boolean} True once every frame has been handed out
+   */
+  isFinished() {
+    return this.runIndex >= this.replay.frames.length;
+  }
+
+  /**
+   * Advance to the next recorded frame
+   * @returns {{delta: number, input: object}|null} Null when the replay is over
+   */
+  next() {
+    if (this.isFinished()) return null;
+
+    const [, delta, ...input] = this.replay.frames[this.runIndex];
+    this.frameIndex++;
+    this.runRemaining--;
+    if (this.runRemaining <= 0) {
+      this.runIndex++;
+      this.runRemaining = this.runIndex < this.replay.frames.length ? this.replay.frames[this.runIndex][0] : 0;
+    }
+
+    return { delta, input: decodeInputFrame(input, this.actions) };
+  }
+
+  /**
+   * Compare an event from the current frame with the recording
+   * @param {string} type - REPLAY_TRACE value
+   * @param {string} detail
+   * @returns {boolean} False if this is (or follows) a desync
+   */
+  check(type, detail) {
+    if (this.desync) return false;
+
+    const expected = this.replay.trace[this.traceIndex] || null;
+    const actual = [this.frameIndex, type, detail];
+    if (expected && expected[0] === actual[0] && expected[1] === type && expected[2] === detail) {
+      this.traceIndex++;
+      return true;
+    }
+
+    this.reportDesync(expected, actual);
+    return false;
+  }
+
+  /**
+   * Check that nothing recorded up to the current frame was missed
+   * Call at the end of each frame, after its events were checked.
+   * @returns {boolean} False if the replay has desynced
+   */
+  checkFrameEnd() {
+    if (this.desync) return false;
+
+    const expected = this.replay.trace[this.traceIndex];
+    if (expected && expected[0] <= this.frameIndex) {
+      this.reportDesync(expected, null);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {Array|null} expected - Recorded trace entry
+   * @param {Array|null} actual - Entry seen during playback
+   */
+  reportDesync(expected, actual) {
+    this.desync = { frame: this.frameIndex, expected, actual };
+    console.warn(
+      `Replay desync at frame ${this.frameIndex}: expected ${expected ? expected.slice(1).join(' ') : 'nothing'}, ` +
+      `got ${actual ? actual.slice(1).join(' ') : 'nothing'}`
+    );
+  }
+
+  /**
+   * @returns {{frames: number, totalFrames: number, inSync: boolean, desync: object|null}}
+   */
+  getResult() {
+    return {
+      frames: this.frameIndex + 1,
+      totalFrames: this.replay.frameCount,
+      inSync: this.desync === null,
+      desync: this.desync,
+    };
+  }
+}
@@ -0,0 +1,346 @@
+import { createDefaultStorage } from './SaveStorage.js';
+
+/**
+ * Current save format version - bump when the data shape changes and add a
+ * migration from the previous version to MIGRATIONS
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * Number of save slots (slot indices are 0-based)
+ */
+export const SAVE_SLOTS = 3;
+
+/**
+ * Storage key prefix - slot n is stored under `${SAVE_KEY_PREFIX}${n}`
+ */
+export const SAVE_KEY_PREFIX = 'blender_save_';
+
+/**
+ * Why a save could not be read or written
+ */
+export const SAVE_ERROR = Object.freeze({
+  INVALID_SLOT: 'invalid_slot',
+  EMPTY: 'empty',                       // Nothing saved in the slot
+  CORRUPT: 'corrupt',                   // Unparseable, bad envelope, checksum mismatch or bad data
+  FUTURE_VERSION: 'future_version',     // Written by a newer build - never overwritten silently
+  MIGRATION_FAILED: 'migration_failed', // No migration path, or a migration threw
+  WRITE_FAILED: 'write_failed',         // Storage threw (quota, private mode, ...)
+});
+
+/**
+ * Schema migrations, keyed by the version they upgrade FROM
+ * Each receives the save data of that version and returns data for version + 1.
+ * Example: { 1: (data) => ({ ...data, newField: defaultValue }) }
+ */
+export const MIGRATIONS = Object.freeze({});
+
+/**
+ * Build save data for a new game
+ * @returns {object}
+ */
+export function createDefaultSaveData() {
+  return {
+    weapons: {
+      unlocked: ['fists'],
+      equipped: 'fists',
+      quickSlots: ['fists', null, null, null],
+    },
+    defeatedBosses: [],
+    roomId: null,
+    kills: 0,
+    settings: {},
+  };
+}
+
+/**
+ * SaveManager - Versioned save slots behind a storage adapter
+ *
+ * Each slot holds a JSON envelope:
+ *   { version, savedAt, checksum, data }
+ * The checksum covers the serialized data, so hand-edited or truncated saves
+ * are reported as corrupt instead of loading half a game. Older versions are
+ * migrated forward on load; newer versions are refused.
+ *
+ * Operations return result objects rather than throwing:
+ *   { ok: true, ... } or { ok: false, error: SAVE_ERROR.*, message }
+ */
+export class SaveManager {
+  /**
+   * @param {object} [storage] - Adapter with getItem/setItem/removeItem (defaults to localStorage)
+   * @param {object} [options]
+   * @param {number} [options.slots=SAVE_SLOTS]
+   * @param {string} [options.keyPrefix=SAVE_KEY_PREFIX]
+   * @param {number} [options.version=SAVE_VERSION] - Version written by this build
+   * @param {Object<number, Function>} [options.migrations=MIGRATIONS]
+   */
+  constructor(storage = null, options = {}) {
+    this.storage = storage || createDefaultStorage();
+    this.slots = options.slots ?? SAVE_SLOTS;
+    this.keyPrefix = options.keyPrefix ?? SAVE_KEY_PREFIX;
+    this.version = options.version ?? SAVE_VERSION;
+    this.migrations = options.migrations ?? MIGRATIONS;
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string, as 8 hex digits
+   * Detects accidental corruption; it is not meant to stop deliberate edits.
+   * @param {string} text
+   * @returns {string}
+   */
+  static checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check save data against the current schema
+   * @param {object} data
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Save data must be an object'];
+    }
+
+    const weapons = data.weapons;
+    if (!weapons || typeof weapons !== 'object') {
+      errors.push('weapons is missing');
+    } else {
+      if (!Array.isArray(weapons.unlocked) || !weapons.unlocked.every((id) => typeof id === 'string')) {
+        errors.push('weapons.unlocked must be an array of weapon ids');
+      }
+      if (weapons.equipped !== null && typeof weapons.equipped !== 'string') {
+        errors.push('weapons.equipped must be a weapon id or null');
+      }
+      if (!Array.isArray(weapons.quickSlots)) {
+        errors.push('weapons.quickSlots must be an array');
+      }
+    }
+
+    if (!Array.isArray(data.defeatedBosses) || !data.defeatedBosses.every((id) => typeof id === 'string')) {
+      errors.push('defeatedBosses must be an array of boss ids');
+    }
+    if (data.roomId !== null && typeof data.roomId !== 'string') {
+      errors.push('roomId must be a string or null');
+    }
+    if (!Number.isInteger(data.kills) || data.kills < 0) {
+      errors.push('kills must be a non-negative integer');
+    }
+    if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+      errors.push('settings must be an object');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @param {number} slot
+   * @returns {boolean}
+   */
+  isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 0 && slot < this.slots;
+  }
+
+  /**
+   * @param {number} slot
+   * @returns {string} Storage key for the slot
+   */
+  getKey(slot) {
+    return `${this.keyPrefix}${slot}`;
+  }
+
+  /**
+   * Write save data to a slot
+   * @param {number} slot
+   * @param {object} data - Save data (see createDefaultSaveData)
+   * @returns {{ok: boolean, error?: string, message?: string, savedAt?: number}}
+   */
+  save(slot, data) {
+    if (!this.isValidSlot(slot)) {
+      return this.fail(SAVE_ERROR.INVALID_SLOT, `Invalid save slot ${slot}`);
+    }
+
+    const problems = SaveManager.validate(data);
+    if (problems.length > 0) {
+      return this.fail(SAVE_ERROR.CORRUPT, `Refusing to write invalid save data: ${problems.join('; ')}`);
+    }
+
+    const serializedData = JSON.stringify(data);
+    const envelope = {
+      version: this.version,
+      savedAt: Date.now(),
+      checksum: SaveManager.checksum(serializedData),
+      data,
+    };
+
+    try {
+      this.storage.setItem(this.getKey(slot), JSON.stringify(envelope));
+    } catch (error) {
+      return this.fail(SAVE_ERROR.WRITE_FAILED, `Could not write slot ${slot}: ${error.message}`);
+    }
+
+    return { ok: true, savedAt: envelope.savedAt };
+  }
+
+  /**
+   * Read, verify and migrate a slot
+   * @param {number} slot
+   * @returns {{ok: boolean, data?: object, version?: number, savedAt?: number, migrated?: boolean, error?: string, message?: string}}
+   */
+  load(slot) {
+    if (!this.isValidSlot(slot)) {
+      return this.fail(SAVE_ERROR.INVALID_SLOT, `Invalid save slot ${slot}`);
+    }
+
+    const raw = this.storage.getItem(this.getKey(slot));
+    if (raw === null || raw === undefined) {
+      return { ok: false, error: SAVE_ERROR.EMPTY, message: `Slot ${slot} is empty` };
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (error) {
+      return this.fail(SAVE_ERROR.CORRUPT, `Slot ${slot} is not valid JSON`);
+    }
+
+    if (!envelope || typeof envelope !== 'object' || !Number.isInteger(envelope.version) ||
+      envelope.version < 1 || typeof envelope.checksum !== 'string' || envelope.data === undefined) {
+      return this.fail(SAVE_ERROR.CORRUPT, `Slot ${slot} has a malformed save envelope`);
+    }
+
+    if (envelope.version > this.version) {
+      return this.fail(
+        SAVE_ERROR.FUTURE_VERSION,
+        `Slot ${slot} was saved by a newer version (v${envelope.version}, this build reads up to v${this.version})`
+      );
+    }
+
+    if (SaveManager.checksum(JSON.stringify(envelope.data)) !== envelope.checksum) {
+      return this.fail(SAVE_ERROR.CORRUPT, `Slot ${slot} failed checksum validation`);
+    }
+
+    let data;
+    try {
+      data = this.migrate(envelope.data, envelope.version);
+    } catch (error) {
+      return this.fail(SAVE_ERROR.MIGRATION_FAILED, `Slot ${slot}: ${error.message}`);
+    }
+
+    const problems = SaveManager.validate(data);
+    if (problems.length > 0) {
+      return this.fail(SAVE_ERROR.CORRUPT, `Slot ${slot} has invalid data: ${problems.join('; ')}`);
+    }
+
+    return {
+      ok: true,
+      data,
+      version: envelope.version,
+      savedAt: envelope.savedAt,
+      migrated: envelope.version !== this.version,
+    };
+  }
+
+  /**
+   * Upgrade save data one version at a time to the current version
+   * @param {object} data
+   * @param {number} fromVersion
+   * @returns {object} Data in the current schema
+   * @throws {Error} If a migration step is missing or throws
+   */
+  migrate(data, fromVersion) {
+    let migrated = data;
+    for (let version = fromVersion; version < this.version; version++) {
+      const step = this.migrations[version];
+      if (!step) {
+        throw new Error(`No migration from save v${version} to v${version + 1}`);
+      }
+      migrated = step(migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Clear a slot
+   * @param {number} slot
+   * @returns {boolean} False if the slot index is invalid
+   */
+  delete(slot) {
+    if (!this.isValidSlot(slot)) return false;
+    this.storage.removeItem(this.getKey(slot));
+    return true;
+  }
+
+  /**
+   * @param {number} slot
+   * @returns {boolean} True if the slot holds anything (valid or not)
+   */
+  hasSave(slot) {
+    if (!this.isValidSlot(slot)) return false;
+    const raw = this.storage.getItem(this.getKey(slot));
+    return raw !== null && raw !== undefined;
+  }
+
+  /**
+   * Summarize every slot for a save/load menu
+   * Corrupt and future-version slots are listed with their error so the UI
+   * can show them instead of hiding the player's data.
+   * @returns {Array<{slot: number, empty: boolean, ok: boolean, savedAt?: number, roomId?: string, kills?: number, error?: string}>}
+   */
+  listSlots() {
+    const result = [];
+    for (let slot = 0; slot < this.slots; slot++) {
+      if (!this.hasSave(slot)) {
+        result.push({ slot, empty: true, ok: false });
+        continue;
+      }
+
+      const loaded = this.load(slot);
+      if (loaded.ok) {
+        result.push({
+          slot,
+          empty: false,
+          ok: true,
+          savedAt: loaded.savedAt,
+          roomId: loaded.data.roomId,
+          kills: loaded.data.kills,
+        });
+      } else {
+        result.push({ slot, empty: false, ok: false, error: loaded.error });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Most recently written slot that loads, for a Continue option
+   * @returns {number|null} Slot index, or null if no slot loads
+   */
+  getLatestSlot() {
+    let latest = null;
+    for (const info of this.listSlots()) {
+      if (info.ok && (latest === null || info.savedAt > latest.savedAt)) {
+        latest = info;
+      }
+    }
+    return latest ? latest.slot : null;
+  }
+
+  /**
+   * Build a failure result and log it
+   * @param {string} error - SAVE_ERROR value
+   * @param {string} message
+   * @returns {{ok: false, error: string, message: string}}
+   */
+  fail(error, message) {
+    console.warn(`SaveManager: ${message}`);
+    return { ok: false, error, message };
+  }
+}
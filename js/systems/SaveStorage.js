@@ -0,0 +1,91 @@
+/**
+ * Storage adapters for saves, key bindings and other persisted data
+ * Adapters share the synchronous getItem/setItem/removeItem subset of the
+ * Web Storage API, so saves can run against localStorage in the browser
+ * and against memory in Node tests.
+ */
+
+/**
+ * Wraps window.localStorage
+ * Writes can throw (quota exceeded, storage disabled) - callers handle that
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {Storage} [storage] - Defaults to window.localStorage
+   */
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage || null;
+  }
+
+  /**
+   * @returns {boolean} True if a backing store exists
+   */
+  isAvailable() {
+    return this.storage !== null;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return this.storage ? this.storage.getItem(key) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem(key, value) {
+    if (!this.storage) {
+      throw new Error('localStorage is not available');
+    }
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * @param {string} key
+   */
+  removeItem(key) {
+    if (this.storage) {
+      this.storage.removeItem(key);
+    }
+  }
+}
+
+/**
+ * In-memory storage - used by tests and as a fallback when localStorage is missing
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.items = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * localStorage when present, memory otherwise (data then lasts for the session)
+ * @returns {LocalStorageAdapter|MemoryStorageAdapter}
+ */
+export function createDefaultStorage() {
+  const adapter = new LocalStorageAdapter();
+  if (adapter.isAvailable()) return adapter;
+
+  console.warn('localStorage unavailable, settings and saves will not persist');
+  return new MemoryStorageAdapter();
+}
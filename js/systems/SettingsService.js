@@ -0,0 +1,392 @@
+import { createDefaultStorage } from './SaveStorage.js';
+import { HOLD_MODE } from './InputManager.js';
+import { COLORBLIND_MODE } from '../utils/palette.js';
+
+/**
+ * Storage key for player settings
+ */
+export const SETTINGS_STORAGE_KEY = 'blender_settings';
+
+/**
+ * Kinds of setting - toggles are booleans, ranges are numbers snapped to a
+ * step, choices are one of a fixed list of strings
+ */
+export const SETTING_TYPE = Object.freeze({
+  TOGGLE: 'toggle',
+  RANGE: 'range',
+  CHOICE: 'choice',
+});
+
+/**
+ * Settings menu sections, in display order
+ */
+export const SETTING_CATEGORY = Object.freeze({
+  AUDIO: 'audio',
+  EFFECTS: 'effects',
+  DISPLAY: 'display',
+  ACCESSIBILITY: 'accessibility',
+});
+
+const volume = (label, value) => ({
+  category: SETTING_CATEGORY.AUDIO,
+  type: SETTING_TYPE.RANGE,
+  label,
+  default: value,
+  min: 0,
+  max: 1,
+  step: 0.1,
+});
+
+const toggle = (category, label, value = true) => ({
+  category,
+  type: SETTING_TYPE.TOGGLE,
+  label,
+  default: value,
+});
+
+const holdMode = (label) => ({
+  category: SETTING_CATEGORY.ACCESSIBILITY,
+  type: SETTING_TYPE.CHOICE,
+  label,
+  default: HOLD_MODE.HOLD,
+  options: Object.values(HOLD_MODE),
+  optionLabels: { [HOLD_MODE.HOLD]: 'Hold', [HOLD_MODE.TOGGLE]: 'Toggle' },
+});
+
+/**
+ * Every setting, keyed by id ('<category>.<name>')
+ * Audio volumes match AudioManager categories; effects match EffectsManager;
+ * hold modes match InputManager.
+ */
+export const SETTING_DEFINITIONS = Object.freeze({
+  'audio.master': volume('Master Volume', 0.8),
+  'audio.music': volume('Music Volume', 0.6),
+  'audio.sfx': volume('Effects Volume', 1.0),
+  'audio.ui': volume('Menu Volume', 0.8),
+
+  'effects.particles': toggle(SETTING_CATEGORY.EFFECTS, 'Particles'),
+  'effects.screenShake': toggle(SETTING_CATEGORY.EFFECTS, 'Screen Shake'),
+  'effects.screenFlash': toggle(SETTING_CATEGORY.EFFECTS, 'Screen Flash'),
+  'effects.chromatic': toggle(SETTING_CATEGORY.EFFECTS, 'Chromatic Aberration'),
+  'effects.trails': toggle(SETTING_CATEGORY.EFFECTS, 'Trails'),
+
+  'display.shakeIntensity': {
+    category: SETTING_CATEGORY.DISPLAY,
+    type: SETTING_TYPE.RANGE,
+    label: 'Shake Intensity',
+    default: 1,
+    min: 0,
+    max: 2,
+    step: 0.25,
+  },
+  'display.damageNumbers': toggle(SETTING_CATEGORY.DISPLAY, 'Damage Numbers'),
+
+  'accessibility.reducedFlashing': toggle(SETTING_CATEGORY.ACCESSIBILITY, 'Reduced Flashing', false),
+  'accessibility.palette': {
+    category: SETTING_CATEGORY.ACCESSIBILITY,
+    type: SETTING_TYPE.CHOICE,
+    label: 'Color Palette',
+    default: COLORBLIND_MODE.OFF,
+    options: Object.values(COLORBLIND_MODE),
+    optionLabels: {
+      [COLORBLIND_MODE.OFF]: 'Standard',
+      [COLORBLIND_MODE.DEUTERANOPIA]: 'Deuteranopia',
+      [COLORBLIND_MODE.PROTANOPIA]: 'Protanopia',
+      [COLORBLIND_MODE.TRITANOPIA]: 'Tritanopia',
+    },
+  },
+  'accessibility.spinInput': holdMode('Spin Charge'),
+  'accessibility.blockInput': holdMode('Block'),
+});
+
+/**
+ * SettingsService - The player's preferences, shared by every scene
+ *
+ * Pure data (no Phaser) so it can be tested. Systems read a value with
+ * get() and subscribe() to hear about changes, so a slider moved in the
+ * settings menu reaches the running scene at once. Changes are written to
+ * storage immediately; only values that differ from the defaults are
+ * stored, so changing a default reaches players who never touched it.
+ *
+ *   const settings = getSettingsService();
+ *   const unsubscribe = settings.subscribe((key, value) => { ... });
+ */
+export class SettingsService {
+  /**
+   * @param {object} [storage] - Adapter with getItem/setItem/removeItem; null keeps settings in memory only
+   * @param {object} [options]
+   * @param {Object<string, object>} [options.definitions=SETTING_DEFINITIONS]
+   * @param {string} [options.storageKey=SETTINGS_STORAGE_KEY]
+   */
+  constructor(storage = null, options = {}) {
+    this.storage = storage;
+    this.storageKey = options.storageKey ?? SETTINGS_STORAGE_KEY;
+    this.definitions = options.definitions ?? SETTING_DEFINITIONS;
+    this.values = {};
+    this.listeners = new Set();
+
+    for (const [key, definition] of Object.entries(this.definitions)) {
+      this.values[key] = definition.default;
+    }
+  }
+
+  /**
+   * Create a service backed by localStorage with any saved settings applied
+   * @param {object} [storage] - Defaults to localStorage (memory if unavailable)
+   * @returns {SettingsService}
+   */
+  static load(storage = createDefaultStorage()) {
+    const settings = new SettingsService(storage);
+    const raw = storage.getItem(settings.storageKey);
+    if (raw !== null && raw !== undefined) {
+      const result = settings.importJSON(raw, false);
+      if (!result.ok) {
+        console.warn(`Some saved settings were ignored: ${result.errors.join('; ')}`);
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * @param {string} [category] - SETTING_CATEGORY value; omit for all
+   * @returns {string[]} Setting keys in definition order
+   */
+  getKeys(category = null) {
+    return Object.keys(this.definitions)
+      .filter((key) => category === null || this.definitions[key].category === category);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|null}
+   */
+  getDefinition(key) {
+    return this.definitions[key] || null;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean|number|string|undefined}
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * @returns {Object<string, boolean|number|string>} Every value (copy)
+   */
+  getAll() {
+    return { ...this.values };
+  }
+
+  /**
+   * Check and normalize a value for a setting
+   * Ranges are clamped and snapped to their step.
+   * @param {string} key
+   * @param {*} value
+   * @returns {{ok: boolean, value?: boolean|number|string, error?: string}}
+   */
+  normalize(key, value) {
+    const definition = this.definitions[key];
+    if (!definition) {
+      return { ok: false, error: `Unknown setting "${key}"` };
+    }
+
+    if (definition.type === SETTING_TYPE.TOGGLE) {
+      if (typeof value !== 'boolean') {
+        return { ok: false, error: `${key} must be true or false` };
+      }
+      return { ok: true, value };
+    }
+
+    if (definition.type === SETTING_TYPE.CHOICE) {
+      if (!definition.options.includes(value)) {
+        return { ok: false, error: `${key} must be one of ${definition.options.join(', ')}` };
+      }
+      return { ok: true, value };
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { ok: false, error: `${key} must be a number` };
+    }
+    const clamped = Math.min(definition.max, Math.max(definition.min, value));
+    const steps = Math.round((clamped - definition.min) / definition.step);
+    // Round off float noise so 0.1 * 3 stores as 0.3
+    const snapped = Number((definition.min + steps * definition.step).toFixed(6));
+    return { ok: true, value: Math.min(definition.max, snapped) };
+  }
+
+  /**
+   * @param {string} key
+   * @param {boolean|number|string} value
+   * @returns {boolean} True if the value changed
+   */
+  set(key, value) {
+    const result = this.normalize(key, value);
+    if (!result.ok) {
+      console.warn(`SettingsService: ${result.error}`);
+      return false;
+    }
+    if (this.values[key] === result.value) return false;
+
+    this.values[key] = result.value;
+    this.persist();
+    this.notify(key, result.value);
+    return true;
+  }
+
+  /**
+   * Flip a toggle
+   * @param {string} key
+   * @returns {boolean} True if the value changed
+   */
+  toggle(key) {
+    if (this.definitions[key]?.type !== SETTING_TYPE.TOGGLE) return false;
+    return this.set(key, !this.values[key]);
+  }
+
+  /**
+   * Move a range by whole steps (e.g. a slider nudged left or right), or
+   * step through a choice's options, wrapping at the ends
+   * @param {string} key
+   * @param {number} steps - Negative to lower / go back
+   * @returns {boolean} True if the value changed
+   */
+  adjust(key, steps) {
+    const definition = this.definitions[key];
+    if (definition?.type === SETTING_TYPE.CHOICE) {
+      const { options } = definition;
+      const index = options.indexOf(this.values[key]);
+      return this.set(key, options[(((index + steps) % options.length) + options.length) % options.length]);
+    }
+    if (definition?.type !== SETTING_TYPE.RANGE) return false;
+    return this.set(key, this.values[key] + steps * definition.step);
+  }
+
+  /**
+   * Restore one setting, or all of them, to the defaults
+   * @param {string} [key]
+   */
+  reset(key = null) {
+    const keys = key === null ? Object.keys(this.definitions) : [key];
+    for (const settingKey of keys) {
+      const definition = this.definitions[settingKey];
+      if (definition) {
+        this.set(settingKey, definition.default);
+      }
+    }
+  }
+
+  /**
+   * @param {string} [key] - Check one setting; omit to check all
+   * @returns {boolean} True if at default
+   */
+  isDefault(key = null) {
+    const keys = key === null ? Object.keys(this.definitions) : [key];
+    return keys.every((settingKey) => this.values[settingKey] === this.definitions[settingKey]?.default);
+  }
+
+  /**
+   * Listen for changes
+   * @param {Function} listener - (key, value, service) => void
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @param {string} key
+   * @param {boolean|number|string} value
+   */
+  notify(key, value) {
+    for (const listener of [...this.listeners]) {
+      listener(key, value, this);
+    }
+  }
+
+  /**
+   * @returns {Object<string, boolean|number|string>} Values that differ from the defaults
+   */
+  toJSON() {
+    const changed = {};
+    for (const [key, value] of Object.entries(this.values)) {
+      if (value !== this.definitions[key].default) {
+        changed[key] = value;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Apply settings from JSON
+   * Bad entries are skipped and reported; the rest still apply.
+   * @param {string|object} json
+   * @param {boolean} [persist=true] - Write the result to storage
+   * @returns {{ok: boolean, errors: string[]}}
+   */
+  importJSON(json, persist = true) {
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        return { ok: false, errors: [`Invalid JSON: ${error.message}`] };
+      }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { ok: false, errors: ['Settings must be an object'] };
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(data)) {
+      const result = this.normalize(key, value);
+      if (!result.ok) {
+        errors.push(result.error);
+        continue;
+      }
+      if (this.values[key] !== result.value) {
+        this.values[key] = result.value;
+        this.notify(key, result.value);
+      }
+    }
+
+    if (persist) {
+      this.persist();
+    }
+    return { ok: errors.length === 0, errors };
+  }
+
+  /**
+   * Write settings to storage
+   * Default settings clear the stored entry so future default changes apply
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      if (this.isDefault()) {
+        this.storage.removeItem(this.storageKey);
+      } else {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+      }
+    } catch (error) {
+      console.warn(`Could not save settings: ${error.message}`);
+    }
+  }
+}
+
+// Shared by every scene so a change in the menu reaches the running game
+let sharedSettings = null;
+
+/**
+ * Get the player's settings, loading saved values on first use
+ * @returns {SettingsService}
+ */
+export function getSettingsService() {
+  if (!sharedSettings) {
+    sharedSettings = SettingsService.load();
+  }
+  return sharedSettings;
+}
@@ -0,0 +1,83 @@
+/**
+ * Moves bigger than this in one step are teleports (blink, respawn) and are
+ * drawn at the new position instead of sliding across the gap
+ */
+export const INTERPOLATION_SNAP_DISTANCE = 64;
+
+/**
+ * SpriteInterpolator - Smooths fixed-step motion for rendering
+ *
+ * Sprites only move in whole simulation steps, which judders when the
+ * display rate is not a multiple of the step rate. Before each step,
+ * capture() remembers where objects were; after the frame's steps, apply()
+ * draws them between that position and the new one. restore() puts the
+ * simulated positions back before the next frame so physics never sees a
+ * drawn position.
+ */
+export class SpriteInterpolator {
+  constructor() {
+    // gameObject -> { prevX, prevY, x, y, drawnX, drawnY }
+    this.entries = new Map();
+  }
+
+  /**
+   * Remember positions before a simulation step
+   * Objects not in the list are forgotten.
+   * @param {Array<{x: number, y: number}>} objects
+   */
+  capture(objects) {
+    const entries = new Map();
+    for (const object of objects) {
+      const entry = this.entries.get(object) || {};
+      entry.prevX = object.x;
+      entry.prevY = object.y;
+      entry.drawnX = null;
+      entry.drawnY = null;
+      entries.set(object, entry);
+    }
+    this.entries = entries;
+  }
+
+  /**
+   * Draw captured objects between their last two simulated positions
+   * @param {number} alpha - 0 = previous step, 1 = latest step
+   */
+  apply(alpha) {
+    for (const [object, entry] of this.entries) {
+      entry.x = object.x;
+      entry.y = object.y;
+
+      const dx = entry.x - entry.prevX;
+      const dy = entry.y - entry.prevY;
+      if (Math.abs(dx) > INTERPOLATION_SNAP_DISTANCE || Math.abs(dy) > INTERPOLATION_SNAP_DISTANCE) {
+        entry.drawnX = null;
+        entry.drawnY = null;
+        continue;
+      }
+
+      object.x = entry.drawnX = entry.prevX + dx * alpha;
+      object.y = entry.drawnY = entry.prevY + dy * alpha;
+    }
+  }
+
+  /**
+   * Put simulated positions back before the next frame's steps
+   * Objects moved since apply() (e.g. by a debug key) keep their new position.
+   */
+  restore() {
+    for (const [object, entry] of this.entries) {
+      if (entry.drawnX === null) continue;
+      if (object.x === entry.drawnX) object.x = entry.x;
+      if (object.y === entry.drawnY) object.y = entry.y;
+      entry.drawnX = null;
+      entry.drawnY = null;
+    }
+  }
+
+  /**
+   * Forget every object
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -33,7 +33,9 @@ export class State {
    * Called every frame while in this state
    * @param {number} time - Total elapsed time in ms
    * @param {number} delta - Time since last frame in ms
-   * @returns {string|null} - Return state name to transition, or null to stay
+   * @returns {string|{state: string, params: object}|null} - Return state name to
+   *   transition, or null to stay. Return { state, params } to pass params to the
+   *   next state - this form also re-enters the current state when it names it.
    */
   update(time, delta) {
     // Override in subclass
@@ -176,12 +178,14 @@ export class StateMachine {
     this.stateTime += delta;
 
     // Let state run its update, check if it wants to transition
-    const nextStateName = this.currentState.update(time, delta);
+    const next = this.currentState.update(time, delta);
 
-    if (nextStateName && nextStateName !== this.currentState.name) {
-      // Force the transition since the state is voluntarily exiting
-      // (canBeInterrupted is for external interrupts, not self-transitions)
-      this.transition(nextStateName, {}, true);
+    // Force the transition since the state is voluntarily exiting
+    // (canBeInterrupted is for external interrupts, not self-transitions)
+    if (next && typeof next === 'object') {
+      this.transition(next.state, next.params, true);
+    } else if (next && next !== this.currentState.name) {
+      this.transition(next, {}, true);
     }
   }
 
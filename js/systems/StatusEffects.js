@@ -0,0 +1,298 @@
+import { CUE } from '../utils/palette.js';
+
+/**
+ * Status effect types
+ */
+export const STATUS_EFFECT = Object.freeze({
+  BLEED: 'bleed',             // Damage over time, stacks
+  BURN: 'burn',               // Fast damage over time
+  STUN: 'stun',               // Can't act
+  SLOW: 'slow',               // Moves and acts at reduced speed
+  ARMOR_BREAK: 'armor_break', // Takes more damage, shields stop blocking
+});
+
+/**
+ * What a second application of an effect already running does
+ */
+export const STATUS_STACKING = Object.freeze({
+  REFRESH: 'refresh', // Remaining time becomes the longer of the two
+  STACK: 'stack',     // One more stack (up to maxStacks), timer refreshes
+  EXTEND: 'extend',   // Durations add up (up to maxDuration)
+});
+
+/**
+ * Status effect definitions
+ * Durations and tick intervals are in ms of scaled (TimeManager) time, so
+ * effects freeze during hitstop and stretch in slow motion.
+ * tickDamage is dealt every tickInterval, per stack. label and cue are what
+ * the icon over the target shows.
+ */
+export const STATUS_EFFECT_DEFS = Object.freeze({
+  [STATUS_EFFECT.BLEED]: Object.freeze({
+    cue: CUE.STATUS_BLEED,
+    label: 'BLD',
+    stacking: STATUS_STACKING.STACK,
+    maxStacks: 5,
+    duration: 3000,
+    tickInterval: 500,
+    tickDamage: 1,
+  }),
+  [STATUS_EFFECT.BURN]: Object.freeze({
+    cue: CUE.STATUS_BURN,
+    label: 'BRN',
+    stacking: STATUS_STACKING.REFRESH,
+    duration: 2000,
+    tickInterval: 250,
+    tickDamage: 1,
+  }),
+  [STATUS_EFFECT.STUN]: Object.freeze({
+    cue: CUE.STATUS_STUN,
+    label: 'STN',
+    stacking: STATUS_STACKING.REFRESH,
+    duration: 600,
+  }),
+  [STATUS_EFFECT.SLOW]: Object.freeze({
+    cue: CUE.STATUS_SLOW,
+    label: 'SLW',
+    stacking: STATUS_STACKING.REFRESH,
+    duration: 2000,
+    speedMultiplier: 0.5,
+  }),
+  [STATUS_EFFECT.ARMOR_BREAK]: Object.freeze({
+    cue: CUE.STATUS_ARMOR_BREAK,
+    label: 'ARM',
+    stacking: STATUS_STACKING.EXTEND,
+    duration: 4000,
+    maxDuration: 8000,
+    damageTakenMultiplier: 1.25,
+  }),
+});
+
+// Steps are 1000/120 ms, which don't add up exactly - timers within this of
+// zero count as run out
+const TIME_EPSILON = 1e-6;
+
+/**
+ * StatusEffects - The status effects on one entity
+ *
+ * Enemies and bosses own one, fed from their stats:
+ *   - statusImmunities: effect types that never land, e.g. ['stun']
+ *   - statusResistance: { [type]: 0-1 } share of the duration shrugged off
+ *     (1 is the same as immunity)
+ * Attacks apply effects through AttackData.statusEffects; the owner calls
+ * update() with its scaled delta and deals the tick damage it returns.
+ */
+export class StatusEffects {
+  /**
+   * @param {object} [config]
+   * @param {string[]} [config.immunities]
+   * @param {object} [config.resistance]
+   */
+  constructor(config = {}) {
+    this.immunities = new Set(config.immunities || []);
+    this.resistance = config.resistance || {};
+    this.effects = new Map(); // type -> { type, stacks, remaining, duration, tickTimer }
+
+    // Slow bookkeeping (see restoreSpeed / applySlow)
+    this.slowedVelocityX = null;
+    this.unslowedVelocityX = 0;
+  }
+
+  /**
+   * Check whether an effect can land at all
+   * @param {string} type
+   * @returns {boolean}
+   */
+  isImmune(type) {
+    return this.immunities.has(type) || (this.resistance[type] ?? 0) >= 1;
+  }
+
+  /**
+   * Apply an effect
+   * @param {string} type - STATUS_EFFECT value
+   * @param {object} [options]
+   * @param {number} [options.duration] - ms, defaults to the effect's duration
+   * @param {number} [options.stacks=1] - Stacks added (STACK effects only)
+   * @returns {{type: string, stacks: number, duration: number}|null} What landed, or null if resisted
+   */
+  apply(type, options = {}) {
+    const def = STATUS_EFFECT_DEFS[type];
+    if (!def) {
+      console.warn(`Unknown status effect: ${type}`);
+      return null;
+    }
+    if (this.isImmune(type)) return null;
+
+    const duration = (options.duration ?? def.duration) * (1 - (this.resistance[type] ?? 0));
+    if (duration <= 0) return null;
+
+    const current = this.effects.get(type);
+    if (!current) {
+      const stacks = def.stacking === STATUS_STACKING.STACK
+        ? Math.min(def.maxStacks, options.stacks ?? 1)
+        : 1;
+      const remaining = def.maxDuration ? Math.min(def.maxDuration, duration) : duration;
+      this.effects.set(type, { type, stacks, remaining, duration: remaining, tickTimer: 0 });
+    } else {
+      switch (def.stacking) {
+        case STATUS_STACKING.STACK:
+          current.stacks = Math.min(def.maxStacks, current.stacks + (options.stacks ?? 1));
+          current.remaining = Math.max(current.remaining, duration);
+          break;
+        case STATUS_STACKING.EXTEND:
+          current.remaining = Math.min(def.maxDuration ?? Infinity, current.remaining + duration);
+          break;
+        case STATUS_STACKING.REFRESH:
+        default:
+          current.remaining = Math.max(current.remaining, duration);
+          break;
+      }
+      current.duration = Math.max(current.duration, current.remaining);
+    }
+
+    const effect = this.effects.get(type);
+    return { type, stacks: effect.stacks, duration: effect.remaining };
+  }
+
+  /**
+   * Apply an attack's effects (AttackData.statusEffects)
+   * @param {Array<{type: string, duration?: number, stacks?: number}>} [statusEffects]
+   * @returns {Array<{type: string, stacks: number, duration: number}>} The ones that landed
+   */
+  applyAll(statusEffects = []) {
+    const applied = [];
+    for (const effect of statusEffects) {
+      const result = this.apply(effect.type, effect);
+      if (result) applied.push(result);
+    }
+    return applied;
+  }
+
+  /**
+   * Run effect timers
+   * @param {number} delta - Scaled step length in ms
+   * @returns {number} Tick damage dealt this step
+   */
+  update(delta) {
+    let damage = 0;
+
+    for (const [type, effect] of this.effects) {
+      const def = STATUS_EFFECT_DEFS[type];
+
+      // Ticks only count time the effect was actually running
+      const step = Math.min(delta, effect.remaining);
+      effect.remaining -= step;
+
+      if (def.tickInterval) {
+        effect.tickTimer += step;
+        while (effect.tickTimer >= def.tickInterval - TIME_EPSILON) {
+          effect.tickTimer -= def.tickInterval;
+          damage += def.tickDamage * effect.stacks;
+        }
+      }
+
+      if (effect.remaining <= TIME_EPSILON) {
+        this.effects.delete(type);
+      }
+    }
+
+    return damage;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean}
+   */
+  has(type) {
+    return this.effects.has(type);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {{type: string, stacks: number, remaining: number, duration: number}|null}
+   */
+  get(type) {
+    const effect = this.effects.get(type);
+    if (!effect) return null;
+    return { type, stacks: effect.stacks, remaining: effect.remaining, duration: effect.duration };
+  }
+
+  /**
+   * Active effects, in STATUS_EFFECT order (for icons)
+   * @returns {Array<{type: string, stacks: number, remaining: number, duration: number}>}
+   */
+  getActive() {
+    return Object.values(STATUS_EFFECT)
+      .filter((type) => this.effects.has(type))
+      .map((type) => this.get(type));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isStunned() {
+    return this.effects.has(STATUS_EFFECT.STUN);
+  }
+
+  /**
+   * @returns {boolean} True while shields and guards can't block
+   */
+  isArmorBroken() {
+    return this.effects.has(STATUS_EFFECT.ARMOR_BREAK);
+  }
+
+  /**
+   * Movement and AI speed multiplier
+   * @returns {number}
+   */
+  getSpeedMultiplier() {
+    return this.effects.has(STATUS_EFFECT.SLOW)
+      ? STATUS_EFFECT_DEFS[STATUS_EFFECT.SLOW].speedMultiplier
+      : 1;
+  }
+
+  /**
+   * Multiplier on incoming hit damage
+   * @returns {number}
+   */
+  getDamageTakenMultiplier() {
+    return this.effects.has(STATUS_EFFECT.ARMOR_BREAK)
+      ? STATUS_EFFECT_DEFS[STATUS_EFFECT.ARMOR_BREAK].damageTakenMultiplier
+      : 1;
+  }
+
+  /**
+   * Undo last step's slow before the owner's AI runs again
+   * AI code sets velocities straight from its stats, so slow scales whatever
+   * it chose (applySlow) and puts it back here. A velocity something else
+   * replaced in between (knockback) is left alone.
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  restoreSpeed(body) {
+    if (this.slowedVelocityX !== null && body.velocity.x === this.slowedVelocityX) {
+      body.setVelocityX(this.unslowedVelocityX);
+    }
+    this.slowedVelocityX = null;
+  }
+
+  /**
+   * Scale the owner's horizontal speed for this step while slowed
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  applySlow(body) {
+    const multiplier = this.getSpeedMultiplier();
+    if (multiplier >= 1 || body.velocity.x === 0) return;
+
+    this.unslowedVelocityX = body.velocity.x;
+    this.slowedVelocityX = body.velocity.x * multiplier;
+    body.setVelocityX(this.slowedVelocityX);
+  }
+
+  /**
+   * Remove every effect (death, room reset)
+   */
+  clear() {
+    this.effects.clear();
+    this.slowedVelocityX = null;
+  }
+}
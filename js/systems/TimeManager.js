@@ -1,5 +1,13 @@
 /**
  * TimeManager - Handles hitstop, slowmo, and time manipulation
+ *
+ * Hitstop comes in two kinds:
+ *   - Entity hitstop (applyEntityHitstop): freezes just the attacker and
+ *     defender of a hit. Their bodies stop moving and their update() returns
+ *     early while the rest of the world carries on.
+ *   - Impact frames (applyHitstop): freeze the whole world. Kept for the
+ *     big moments - hits on bosses and the ultimate (COMBAT.HITSTOP.BOSS,
+ *     ULTIMATE).
  */
 export class TimeManager {
   /**
@@ -8,19 +16,70 @@ export class TimeManager {
   constructor(scene) {
     this.scene = scene;
     this.hitstopRemaining = 0;
+    this.entityHitstop = new Map(); // entity -> { remaining, moves }
     this.slowmoRemaining = 0;
     this.slowmoScale = 1;
     this.isPaused = false;
   }
 
   /**
-   * Apply hitstop (brief freeze on impact)
+   * Apply impact frames - freeze the whole world
    * @param {number} duration - Duration in ms
    */
   applyHitstop(duration) {
     this.hitstopRemaining = Math.max(this.hitstopRemaining, duration);
   }
 
+  /**
+   * Freeze one entity (hitstop for the attacker or defender of a hit)
+   * Its body holds its velocity without moving until the freeze ends.
+   * @param {object} entity - Player, enemy or boss (anything with sprite.body)
+   * @param {number} duration - Duration in ms
+   */
+  applyEntityHitstop(entity, duration) {
+    if (!entity || duration <= 0) return;
+
+    const frozen = this.entityHitstop.get(entity);
+    if (frozen) {
+      frozen.remaining = Math.max(frozen.remaining, duration);
+      return;
+    }
+
+    const body = entity.sprite?.body;
+    this.entityHitstop.set(entity, { remaining: duration, moves: body ? body.moves : null });
+    if (body) body.moves = false;
+  }
+
+  /**
+   * End an entity's hitstop early (death, respawn, room change)
+   * @param {object} entity
+   */
+  clearEntityHitstop(entity) {
+    const frozen = this.entityHitstop.get(entity);
+    if (!frozen) return;
+
+    this.entityHitstop.delete(entity);
+    const body = entity.sprite?.body;
+    if (body && frozen.moves !== null) body.moves = frozen.moves;
+  }
+
+  /**
+   * Check if an entity is in its own hitstop
+   * @param {object} entity
+   * @returns {boolean}
+   */
+  isEntityFrozen(entity) {
+    return this.entityHitstop.has(entity);
+  }
+
+  /**
+   * Entities currently in their own hitstop
+   * @returns {object[]}
+   */
+  getFrozenEntities() {
+    return [...this.entityHitstop.keys()];
+  }
+
   /**
    * Apply slow motion
    * @param {number} duration - Duration in ms
@@ -76,6 +135,12 @@ export class TimeManager {
       this.hitstopRemaining = Math.max(0, this.hitstopRemaining - delta);
     }
 
+    // Entity hitstop too
+    for (const [entity, frozen] of this.entityHitstop) {
+      frozen.remaining -= delta;
+      if (frozen.remaining <= 0) this.clearEntityHitstop(entity);
+    }
+
     // Slowmo counts down with real time
     if (this.slowmoRemaining > 0) {
       this.slowmoRemaining = Math.max(0, this.slowmoRemaining - delta);
@@ -92,6 +157,9 @@ export class TimeManager {
   getDebugInfo() {
     return {
       hitstop: Math.round(this.hitstopRemaining),
+      frozen: this.getFrozenEntities()
+        .map((entity) => entity.name || entity.config?.type || entity.constructor.name)
+        .join(', ') || 'none',
       slowmo: Math.round(this.slowmoRemaining),
       timeScale: this.getTimeScale().toFixed(2),
     };
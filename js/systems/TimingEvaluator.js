@@ -0,0 +1,87 @@
+import { COMBAT } from '../utils/combat.js';
+
+/**
+ * How well a combo link was timed
+ */
+export const TIMING_GRADE = Object.freeze({
+  PERFECT: 'perfect', // Critical hit
+  GOOD: 'good',       // Small damage bonus
+  EARLY: 'early',     // Pressed well before the link opened (buffered or mashed)
+  LATE: 'late',       // Pressed well after it opened
+});
+
+/**
+ * TimingEvaluator - Grades combo links and hands out their bonuses
+ *
+ * A link is graded by when its button was pressed compared to the moment
+ * the previous attack's cancel window opened, at the start of its recovery. The
+ * COMBAT.TIMING_WINDOWS widths are centered on that moment, so a press a
+ * couple of frames early still counts. Perfect links crit: bonus damage,
+ * isCritical on the hit (sound, sparks, damage number) and perfect-timing
+ * meter when it connects.
+ * The player owns one; AttackState grades each link it takes.
+ */
+export class TimingEvaluator {
+  /**
+   * @param {object} [config]
+   * @param {{PERFECT: number, GOOD: number}} [config.windows=COMBAT.TIMING_WINDOWS]
+   * @param {{PERFECT_DAMAGE: number, GOOD_DAMAGE: number}} [config.bonus=COMBAT.TIMING_BONUS]
+   */
+  constructor(config = {}) {
+    this.windows = config.windows || COMBAT.TIMING_WINDOWS;
+    this.bonus = config.bonus || COMBAT.TIMING_BONUS;
+
+    this.lastGrade = null;
+    this.perfectStreak = 0;
+    this.counts = Object.fromEntries(Object.values(TIMING_GRADE).map((grade) => [grade, 0]));
+  }
+
+  /**
+   * Grade a press
+   * @param {number} offset - ms from the link opening to the press (negative: before)
+   * @returns {string} TIMING_GRADE value
+   */
+  grade(offset) {
+    if (Math.abs(offset) <= this.windows.PERFECT / 2) return TIMING_GRADE.PERFECT;
+    if (Math.abs(offset) <= this.windows.GOOD / 2) return TIMING_GRADE.GOOD;
+    return offset < 0 ? TIMING_GRADE.EARLY : TIMING_GRADE.LATE;
+  }
+
+  /**
+   * Grade a combo link and record it
+   * @param {number} offset - ms from the link opening to the press
+   * @returns {string} TIMING_GRADE value
+   */
+  evaluateLink(offset) {
+    const grade = this.grade(offset);
+
+    this.lastGrade = grade;
+    this.counts[grade]++;
+    this.perfectStreak = grade === TIMING_GRADE.PERFECT ? this.perfectStreak + 1 : 0;
+    return grade;
+  }
+
+  /**
+   * What an attack started with this grade gets
+   * @param {string|null} grade - TIMING_GRADE value, or null for attacks not started by a link
+   * @returns {{damageMultiplier: number, critical: boolean}}
+   */
+  getBonus(grade) {
+    switch (grade) {
+      case TIMING_GRADE.PERFECT:
+        return { damageMultiplier: this.bonus.PERFECT_DAMAGE, critical: true };
+      case TIMING_GRADE.GOOD:
+        return { damageMultiplier: this.bonus.GOOD_DAMAGE, critical: false };
+      default:
+        return { damageMultiplier: 1, critical: false };
+    }
+  }
+
+  /**
+   * Forget the streak (combo dropped, respawn)
+   */
+  reset() {
+    this.lastGrade = null;
+    this.perfectStreak = 0;
+  }
+}
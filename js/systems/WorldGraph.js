@@ -0,0 +1,110 @@
+/**
+ * What happens to a room's enemies and corpses when the player leaves
+ */
+export const ROOM_PERSISTENCE = Object.freeze({
+  PERSIST: 'persist',   // Survivors, health and corpses are restored on return
+  RESET: 'reset',       // Room is rebuilt from its map every time
+});
+
+/**
+ * WorldGraph - Connectivity between rooms
+ *
+ * Each room points at a level map and names its exits. An exit leads to
+ * another room and names the `entry` exit the player arrives at there.
+ * Exit geometry lives in the map (exit objects); this graph only links names.
+ */
+export class WorldGraph {
+  /**
+   * @param {object} definition
+   * @param {string} definition.startRoom - Room a new game begins in
+   * @param {Object<string, {levelKey: string, persistence?: string, exits?: Object<string, {to: string, entry: string}>}>} definition.rooms
+   */
+  constructor(definition) {
+    this.startRoom = definition.startRoom;
+    this.rooms = new Map();
+
+    for (const [id, room] of Object.entries(definition.rooms || {})) {
+      this.rooms.set(id, {
+        id,
+        levelKey: room.levelKey,
+        persistence: room.persistence || ROOM_PERSISTENCE.RESET,
+        exits: { ...room.exits },
+      });
+    }
+  }
+
+  /**
+   * @param {string} roomId
+   * @returns {object|null}
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Find the room that uses a level map
+   * @param {string} levelKey
+   * @returns {object|null}
+   */
+  getRoomByLevel(levelKey) {
+    for (const room of this.rooms.values()) {
+      if (room.levelKey === levelKey) return room;
+    }
+    return null;
+  }
+
+  /**
+   * Get where an exit leads
+   * @param {string} roomId
+   * @param {string} exitName
+   * @returns {{to: string, entry: string}|null}
+   */
+  getExit(roomId, exitName) {
+    const room = this.getRoom(roomId);
+    return room?.exits[exitName] || null;
+  }
+
+  /**
+   * Get ids of rooms directly reachable from a room
+   * @param {string} roomId
+   * @returns {string[]}
+   */
+  getNeighbors(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return [];
+    return [...new Set(Object.values(room.exits).map((exit) => exit.to))];
+  }
+
+  /**
+   * Check the graph for broken links
+   * Entry names are checked against the maps at runtime, since one-way
+   * entries do not need a matching exit in the graph.
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.rooms.has(this.startRoom)) {
+      errors.push(`Start room "${this.startRoom}" does not exist`);
+    }
+
+    for (const room of this.rooms.values()) {
+      if (!room.levelKey) {
+        errors.push(`Room "${room.id}" has no levelKey`);
+      }
+      if (!Object.values(ROOM_PERSISTENCE).includes(room.persistence)) {
+        errors.push(`Room "${room.id}" has unknown persistence "${room.persistence}"`);
+      }
+      for (const [exitName, exit] of Object.entries(room.exits)) {
+        if (!this.rooms.has(exit.to)) {
+          errors.push(`Exit "${room.id}.${exitName}" leads to unknown room "${exit.to}"`);
+        }
+        if (!exit.entry) {
+          errors.push(`Exit "${room.id}.${exitName}" has no entry`);
+        }
+      }
+    }
+
+    return errors;
+  }
+}
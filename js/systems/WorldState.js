@@ -0,0 +1,102 @@
+import { ROOM_PERSISTENCE } from './WorldGraph.js';
+
+/**
+ * WorldState - Runtime state of the world that outlives a single room scene
+ * Stored in the game registry so it survives scene restarts.
+ */
+export class WorldState {
+  /**
+   * @param {WorldGraph} graph
+   */
+  constructor(graph) {
+    this.graph = graph;
+    this.currentRoomId = graph.startRoom;
+
+    // Map<roomId, snapshot> for rooms with ROOM_PERSISTENCE.PERSIST
+    this.roomSnapshots = new Map();
+
+    // Boss ids defeated this playthrough - their triggers no longer fire
+    this.defeatedBosses = new Set();
+  }
+
+  /**
+   * Mark a room as current and get its stored snapshot
+   * @param {string} roomId
+   * @returns {object|null} Snapshot to restore, or null to build from the map
+   */
+  enterRoom(roomId) {
+    this.currentRoomId = roomId;
+    return this.roomSnapshots.get(roomId) || null;
+  }
+
+  /**
+   * Store or discard a room's state according to its persistence rule
+   * @param {string} roomId
+   * @param {object} snapshot - { enemies, corpses, triggeredBossTriggers }
+   */
+  leaveRoom(roomId, snapshot) {
+    const room = this.graph.getRoom(roomId);
+    if (room?.persistence === ROOM_PERSISTENCE.PERSIST) {
+      this.roomSnapshots.set(roomId, snapshot);
+    } else {
+      this.roomSnapshots.delete(roomId);
+    }
+  }
+
+  /**
+   * @param {string} roomId
+   * @returns {object|null}
+   */
+  getRoomSnapshot(roomId) {
+    return this.roomSnapshots.get(roomId) || null;
+  }
+
+  /**
+   * Forget a room's stored state so it rebuilds from its map
+   * @param {string} roomId
+   */
+  resetRoom(roomId) {
+    this.roomSnapshots.delete(roomId);
+  }
+
+  /**
+   * @param {string} bossId
+   */
+  markBossDefeated(bossId) {
+    this.defeatedBosses.add(bossId);
+  }
+
+  /**
+   * @param {string} bossId
+   * @returns {boolean}
+   */
+  isBossDefeated(bossId) {
+    return this.defeatedBosses.has(bossId);
+  }
+
+  /**
+   * Forget all stored room state and boss defeats (e.g. on new game)
+   */
+  resetAll() {
+    this.roomSnapshots.clear();
+    this.defeatedBosses.clear();
+    this.currentRoomId = this.graph.startRoom;
+  }
+
+  /**
+   * Replace progress with a loaded save
+   * Room snapshots are not saved, so every room rebuilds from its map.
+   * @param {object} save
+   * @param {string|null} save.roomId - Falls back to the start room if unknown
+   * @param {string[]} save.defeatedBosses
+   */
+  restore({ roomId, defeatedBosses }) {
+    this.resetAll();
+    for (const bossId of defeatedBosses) {
+      this.defeatedBosses.add(bossId);
+    }
+    if (roomId && this.graph.getRoom(roomId)) {
+      this.currentRoomId = roomId;
+    }
+  }
+}
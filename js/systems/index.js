@@ -1,9 +1,51 @@
-export { InputManager, ACTIONS } from './InputManager.js';
+export {
+  InputManager,
+  ACTIONS,
+  HOLD_MODE,
+  DEFAULT_BINDINGS,
+  DEFAULT_GAMEPAD_LAYOUT,
+  getBindingProfile,
+  createInputFrame,
+} from './InputManager.js';
+export {
+  GamepadInput,
+  GAMEPAD_BUTTONS,
+  GAMEPAD_AXES,
+  GAMEPAD_DEFAULTS,
+  applyDeadZone,
+  applyRadialDeadZone,
+} from './GamepadInput.js';
+export {
+  BindingProfile,
+  BINDING_CONFLICT,
+  BINDINGS_VERSION,
+  BINDINGS_STORAGE_KEY,
+  MAX_KEYS_PER_ACTION,
+} from './InputBindings.js';
 export { StateMachine, State } from './StateMachine.js';
 export { TimeManager } from './TimeManager.js';
 export { CombatBox, BOX_TYPE, TEAM } from './CombatBox.js';
 export { CombatManager } from './CombatManager.js';
-export { EffectsManager } from './EffectsManager.js';
+export { Juggle, JUGGLE_EVENT, getLaunchProperties, resolveKnockbackVector } from './Knockback.js';
+export { TimingEvaluator, TIMING_GRADE } from './TimingEvaluator.js';
+export { Poise, POISE_RESULT } from './Poise.js';
+export { Guard, GUARD_RESULT, DEFAULT_GUARD, isHitInFront } from './Guard.js';
+export { ATTACK_PHASE, HIT_TYPE, classifyHit, applyHitType } from './CounterHit.js';
+export {
+  GRAB_TARGET,
+  GRAB_WEIGHT,
+  canGrab,
+  getGrabWeight,
+  getThrowVelocity,
+  getThrowDamage,
+} from './Grab.js';
+export {
+  StatusEffects,
+  STATUS_EFFECT,
+  STATUS_STACKING,
+  STATUS_EFFECT_DEFS,
+} from './StatusEffects.js';
+export { EffectsManager, SAFE_FLASH } from './EffectsManager.js';
 export {
   PLAYER_STATES,
   createPlayerStates,
@@ -12,10 +54,38 @@ export {
   JumpState,
   FallState,
   LandState,
-  AttackLight1State,
-  AttackLight2State,
-  AttackLight3State,
-  AttackHeavyState,
-  AttackAirState,
+  AttackState,
+  SpecialState,
 } from './PlayerStates.js';
 export { CorpseGrid, GRID_CONFIG } from './CorpseGrid.js';
+export { LevelLoader, LEVELS, LEVEL_LAYERS, LEVEL_OBJECTS, EXIT_KIND } from './LevelLoader.js';
+export { WorldGraph, ROOM_PERSISTENCE } from './WorldGraph.js';
+export { WorldState } from './WorldState.js';
+export {
+  SaveManager,
+  SAVE_VERSION,
+  SAVE_SLOTS,
+  SAVE_ERROR,
+  MIGRATIONS,
+  createDefaultSaveData,
+} from './SaveManager.js';
+export { LocalStorageAdapter, MemoryStorageAdapter, createDefaultStorage } from './SaveStorage.js';
+export {
+  ReplayRecorder,
+  ReplayPlayer,
+  REPLAY_VERSION,
+  REPLAY_TRACE,
+  encodeInputFrame,
+  decodeInputFrame,
+  serializeReplay,
+  parseReplay,
+} from './Replay.js';
+export { RandomService, RANDOM_STREAMS, GAMEPLAY_STREAMS, deriveStreamSeed } from './RandomService.js';
+export {
+  SettingsService,
+  SETTING_DEFINITIONS,
+  SETTING_TYPE,
+  SETTING_CATEGORY,
+  SETTINGS_STORAGE_KEY,
+  getSettingsService,
+} from './SettingsService.js';
@@ -0,0 +1,335 @@
+import { ACTIONS } from '../systems/InputManager.js';
+import { getFrameData, formatAdvantage } from '../weapons/FrameData.js';
+import { TIMING } from '../utils/timing.js';
+
+/**
+ * What happened to an attack button pressed during an attack
+ */
+export const INPUT_RESULT = Object.freeze({
+  PENDING: 'pending',   // Not read yet
+  ACCEPTED: 'accepted', // Cancelled into the next attack
+  DROPPED: 'dropped',   // The attack ended without using it
+});
+
+// Attack buttons worth tracking - the ones combo follow-ups read
+const TRACKED_ACTIONS = Object.freeze([ACTIONS.ATTACK_LIGHT, ACTIONS.ATTACK_HEAVY]);
+
+const ACTION_LABELS = Object.freeze({
+  [ACTIONS.ATTACK_LIGHT]: 'light',
+  [ACTIONS.ATTACK_HEAVY]: 'heavy',
+});
+
+const BAR = Object.freeze({
+  WIDTH: 600,
+  HEIGHT: 18,
+  BOTTOM: 130, // Distance from the bottom of the screen
+});
+
+const COLORS = Object.freeze({
+  STARTUP: 0x44cc66,
+  ACTIVE: 0xff4444,
+  RECOVERY: 0x4488ff,
+  CANCEL: 0xffdd33,
+  CURSOR: 0xffffff,
+  ACCEPTED: 0x44ff88,
+  DROPPED: 0xff4444,
+  PENDING: 0xaaaaaa,
+  HIT: 0xffaa00,
+});
+
+/**
+ * Frame-data inspector - dev overlay for tuning AttackData
+ *
+ * Shows the player's current (or last) attack as a timeline in simulation
+ * frames: startup, active and recovery segments, the cancel window, where
+ * attack buttons were pressed and whether the press was accepted into a
+ * combo or dropped, and the frame advantage of each hit against the
+ * defender's actual hitstun.
+ *
+ * LevelScene calls track() right after the player updates each step and
+ * recordHit() from its combat:hit handler; both do nothing while disabled.
+ */
+export class FrameDataInspector {
+  /**
+   * @param {Phaser.Scene} scene - Scene with an inputManager
+   * @param {Player} player
+   */
+  constructor(scene, player) {
+    this.scene = scene;
+    this.player = player;
+    this.enabled = false;
+
+    // Attack being shown - the live one, or the last one once it ends
+    this.timeline = null;
+    this.lastState = null;
+    this.lastFrame = null;
+
+    this.graphics = null;
+    this.text = null;
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled) {
+      this.createDisplay();
+    } else {
+      this.destroyDisplay();
+      this.timeline = null;
+      this.lastState = null;
+    }
+  }
+
+  /**
+   * @returns {boolean} New enabled state
+   */
+  toggle() {
+    this.setEnabled(!this.enabled);
+    return this.enabled;
+  }
+
+  /**
+   * The attack being shown
+   * @returns {object|null} { weaponId, attackType, frameData, frame, finished, inputs, hits }
+   */
+  getTimeline() {
+    return this.timeline;
+  }
+
+  /**
+   * Follow the player's attack state - call once per simulation step,
+   * after the player updates
+   */
+  track() {
+    if (!this.enabled) return;
+
+    const state = this.player.stateMachine.currentState;
+    const frameState = state?.getFrameState ? state.getFrameState() : null;
+    const timeline = this.timeline;
+    const isLive = timeline && !timeline.finished;
+
+    // A different attack (or the same one again) has started
+    const isNewAttack = frameState
+      && (state !== this.lastState || !isLive || frameState.attackType !== timeline.attackType
+        || frameState.elapsedSteps < timeline.frame - 1);
+
+    if (isLive && (!frameState || isNewAttack)) {
+      // Cancelling straight into another attack is a combo - the press that did it was accepted
+      this.finishTimeline(isNewAttack && timeline.frame <= timeline.frameData.total);
+    }
+
+    if (isNewAttack) {
+      this.timeline = {
+        weaponId: this.player.getCurrentWeapon()?.id || null,
+        attackType: frameState.attackType,
+        frameData: getFrameData(frameState.attackData),
+        frame: frameState.elapsedSteps + 1,
+        finished: false,
+        inputs: [],
+        hits: [],
+      };
+    } else if (frameState) {
+      this.timeline.frame = frameState.elapsedSteps + 1;
+    }
+    this.lastState = state;
+
+    this.recordPresses();
+  }
+
+  /**
+   * End the live timeline, settling presses that were waiting
+   * @param {boolean} comboed - True if it was cancelled into another attack
+   */
+  finishTimeline(comboed) {
+    const timeline = this.timeline;
+    timeline.finished = true;
+
+    const pending = timeline.inputs.filter((input) => input.result === INPUT_RESULT.PENDING);
+    if (comboed) {
+      // Pressed this step and read by the attack before track() saw it, or pressed earlier and waiting
+      const [press] = this.readNewPresses();
+      if (press) {
+        timeline.inputs.push({ action: press, frame: timeline.frame, result: INPUT_RESULT.ACCEPTED });
+      } else if (pending.length > 0) {
+        pending.shift().result = INPUT_RESULT.ACCEPTED;
+      }
+    }
+    for (const input of pending) {
+      input.result = INPUT_RESULT.DROPPED;
+    }
+  }
+
+  /**
+   * Attack presses in an input frame not looked at yet
+   * Input frames are sampled per rendered frame, so several steps share one.
+   * @returns {string[]} Actions
+   */
+  readNewPresses() {
+    const frame = this.scene.inputManager.getFrame();
+    if (frame === this.lastFrame) return [];
+    this.lastFrame = frame;
+    return TRACKED_ACTIONS.filter((action) => frame.pressed.has(action));
+  }
+
+  /**
+   * Add attack presses made during the live attack
+   */
+  recordPresses() {
+    const presses = this.readNewPresses();
+    const timeline = this.timeline;
+    if (!timeline || timeline.finished) return;
+
+    for (const action of presses) {
+      timeline.inputs.push({ action, frame: timeline.frame, result: INPUT_RESULT.PENDING });
+    }
+  }
+
+  /**
+   * Note a hit by the player's live attack, with advantage against the
+   * defender's actual hitstun (after any per-enemy multiplier)
+   * @param {object} hitData - From the combat:hit event
+   */
+  recordHit(hitData) {
+    const timeline = this.timeline;
+    if (!this.enabled || !timeline || timeline.finished || hitData.attacker !== this.player) return;
+
+    const { frameData, frame } = timeline;
+    const hitstunMs = hitData.defender.hitstunRemaining ?? hitData.hitstun ?? 0;
+    const hitstun = TIMING.msToSteps(hitstunMs);
+    const elapsed = frame - 1;
+
+    timeline.hits.push({
+      frame,
+      hitstun,
+      advantage: hitstun - (frameData.total - elapsed),
+      cancelAdvantage: frameData.cancelStart === null ? null : hitstun - Math.max(0, frameData.cancelStart - 1 - elapsed),
+    });
+  }
+
+  createDisplay() {
+    if (this.graphics) return;
+    const { height } = this.scene.cameras.main;
+
+    this.graphics = this.scene.add.graphics();
+    this.graphics.setScrollFactor(0);
+    this.graphics.setDepth(1000);
+
+    this.text = this.scene.add.text(0, height - BAR.BOTTOM - 8, '', {
+      fontFamily: 'monospace',
+      fontSize: '13px',
+      color: '#ffffff',
+      backgroundColor: '#000000aa',
+      padding: { x: 6, y: 4 },
+    });
+    this.text.setOrigin(0, 1);
+    this.text.setScrollFactor(0);
+    this.text.setDepth(1000);
+  }
+
+  destroyDisplay() {
+    this.graphics?.destroy();
+    this.text?.destroy();
+    this.graphics = null;
+    this.text = null;
+  }
+
+  /**
+   * Redraw the overlay - call once per rendered frame
+   */
+  draw() {
+    if (!this.enabled || !this.graphics) return;
+
+    const { width, height } = this.scene.cameras.main;
+    const x = (width - BAR.WIDTH) / 2;
+    const y = height - BAR.BOTTOM;
+    this.graphics.clear();
+    this.text.setX(x);
+
+    const timeline = this.timeline;
+    if (!timeline) {
+      this.text.setText('Frame data: attack to inspect');
+      return;
+    }
+
+    const { frameData } = timeline;
+    const frameWidth = BAR.WIDTH / Math.max(1, frameData.total);
+    const segment = (startFrame, frames, color, top = y, barHeight = BAR.HEIGHT) => {
+      this.graphics.fillStyle(color, 1);
+      this.graphics.fillRect(x + (startFrame - 1) * frameWidth, top, frames * frameWidth, barHeight);
+    };
+
+    segment(1, frameData.startup, COLORS.STARTUP);
+    segment(frameData.startup + 1, frameData.active, COLORS.ACTIVE);
+    segment(frameData.startup + frameData.active + 1, frameData.recovery, COLORS.RECOVERY);
+    if (frameData.cancelStart !== null) {
+      segment(frameData.cancelStart, frameData.cancelEnd - frameData.cancelStart + 1, COLORS.CANCEL, y + BAR.HEIGHT + 2, 4);
+    }
+
+    // Frame ticks
+    this.graphics.lineStyle(1, 0x000000, 0.4);
+    for (let i = 1; i < frameData.total; i++) {
+      this.graphics.lineBetween(x + i * frameWidth, y, x + i * frameWidth, y + BAR.HEIGHT);
+    }
+
+    // Presses above the bar, hits below
+    for (const input of timeline.inputs) {
+      const color = input.result === INPUT_RESULT.ACCEPTED ? COLORS.ACCEPTED
+        : input.result === INPUT_RESULT.DROPPED ? COLORS.DROPPED : COLORS.PENDING;
+      const markX = x + (Math.min(input.frame, frameData.total) - 0.5) * frameWidth;
+      this.graphics.fillStyle(color, 1);
+      this.graphics.fillTriangle(markX - 5, y - 10, markX + 5, y - 10, markX, y - 2);
+    }
+    for (const hit of timeline.hits) {
+      const markX = x + (hit.frame - 0.5) * frameWidth;
+      this.graphics.fillStyle(COLORS.HIT, 1);
+      this.graphics.fillCircle(markX, y + BAR.HEIGHT + 12, 4);
+    }
+
+    // Current frame
+    const cursorX = x + Math.min(timeline.frame, frameData.total) * frameWidth;
+    this.graphics.lineStyle(2, COLORS.CURSOR, timeline.finished ? 0.4 : 1);
+    this.graphics.lineBetween(cursorX, y - 4, cursorX, y + BAR.HEIGHT + 4);
+
+    this.text.setText(this.describe(timeline));
+  }
+
+  /**
+   * @param {object} timeline
+   * @returns {string} Text lines above the bar
+   */
+  describe(timeline) {
+    const { frameData } = timeline;
+    const activeStart = frameData.startup + 1;
+    const recoveryStart = activeStart + frameData.active;
+    const cancel = frameData.cancelStart === null ? 'none' : `${frameData.cancelStart}-${frameData.cancelEnd}`;
+    const status = timeline.finished ? 'done' : `frame ${Math.min(timeline.frame, frameData.total)}/${frameData.total}`;
+
+    const lastHit = timeline.hits[timeline.hits.length - 1];
+    const advantage = lastHit
+      ? `On hit: ${formatAdvantage(lastHit.advantage)} vs ${lastHit.hitstun}f hitstun`
+        + (lastHit.cancelAdvantage === null ? '' : ` (${formatAdvantage(lastHit.cancelAdvantage)} if cancelled)`)
+      : `On hit (data): ${formatAdvantage(frameData.onHit)}`
+        + (frameData.onCancel === null ? '' : ` (${formatAdvantage(frameData.onCancel)} if cancelled)`);
+
+    const inputs = timeline.inputs
+      .map((input) => `${ACTION_LABELS[input.action]}@${input.frame} ${input.result}`)
+      .join(', ');
+
+    return [
+      `${timeline.weaponId} ${timeline.attackType} - ${status}`,
+      `Startup 1-${frameData.startup}  Active ${activeStart}-${recoveryStart - 1}  `
+        + `Recovery ${recoveryStart}-${frameData.total}  Cancel ${cancel}`,
+      advantage,
+      `Inputs: ${inputs || 'none'}`,
+    ].join('\n');
+  }
+
+  destroy() {
+    this.destroyDisplay();
+    this.timeline = null;
+    this.lastState = null;
+    this.lastFrame = null;
+  }
+}
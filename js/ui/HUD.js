@@ -1,4 +1,21 @@
 import { COMBAT } from '../utils/combat.js';
+import { CUE, COLORBLIND_MODE, getCueColor } from '../utils/palette.js';
+import { StatusIcons } from './StatusIcons.js';
+import { HIT_TYPE } from '../systems/CounterHit.js';
+
+/**
+ * @param {number} color - Hex color
+ * @returns {string} CSS color for text
+ */
+function toCssColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+// Callout text and color for hit types worth calling out
+const HIT_TYPE_CALLOUTS = Object.freeze({
+  [HIT_TYPE.COUNTER]: Object.freeze({ text: 'COUNTER', cue: CUE.COUNTER_HIT }),
+  [HIT_TYPE.PUNISH]: Object.freeze({ text: 'PUNISH', cue: CUE.PUNISH }),
+});
 
 /**
  * HUD - Heads Up Display for gameplay
@@ -18,13 +35,23 @@ export class HUD {
     this.comboTimer = 0;
     this.killCount = 0;
     this.displayedKillCount = 0; // For animation
+    this.counterHits = 0;
+    this.punishes = 0;
+    this.healthPercent = 1;
+
+    // Bar colors come from this palette; set by useSettings()
+    this.colorblindMode = COLORBLIND_MODE.OFF;
+    this.unsubscribeSettings = null;
 
     // Create HUD elements
     this.createHealthBar();
     this.createComboCounter();
+    this.createHitTypeCallout();
     this.createKillCounter();
     this.createUltimateMeter();
     this.createWeaponDisplay();
+    this.createSpecialDisplay();
+    this.createTargetStatusDisplay();
 
     // Weapon swap state
     this.swapProgress = 0;
@@ -47,7 +74,7 @@ export class HUD {
     this.healthBarBg.setStrokeStyle(2, 0x444444);
 
     // Fill
-    this.healthBarFill = this.scene.add.rectangle(x + 2, y, 246, 20, 0xe94560);
+    this.healthBarFill = this.scene.add.rectangle(x + 2, y, 246, 20, this.getColor(CUE.HEALTH));
     this.healthBarFill.setOrigin(0, 0.5);
 
     // Text
@@ -68,11 +95,20 @@ export class HUD {
     });
     this.healthLabel.setOrigin(0, 0.5);
 
+    // Guard meter - thin bar under the health bar
+    this.guardBarBg = this.scene.add.rectangle(x, y + 18, 250, 6, 0x222222);
+    this.guardBarBg.setOrigin(0, 0.5);
+
+    this.guardBarFill = this.scene.add.rectangle(x + 1, y + 18, 248, 4, this.getColor(CUE.GUARD));
+    this.guardBarFill.setOrigin(0, 0.5);
+
     this.container.add([
       this.healthBarBg,
       this.healthBarFill,
       this.healthText,
       this.healthLabel,
+      this.guardBarBg,
+      this.guardBarFill,
     ]);
   }
 
@@ -113,6 +149,27 @@ export class HUD {
     this.container.add([this.comboText, this.comboLabel, this.comboTimerBar]);
   }
 
+  /**
+   * Create the COUNTER / PUNISH callout (above the combo counter)
+   */
+  createHitTypeCallout() {
+    const x = this.scene.cameras.main.width - 50;
+    const y = this.scene.cameras.main.height / 2 - 55;
+
+    this.hitTypeText = this.scene.add.text(x, y, '', {
+      fontFamily: 'monospace',
+      fontSize: '24px',
+      fontStyle: 'bold',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3,
+    });
+    this.hitTypeText.setOrigin(1, 0.5);
+    this.hitTypeText.setAlpha(0);
+
+    this.container.add(this.hitTypeText);
+  }
+
   /**
    * Create kill counter (top center)
    */
@@ -154,7 +211,7 @@ export class HUD {
     this.ultimateBarBg.setStrokeStyle(2, 0x444444);
 
     // Fill
-    this.ultimateBarFill = this.scene.add.rectangle(x + 2, y, 0, 20, 0x44aaff);
+    this.ultimateBarFill = this.scene.add.rectangle(x + 2, y, 0, 20, this.getColor(CUE.ULTIMATE));
     this.ultimateBarFill.setOrigin(0, 0.5);
 
     // Label
@@ -169,7 +226,7 @@ export class HUD {
     this.ultimateReady = this.scene.add.text(x + 125, y, 'READY!', {
       fontFamily: 'monospace',
       fontSize: '14px',
-      color: '#44aaff',
+      color: toCssColor(this.getColor(CUE.ULTIMATE)),
       stroke: '#000000',
       strokeThickness: 2,
     });
@@ -251,6 +308,129 @@ export class HUD {
     ]);
   }
 
+  /**
+   * Create special move cooldown display (right of the weapon display)
+   */
+  createSpecialDisplay() {
+    const x = this.scene.cameras.main.width / 2 + 95;
+    const y = this.scene.cameras.main.height - 60;
+
+    this.specialBg = this.scene.add.rectangle(x, y, 40, 40, 0x222222);
+    this.specialBg.setStrokeStyle(2, 0x444444);
+
+    this.specialIcon = this.scene.add.rectangle(x, y, 28, 28, 0xffffff);
+
+    // Dark overlay that drains from the top as the cooldown runs out
+    this.specialCooldownFill = this.scene.add.rectangle(x - 20, y + 20, 40, 0, 0x000000, 0.7);
+    this.specialCooldownFill.setOrigin(0, 1);
+
+    this.specialCooldownText = this.scene.add.text(x, y, '', {
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 2,
+    });
+    this.specialCooldownText.setOrigin(0.5);
+
+    this.specialLabel = this.scene.add.text(x, y - 32, 'SPECIAL', {
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      color: '#aaaaaa',
+    });
+    this.specialLabel.setOrigin(0.5);
+
+    // Meter cost, when the special has one
+    this.specialCostText = this.scene.add.text(x, y + 30, '', {
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      color: toCssColor(this.getColor(CUE.ULTIMATE)),
+    });
+    this.specialCostText.setOrigin(0.5);
+
+    this.specialElements = [
+      this.specialBg,
+      this.specialIcon,
+      this.specialCooldownFill,
+      this.specialCooldownText,
+      this.specialLabel,
+      this.specialCostText,
+    ];
+    this.container.add(this.specialElements);
+  }
+
+  /**
+   * Create the status effects display for the player's target (above the special)
+   * Shows what's on the last enemy or boss the player's hits put an effect on.
+   */
+  createTargetStatusDisplay() {
+    const x = this.scene.cameras.main.width / 2 + 95;
+    const y = this.scene.cameras.main.height - 120;
+
+    this.statusTarget = null;
+    this.targetStatusIcons = new StatusIcons(this.scene, {
+      fontSize: '12px',
+      spacing: 6,
+      getColor: (cue) => this.getColor(cue),
+    });
+
+    this.targetStatusLabel = this.scene.add.text(x, y - 16, 'TARGET', {
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      color: '#aaaaaa',
+    });
+    this.targetStatusLabel.setOrigin(0.5);
+    this.targetStatusLabel.setVisible(false);
+
+    this.container.add([this.targetStatusLabel, this.targetStatusIcons.container]);
+  }
+
+  /**
+   * Update target status effects - hidden once the target dies or they wear off
+   */
+  updateTargetStatusDisplay() {
+    const active = this.statusTarget?.isAlive ? this.statusTarget.statusEffects.getActive() : [];
+    if (active.length === 0) {
+      this.statusTarget = null;
+    }
+
+    this.targetStatusLabel.setVisible(active.length > 0);
+    this.targetStatusIcons.update(this.targetStatusLabel.x, this.targetStatusLabel.y + 16, active);
+  }
+
+  /**
+   * Update special move display - cooldown left and whether it can be afforded
+   * @param {Player} player
+   */
+  updateSpecialDisplay(player) {
+    const move = player.getCurrentWeapon()?.specialMove;
+    for (const element of this.specialElements) {
+      element.setVisible(Boolean(move));
+    }
+    if (!move) return;
+
+    const remaining = player.weaponManager.getSpecialCooldown();
+    const progress = move.cooldown > 0 ? Math.min(1, remaining / move.cooldown) : 0;
+    this.specialCooldownFill.setSize(40, 40 * progress);
+    this.specialCooldownText.setText(remaining > 0 ? (remaining / 1000).toFixed(1) : '');
+
+    const affordable = player.ultimateMeter >= move.meterCost;
+    this.specialIcon.setFillStyle(player.getCurrentWeapon().trailColor || 0xffffff);
+    this.specialIcon.setAlpha(remaining <= 0 && affordable ? 1 : 0.4);
+    this.specialCostText.setText(move.meterCost > 0 ? `${move.meterCost} METER` : '');
+    this.specialCostText.setAlpha(affordable ? 1 : 0.4);
+  }
+
+  /**
+   * Flash the special display red - pressed while on cooldown or unaffordable
+   */
+  flashSpecialUnavailable() {
+    this.specialBg.setStrokeStyle(2, 0xff4444);
+    this.scene.time.delayedCall(150, () => {
+      this.specialBg.setStrokeStyle(2, 0x444444);
+    });
+  }
+
   /**
    * Update weapon display from WeaponManager
    * @param {WeaponManager} weaponManager
@@ -325,27 +505,48 @@ export class HUD {
    * Setup event listeners for combat events
    */
   setupEventListeners() {
-    // Combo hit
-    this.scene.events.on('combat:hit', (hitData) => {
-      this.incrementCombo();
-    });
+    // Handlers kept so destroy() can remove them when the scene restarts
+    this.eventHandlers = {
+      // Combo hit
+      'combat:hit': (hitData) => {
+        this.incrementCombo();
+
+        if (HIT_TYPE_CALLOUTS[hitData.hitType]) {
+          this.recordHitType(hitData.hitType);
+        }
+
+        // Follow the last target the player's effects landed on
+        if (hitData.appliedStatusEffects?.length > 0 && hitData.defender.statusEffects) {
+          this.statusTarget = hitData.defender;
+        }
+      },
 
-    // Enemy killed
-    this.scene.events.on('enemy:killed', (data) => {
-      this.incrementKills();
-    });
+      // Special pressed but not ready
+      'special:unavailable': () => {
+        this.flashSpecialUnavailable();
+      },
 
-    // Player damaged
-    this.scene.events.on('player:damaged', (data) => {
-      this.updateHealth(data.health, data.player.maxHealth);
-      // Reset combo on taking damage (optional - remove if unwanted)
-      // this.resetCombo();
-    });
+      // Enemy killed
+      'enemy:killed': (data) => {
+        this.incrementKills();
+      },
 
-    // Player healed
-    this.scene.events.on('player:healed', (data) => {
-      this.updateHealth(data.health, data.player.maxHealth);
-    });
+      // Player damaged
+      'player:damaged': (data) => {
+        this.updateHealth(data.health, data.player.maxHealth);
+        // Reset combo on taking damage (optional - remove if unwanted)
+        // this.resetCombo();
+      },
+
+      // Player healed
+      'player:healed': (data) => {
+        this.updateHealth(data.health, data.player.maxHealth);
+      },
+    };
+
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.scene.events.on(event, handler);
+    }
   }
 
   /**
@@ -396,6 +597,41 @@ export class HUD {
     }
   }
 
+  /**
+   * Count a counter-hit or punish and call it out
+   * @param {string} hitType - HIT_TYPE.COUNTER or HIT_TYPE.PUNISH
+   */
+  recordHitType(hitType) {
+    if (hitType === HIT_TYPE.COUNTER) {
+      this.counterHits++;
+    } else {
+      this.punishes++;
+    }
+
+    const callout = HIT_TYPE_CALLOUTS[hitType];
+    this.hitTypeText.setText(callout.text);
+    this.hitTypeText.setColor(toCssColor(this.getColor(callout.cue)));
+
+    // Pop in, hold, fade - a new callout restarts it
+    this.scene.tweens.killTweensOf(this.hitTypeText);
+    this.hitTypeText.setAlpha(1);
+    this.hitTypeText.setScale(1.5);
+    this.scene.tweens.add({
+      targets: this.hitTypeText,
+      scaleX: 1,
+      scaleY: 1,
+      duration: 100,
+      ease: 'Power2',
+    });
+    this.scene.tweens.add({
+      targets: this.hitTypeText,
+      alpha: 0,
+      delay: 600,
+      duration: 300,
+      ease: 'Power2',
+    });
+  }
+
   /**
    * Flash effect for combo milestones
    */
@@ -472,6 +708,26 @@ export class HUD {
     });
   }
 
+  /**
+   * Set kill counter without animation (restoring after a room transition or load)
+   * @param {number} count
+   */
+  setKills(count) {
+    this.killCount = count;
+    this.displayedKillCount = count;
+    this.killText.setText(count.toString());
+  }
+
+  /**
+   * Set counter-hit and punish counts (restoring after a room transition)
+   * @param {number} counterHits
+   * @param {number} punishes
+   */
+  setHitTypeCounts(counterHits, punishes) {
+    this.counterHits = counterHits;
+    this.punishes = punishes;
+  }
+
   /**
    * Update health bar
    * @param {number} current
@@ -493,13 +749,8 @@ export class HUD {
     this.healthText.setText(`${current}/${max}`);
 
     // Color based on health
-    if (percent <= 0.25) {
-      this.healthBarFill.setFillStyle(0xff4444);
-    } else if (percent <= 0.5) {
-      this.healthBarFill.setFillStyle(0xffaa44);
-    } else {
-      this.healthBarFill.setFillStyle(0xe94560);
-    }
+    this.healthPercent = percent;
+    this.healthBarFill.setFillStyle(this.getHealthColor());
 
     // Flash on damage
     this.scene.tweens.add({
@@ -510,6 +761,24 @@ export class HUD {
     });
   }
 
+  /**
+   * @returns {number} Health bar color for the current health
+   */
+  getHealthColor() {
+    if (this.healthPercent <= 0.25) return this.getColor(CUE.HEALTH_LOW);
+    if (this.healthPercent <= 0.5) return this.getColor(CUE.HEALTH_MID);
+    return this.getColor(CUE.HEALTH);
+  }
+
+  /**
+   * Update guard meter - dims while the guard is crushed
+   * @param {Guard} guard
+   */
+  updateGuard(guard) {
+    this.guardBarFill.width = 248 * (guard.current / guard.stats.meter);
+    this.guardBarFill.setAlpha(guard.isCrushed() ? 0.35 : 1);
+  }
+
   /**
    * Update ultimate meter
    * @param {number} current
@@ -569,12 +838,55 @@ export class HUD {
     // Update ultimate meter from player
     if (player) {
       this.updateUltimate(player.ultimateMeter, COMBAT.ULTIMATE.MAX_METER);
+      this.updateGuard(player.guard);
 
       // Update weapon display
       if (player.weaponManager) {
         this.updateWeaponDisplay(player.weaponManager);
+        this.updateSpecialDisplay(player);
       }
     }
+
+    this.updateTargetStatusDisplay();
+  }
+
+  /**
+   * Color for a cue in the HUD's palette
+   * @param {string} cue - CUE value
+   * @returns {number} Hex color
+   */
+  getColor(cue) {
+    return getCueColor(cue, this.colorblindMode);
+  }
+
+  /**
+   * Switch palette and recolor the bars
+   * @param {string} mode - COLORBLIND_MODE value
+   */
+  setPalette(mode) {
+    this.colorblindMode = mode;
+    this.healthBarFill.setFillStyle(this.getHealthColor());
+    this.ultimateBarFill.setFillStyle(this.getColor(CUE.ULTIMATE));
+    this.guardBarFill.setFillStyle(this.getColor(CUE.GUARD));
+    this.ultimateReady.setColor(toCssColor(this.getColor(CUE.ULTIMATE)));
+    this.specialCostText.setColor(toCssColor(this.getColor(CUE.ULTIMATE)));
+  }
+
+  /**
+   * Follow the settings service's color palette
+   * @param {SettingsService} settings
+   */
+  useSettings(settings) {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+    }
+
+    this.setPalette(settings.get('accessibility.palette'));
+    this.unsubscribeSettings = settings.subscribe((key, value) => {
+      if (key === 'accessibility.palette') {
+        this.setPalette(value);
+      }
+    });
   }
 
   /**
@@ -585,6 +897,8 @@ export class HUD {
     return {
       combo: this.currentCombo,
       kills: this.killCount,
+      counterHits: this.counterHits,
+      punishes: this.punishes,
     };
   }
 
@@ -592,6 +906,13 @@ export class HUD {
    * Clean up
    */
   destroy() {
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
+    for (const [event, handler] of Object.entries(this.eventHandlers)) {
+      this.scene.events.off(event, handler);
+    }
     this.container.destroy();
   }
 }
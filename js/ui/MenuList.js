@@ -0,0 +1,379 @@
+import { GamepadInput, GAMEPAD_BUTTONS, GAMEPAD_AXES } from '../systems/GamepadInput.js';
+import { SOUNDS } from '../utils/audio.js';
+
+/**
+ * Menu commands, from either the keyboard or a gamepad
+ */
+export const MENU_INPUT = Object.freeze({
+  UP: 'up',
+  DOWN: 'down',
+  LEFT: 'left',
+  RIGHT: 'right',
+  CONFIRM: 'confirm',
+  BACK: 'back',
+});
+
+/**
+ * Default menu keys (Phaser key code names)
+ * Fixed rather than taken from the binding profile, so menus keep working
+ * whatever the player has rebound.
+ */
+export const MENU_KEYS = Object.freeze({
+  [MENU_INPUT.UP]: ['UP', 'W'],
+  [MENU_INPUT.DOWN]: ['DOWN', 'S'],
+  [MENU_INPUT.LEFT]: ['LEFT', 'A'],
+  [MENU_INPUT.RIGHT]: ['RIGHT', 'D'],
+  [MENU_INPUT.CONFIRM]: ['ENTER', 'SPACE'],
+  [MENU_INPUT.BACK]: ['ESC', 'BACKSPACE'],
+});
+
+/**
+ * Default menu buttons - D-pad or left stick to move and adjust, A to choose, B to go back
+ */
+export const MENU_PAD_LAYOUT = Object.freeze({
+  [MENU_INPUT.UP]: [{ button: GAMEPAD_BUTTONS.DPAD_UP }, { axis: GAMEPAD_AXES.LEFT_Y, direction: -1 }],
+  [MENU_INPUT.DOWN]: [{ button: GAMEPAD_BUTTONS.DPAD_DOWN }, { axis: GAMEPAD_AXES.LEFT_Y, direction: 1 }],
+  [MENU_INPUT.LEFT]: [{ button: GAMEPAD_BUTTONS.DPAD_LEFT }, { axis: GAMEPAD_AXES.LEFT_X, direction: -1 }],
+  [MENU_INPUT.RIGHT]: [{ button: GAMEPAD_BUTTONS.DPAD_RIGHT }, { axis: GAMEPAD_AXES.LEFT_X, direction: 1 }],
+  [MENU_INPUT.CONFIRM]: [{ button: GAMEPAD_BUTTONS.A }],
+  [MENU_INPUT.BACK]: [{ button: GAMEPAD_BUTTONS.B }],
+});
+
+// Keyboard event last acted on - one key press drives one menu, even when it
+// opens another menu whose listener would see the same event
+let lastHandledEvent = null;
+
+const COLORS = Object.freeze({
+  TEXT: '#ffffff',
+  DISABLED: '#555555',
+  SELECTED: '#e94560',
+});
+
+/**
+ * MenuList - Vertical list of choices driven by keyboard and gamepad
+ *
+ * Shared by every menu scene. Items are { id, label, disabled?, onSelect?, onAdjust? };
+ * choosing an item calls its onSelect, or the list's onSelect if it has none.
+ * Left/right call the item's onAdjust(item, step) - sliders and option
+ * cyclers; returning false means nothing changed.
+ * Selection skips disabled items and wraps. Menu sounds play through the
+ * AudioManager passed in, if any.
+ *
+ *   this.menu = new MenuList(this, {
+ *     x: 960, y: 500,
+ *     items: [{ id: 'resume', label: 'Resume', onSelect: () => this.close() }],
+ *     onBack: () => this.close(),
+ *   });
+ *   // in update(): this.menu.update();
+ *
+ * Keyboard presses arrive as events; the gamepad is polled in update().
+ * A held key or button from before the menu opened (the Start press that
+ * paused the game) is ignored until it is released.
+ */
+export class MenuList {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {object} options
+   * @param {Array<{id: string, label: string, disabled?: boolean, onSelect?: Function, onAdjust?: Function}>} options.items
+   * @param {number} options.x - Centre of the list
+   * @param {number} options.y - First item
+   * @param {number} [options.spacing=70] - Distance between items
+   * @param {string} [options.fontSize='32px']
+   * @param {Function} [options.onSelect] - (item) => void, for items without their own
+   * @param {Function} [options.onBack] - Called on BACK; without it BACK does nothing
+   * @param {AudioManager} [options.audio] - Plays SOUNDS.MENU_* if given
+   * @param {object} [options.keys=MENU_KEYS] - MENU_INPUT -> key code names
+   * @param {object} [options.padLayout=MENU_PAD_LAYOUT] - MENU_INPUT -> gamepad bindings
+   */
+  constructor(scene, options) {
+    this.scene = scene;
+    this.x = options.x;
+    this.y = options.y;
+    this.spacing = options.spacing ?? 70;
+    this.fontSize = options.fontSize ?? '32px';
+    this.onSelect = options.onSelect || null;
+    this.onBack = options.onBack || null;
+    this.audio = options.audio || null;
+    this.keys = options.keys || MENU_KEYS;
+
+    this.items = [];
+    this.texts = [];
+    this.selectedIndex = 0;
+    this.enabled = true;
+    this.visible = true;
+
+    // Pad presses count only once every menu button has been seen released
+    this.gamepad = new GamepadInput(scene.input?.gamepad || null, options.padLayout || MENU_PAD_LAYOUT);
+    this.isPadReady = false;
+
+    scene.input?.keyboard?.on('keydown', this.handleKeyDown, this);
+
+    this.setItems(options.items || []);
+  }
+
+  /**
+   * Replace the items, keeping the selection on the same id if it is still there
+   * @param {Array<{id: string, label: string, disabled?: boolean, onSelect?: Function, onAdjust?: Function}>} items
+   */
+  setItems(items) {
+    const selectedId = this.getSelected()?.id;
+
+    for (const text of this.texts) {
+      text.destroy();
+    }
+
+    this.items = items.map((item) => ({ ...item }));
+    this.texts = this.items.map((item, index) => this.scene.add.text(this.x, this.y + index * this.spacing, item.label, {
+      fontFamily: 'monospace',
+      fontSize: this.fontSize,
+      color: COLORS.TEXT,
+    }).setOrigin(0.5));
+
+    const index = this.items.findIndex((item) => item.id === selectedId);
+    this.selectedIndex = index;
+    if (index === -1 || this.items[index].disabled) {
+      this.selectFirstEnabled();
+    }
+    this.refresh();
+  }
+
+  /**
+   * @returns {object|null} Selected item
+   */
+  getSelected() {
+    return this.items[this.selectedIndex] || null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} True if the item exists and can be selected
+   */
+  select(id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1 || this.items[index].disabled) return false;
+
+    this.selectedIndex = index;
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Select the first item that is not disabled (-1 if there is none)
+   */
+  selectFirstEnabled() {
+    this.selectedIndex = this.items.findIndex((item) => !item.disabled);
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} disabled
+   */
+  setDisabled(id, disabled) {
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item) return;
+
+    item.disabled = disabled;
+    if (!this.getSelected() || this.getSelected().disabled) {
+      this.selectFirstEnabled();
+    }
+    this.refresh();
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} label
+   */
+  setLabel(id, label) {
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item) return;
+
+    item.label = label;
+    this.refresh();
+  }
+
+  /**
+   * Move the selection, skipping disabled items and wrapping at the ends
+   * @param {number} step - -1 up, 1 down
+   * @param {boolean} [playSound=true]
+   * @returns {boolean} True if the selection changed
+   */
+  move(step, playSound = true) {
+    const count = this.items.length;
+    if (count === 0) return false;
+
+    // With nothing selected, start just outside the end being moved from
+    let index = this.selectedIndex === -1 ? (step > 0 ? count - 1 : 0) : this.selectedIndex;
+    for (let i = 0; i < count; i++) {
+      index = (index + step + count) % count;
+      if (!this.items[index].disabled) break;
+    }
+    if (index === this.selectedIndex || this.items[index].disabled) return false;
+
+    this.selectedIndex = index;
+    if (playSound) this.playSound(SOUNDS.MENU_SELECT);
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Choose the selected item
+   * @returns {boolean} True if an item was chosen
+   */
+  confirm() {
+    const item = this.getSelected();
+    if (!item || item.disabled) return false;
+
+    this.playSound(SOUNDS.MENU_CONFIRM);
+    const handler = item.onSelect || this.onSelect;
+    if (handler) handler(item);
+    return true;
+  }
+
+  /**
+   * Nudge the selected item left or right
+   * @param {number} step - -1 left, 1 right
+   * @returns {boolean} True if the item changed
+   */
+  adjust(step) {
+    const item = this.getSelected();
+    if (!item || item.disabled || !item.onAdjust) return false;
+
+    if (item.onAdjust(item, step) === false) return false;
+    this.playSound(SOUNDS.MENU_SELECT);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if the list has a back action
+   */
+  back() {
+    if (!this.onBack) return false;
+
+    this.playSound(SOUNDS.MENU_BACK);
+    this.onBack();
+    return true;
+  }
+
+  /**
+   * Apply one menu command
+   * @param {string} input - MENU_INPUT value
+   * @returns {boolean} True if it did something
+   */
+  handleInput(input) {
+    if (!this.enabled) return false;
+
+    switch (input) {
+      case MENU_INPUT.UP:
+        return this.move(-1);
+      case MENU_INPUT.DOWN:
+        return this.move(1);
+      case MENU_INPUT.LEFT:
+        return this.adjust(-1);
+      case MENU_INPUT.RIGHT:
+        return this.adjust(1);
+      case MENU_INPUT.CONFIRM:
+        return this.confirm();
+      case MENU_INPUT.BACK:
+        return this.back();
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    // Held keys repeat - a key held from the previous screen must not fire here
+    if (event.repeat || !this.enabled || event === lastHandledEvent) return;
+
+    const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+    for (const [input, names] of Object.entries(this.keys)) {
+      if (names.some((name) => KeyCodes[name] === event.keyCode)) {
+        lastHandledEvent = event;
+        this.handleInput(input);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Poll the gamepad - call once per frame from the scene's update
+   */
+  update() {
+    this.gamepad.update();
+
+    const inputs = Object.keys(this.gamepad.layout);
+    if (!this.isPadReady) {
+      this.isPadReady = inputs.every((input) => !this.gamepad.isDown(input));
+      for (const input of inputs) {
+        this.gamepad.justPressed(input);
+      }
+      return;
+    }
+
+    for (const input of inputs) {
+      if (this.gamepad.justPressed(input)) {
+        this.handleInput(input);
+      }
+    }
+  }
+
+  /**
+   * Stop or start reacting to input (e.g. while a sub-menu is open)
+   * Re-enabling waits for held pad buttons to be released again.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (enabled && !this.enabled) {
+      this.isPadReady = false;
+    }
+    this.enabled = enabled;
+  }
+
+  /**
+   * Show or hide the list - hidden lists also ignore input
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    for (const text of this.texts) {
+      text.setVisible(visible);
+    }
+    this.setEnabled(visible);
+  }
+
+  /**
+   * Redraw labels and highlight the selection
+   */
+  refresh() {
+    this.items.forEach((item, index) => {
+      const text = this.texts[index];
+      const isSelected = index === this.selectedIndex;
+      text.setText(isSelected ? `> ${item.label} <` : item.label);
+      text.setColor(item.disabled ? COLORS.DISABLED : (isSelected ? COLORS.SELECTED : COLORS.TEXT));
+    });
+  }
+
+  /**
+   * @param {string} key - SOUNDS value
+   */
+  playSound(key) {
+    if (this.audio) {
+      this.audio.playUI(key);
+    }
+  }
+
+  /**
+   * Remove texts and input listeners
+   */
+  destroy() {
+    this.scene.input?.keyboard?.off('keydown', this.handleKeyDown, this);
+    this.gamepad.destroy();
+    for (const text of this.texts) {
+      text.destroy();
+    }
+    this.texts = [];
+    this.items = [];
+  }
+}
@@ -0,0 +1,107 @@
+import { STATUS_EFFECT_DEFS } from '../systems/StatusEffects.js';
+
+/**
+ * StatusIcons - A row of status effect tags (label, stacks) in each
+ * effect's cue color
+ * Used over enemies and bosses, and by the HUD for the player's target.
+ */
+export class StatusIcons {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {object} [config]
+   * @param {string} [config.fontSize='9px']
+   * @param {number} [config.spacing=2] - Gap between tags in px
+   * @param {number} [config.depth=50]
+   * @param {(cue: string) => number} config.getColor - Cue color lookup (follows the player's palette)
+   */
+  constructor(scene, config = {}) {
+    this.scene = scene;
+    this.fontSize = config.fontSize || '9px';
+    this.spacing = config.spacing ?? 2;
+    this.getColor = config.getColor;
+
+    this.container = scene.add.container(0, 0);
+    this.container.setDepth(config.depth ?? 50);
+
+    this.tags = new Map(); // type -> { text, content, color }
+  }
+
+  /**
+   * Get (or make) the tag for an effect type
+   * @param {string} type
+   * @returns {{text: Phaser.GameObjects.Text, content: string, color: string}}
+   */
+  getTag(type) {
+    let tag = this.tags.get(type);
+    if (!tag) {
+      const text = this.scene.add.text(0, 0, '', {
+        fontFamily: 'monospace',
+        fontSize: this.fontSize,
+        color: '#ffffff',
+        stroke: '#000000',
+        strokeThickness: 2,
+      });
+      text.setOrigin(0, 0.5);
+      this.container.add(text);
+      tag = { text, content: '', color: '' };
+      this.tags.set(type, tag);
+    }
+    return tag;
+  }
+
+  /**
+   * Show the active effects, centered on x
+   * @param {number} x
+   * @param {number} y
+   * @param {Array<{type: string, stacks: number}>} active - StatusEffects.getActive()
+   */
+  update(x, y, active) {
+    this.clear();
+
+    const shown = [];
+    for (const effect of active) {
+      const def = STATUS_EFFECT_DEFS[effect.type];
+      const tag = this.getTag(effect.type);
+
+      // Text only re-renders when the tag actually changed
+      const content = effect.stacks > 1 ? `${def.label}${effect.stacks}` : def.label;
+      const color = `#${this.getColor(def.cue).toString(16).padStart(6, '0')}`;
+      if (tag.content !== content) {
+        tag.text.setText(content);
+        tag.content = content;
+      }
+      if (tag.color !== color) {
+        tag.text.setColor(color);
+        tag.color = color;
+      }
+
+      tag.text.setVisible(true);
+      shown.push(tag.text);
+    }
+
+    const width = shown.reduce((sum, text) => sum + text.width, 0) + this.spacing * Math.max(0, shown.length - 1);
+    let left = -width / 2;
+    for (const text of shown) {
+      text.setPosition(left, 0);
+      left += text.width + this.spacing;
+    }
+    this.container.setPosition(x, y);
+  }
+
+  /**
+   * Hide every tag
+   */
+  clear() {
+    for (const tag of this.tags.values()) {
+      tag.text.setVisible(false);
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.container.destroy();
+    this.tags.clear();
+  }
+}
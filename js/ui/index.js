@@ -1 +1,4 @@
 export { HUD } from './HUD.js';
+export { MenuList, MENU_INPUT, MENU_KEYS, MENU_PAD_LAYOUT } from './MenuList.js';
+export { FrameDataInspector, INPUT_RESULT } from './FrameDataInspector.js';
+export { StatusIcons } from './StatusIcons.js';
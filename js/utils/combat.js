@@ -12,12 +12,87 @@ export const COMBAT = Object.freeze({
     ULTIMATE: 200,            // ms - ultimate attacks
   }),
 
-  // Perfect timing windows (in ms)
+  // Knockback
+  KNOCKBACK: Object.freeze({
+    DIRECTION_DEAD_ZONE: 4,   // px - closer than this horizontally counts as stacked
+  }),
+
+  // Air combos (see Juggle)
+  JUGGLE: Object.freeze({
+    LIMIT: 6,                 // Airborne hits before the target drops out
+    GRAVITY_SCALING: 0.15,    // Extra gravity per juggle hit after the first
+    MAX_GRAVITY_SCALE: 2,
+    DROP_VELOCITY: 250,       // px/s downward once the limit is passed
+    LAUNCH_GRACE: 50,         // ms a launched target may stay grounded before the juggle ends
+  }),
+
+  // Wall and ground bounces (AttackData.wallBounce / groundBounce)
+  BOUNCE: Object.freeze({
+    WINDOW: 800,              // ms a bounce stays armed after the hit
+    WALL_RESTITUTION: 0.6,
+    WALL_LIFT: -250,          // px/s upward off the wall
+    MIN_WALL_SPEED: 100,      // Slower wall contact doesn't bounce
+    GROUND_RESTITUTION: 0.6,
+    MIN_GROUND_SPEED: 150,    // Slower landings don't bounce
+  }),
+
+  // Poise and super armor (see Poise)
+  POISE: Object.freeze({
+    REGEN_DELAY: 1500,        // ms after a hit before poise starts refilling
+    REGEN_RATE: 25,           // Poise per second
+    BREAK_STAGGER: 1200,      // ms guard-break stagger when poise runs out
+    ARMOR_SCALING: 0.5,       // Share of poise damage taken through super armor
+  }),
+
+  // Player blocking (see Guard; per-weapon stats are in the weapon's "guard")
+  GUARD: Object.freeze({
+    PUSHBACK: 0.5,            // Share of a blocked hit's knockback that still pushes
+    MIN_HOLD: 100,            // ms before a block can be let go
+  }),
+
+  // Grabs and throws (see Grab; how heavy a body is comes from ENEMY_PRESETS grappleWeight)
+  GRAB: Object.freeze({
+    REACH: 30,                // px from the player's center to the grab box's
+    WIDTH: 36,
+    HEIGHT: 44,
+    ACTIVE_TIME: 100,         // ms the grab box looks for a body
+    WHIFF_RECOVERY: 250,      // ms stuck after grabbing nothing
+    HOLD_TIME: 1500,          // ms before a held enemy struggles free - corpses don't
+    HOLD_X: 22,               // px in front of the player a held body sits
+    HOLD_Y: -26,              // px above the player's center
+    CARRY_SPEED: 0.5,         // Share of run speed while holding
+    THROW_SPEED: 750,         // px/s for LIGHT bodies
+    THROW_LIFT: -150,         // px/s upward on top of the aim, so throws arc
+    THROW_GRAVITY: 1200,      // px/s²
+    THROW_LIFETIME: 1500,     // ms in flight before the body drops
+    THROW_DAMAGE: 12,         // To whatever it hits and to the thrown enemy on landing
+    THROW_PIERCE: 1,          // Extra enemies a thrown body bowls through
+    THROW_HITSTUN: 400,
+  }),
+
+  // Hits on an attacker's startup / recovery (see CounterHit)
+  COUNTER_HIT: Object.freeze({
+    DAMAGE: 1.25,
+    HITSTUN: 1.5,
+  }),
+  PUNISH: Object.freeze({
+    DAMAGE: 1.15,
+    HITSTUN: 1.25,
+  }),
+
+  // Perfect timing windows (in ms) - total width, centered on the moment a
+  // combo link opens (see TimingEvaluator)
   TIMING_WINDOWS: Object.freeze({
     PERFECT: 83,              // ~5 frames at 60fps
     GOOD: 166,                // ~10 frames
   }),
 
+  // Damage bonus for well-timed combo links
+  TIMING_BONUS: Object.freeze({
+    PERFECT_DAMAGE: 1.5,      // Perfect links crit
+    GOOD_DAMAGE: 1.1,
+  }),
+
   // Damage scaling as combo increases
   COMBO_SCALING: Object.freeze([
     { threshold: 5, multiplier: 1.0 },
@@ -1,4 +1,6 @@
 export { GAME } from './constants.js';
 export { PHYSICS } from './physics.js';
 export { COMBAT } from './combat.js';
-export { TIMING } from './timing.js';
+export { TIMING, SIMULATION } from './timing.js';
+export { SeededRandom, createSeed } from './random.js';
+export { CUE, COLORBLIND_MODE, PALETTES, getCueColor } from './palette.js';
@@ -0,0 +1,159 @@
+/**
+ * Colorblind palettes - which set of cue colors to draw with
+ */
+export const COLORBLIND_MODE = Object.freeze({
+  OFF: 'off',
+  DEUTERANOPIA: 'deuteranopia',
+  PROTANOPIA: 'protanopia',
+  TRITANOPIA: 'tritanopia',
+});
+
+/**
+ * Colors that carry meaning (telegraphs, HUD bars)
+ * Look these up (EffectsManager.getColor() in game code) instead of writing
+ * hex values, so colorblind palettes reach every cue.
+ */
+export const CUE = Object.freeze({
+  // Enemy and boss telegraphs
+  TELEGRAPH_STRIKE: 'telegraph_strike',           // Forward attack winding up
+  TELEGRAPH_LOW: 'telegraph_low',                 // Low/sweep attack winding up
+  TELEGRAPH_RUSH: 'telegraph_rush',               // Multi-hit rush
+  TELEGRAPH_DESPERATION: 'telegraph_desperation', // Boss last-phase move
+  TELEGRAPH_CHARGE: 'telegraph_charge',           // About to dash
+  TELEGRAPH_WARNING: 'telegraph_warning',         // Closing in, winding up
+  TELEGRAPH_DANGER: 'telegraph_danger',           // Dashing, about to explode
+  ATTACK_WINDUP: 'attack_windup',
+  ATTACK_ACTIVE: 'attack_active',
+  DEFENSIVE_STANCE: 'defensive_stance',           // Attacking now gets countered
+  SHIELD_UP: 'shield_up',                         // Blocks hits from the front
+  PROJECTILE_WINDUP: 'projectile_windup',
+  PROJECTILE: 'projectile',
+
+  // Feedback
+  HURT: 'hurt',
+  COUNTER: 'counter',
+  SUPER_ARMOR: 'super_armor',                     // Hit landed on armor - no flinch
+  GUARD_CRUSH: 'guard_crush',                     // Player's guard meter ran out
+  COUNTER_HIT: 'counter_hit',                     // Player hit an attacker winding up
+  PUNISH: 'punish',                               // Player hit an attacker recovering
+
+  // Status effect icons
+  STATUS_BLEED: 'status_bleed',
+  STATUS_BURN: 'status_burn',
+  STATUS_STUN: 'status_stun',
+  STATUS_SLOW: 'status_slow',
+  STATUS_ARMOR_BREAK: 'status_armor_break',
+
+  // HUD
+  HEALTH: 'health',
+  HEALTH_MID: 'health_mid',
+  HEALTH_LOW: 'health_low',
+  ULTIMATE: 'ultimate',
+  GUARD: 'guard',
+  BOSS_PHASE_1: 'boss_phase_1',
+  BOSS_PHASE_2: 'boss_phase_2',
+  BOSS_PHASE_3: 'boss_phase_3',
+});
+
+const DEFAULT_PALETTE = Object.freeze({
+  [CUE.TELEGRAPH_STRIKE]: 0x6699ff,
+  [CUE.TELEGRAPH_LOW]: 0xff8844,
+  [CUE.TELEGRAPH_RUSH]: 0xff6644,
+  [CUE.TELEGRAPH_DESPERATION]: 0xff3333,
+  [CUE.TELEGRAPH_CHARGE]: 0xffff00,
+  [CUE.TELEGRAPH_WARNING]: 0xff6666,
+  [CUE.TELEGRAPH_DANGER]: 0xff0000,
+  [CUE.ATTACK_WINDUP]: 0xff8888,
+  [CUE.ATTACK_ACTIVE]: 0xff4444,
+  [CUE.DEFENSIVE_STANCE]: 0x88aaff,
+  [CUE.SHIELD_UP]: 0x6699ff,
+  [CUE.PROJECTILE_WINDUP]: 0xaaff44,
+  [CUE.PROJECTILE]: 0x88ff44,
+  [CUE.HURT]: 0xff8888,
+  [CUE.COUNTER]: 0xffff00,
+  [CUE.SUPER_ARMOR]: 0xffbb33,
+  [CUE.GUARD_CRUSH]: 0xff6666,
+  [CUE.COUNTER_HIT]: 0xff4444,
+  [CUE.PUNISH]: 0x44ddff,
+  [CUE.STATUS_BLEED]: 0xdd2244,
+  [CUE.STATUS_BURN]: 0xff8822,
+  [CUE.STATUS_STUN]: 0xffee44,
+  [CUE.STATUS_SLOW]: 0x66ccff,
+  [CUE.STATUS_ARMOR_BREAK]: 0xbbbbbb,
+  [CUE.HEALTH]: 0xe94560,
+  [CUE.HEALTH_MID]: 0xffaa44,
+  [CUE.HEALTH_LOW]: 0xff4444,
+  [CUE.ULTIMATE]: 0x44aaff,
+  [CUE.GUARD]: 0xccccdd,
+  [CUE.BOSS_PHASE_1]: 0xff3333,
+  [CUE.BOSS_PHASE_2]: 0xff8833,
+  [CUE.BOSS_PHASE_3]: 0xffff33,
+});
+
+// Red-green (deuteranopia, protanopia): Okabe-Ito colors, with cues that
+// would otherwise share a hue kept apart by brightness
+const RED_GREEN_PALETTE = Object.freeze({
+  ...DEFAULT_PALETTE,
+  [CUE.TELEGRAPH_STRIKE]: 0xffffff,
+  [CUE.TELEGRAPH_LOW]: 0xe69f00,
+  [CUE.TELEGRAPH_RUSH]: 0xcc79a7,
+  [CUE.TELEGRAPH_DESPERATION]: 0xd55e00,
+  [CUE.TELEGRAPH_WARNING]: 0xe69f00,
+  [CUE.TELEGRAPH_DANGER]: 0xd55e00,
+  [CUE.ATTACK_WINDUP]: 0xe69f00,
+  [CUE.ATTACK_ACTIVE]: 0xd55e00,
+  [CUE.DEFENSIVE_STANCE]: 0xf0e442,
+  [CUE.PROJECTILE_WINDUP]: 0x56b4e9,
+  [CUE.PROJECTILE]: 0x56b4e9,
+  [CUE.COUNTER]: 0xffffff,
+  [CUE.SUPER_ARMOR]: 0xf0e442,
+  [CUE.GUARD_CRUSH]: 0xd55e00,
+  [CUE.COUNTER_HIT]: 0xd55e00,
+  [CUE.PUNISH]: 0x56b4e9,
+  [CUE.STATUS_BLEED]: 0xd55e00,
+  [CUE.STATUS_BURN]: 0xe69f00,
+  [CUE.STATUS_STUN]: 0xf0e442,
+  [CUE.STATUS_SLOW]: 0x56b4e9,
+  [CUE.HEALTH]: 0x56b4e9,
+  [CUE.HEALTH_MID]: 0xf0e442,
+  [CUE.HEALTH_LOW]: 0xd55e00,
+  [CUE.ULTIMATE]: 0xcc79a7,
+  [CUE.BOSS_PHASE_1]: 0x56b4e9,
+  [CUE.BOSS_PHASE_2]: 0xe69f00,
+  [CUE.BOSS_PHASE_3]: 0xd55e00,
+});
+
+// Blue-yellow (tritanopia): keep blues off the blue-bodied bosses and
+// yellows off the light HUD bars
+const TRITANOPIA_PALETTE = Object.freeze({
+  ...DEFAULT_PALETTE,
+  [CUE.TELEGRAPH_STRIKE]: 0xffffff,
+  [CUE.TELEGRAPH_CHARGE]: 0xffffff,
+  [CUE.DEFENSIVE_STANCE]: 0xff4fa0,
+  [CUE.SHIELD_UP]: 0xff4fa0,
+  [CUE.SUPER_ARMOR]: 0xff4fa0,
+  [CUE.STATUS_STUN]: 0xffffff,
+  [CUE.STATUS_SLOW]: 0xff4fa0,
+  [CUE.ULTIMATE]: 0xcc79a7,
+  [CUE.BOSS_PHASE_3]: 0xffffff,
+});
+
+/**
+ * Cue colors for each COLORBLIND_MODE
+ */
+export const PALETTES = Object.freeze({
+  [COLORBLIND_MODE.OFF]: DEFAULT_PALETTE,
+  [COLORBLIND_MODE.DEUTERANOPIA]: RED_GREEN_PALETTE,
+  [COLORBLIND_MODE.PROTANOPIA]: RED_GREEN_PALETTE,
+  [COLORBLIND_MODE.TRITANOPIA]: TRITANOPIA_PALETTE,
+});
+
+/**
+ * @param {string} cue - CUE value
+ * @param {string} [mode=COLORBLIND_MODE.OFF]
+ * @returns {number} Hex color
+ */
+export function getCueColor(cue, mode = COLORBLIND_MODE.OFF) {
+  const palette = PALETTES[mode] || DEFAULT_PALETTE;
+  return palette[cue] ?? DEFAULT_PALETTE[cue] ?? 0xffffff;
+}
@@ -0,0 +1,78 @@
+/**
+ * Make a fresh 32-bit seed from Math.random
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32)
+ *
+ * Same seed, same sequence, so gameplay rolls can be replayed exactly.
+ * Drop-in for Math.random() via next().
+ */
+export class SeededRandom {
+  /**
+   * @param {number} [seed] - 32-bit seed (random if omitted)
+   */
+  constructor(seed = createSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Restart the sequence, optionally from a new seed
+   * @param {number} [seed]
+   */
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} Float in [min, max)
+   */
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} Integer in [min, max] (inclusive)
+   */
+  between(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * @param {number} probability - 0-1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * @template T
+   * @param {T[]} items
+   * @returns {T|undefined}
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
@@ -1,3 +1,13 @@
+/**
+ * Fixed simulation step - gameplay advances in whole steps of STEP_MS
+ * regardless of the display refresh rate (see FixedTimestep)
+ */
+export const SIMULATION = Object.freeze({
+  RATE: 120,                // Steps per second - matches arcade physics fps
+  STEP_MS: 1000 / 120,      // ~8.33ms per step
+  MAX_STEPS_PER_FRAME: 8,   // After a long stall, drop time instead of spiralling
+});
+
 /**
  * Frame/timing conversion utilities
  */
@@ -26,4 +36,29 @@ export const TIMING = Object.freeze({
   hasElapsed: (startTime, duration, currentTime) => {
     return (currentTime - startTime) >= duration;
   },
+
+  /**
+   * Convert milliseconds to whole simulation steps (rounded)
+   * @param {number} ms
+   * @returns {number} steps
+   */
+  msToSteps: (ms) => Math.round(ms / SIMULATION.STEP_MS),
+
+  /**
+   * Convert simulation steps to milliseconds
+   * @param {number} steps
+   * @returns {number} milliseconds
+   */
+  stepsToMs: (steps) => steps * SIMULATION.STEP_MS,
+
+  /**
+   * Round a duration to the nearest whole simulation step
+   * Non-zero durations keep at least one step.
+   * @param {number} ms
+   * @returns {number} milliseconds
+   */
+  snapToStep: (ms) => {
+    if (ms <= 0) return 0;
+    return Math.max(1, Math.round(ms / SIMULATION.STEP_MS)) * SIMULATION.STEP_MS;
+  },
 });
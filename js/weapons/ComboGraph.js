@@ -0,0 +1,142 @@
+/**
+ * Attack buttons a combo edge can ask for
+ */
+export const COMBO_INPUT = Object.freeze({
+  LIGHT: 'light',
+  HEAVY: 'heavy',
+});
+
+/**
+ * Directions a combo edge can ask for
+ * FORWARD/BACK are relative to the way the player faces. NEUTRAL means no
+ * direction held; an edge without a direction takes any.
+ */
+export const COMBO_DIRECTION = Object.freeze({
+  NEUTRAL: 'neutral',
+  UP: 'up',
+  DOWN: 'down',
+  FORWARD: 'forward',
+  BACK: 'back',
+});
+
+// Stick deflection that counts as holding a direction
+const DIRECTION_THRESHOLD = 0.5;
+
+/**
+ * Starters for weapon files that don't list their own - the classic
+ * light1 and heavy on the ground, and air for either button in the air
+ */
+export const DEFAULT_STARTERS = Object.freeze([
+  { input: COMBO_INPUT.LIGHT, to: 'light1' },
+  { input: COMBO_INPUT.HEAVY, to: 'heavy' },
+  { input: COMBO_INPUT.LIGHT, air: true, to: 'air' },
+  { input: COMBO_INPUT.HEAVY, air: true, to: 'air' },
+]);
+
+/**
+ * Directions held on the movement axes
+ * @param {number} horizontal - -1 (left) to 1 (right)
+ * @param {number} vertical - -1 (up) to 1 (down)
+ * @param {boolean} facingRight
+ * @returns {Set<string>} COMBO_DIRECTION values (never NEUTRAL - that is an empty set)
+ */
+export function getHeldDirections(horizontal, vertical, facingRight) {
+  const directions = new Set();
+  if (vertical <= -DIRECTION_THRESHOLD) directions.add(COMBO_DIRECTION.UP);
+  if (vertical >= DIRECTION_THRESHOLD) directions.add(COMBO_DIRECTION.DOWN);
+  if (Math.abs(horizontal) >= DIRECTION_THRESHOLD) {
+    directions.add((horizontal > 0) === facingRight ? COMBO_DIRECTION.FORWARD : COMBO_DIRECTION.BACK);
+  }
+  return directions;
+}
+
+/**
+ * @param {object} edge
+ * @param {Set<string>} directions - From getHeldDirections()
+ * @returns {boolean}
+ */
+function matchesDirection(edge, directions) {
+  if (!edge.direction) return true;
+  if (edge.direction === COMBO_DIRECTION.NEUTRAL) return directions.size === 0;
+  return directions.has(edge.direction);
+}
+
+/**
+ * Edges asking for a direction are tried before ones that take any, so a
+ * down+heavy launcher isn't shadowed by a plain heavy listed above it
+ * @param {object[]} edges
+ * @returns {object[]}
+ */
+function sortEdges(edges) {
+  return [...edges].sort((a, b) => (b.direction ? 1 : 0) - (a.direction ? 1 : 0));
+}
+
+/**
+ * Combo graph - which attack follows which, built from weapon data
+ *
+ * Nodes are the weapon's attacks. Edges say which button (COMBO_INPUT),
+ * optionally with a direction, moves on to which attack:
+ *   - starters begin an attack from neutral, on the ground or in the air
+ *   - an attack's canComboInto edges cancel it into the next one while the
+ *     edge's window is open - window: [from, to] as fractions of recovery,
+ *     [0, cancelWindow] by default
+ */
+export class ComboGraph {
+  /**
+   * @param {object} attacks - Attack name -> AttackData
+   * @param {object[]} [starters=DEFAULT_STARTERS] - { input, direction?, air?, to }
+   */
+  constructor(attacks, starters = DEFAULT_STARTERS) {
+    this.attacks = attacks;
+    this.groundStarters = sortEdges(starters.filter((edge) => !edge.air && attacks[edge.to]));
+    this.airStarters = sortEdges(starters.filter((edge) => edge.air && attacks[edge.to]));
+
+    this.routes = {};
+    for (const [name, attack] of Object.entries(attacks)) {
+      if (!attack) continue;
+      this.routes[name] = sortEdges((attack.canComboInto || []).filter((edge) => attacks[edge.to]));
+    }
+  }
+
+  /**
+   * @param {boolean} air
+   * @returns {object[]} Starter edges, in the order they are tried
+   */
+  getStarters(air) {
+    return air ? this.airStarters : this.groundStarters;
+  }
+
+  /**
+   * Follow-ups from an attack, optionally only those open at a point in recovery
+   * @param {string} from - Attack name
+   * @param {number} [progress] - 0-1 through recovery; omit for every edge
+   * @returns {object[]}
+   */
+  getRoutes(from, progress) {
+    const edges = this.routes[from] || [];
+    if (progress === undefined) return edges;
+
+    const cancelWindow = this.attacks[from]?.cancelWindow ?? 0.6;
+    return edges.filter((edge) => {
+      const [open, close] = edge.window || [0, cancelWindow];
+      return progress >= open && progress < close;
+    });
+  }
+
+  /**
+   * First edge whose direction is held and whose button was pressed
+   * @param {object[]} edges - From getStarters() or getRoutes()
+   * @param {Set<string>} directions - From getHeldDirections()
+   * @param {(input: string) => boolean} wasPressed - Asked only for edges whose
+   *   direction matches, so it may consume the press (InputManager.justPressed)
+   * @returns {object|null} The edge taken
+   */
+  static pick(edges, directions, wasPressed) {
+    for (const edge of edges) {
+      if (matchesDirection(edge, directions) && wasPressed(edge.input)) {
+        return edge;
+      }
+    }
+    return null;
+  }
+}
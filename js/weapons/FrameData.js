@@ -0,0 +1,142 @@
+import { TIMING } from '../utils/timing.js';
+
+/**
+ * Frame data for one attack, in simulation steps (120 per second)
+ *
+ * Frames are numbered from 1 the way AttackState counts them: startup runs
+ * frames 1..startup, the hitbox is out for the next `active` frames, then
+ * recovery. The cancel window spans the parts of recovery where any of the
+ * attack's combo edges is open (first to last cancellable frame).
+ *
+ * Advantage assumes the first active frame connects: the defender's hitstun
+ * minus the frames the attacker still needs before it can act. `onCancel`
+ * is the same but acting at the first cancellable frame (null when the
+ * attack has nothing to cancel into).
+ *
+ * @param {AttackData|object} attack - Times in ms, as in AttackData
+ * @returns {{startup: number, active: number, recovery: number, total: number,
+ *   cancelStart: number|null, cancelEnd: number|null, hitstun: number,
+ *   onHit: number, onCancel: number|null}}
+ */
+export function getFrameData(attack) {
+  const startup = TIMING.msToSteps(attack.startupTime);
+  const active = TIMING.msToSteps(attack.activeTime);
+  const recovery = TIMING.msToSteps(attack.recoveryTime);
+  const total = startup + active + recovery;
+  const hitstun = TIMING.msToSteps(attack.hitstun ?? 0);
+
+  // Same test as ComboGraph.getRoutes(): recovery progress inside an edge's window
+  const cancelWindow = attack.cancelWindow ?? 0.6;
+  const windows = (attack.canComboInto || []).map((edge) => edge.window || [0, cancelWindow]);
+  let firstCancel = null;
+  let lastCancel = null;
+  for (let k = 0; k < recovery; k++) {
+    const progress = k / recovery;
+    if (windows.some(([open, close]) => progress >= open && progress < close)) {
+      if (firstCancel === null) firstCancel = k;
+      lastCancel = k;
+    }
+  }
+  const canCancel = firstCancel !== null;
+  const recoveryStart = startup + active + 1;
+
+  return {
+    startup,
+    active,
+    recovery,
+    total,
+    cancelStart: canCancel ? recoveryStart + firstCancel : null,
+    cancelEnd: canCancel ? recoveryStart + lastCancel : null,
+    hitstun,
+    onHit: hitstun - (active + recovery),
+    onCancel: canCancel ? hitstun - (active + firstCancel) : null,
+  };
+}
+
+/**
+ * @param {number|null} frames
+ * @returns {string} '+5', '-3', '0', or '-' for no value
+ */
+export function formatAdvantage(frames) {
+  if (frames === null || frames === undefined) return '-';
+  return frames > 0 ? `+${frames}` : `${frames}`;
+}
+
+/**
+ * Columns of the frame-data table, in order
+ */
+export const FRAME_DATA_COLUMNS = Object.freeze([
+  { key: 'weapon', label: 'Weapon' },
+  { key: 'attack', label: 'Attack' },
+  { key: 'startup', label: 'Startup' },
+  { key: 'active', label: 'Active' },
+  { key: 'recovery', label: 'Recovery' },
+  { key: 'total', label: 'Total' },
+  { key: 'cancel', label: 'Cancel' },
+  { key: 'damage', label: 'Damage' },
+  { key: 'hitstun', label: 'Hitstun' },
+  { key: 'onHit', label: 'On Hit' },
+  { key: 'onCancel', label: 'On Cancel' },
+]);
+
+/**
+ * One row per attack of every weapon (standard slots first), ready for formatting
+ * @param {Weapon[]} weapons - e.g. Object.values(WEAPONS)
+ * @returns {object[]} Rows keyed by FRAME_DATA_COLUMNS
+ */
+export function buildFrameDataRows(weapons) {
+  const rows = [];
+  for (const weapon of weapons) {
+    for (const [type, attack] of Object.entries(weapon.attacks)) {
+      if (!attack) continue;
+
+      const data = getFrameData(attack);
+      rows.push({
+        weapon: weapon.id,
+        attack: type,
+        startup: data.startup,
+        active: data.active,
+        recovery: data.recovery,
+        total: data.total,
+        cancel: data.cancelStart === null ? '-' : `${data.cancelStart}-${data.cancelEnd}`,
+        damage: attack.damage,
+        hitstun: data.hitstun,
+        onHit: formatAdvantage(data.onHit),
+        onCancel: formatAdvantage(data.onCancel),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * @param {object[]} rows - From buildFrameDataRows()
+ * @returns {string} CSV with a header line
+ */
+export function formatFrameDataCSV(rows) {
+  const quote = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [FRAME_DATA_COLUMNS.map((column) => quote(column.label)).join(',')];
+  for (const row of rows) {
+    lines.push(FRAME_DATA_COLUMNS.map((column) => quote(row[column.key])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {object[]} rows - From buildFrameDataRows()
+ * @returns {string} Markdown table
+ */
+export function formatFrameDataMarkdown(rows) {
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  const lines = [
+    line(FRAME_DATA_COLUMNS.map((column) => column.label)),
+    line(FRAME_DATA_COLUMNS.map(() => '---')),
+  ];
+  for (const row of rows) {
+    lines.push(line(FRAME_DATA_COLUMNS.map((column) => row[column.key])));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,123 @@
+/**
+ * Special move settings for weapons that don't set their own
+ * (weapon JSON: "specialMove")
+ */
+export const DEFAULT_SPECIAL_MOVE = Object.freeze({
+  attack: 'special',  // Attack it plays
+  behavior: 'strike', // SPECIAL_BEHAVIORS id
+  cooldown: 0,        // ms before it can be used again
+  meterCost: 0,       // Ultimate meter spent on use
+  ground: true,       // Usable on the ground
+  air: false,         // Usable in the air
+  params: {},         // Tuning read by the behavior
+});
+
+/**
+ * Scripted behaviors for special moves, by id
+ *
+ * SpecialState runs the special's AttackData (attacks.special unless the
+ * weapon's specialMove names another attack) like any attack
+ * (startup, active, recovery) and calls the behavior's hooks along the way.
+ * Every hook is optional and gets the SpecialState, which offers player,
+ * sprite, body, attackData, move (the weapon's specialMove, params included),
+ * elapsedSteps, scratch (cleared on each use) and hitEnemiesInRange():
+ *   - enter(special) - the special has started and its cost is paid
+ *   - activate(special) - first active frame; return true to skip the
+ *     attack's own hitbox (area specials pick their targets themselves)
+ *   - update(special) - every step after the attack's own update; return a
+ *     state name to end the special early
+ *   - exit(special) - the special has ended or was interrupted
+ *
+ * Register new behaviors with registerSpecialBehavior() before weapons load -
+ * weapon files name them, PlayerStates never needs to change.
+ */
+const SPECIAL_BEHAVIORS = {};
+
+/**
+ * @param {string} id - Name used by specialMove.behavior
+ * @param {object} behavior - { enter?, activate?, update?, exit? }
+ */
+export function registerSpecialBehavior(id, behavior) {
+  SPECIAL_BEHAVIORS[id] = behavior;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getSpecialBehavior(id) {
+  return SPECIAL_BEHAVIORS[id] || null;
+}
+
+/**
+ * @returns {string[]}
+ */
+export function getSpecialBehaviorIds() {
+  return Object.keys(SPECIAL_BEHAVIORS);
+}
+
+/**
+ * Strike - the special AttackData's hitbox, nothing more
+ */
+registerSpecialBehavior('strike', {});
+
+/**
+ * Rising Fist (Fists) - launching uppercut that carries the player up with it
+ * params.rise: upward speed on the first active frame
+ */
+registerSpecialBehavior('rising_fist', {
+  activate(special) {
+    special.body.setVelocityY(-(special.move.params.rise ?? 450));
+    special.player.scene.effectsManager?.jumpBurst(special.sprite.x, special.sprite.y + 20);
+    return false;
+  },
+});
+
+/**
+ * Chain Sweep (Chain Whip) - one wide swing that hits everything within
+ * whip range on both sides
+ * params.range: reach in px (height is half of it)
+ */
+registerSpecialBehavior('chain_sweep', {
+  activate(special) {
+    const range = special.move.params.range ?? 220;
+    special.hitEnemiesInRange(range, range / 2);
+    special.player.scene.effectsManager?.spinEffect(special.sprite.x, special.sprite.y, range);
+    special.player.scene.effectsManager?.screenShake(6, 120);
+    return true;
+  },
+});
+
+/**
+ * Hammer Drop (Tonfas, air only) - hang for the startup, plunge with the
+ * hitbox out, and send a shockwave along the ground on landing
+ * params.dropSpeed: plunge speed; params.shockwaveRange: shockwave reach in px
+ */
+registerSpecialBehavior('hammer_drop', {
+  enter(special) {
+    special.body.setAllowGravity(false);
+    special.body.setVelocity(0, 0);
+  },
+
+  activate(special) {
+    special.body.setAllowGravity(true);
+    special.body.setVelocityY(special.move.params.dropSpeed ?? 900);
+    return false;
+  },
+
+  update(special) {
+    if (special.scratch.landed || special.elapsedSteps < special.startupSteps) return null;
+
+    if (special.body.onFloor()) {
+      special.scratch.landed = true;
+      special.hitEnemiesInRange(special.move.params.shockwaveRange ?? 140, 60);
+      special.player.scene.effectsManager?.landingImpact(special.sprite.x, special.sprite.y + 24, 2);
+      special.player.scene.effectsManager?.screenShake(8, 150);
+    }
+    return null;
+  },
+
+  exit(special) {
+    special.body.setAllowGravity(true);
+  },
+});
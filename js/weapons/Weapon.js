@@ -1,3 +1,8 @@
+import { TIMING } from '../utils/timing.js';
+import { ComboGraph, DEFAULT_STARTERS } from './ComboGraph.js';
+import { DEFAULT_SPECIAL_MOVE } from './SpecialMoves.js';
+import { DEFAULT_GUARD } from '../systems/Guard.js';
+
 /**
  * Base Weapon class
  * Defines attack data and movement modifiers for a weapon type
@@ -10,26 +15,38 @@ export class Weapon {
     this.description = config.description || '';
     this.icon = config.icon || null;
 
-    // Attack data
+    // Attack data - the standard slots, plus any extra attacks combo routes use
     this.attacks = {
-      light1: config.attacks?.light1 || null,
-      light2: config.attacks?.light2 || null,
-      light3: config.attacks?.light3 || null,
-      heavy: config.attacks?.heavy || null,
-      air: config.attacks?.air || null,
-      spin: config.attacks?.spin || null,
-      special: config.attacks?.special || null,
+      light1: null,
+      light2: null,
+      light3: null,
+      heavy: null,
+      air: null,
+      spin: null,
+      special: null,
+      ...config.attacks,
     };
 
+    // Which attack follows which (starters plus each attack's canComboInto)
+    this.comboGraph = new ComboGraph(this.attacks, config.starters || DEFAULT_STARTERS);
+
+    // Special move (ACTIONS.SPECIAL) - null when there's no attack for it to run
+    const specialMove = { ...DEFAULT_SPECIAL_MOVE, ...config.specialMove };
+    this.specialMove = this.attacks[specialMove.attack] ? specialMove : null;
+
     // Movement modifiers (optional overrides)
     this.movementMods = {
       flip: config.movementMods?.flip || null,
       blink: config.movementMods?.blink || null,
       spin: config.movementMods?.spin || null,
       dive: config.movementMods?.dive || null,
+      grapple: config.movementMods?.grapple || null,
     };
 
-    // Weapon-specific mechanics
+    // Blocking (ACTIONS.BLOCK) - every weapon can guard; these tune how well (see Guard)
+    this.guard = { ...DEFAULT_GUARD, ...config.guard };
+
+    // Weapon-specific mechanics (parry: perfect blocks and counters on top of the guard)
     this.mechanics = config.mechanics || {};
 
     // Visual
@@ -38,7 +55,8 @@ export class Weapon {
 
   /**
    * Get attack data for a specific attack type
-   * @param {string} attackType - 'light1', 'light2', 'light3', 'heavy', 'air', 'spin', 'special'
+   * @param {string} attackType - 'light1', 'light2', 'light3', 'heavy', 'air', 'spin', 'special',
+   *   or any other attack the weapon defines
    * @returns {AttackData|null}
    */
   getAttack(attackType) {
@@ -47,7 +65,7 @@ export class Weapon {
 
   /**
    * Check if weapon has a movement modifier
-   * @param {string} moveType - 'flip', 'blink', 'spin', 'dive'
+   * @param {string} moveType - 'flip', 'blink', 'spin', 'dive', 'grapple'
    * @returns {boolean}
    */
   hasMovementMod(moveType) {
@@ -86,44 +104,65 @@ export class Weapon {
    * @param {number} delta
    */
   update(player, time, delta) {
-    // Override in subclasses for ongoing effects (bleed, etc.)
+    // Override in subclasses for ongoing effects
+    // (status effects on hit come from AttackData.statusEffects)
   }
 }
 
 /**
  * Attack data structure
+ * Missing fields fall back to defaults; explicit zeros are kept. Weapon
+ * files are checked against ATTACK_SCHEMA first, so a misspelled field is
+ * reported instead of silently using the default.
  */
 export class AttackData {
   constructor(config) {
-    // Timing (in ms)
-    this.startupTime = config.startupTime || 100;
-    this.activeTime = config.activeTime || 100;
-    this.recoveryTime = config.recoveryTime || 150;
+    // Timing (in ms, snapped to whole simulation steps)
+    this.startupTime = TIMING.snapToStep(config.startupTime ?? 100);
+    this.activeTime = TIMING.snapToStep(config.activeTime ?? 100);
+    this.recoveryTime = TIMING.snapToStep(config.recoveryTime ?? 150);
 
     // Damage
-    this.damage = config.damage || 10;
-    this.knockback = config.knockback || { x: 200, y: -50 };
-    this.hitstun = config.hitstun || 150;
-    this.hitstop = config.hitstop || 40;
+    this.damage = config.damage ?? 10;
+    this.poiseDamage = config.poiseDamage ?? this.damage; // Wears down poise (see Poise)
+    this.knockback = config.knockback ?? { x: 200, y: -50 };
+    this.airKnockback = config.airKnockback ?? null;     // Against airborne targets; null uses knockback
+    this.knockbackAngle = config.knockbackAngle ?? null; // Degrees (0 away, 90 up); null uses the vectors' own
+    this.hitstun = config.hitstun ?? 150;
+    this.hitstop = config.hitstop ?? 40;
 
     // Hitbox
     this.hitbox = {
-      width: config.hitbox?.width || 50,
-      height: config.hitbox?.height || 40,
-      offsetX: config.hitbox?.offsetX || 35,
-      offsetY: config.hitbox?.offsetY || 0,
+      width: config.hitbox?.width ?? 50,
+      height: config.hitbox?.height ?? 40,
+      offsetX: config.hitbox?.offsetX ?? 35,
+      offsetY: config.hitbox?.offsetY ?? 0,
     };
 
     // Properties
-    this.launches = config.launches || false;
-    this.canComboInto = config.canComboInto || []; // Which attacks can follow
-    this.cancelWindow = config.cancelWindow || 0.6; // % of recovery that's cancelable
+    this.launches = config.launches ?? false;
+    this.wallBounce = config.wallBounce ?? false;     // Target bounces off the next wall it's knocked into
+    this.groundBounce = config.groundBounce ?? false; // Target bounces off the floor back into a juggle
+    this.canComboInto = config.canComboInto ?? []; // Combo edges: { to, input, direction?, window? }
+    this.cancelWindow = config.cancelWindow ?? 0.6; // % of recovery that's cancelable
+    this.statusEffects = config.statusEffects ?? []; // Applied on hit: { type, duration?, stacks? }
 
     // Effects
-    this.sfx = config.sfx || null;
-    this.vfx = config.vfx || null;
+    this.sfx = config.sfx ?? null;
+    this.vfx = config.vfx ?? null;
 
     // Ultimate meter gain
-    this.meterGain = config.meterGain || 5;
+    this.meterGain = config.meterGain ?? 5;
+  }
+
+  /**
+   * Frame data in simulation steps
+   * @returns {{startup: number, active: number, recovery: number, total: number}}
+   */
+  getSteps() {
+    const startup = TIMING.msToSteps(this.startupTime);
+    const active = TIMING.msToSteps(this.activeTime);
+    const recovery = TIMING.msToSteps(this.recoveryTime);
+    return { startup, active, recovery, total: startup + active + recovery };
   }
 }
@@ -25,6 +25,10 @@ export class WeaponManager {
     this.swapTimer = 0;
     this.pendingWeapon = null;
 
+    // Special move cooldowns left (ms), by weapon id - kept per weapon so
+    // swapping away and back doesn't reset them
+    this.specialCooldowns = new Map();
+
     // Initialize with fists
     this.equipWeapon('fists');
   }
@@ -65,9 +69,10 @@ export class WeaponManager {
   /**
    * Equip a weapon immediately (no swap animation)
    * @param {string} weaponId
+   * @param {boolean} [emit=true] - Emit weapon:equipped (false when restoring state)
    * @returns {boolean}
    */
-  equipWeapon(weaponId) {
+  equipWeapon(weaponId, emit = true) {
     if (!this.hasWeapon(weaponId)) {
       console.warn(`Weapon ${weaponId} not unlocked`);
       return false;
@@ -87,11 +92,14 @@ export class WeaponManager {
     // Equip new weapon
     this.equippedWeapon = newWeapon;
     this.equippedWeapon.onEquip(this.player);
+    this.player.guard?.setStats(newWeapon.guard);
 
-    this.player.scene.events.emit('weapon:equipped', {
-      weaponId,
-      weapon: newWeapon,
-    });
+    if (emit) {
+      this.player.scene.events.emit('weapon:equipped', {
+        weaponId,
+        weapon: newWeapon,
+      });
+    }
 
     return true;
   }
@@ -119,7 +127,7 @@ export class WeaponManager {
   }
 
   /**
-   * Update swap timer
+   * Update swap timer and special cooldowns
    * @param {number} delta
    */
   update(delta) {
@@ -131,6 +139,14 @@ export class WeaponManager {
       }
     }
 
+    for (const [weaponId, remaining] of this.specialCooldowns) {
+      if (remaining <= delta) {
+        this.specialCooldowns.delete(weaponId);
+      } else {
+        this.specialCooldowns.set(weaponId, remaining - delta);
+      }
+    }
+
     // Update equipped weapon
     if (this.equippedWeapon) {
       this.equippedWeapon.update(this.player, 0, delta);
@@ -172,6 +188,24 @@ export class WeaponManager {
     return this.equippedWeapon?.getAttack(attackType) || null;
   }
 
+  /**
+   * Start the equipped weapon's special move cooldown
+   */
+  startSpecialCooldown() {
+    const cooldown = this.equippedWeapon?.specialMove?.cooldown ?? 0;
+    if (cooldown > 0) {
+      this.specialCooldowns.set(this.equippedWeapon.id, cooldown);
+    }
+  }
+
+  /**
+   * @param {string} [weaponId] - Defaults to the equipped weapon
+   * @returns {number} Special move cooldown left (ms), 0 when ready
+   */
+  getSpecialCooldown(weaponId = this.equippedWeapon?.id) {
+    return this.specialCooldowns.get(weaponId) ?? 0;
+  }
+
   /**
    * Get movement modifier for current weapon
    * @param {string} moveType
@@ -220,6 +254,47 @@ export class WeaponManager {
     return this.startSwap(weapons[nextIndex]);
   }
 
+  /**
+   * Snapshot inventory (for room transitions and saves)
+   * @returns {{unlocked: string[], equipped: string|null, quickSlots: (string|null)[]}}
+   */
+  getState() {
+    return {
+      unlocked: this.getUnlockedWeapons(),
+      equipped: this.equippedWeapon?.id || null,
+      quickSlots: [...this.quickSlots],
+    };
+  }
+
+  /**
+   * Restore inventory from getState() without emitting unlock/equip events
+   * Unknown weapon ids are skipped
+   * @param {{unlocked?: string[], equipped?: string|null, quickSlots?: (string|null)[]}} state
+   */
+  applyState(state) {
+    if (!state) return;
+
+    for (const weaponId of state.unlocked || []) {
+      if (WEAPONS[weaponId]) {
+        this.unlockedWeapons.add(weaponId);
+      }
+    }
+
+    if (Array.isArray(state.quickSlots)) {
+      for (let slot = 0; slot < this.quickSlots.length; slot++) {
+        this.quickSlots[slot] = null;
+        if (state.quickSlots[slot]) {
+          this.setQuickSlot(slot, state.quickSlots[slot]);
+        }
+      }
+    }
+
+    this.cancelSwap();
+    if (state.equipped && state.equipped !== this.equippedWeapon?.id) {
+      this.equipWeapon(state.equipped, false);
+    }
+  }
+
   /**
    * Get current equipped weapon
    * @returns {Weapon|null}
@@ -1,11 +1,27 @@
 import { Weapon, AttackData } from './Weapon.js';
+import { validateWeaponDefinition } from './WeaponSchema.js';
+
+/**
+ * Weapon definition files in assets/weapons/, by weapon ID
+ * PreloadScene loads each one and registers it
+ */
+export const WEAPON_FILES = Object.freeze(['fists', 'tonfas', 'chain_whip']);
 
 /**
  * Registry of all weapons in the game
- * Weapons are added here as they're implemented
+ * Filled from the weapon definition files as they load
  */
 export const WEAPONS = {};
 
+/**
+ * Get the asset path for a weapon definition
+ * @param {string} id
+ * @returns {string}
+ */
+export function getWeaponPath(id) {
+  return `assets/weapons/${id}.json`;
+}
+
 /**
  * Register a weapon in the registry
  * @param {Weapon} weapon
@@ -14,6 +30,42 @@ export function registerWeapon(weapon) {
   WEAPONS[weapon.id] = weapon;
 }
 
+/**
+ * Build a Weapon from a definition that passed validateWeaponDefinition()
+ * @param {object} data - Parsed weapon JSON
+ * @returns {Weapon}
+ */
+export function createWeapon(data) {
+  const attacks = {};
+  for (const [type, attack] of Object.entries(data.attacks)) {
+    attacks[type] = new AttackData(attack);
+  }
+
+  const trailColor = typeof data.trailColor === 'string'
+    ? parseInt(data.trailColor.slice(1), 16)
+    : data.trailColor;
+
+  return new Weapon({ ...data, trailColor, attacks });
+}
+
+/**
+ * Validate a weapon definition and register it
+ * @param {object} data - Parsed weapon JSON
+ * @returns {Weapon|null} The registered weapon, or null if the definition is invalid
+ */
+export function loadWeaponDefinition(data) {
+  const { ok, errors } = validateWeaponDefinition(data);
+  if (!ok) {
+    const id = typeof data?.id === 'string' ? data.id : '?';
+    console.warn(`Weapon "${id}" is invalid, skipping:\n  ${errors.join('\n  ')}`);
+    return null;
+  }
+
+  const weapon = createWeapon(data);
+  registerWeapon(weapon);
+  return weapon;
+}
+
 /**
  * Get a weapon by ID
  * @param {string} id
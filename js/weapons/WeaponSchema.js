@@ -0,0 +1,329 @@
+import { COMBO_INPUT, COMBO_DIRECTION } from './ComboGraph.js';
+import { getSpecialBehavior } from './SpecialMoves.js';
+import { STATUS_EFFECT } from '../systems/StatusEffects.js';
+
+/**
+ * Standard attack slots - light1 is the only one every weapon needs
+ * Weapons may add more attacks under any name for their combo routes.
+ */
+export const ATTACK_TYPES = Object.freeze(['light1', 'light2', 'light3', 'heavy', 'air', 'spin', 'special']);
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Movement modifiers a weapon can override
+ */
+export const MOVEMENT_MOD_TYPES = Object.freeze(['flip', 'blink', 'spin', 'dive', 'grapple']);
+
+const TIME = { type: 'number', min: 0 };
+const VECTOR = {
+  type: 'object',
+  fields: {
+    x: { type: 'number', required: true },
+    y: { type: 'number', required: true },
+  },
+};
+
+const EDGE_FIELDS = {
+  to: { type: 'string', required: true },
+  input: { type: 'string', required: true, enum: Object.values(COMBO_INPUT) },
+  direction: { type: 'string', enum: Object.values(COMBO_DIRECTION) },
+};
+
+/**
+ * A combo route out of an attack (see ComboGraph)
+ */
+export const COMBO_EDGE_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    ...EDGE_FIELDS,
+    window: { type: 'array', length: 2, items: { type: 'number', min: 0, max: 1 } },
+  },
+});
+
+/**
+ * An attack started from neutral (see ComboGraph)
+ */
+export const STARTER_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    ...EDGE_FIELDS,
+    air: { type: 'boolean' },
+  },
+});
+
+/**
+ * A status effect an attack applies on hit (see StatusEffects)
+ */
+export const STATUS_EFFECT_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    type: { type: 'string', required: true, enum: Object.values(STATUS_EFFECT) },
+    duration: TIME,
+    stacks: { type: 'number', min: 1 },
+  },
+});
+
+/**
+ * One attack (AttackData fields)
+ */
+export const ATTACK_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    startupTime: { ...TIME, required: true },
+    activeTime: { ...TIME, required: true },
+    recoveryTime: { ...TIME, required: true },
+    damage: { type: 'number', min: 0, required: true },
+    poiseDamage: { type: 'number', min: 0 },
+    knockback: VECTOR,
+    airKnockback: VECTOR,
+    knockbackAngle: { type: 'number', min: -180, max: 180 },
+    hitstun: TIME,
+    hitstop: TIME,
+    hitbox: {
+      type: 'object',
+      required: true,
+      fields: {
+        width: { type: 'number', min: 1, required: true },
+        height: { type: 'number', min: 1, required: true },
+        offsetX: { type: 'number' },
+        offsetY: { type: 'number' },
+      },
+    },
+    launches: { type: 'boolean' },
+    wallBounce: { type: 'boolean' },
+    groundBounce: { type: 'boolean' },
+    canComboInto: { type: 'array', items: COMBO_EDGE_SCHEMA },
+    cancelWindow: { type: 'number', min: 0, max: 1 },
+    statusEffects: { type: 'array', items: STATUS_EFFECT_SCHEMA },
+    sfx: { type: 'string' },
+    vfx: { type: 'string' },
+    meterGain: { type: 'number', min: 0 },
+  },
+});
+
+/**
+ * How the weapon's special attack is used (see SpecialMoves)
+ */
+export const SPECIAL_MOVE_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    attack: { type: 'string' },
+    behavior: { type: 'string' },
+    cooldown: TIME,
+    meterCost: { type: 'number', min: 0 },
+    ground: { type: 'boolean' },
+    air: { type: 'boolean' },
+    params: { type: 'object' },
+  },
+});
+
+/**
+ * How well the weapon blocks (see Guard)
+ */
+export const GUARD_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    damageReduction: { type: 'number', min: 0, max: 1 },
+    chipDamage: { type: 'number', min: 0 },
+    meter: { type: 'number', min: 1 },
+    meterDamage: { type: 'number', min: 0 },
+    blockStun: TIME,
+    crushStun: TIME,
+    regenDelay: TIME,
+    regenRate: { type: 'number', min: 0 },
+  },
+});
+
+/**
+ * A weapon definition file (assets/weapons/<id>.json)
+ * movementMods and mechanics hold weapon-specific tuning, so only their
+ * top-level keys are checked.
+ */
+export const WEAPON_SCHEMA = Object.freeze({
+  type: 'object',
+  fields: {
+    id: { type: 'string', required: true, pattern: NAME_PATTERN },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    icon: { type: 'string' },
+    trailColor: { type: 'color' },
+    attacks: {
+      type: 'object',
+      required: true,
+      fields: { light1: { ...ATTACK_SCHEMA, required: true } },
+      values: ATTACK_SCHEMA,
+      keyPattern: NAME_PATTERN,
+    },
+    starters: { type: 'array', items: STARTER_SCHEMA },
+    specialMove: SPECIAL_MOVE_SCHEMA,
+    guard: GUARD_SCHEMA,
+    movementMods: {
+      type: 'object',
+      fields: Object.fromEntries(MOVEMENT_MOD_TYPES.map((type) => [type, { type: 'object', nullable: true }])),
+    },
+    mechanics: { type: 'object' },
+  },
+});
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for plain objects (not arrays or null)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a value against a schema rule, collecting errors
+ * @param {*} value
+ * @param {object} rule
+ * @param {string} path - Dotted field path for error messages
+ * @param {string[]} errors
+ */
+function checkValue(value, rule, path, errors) {
+  if (value === null && rule.nullable) return;
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path}: expected a string`);
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${path}: "${value}" is not one of ${rule.enum.join(', ')}`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${path}: "${value}" does not match ${rule.pattern}`);
+      }
+      return;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: expected a number`);
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${path}: ${value} is below the minimum of ${rule.min}`);
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${path}: ${value} is above the maximum of ${rule.max}`);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path}: expected true or false`);
+      return;
+    case 'color':
+      if (!(typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value))
+        && !(Number.isInteger(value) && value >= 0 && value <= 0xffffff)) {
+        errors.push(`${path}: expected a color like "#88aaff"`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array`);
+        return;
+      }
+      if (rule.length !== undefined && value.length !== rule.length) {
+        errors.push(`${path}: expected ${rule.length} items`);
+        return;
+      }
+      value.forEach((item, index) => checkValue(item, rule.items, `${path}[${index}]`, errors));
+      return;
+    case 'object':
+      if (!isObject(value)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (rule.fields || rule.values) checkFields(value, rule, path, errors);
+      return;
+    default:
+      errors.push(`${path}: schema has unknown type "${rule.type}"`);
+  }
+}
+
+/**
+ * Check an object's fields - missing required fields and unknown fields
+ * (usually typos) are both errors. Rules with `values` instead take any
+ * key matching `keyPattern`, checked against that rule.
+ * @param {object} value
+ * @param {object} rule - { fields?, values?, keyPattern? }
+ * @param {string} path - Empty at the top level
+ * @param {string[]} errors
+ */
+function checkFields(value, rule, path, errors) {
+  const prefix = path ? `${path}.` : '';
+  const fields = rule.fields || {};
+
+  for (const [name, fieldRule] of Object.entries(fields)) {
+    if (value[name] === undefined) {
+      if (fieldRule.required) errors.push(`${prefix}${name}: required`);
+      continue;
+    }
+    checkValue(value[name], fieldRule, `${prefix}${name}`, errors);
+  }
+
+  for (const name of Object.keys(value)) {
+    if (name in fields) continue;
+    if (!rule.values) {
+      errors.push(`${prefix}${name}: unknown field`);
+    } else if (rule.keyPattern && !rule.keyPattern.test(name)) {
+      errors.push(`${prefix}${name}: name does not match ${rule.keyPattern}`);
+    } else {
+      checkValue(value[name], rule.values, `${prefix}${name}`, errors);
+    }
+  }
+}
+
+/**
+ * Check that combo edges lead to attacks the weapon defines and that
+ * their windows open before they close
+ * @param {*} edges
+ * @param {object} attacks
+ * @param {string} path
+ * @param {string[]} errors
+ */
+function checkEdgeTargets(edges, attacks, path, errors) {
+  if (!Array.isArray(edges)) return;
+
+  edges.forEach((edge, index) => {
+    if (!isObject(edge)) return;
+    if (typeof edge.to === 'string' && !isObject(attacks[edge.to])) {
+      errors.push(`${path}[${index}].to: "${edge.to}" is not an attack of this weapon`);
+    }
+    if (Array.isArray(edge.window) && edge.window[0] >= edge.window[1]) {
+      errors.push(`${path}[${index}].window: opens at ${edge.window[0]} but closes at ${edge.window[1]}`);
+    }
+  });
+}
+
+/**
+ * Validate a weapon definition against WEAPON_SCHEMA, and check that every
+ * combo edge (starters and canComboInto) leads to an attack the weapon defines
+ * and that a specialMove has an attack to run and a registered behavior
+ * @param {object} data - Parsed weapon JSON
+ * @returns {{ok: boolean, errors: string[]}} Errors name the bad field, e.g.
+ *   'attacks.light2.startupTim: unknown field'
+ */
+export function validateWeaponDefinition(data) {
+  if (!isObject(data)) {
+    return { ok: false, errors: ['weapon definition must be an object'] };
+  }
+
+  const errors = [];
+  checkFields(data, WEAPON_SCHEMA, '', errors);
+
+  const attacks = isObject(data.attacks) ? data.attacks : {};
+  checkEdgeTargets(data.starters, attacks, 'starters', errors);
+  for (const [type, attack] of Object.entries(attacks)) {
+    if (isObject(attack)) {
+      checkEdgeTargets(attack.canComboInto, attacks, `attacks.${type}.canComboInto`, errors);
+    }
+  }
+
+  const specialMove = data.specialMove;
+  if (isObject(specialMove)) {
+    const attack = specialMove.attack ?? 'special';
+    if (typeof attack === 'string' && !isObject(attacks[attack])) {
+      errors.push(`specialMove.attack: "${attack}" is not an attack of this weapon`);
+    }
+    if (typeof specialMove.behavior === 'string' && !getSpecialBehavior(specialMove.behavior)) {
+      errors.push(`specialMove.behavior: "${specialMove.behavior}" is not a registered special behavior`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
@@ -1,8 +1,45 @@
 export { Weapon, AttackData } from './Weapon.js';
 export { WeaponManager } from './WeaponManager.js';
-export { WEAPONS, registerWeapon, getWeapon, getAllWeaponIds } from './WeaponRegistry.js';
-
-// Import weapons to register them
-import './FistsWeapon.js';
-import './TonfasWeapon.js';
-import './ChainWhipWeapon.js';
+export {
+  WEAPONS,
+  WEAPON_FILES,
+  registerWeapon,
+  getWeapon,
+  getAllWeaponIds,
+  getWeaponPath,
+  createWeapon,
+  loadWeaponDefinition,
+} from './WeaponRegistry.js';
+export {
+  ATTACK_TYPES,
+  MOVEMENT_MOD_TYPES,
+  ATTACK_SCHEMA,
+  COMBO_EDGE_SCHEMA,
+  STARTER_SCHEMA,
+  SPECIAL_MOVE_SCHEMA,
+  GUARD_SCHEMA,
+  STATUS_EFFECT_SCHEMA,
+  WEAPON_SCHEMA,
+  validateWeaponDefinition,
+} from './WeaponSchema.js';
+export {
+  ComboGraph,
+  COMBO_INPUT,
+  COMBO_DIRECTION,
+  DEFAULT_STARTERS,
+  getHeldDirections,
+} from './ComboGraph.js';
+export {
+  DEFAULT_SPECIAL_MOVE,
+  registerSpecialBehavior,
+  getSpecialBehavior,
+  getSpecialBehaviorIds,
+} from './SpecialMoves.js';
+export {
+  getFrameData,
+  formatAdvantage,
+  FRAME_DATA_COLUMNS,
+  buildFrameDataRows,
+  formatFrameDataCSV,
+  formatFrameDataMarkdown,
+} from './FrameData.js';
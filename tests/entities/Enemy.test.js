@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Enemy, SWARMER_STATES } from '../../js/entities/Enemy.js';
+import { CombatBox, BOX_TYPE, TEAM } from '../../js/systems/CombatBox.js';
+import { createGameObject, createMockScene } from '../helpers/mocks.js';
+
+describe('Enemy', () => {
+  let scene;
+  let enemy;
+  let holder;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    scene = createMockScene();
+    enemy = new Enemy(scene, 100, 100, { type: 'SWARMER' });
+
+    // The player, standing right in front of the swarmer's swing
+    holder = { sprite: createGameObject(125, 100), takeDamage: vi.fn() };
+    holder.hurtbox = new CombatBox(scene, {
+      owner: holder,
+      type: BOX_TYPE.HURTBOX,
+      team: TEAM.PLAYER,
+      width: 32,
+      height: 48,
+    });
+    scene.combatManager.register(holder.hurtbox);
+    holder.hurtbox.activate();
+  });
+
+  describe('attack', () => {
+    it('should hit whoever stands in front of it during its active frames', () => {
+      enemy.stateMachine.transition(SWARMER_STATES.ATTACKING, {}, true);
+      scene.combatManager.update(0, 16);
+
+      expect(holder.takeDamage).toHaveBeenCalled();
+    });
+  });
+
+  describe('grab', () => {
+    it('should drop an attack grabbed during its active frames, sparing the holder', () => {
+      enemy.stateMachine.transition(SWARMER_STATES.ATTACKING, {}, true);
+      enemy.grab(holder);
+
+      // Carried in front of the holder, the way HoldState does
+      enemy.sprite.setPosition(holder.sprite.x + 22, holder.sprite.y - 26);
+      enemy.update(0, 16);
+      scene.combatManager.update(0, 16);
+
+      expect(enemy.attackHitbox.active).toBe(false);
+      expect(enemy.stateMachine.getCurrentStateName()).toBe(SWARMER_STATES.IDLE);
+      expect(enemy.getAttackPhase()).toBe(null);
+      expect(holder.takeDamage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ProjectilePool, PROJECTILE_EXPIRE } from '../../js/entities/Projectile.js';
+import { TEAM } from '../../js/systems/CombatBox.js';
+import { createGameObject, createMockScene } from '../helpers/mocks.js';
+
+describe('ProjectilePool', () => {
+  let scene;
+  let pool;
+
+  beforeEach(() => {
+    scene = createMockScene();
+    pool = new ProjectilePool(scene, { maxActive: 3 });
+  });
+
+  it('should fire with the given settings and register its hitbox', () => {
+    const owner = { sprite: { x: 0, y: 0 } };
+    const projectile = pool.spawn({ owner, x: 50, y: 60, velocityX: 300, damage: 12, gravity: 200 });
+
+    expect(projectile.active).toBe(true);
+    expect(projectile.owner).toBe(owner);
+    expect(projectile.body.setVelocity).toHaveBeenCalledWith(300, 0);
+    expect(projectile.body.setAllowGravity).toHaveBeenLastCalledWith(true);
+    expect(projectile.hitbox.damage).toBe(12);
+    expect(projectile.hitbox.team).toBe(TEAM.ENEMY);
+    expect(projectile.hitbox.active).toBe(true);
+    expect(scene.combatManager.hitboxes.has(projectile.hitbox)).toBe(true);
+  });
+
+  it('should reuse expired projectiles instead of making new ones', () => {
+    const first = pool.spawn({ x: 0, y: 0 });
+    first.expire(PROJECTILE_EXPIRE.LIFETIME);
+
+    expect(pool.getActive()).toEqual([]);
+    expect(pool.spawn({ x: 0, y: 0 })).toBe(first);
+    expect(scene.add.circle).toHaveBeenCalledTimes(1);
+  });
+
+  it('should add terrain colliders to new projectiles', () => {
+    const ground = {};
+    pool.setTerrain(ground, null);
+    const projectile = pool.spawn({ x: 0, y: 0 });
+    expect(scene.physics.add.collider).toHaveBeenCalledWith(projectile.sprite, ground);
+  });
+
+  it('should recycle the oldest shot past maxActive', () => {
+    const onExpire = vi.fn();
+    const oldest = pool.spawn({ x: 0, y: 0, onExpire });
+    pool.spawn({ x: 0, y: 0 });
+    pool.spawn({ x: 0, y: 0 });
+    const newest = pool.spawn({ x: 0, y: 0 });
+
+    expect(onExpire).toHaveBeenCalledWith(oldest, PROJECTILE_EXPIRE.CLEARED);
+    expect(newest).toBe(oldest);
+    expect(pool.getActive()).toHaveLength(3);
+    expect(pool.getActive()[2]).toBe(newest);
+    expect(scene.add.circle).toHaveBeenCalledTimes(3);
+  });
+
+  it('should expire on lifetime and terrain', () => {
+    const onExpire = vi.fn();
+    const timed = pool.spawn({ x: 0, y: 0, lifetime: 100, onExpire });
+    const grounded = pool.spawn({ x: 0, y: 0, onExpire });
+
+    pool.update(60);
+    expect(timed.active).toBe(true);
+
+    grounded.body.blocked.none = false;
+    grounded.body.blocked.down = true;
+    pool.update(60);
+
+    expect(onExpire).toHaveBeenCalledWith(timed, PROJECTILE_EXPIRE.LIFETIME);
+    expect(onExpire).toHaveBeenCalledWith(grounded, PROJECTILE_EXPIRE.TERRAIN);
+    expect(pool.getActive()).toEqual([]);
+    expect(timed.hitbox.active).toBe(false);
+  });
+
+  it('should carry a body along without ever hitting it', () => {
+    const carried = { sprite: { ...createGameObject(0, 0), active: true } };
+    const projectile = pool.spawn({ x: 10, y: 20, team: TEAM.PLAYER, carry: carried });
+
+    expect(projectile.sprite.setVisible).toHaveBeenLastCalledWith(false);
+    expect(projectile.hitbox.hasAlreadyHit(carried)).toBe(true);
+
+    projectile.sprite.x = 40;
+    pool.update(16);
+    expect(carried.sprite.setPosition).toHaveBeenLastCalledWith(40, 20);
+  });
+
+  it('should clear every projectile in flight', () => {
+    pool.spawn({ x: 0, y: 0 });
+    pool.spawn({ x: 0, y: 0 });
+    pool.clear();
+    expect(pool.getActive()).toEqual([]);
+    expect(pool.available).toHaveLength(2);
+  });
+});
+
+describe('Projectile hits', () => {
+  let scene;
+  let pool;
+  let shooter;
+
+  beforeEach(() => {
+    scene = createMockScene();
+    pool = new ProjectilePool(scene);
+    shooter = { id: 'lobber', isAlive: true, sprite: { x: 400, y: 0 } };
+  });
+
+  /**
+   * @param {object} defender
+   * @param {string} team
+   */
+  function createHurtbox(defender, team = TEAM.PLAYER) {
+    return { owner: defender, team };
+  }
+
+  it('should credit the shooter and knock back along the flight', () => {
+    const projectile = pool.spawn({ owner: shooter, x: 100, y: 0, velocityX: -300, knockback: { x: 120, y: -80 } });
+    const player = { id: 'player', takeDamage: vi.fn() };
+
+    scene.combatManager.resolveHit(projectile.hitbox, createHurtbox(player));
+
+    const hitData = player.takeDamage.mock.calls[0][1];
+    expect(hitData.attacker).toBe(shooter);
+    expect(hitData.projectile).toBe(projectile);
+    expect(hitData.knockback).toEqual({ x: -120, y: -80 });
+    expect(projectile.active).toBe(false);
+  });
+
+  it('should pierce through extra targets and call onHit each time', () => {
+    const onHit = vi.fn();
+    const projectile = pool.spawn({ owner: shooter, x: 0, y: 0, pierce: 1, onHit });
+
+    scene.combatManager.resolveHit(projectile.hitbox, createHurtbox({ id: 'a' }));
+    expect(projectile.active).toBe(true);
+
+    scene.combatManager.resolveHit(projectile.hitbox, createHurtbox({ id: 'b' }));
+    expect(projectile.active).toBe(false);
+    expect(onHit).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fly back at the shooter for the new team when reflected mid-hit', () => {
+    const projectile = pool.spawn({ owner: shooter, x: 100, y: 0, velocityX: -300, damage: 10 });
+    const player = {
+      id: 'player',
+      sprite: { x: 100, y: 0 },
+      takeDamage: vi.fn(() => projectile.reflect(player, TEAM.PLAYER, 1.5)),
+    };
+
+    scene.combatManager.resolveHit(projectile.hitbox, createHurtbox(player));
+
+    expect(projectile.active).toBe(true);
+    expect(projectile.owner).toBe(player);
+    expect(projectile.hitbox.team).toBe(TEAM.PLAYER);
+    expect(projectile.hitbox.damage).toBe(15);
+    expect(projectile.body.velocity.x).toBeCloseTo(300);
+    expect(projectile.body.velocity.y).toBeCloseTo(0);
+    expect(scene.events.emit).toHaveBeenCalledWith('projectile:reflected', { projectile, owner: player });
+  });
+
+  it('should refuse to reflect unreflectable shots', () => {
+    const projectile = pool.spawn({ owner: shooter, x: 0, y: 0, reflectable: false });
+    expect(projectile.reflect({}, TEAM.PLAYER)).toBe(false);
+    expect(projectile.hitbox.team).toBe(TEAM.ENEMY);
+  });
+});
@@ -0,0 +1,92 @@
+import { vi } from 'vitest';
+import { CombatManager } from '../../js/systems/CombatManager.js';
+
+/**
+ * Shared stand-ins for the Phaser objects entities and systems touch
+ * Every setter is a spy, so tests can check what was called as well as
+ * the resulting state.
+ */
+
+/**
+ * Stand-in for an arcade body
+ * @param {object} [options]
+ * @param {boolean} [options.onFloor=true] - Starts blocked below
+ * @param {number} [options.gravityY=1000]
+ * @param {number} [options.velocityX=0]
+ */
+export function createBody({ onFloor = true, gravityY = 1000, velocityX = 0 } = {}) {
+  const body = {
+    enable: true,
+    mass: 1,
+    velocity: { x: velocityX, y: 0 },
+    gravity: { x: 0, y: gravityY },
+    blocked: { none: !onFloor, up: false, down: onFloor, left: false, right: false },
+    touching: { none: true, up: false, down: false, left: false, right: false },
+    reset: vi.fn(),
+    stop: vi.fn(() => { body.velocity.x = 0; body.velocity.y = 0; }),
+    setVelocity: vi.fn((x, y) => { body.velocity.x = x; body.velocity.y = y; }),
+    setVelocityX: vi.fn((x) => { body.velocity.x = x; }),
+    setVelocityY: vi.fn((y) => { body.velocity.y = y; }),
+    setGravityY: vi.fn((y) => { body.gravity.y = y; }),
+  };
+  for (const method of [
+    'setCollideWorldBounds', 'setBounce', 'setMaxVelocity', 'setDrag', 'setSize', 'setOffset',
+    'setCircle', 'setAllowGravity', 'setImmovable',
+  ]) {
+    body[method] = vi.fn();
+  }
+  return body;
+}
+
+/**
+ * Stand-in for a game object - every setter is a spy that returns it
+ * @param {number} [x=0]
+ * @param {number} [y=0]
+ */
+export function createGameObject(x = 0, y = 0) {
+  const object = {
+    x,
+    y,
+    flipX: false,
+    setPosition: vi.fn((newX, newY) => { object.x = newX; object.y = newY; return object; }),
+    setFlipX: vi.fn((flip) => { object.flipX = flip; return object; }),
+    setVelocityX: vi.fn((velocity) => { object.body.velocity.x = velocity; return object; }),
+  };
+  for (const method of [
+    'setTint', 'clearTint', 'setScale', 'setData', 'setDepth', 'setOrigin', 'setVisible', 'setActive',
+    'setRadius', 'setFillStyle', 'add', 'destroy',
+  ]) {
+    object[method] = vi.fn(() => object);
+  }
+  return object;
+}
+
+/**
+ * Scene with the factories entities build from and a real CombatManager
+ */
+export function createMockScene() {
+  const scene = {
+    events: { emit: vi.fn() },
+    time: { now: 0, delayedCall: vi.fn() },
+    add: {
+      circle: vi.fn((x, y) => createGameObject(x, y)),
+      zone: vi.fn((x, y) => createGameObject(x, y)),
+      container: vi.fn(() => createGameObject()),
+      text: vi.fn(() => createGameObject()),
+    },
+    physics: {
+      world: { drawDebug: false },
+      add: {
+        sprite: vi.fn((x, y) => {
+          const sprite = createGameObject(x, y);
+          sprite.body = createBody();
+          return sprite;
+        }),
+        existing: vi.fn((object) => { object.body = createBody(); }),
+        collider: vi.fn(),
+      },
+    },
+  };
+  scene.combatManager = new CombatManager(scene);
+  return scene;
+}
@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+// Scenes extend Phaser.Scene when their module loads
+vi.hoisted(() => {
+  globalThis.Phaser = {
+    Scene: class {
+      constructor(key) {
+        this.key = key;
+      }
+    },
+    Scenes: { Events: { RESUME: 'resume', SHUTDOWN: 'shutdown' } },
+  };
+});
+
+import { PauseScene, PAUSE_OPTIONS } from '../../js/scenes/PauseScene.js';
+import { LevelScene } from '../../js/scenes/LevelScene.js';
+import { AudioManager } from '../../js/systems/AudioManager.js';
+import { WeaponManager } from '../../js/weapons/WeaponManager.js';
+import { WEAPON_FILES, getWeaponPath, loadWeaponDefinition } from '../../js/weapons/WeaponRegistry.js';
+
+// Register all weapons, as PreloadScene does
+for (const id of WEAPON_FILES) {
+  loadWeaponDefinition(JSON.parse(readFileSync(getWeaponPath(id), 'utf8')));
+}
+
+/**
+ * Mock Phaser sound - pause/resume/stop flip the same flags Phaser's do
+ */
+function createTrack() {
+  const track = {
+    isPlaying: false,
+    isPaused: false,
+    destroyed: false,
+    play: () => { track.isPlaying = true; track.isPaused = false; },
+    pause: () => { track.isPlaying = false; track.isPaused = true; },
+    resume: () => { track.isPlaying = true; track.isPaused = false; },
+    stop: () => { track.isPlaying = false; track.isPaused = false; },
+    setVolume: () => track,
+    destroy: () => { track.destroyed = true; },
+  };
+  return track;
+}
+
+/**
+ * Mock scene plugin shared by both scenes - tracks which scenes run
+ */
+function createScenePlugin(key, game) {
+  return {
+    key,
+    isActive: () => game.status[key] === 'running',
+    get: (other) => game.scenes[other],
+    launch: vi.fn((other) => { game.status[other] = 'running'; }),
+    start: vi.fn((other) => {
+      game.status[key] = 'stopped';
+      game.status[other] = 'running';
+    }),
+    pause: vi.fn((other = key) => { game.status[other] = 'paused'; }),
+    resume: vi.fn((other = key) => {
+      game.status[other] = 'running';
+      game.scenes[other].events.emit(Phaser.Scenes.Events.RESUME);
+    }),
+    stop: vi.fn((other = key) => { game.status[other] = 'stopped'; }),
+  };
+}
+
+/**
+ * Mock scene events - just enough of an EventEmitter
+ */
+function createEvents() {
+  const handlers = {};
+  return {
+    on: (event, fn) => { (handlers[event] ||= []).push(fn); },
+    off: (event, fn) => { handlers[event] = (handlers[event] || []).filter((h) => h !== fn); },
+    emit: (event, ...args) => (handlers[event] || []).forEach((fn) => fn(...args)),
+  };
+}
+
+/**
+ * A running level with music playing and its pause menu, not yet open
+ * @param {object} [entryData] - What the level was started with
+ */
+function createGame(entryData = { roomId: 'start' }) {
+  const game = { scenes: {}, status: { Level: 'running' } };
+
+  const level = new LevelScene();
+  level.scene = createScenePlugin('Level', game);
+  level.events = createEvents();
+  level.cache = { audio: { exists: () => true } };
+  level.sound = { add: vi.fn(() => createTrack()) };
+  level.init(entryData);
+  // createLevel() settles the room: from the save, else the start room
+  level.roomId = entryData.save?.roomId ?? entryData.roomId ?? 'start';
+  level.player = { weaponManager: new WeaponManager({ scene: level }) };
+  level.audioManager = new AudioManager(level);
+  level.audioManager.playMusic('level_theme', true, false);
+  level.setupEventListeners();
+
+  const pause = new PauseScene();
+  pause.scene = createScenePlugin('Pause', game);
+  pause.events = createEvents();
+
+  game.scenes.Level = level;
+  game.scenes.Pause = pause;
+  return { game, level, pause };
+}
+
+describe('Pause flow', () => {
+  let game;
+  let level;
+  let pause;
+  let music;
+
+  beforeEach(() => {
+    ({ game, level, pause } = createGame());
+    music = level.audioManager.currentMusic;
+
+    level.pauseGame();
+    pause.init({ returnTo: 'Level' });
+  });
+
+  it('should freeze the level and its music under the pause menu', () => {
+    expect(level.scene.launch).toHaveBeenCalledWith('Pause', { returnTo: 'Level' });
+    expect(game.status.Level).toBe('paused');
+    expect(music.isPaused).toBe(true);
+  });
+
+  it('should not pause a level that is already paused or leaving', () => {
+    expect(level.pauseGame()).toBe(false);
+
+    level.scene.resume();
+    level.isTransitioning = true;
+    expect(level.pauseGame()).toBe(false);
+  });
+
+  it('should pick the level and its music back up on resume', () => {
+    pause.choose(PAUSE_OPTIONS.RESUME);
+
+    expect(game.status.Pause).toBe('stopped');
+    expect(game.status.Level).toBe('running');
+    expect(music.isPlaying).toBe(true);
+  });
+
+  it('should stop the paused music and start the room over on restart', () => {
+    pause.choose(PAUSE_OPTIONS.RESTART);
+
+    expect(game.status.Pause).toBe('stopped');
+    expect(level.scene.start).toHaveBeenCalledWith('Level', expect.objectContaining({ roomId: 'start', replay: null }));
+    expect(music.isPaused).toBe(false);
+    expect(music.destroyed).toBe(true);
+    expect(level.audioManager.currentMusic).toBe(null);
+  });
+
+  it('should stop the paused music and go to the title on quit', () => {
+    pause.choose(PAUSE_OPTIONS.QUIT);
+
+    expect(game.status.Pause).toBe('stopped');
+    expect(level.scene.start).toHaveBeenCalledWith('Title', {});
+    expect(music.isPaused).toBe(false);
+    expect(music.destroyed).toBe(true);
+  });
+
+  it('should only act on the first choice while closing', () => {
+    pause.choose(PAUSE_OPTIONS.QUIT);
+    pause.choose(PAUSE_OPTIONS.RESTART);
+
+    expect(level.scene.start).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Restart Room', () => {
+  /**
+   * Restart from the pause menu
+   * @returns {LevelScene} The level as the restart starts it
+   */
+  function restart(level, pause) {
+    level.pauseGame();
+    pause.init({ returnTo: 'Level' });
+    pause.choose(PAUSE_OPTIONS.RESTART);
+
+    const [, data] = level.scene.start.mock.calls[0];
+    const restarted = new LevelScene();
+    restarted.init(data);
+    return restarted;
+  }
+
+  it('should not start a new game over again after New Game', () => {
+    const { level, pause } = createGame({ newGame: true });
+    const restarted = restart(level, pause);
+
+    expect(restarted.isNewGame).toBe(false);
+    expect(restarted.roomId).toBe('start');
+  });
+
+  it('should not reload the save after Continue', () => {
+    const save = { roomId: 'crypt', weapons: { unlocked: ['fists', 'chain_whip'], equipped: 'chain_whip' }, kills: 12 };
+    const { level, pause } = createGame({ save });
+    level.player.weaponManager.applyState(save.weapons);
+    const restarted = restart(level, pause);
+
+    expect(restarted.saveData).toBe(null);
+    expect(restarted.roomId).toBe('crypt');
+    expect(restarted.transferData.kills).toBe(12);
+    expect(restarted.transferData.playerState.weapons.equipped).toBe('chain_whip');
+  });
+
+  it('should keep a weapon dropped by a boss killed in the room', () => {
+    const playerState = { health: 80, weapons: { unlocked: ['fists'], equipped: 'fists' } };
+    const { level, pause } = createGame({ roomId: 'arena', entry: 'west', playerState, kills: 3 });
+    level.player.weaponManager.unlockWeapon('tonfas');
+    const restarted = restart(level, pause);
+
+    // Otherwise as the player entered
+    expect(restarted.roomId).toBe('arena');
+    expect(restarted.entryName).toBe('west');
+    expect(restarted.transferData.playerState.health).toBe(80);
+    expect(restarted.transferData.kills).toBe(3);
+
+    const weapons = new WeaponManager({ scene: { events: createEvents() } });
+    weapons.applyState(restarted.transferData.playerState.weapons);
+    expect(weapons.hasWeapon('tonfas')).toBe(true);
+    expect(weapons.getEquippedWeapon().id).toBe('fists');
+  });
+});
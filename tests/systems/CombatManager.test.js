@@ -1,6 +1,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { CombatManager } from '../../js/systems/CombatManager.js';
 import { BOX_TYPE, TEAM } from '../../js/systems/CombatBox.js';
+import { StatusEffects } from '../../js/systems/StatusEffects.js';
+import { Juggle } from '../../js/systems/Knockback.js';
+import { TimeManager } from '../../js/systems/TimeManager.js';
+import { ATTACK_PHASE, HIT_TYPE } from '../../js/systems/CounterHit.js';
+import { COMBAT } from '../../js/utils/combat.js';
 
 // Mock CombatBox for testing
 function createMockBox(config) {
@@ -381,27 +386,74 @@ describe('CombatManager', () => {
       expect(hitData.knockback.x).toBe(-300);
     });
 
-    it('should apply hitstop when timeManager is set', () => {
-      const timeManager = {
-        applyHitstop: vi.fn(),
-      };
+    it('should freeze only the attacker and defender when timeManager is set', () => {
+      const timeManager = new TimeManager(scene);
       cm.setTimeManager(timeManager);
 
+      const attacker = { id: 'player1', sprite: { flipX: false } };
+      const defender = { id: 'enemy1', sprite: { body: { moves: true, setVelocity: vi.fn() } } };
       const hitbox = createMockBox({
         type: BOX_TYPE.HITBOX,
         team: TEAM.PLAYER,
-        owner: { id: 'player1', sprite: { flipX: false } },
+        owner: attacker,
         hitstop: 80,
       });
       const hurtbox = createMockBox({
         type: BOX_TYPE.HURTBOX,
         team: TEAM.ENEMY,
-        owner: { id: 'enemy1' },
+        owner: defender,
       });
 
       cm.resolveHit(hitbox, hurtbox);
 
-      expect(timeManager.applyHitstop).toHaveBeenCalledWith(80);
+      expect(timeManager.isFrozen()).toBe(false);
+      expect(timeManager.getFrozenEntities()).toEqual([defender, attacker]);
+      expect(defender.sprite.body.moves).toBe(false);
+
+      timeManager.update(80);
+      expect(timeManager.getFrozenEntities()).toEqual([]);
+      expect(defender.sprite.body.moves).toBe(true);
+    });
+
+    it('should add impact frames for defenders that ask for them', () => {
+      const timeManager = new TimeManager(scene);
+      cm.setTimeManager(timeManager);
+
+      const hitbox = createMockBox({
+        type: BOX_TYPE.HITBOX,
+        team: TEAM.PLAYER,
+        owner: { id: 'player1', sprite: { flipX: false } },
+      });
+      const hurtbox = createMockBox({
+        type: BOX_TYPE.HURTBOX,
+        team: TEAM.ENEMY,
+        owner: { id: 'boss', impactFrames: 133 },
+      });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      expect(timeManager.hitstopRemaining).toBe(133);
+    });
+
+    it('should not freeze the shooter of a projectile', () => {
+      const timeManager = new TimeManager(scene);
+      cm.setTimeManager(timeManager);
+
+      const shooter = { id: 'lobber' };
+      const defender = { id: 'player' };
+      cm.applyHit({
+        attacker: shooter,
+        defender,
+        damage: 5,
+        knockback: { x: 0, y: 0 },
+        hitstun: 0,
+        hitstop: 30,
+        projectile: {},
+        hitbox: null,
+        hurtbox: null,
+      }, TEAM.ENEMY);
+
+      expect(timeManager.getFrozenEntities()).toEqual([defender]);
     });
 
     it('should call registered onHit callbacks', () => {
@@ -449,6 +501,213 @@ describe('CombatManager', () => {
 
       expect(defenderSprite.body.setVelocity).toHaveBeenCalledWith(400, -200);
     });
+
+    it('should carry the attack\'s status effects and report the ones that landed', () => {
+      const hitbox = createMockBox({
+        type: BOX_TYPE.HITBOX,
+        team: TEAM.PLAYER,
+        owner: { id: 'player1', sprite: { flipX: false } },
+      });
+      hitbox.statusEffects = [{ type: 'bleed', stacks: 2 }, { type: 'stun' }];
+      const statusEffects = new StatusEffects({ immunities: ['stun'] });
+      const defender = {
+        id: 'enemy1',
+        statusEffects,
+        takeDamage: vi.fn((amount, hitData) => {
+          hitData.appliedStatusEffects = statusEffects.applyAll(hitData.statusEffects);
+        }),
+      };
+      const hurtbox = createMockBox({
+        type: BOX_TYPE.HURTBOX,
+        team: TEAM.ENEMY,
+        owner: defender,
+      });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      const hitData = scene.events.emit.mock.calls[0][1];
+      expect(hitData.statusEffects).toEqual(hitbox.statusEffects);
+      expect(hitData.appliedStatusEffects).toEqual([{ type: 'bleed', stacks: 2, duration: 3000 }]);
+    });
+
+    it('should report no applied effects when the defender takes none', () => {
+      const hitbox = createMockBox({
+        type: BOX_TYPE.HITBOX,
+        team: TEAM.PLAYER,
+        owner: { id: 'player1', sprite: { flipX: false } },
+      });
+      hitbox.statusEffects = [{ type: 'burn' }];
+      const hurtbox = createMockBox({
+        type: BOX_TYPE.HURTBOX,
+        team: TEAM.ENEMY,
+        owner: { id: 'enemy1', takeDamage: vi.fn() },
+      });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      expect(scene.events.emit.mock.calls[0][1].appliedStatusEffects).toEqual([]);
+    });
+  });
+
+  describe('applyHit', () => {
+    it('should apply a hit without boxes', () => {
+      const attacker = { id: 'player1', addUltimateMeter: vi.fn() };
+      const defender = { id: 'enemy1', takeDamage: vi.fn(), sprite: { body: { setVelocity: vi.fn() } } };
+      const hitData = {
+        attacker,
+        defender,
+        damage: 20,
+        knockback: { x: -300, y: -100 },
+        hitstun: 300,
+        hitstop: 0,
+        hitbox: null,
+        hurtbox: null,
+      };
+
+      cm.applyHit(hitData, TEAM.PLAYER);
+
+      expect(defender.takeDamage).toHaveBeenCalledWith(20, hitData);
+      expect(defender.sprite.body.setVelocity).toHaveBeenCalledWith(-300, -100);
+      expect(attacker.addUltimateMeter).toHaveBeenCalled();
+      expect(scene.events.emit).toHaveBeenCalledWith('combat:hit', hitData);
+    });
+
+    it('should give perfect-timing meter on critical hits', () => {
+      const attacker = { id: 'player1', addUltimateMeter: vi.fn() };
+      const defender = { id: 'enemy1', takeDamage: vi.fn() };
+      const hitData = {
+        attacker,
+        defender,
+        damage: 10,
+        knockback: { x: 0, y: 0 },
+        hitstun: 0,
+        hitstop: 0,
+        isCritical: true,
+        hitbox: null,
+        hurtbox: null,
+      };
+
+      cm.applyHit(hitData, TEAM.PLAYER);
+
+      expect(attacker.addUltimateMeter).toHaveBeenCalledWith(COMBAT.ULTIMATE.GAIN_PER_PERFECT_TIMING);
+      expect(scene.events.emit.mock.calls[0][1].isCritical).toBe(true);
+    });
+
+    it('should classify the hit before damage, while the defender is still winding up', () => {
+      const defender = {
+        id: 'enemy1',
+        phase: ATTACK_PHASE.STARTUP,
+        getAttackPhase() {
+          return this.phase;
+        },
+        takeDamage: vi.fn(function () {
+          this.phase = null; // Knocked out of the attack
+        }),
+      };
+      const hitData = {
+        attacker: { id: 'player1' },
+        defender,
+        damage: 20,
+        knockback: { x: 0, y: 0 },
+        hitstun: 200,
+        hitstop: 0,
+        hitbox: null,
+        hurtbox: null,
+      };
+
+      cm.applyHit(hitData, TEAM.PLAYER);
+
+      const damage = Math.round(20 * COMBAT.COUNTER_HIT.DAMAGE);
+      expect(defender.takeDamage).toHaveBeenCalledWith(damage, hitData);
+      expect(hitData.hitstun).toBe(Math.round(200 * COMBAT.COUNTER_HIT.HITSTUN));
+      expect(scene.events.emit.mock.calls[0][1].hitType).toBe(HIT_TYPE.COUNTER);
+    });
+  });
+
+  describe('knockback', () => {
+    /**
+     * Defender with a body standing on the floor (or in the air)
+     */
+    function createDefender(onFloor = true) {
+      return {
+        id: 'enemy1',
+        takeDamage: vi.fn(),
+        sprite: {
+          body: {
+            blocked: { down: onFloor },
+            touching: { down: false },
+            gravity: { y: 1000 },
+            setVelocity: vi.fn(),
+            setGravityY: vi.fn(),
+          },
+        },
+      };
+    }
+
+    it('should push away from the attacker\'s body, not its facing', () => {
+      // Spin's back hitbox: player faces right, target is behind
+      const hitbox = createMockBox({
+        owner: { id: 'player1', sprite: { x: 100, y: 0, flipX: false } },
+        x: 60,
+        knockback: { x: 100, y: -50 },
+      });
+      const defender = createDefender();
+      const hurtbox = createMockBox({ type: BOX_TYPE.HURTBOX, team: TEAM.ENEMY, owner: defender, x: 70 });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      expect(defender.sprite.body.setVelocity).toHaveBeenCalledWith(-100, -50);
+      expect(scene.events.emit.mock.calls[0][1].direction).toBe(-1);
+    });
+
+    it('should use the side the hitbox reaches when stacked', () => {
+      const hitbox = createMockBox({
+        owner: { id: 'player1', sprite: { x: 100, y: 0, flipX: false } },
+        x: 80,
+      });
+      const hurtbox = createMockBox({ type: BOX_TYPE.HURTBOX, team: TEAM.ENEMY, owner: createDefender(), x: 101 });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      expect(scene.events.emit.mock.calls[0][1].direction).toBe(-1);
+    });
+
+    it('should use air knockback and the angle on airborne targets', () => {
+      const hitbox = createMockBox({
+        owner: { id: 'player1', sprite: { x: 0, y: 0 } },
+        x: 30,
+        knockback: { x: 100, y: 150 },
+      });
+      hitbox.airKnockback = { x: 0, y: -200 };
+      hitbox.knockbackAngle = 0;
+      const defender = createDefender(false);
+      const hurtbox = createMockBox({ type: BOX_TYPE.HURTBOX, team: TEAM.ENEMY, owner: defender, x: 40 });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      const hitData = scene.events.emit.mock.calls[0][1];
+      expect(hitData.airborne).toBe(true);
+      expect(hitData.knockback.x).toBeCloseTo(200);
+      expect(hitData.knockback.y).toBeCloseTo(0);
+    });
+
+    it('should let the defender\'s juggle shape launches before takeDamage', () => {
+      const hitbox = createMockBox({ owner: { id: 'player1', sprite: { x: 0, y: 0 } }, x: 30 });
+      hitbox.launches = true;
+      const defender = createDefender();
+      defender.juggle = new Juggle({ launchResistance: 0.5 });
+      defender.takeDamage = vi.fn((amount, hitData) => {
+        expect(hitData.launches).toBe(true);
+        expect(hitData.juggleHits).toBe(1);
+      });
+      const hurtbox = createMockBox({ type: BOX_TYPE.HURTBOX, team: TEAM.ENEMY, owner: defender, x: 40 });
+
+      cm.resolveHit(hitbox, hurtbox);
+
+      expect(defender.takeDamage).toHaveBeenCalled();
+      expect(defender.juggle.isJuggled()).toBe(true);
+      expect(defender.sprite.body.setVelocity).toHaveBeenCalledWith(200, -50);
+    });
   });
 
   describe('update', () => {
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { CorpseGrid } from '../../js/systems/CorpseGrid.js';
+
+// Solid ground from row 10 down - row 9 is the bottom of every pile
+const GROUND_ROW = 10;
+
+function createGrid() {
+  const ground = { body: { left: 0, right: 1000, top: GROUND_ROW * 20, bottom: 400 } };
+  return new CorpseGrid(null, { getChildren: () => [ground] });
+}
+
+/**
+ * Fill cells with their own keys as corpse data
+ * @param {CorpseGrid} grid
+ * @param {Array<[number, number]>} cells - [col, row] pairs
+ */
+function fill(grid, cells) {
+  for (const [col, row] of cells) {
+    grid.occupyCell(col, row, `${col},${row}`);
+  }
+}
+
+describe('CorpseGrid', () => {
+  it('should find the cells resting on a cell for both row parities', () => {
+    const grid = createGrid();
+
+    for (const [col, row] of [[3, 9], [3, 8]]) {
+      for (const above of grid.getSupportedCells(col, row)) {
+        expect(grid.getSupportCells(above.col, above.row)).toContainEqual({ col, row });
+      }
+    }
+  });
+
+  it('should drop a whole column when its base is pulled out', () => {
+    const grid = createGrid();
+    fill(grid, [[1, 9], [1, 8], [1, 7]]);
+
+    grid.clearCell(1, 9);
+    expect(grid.collapseAbove(1, 9)).toEqual(['1,8', '1,7']);
+    expect(grid.getOccupiedCount()).toBe(0);
+  });
+
+  it('should keep corpses that still rest on a neighbour', () => {
+    const grid = createGrid();
+    fill(grid, [[0, 9], [1, 9], [2, 9], [1, 8], [2, 8], [1, 7]]);
+
+    grid.clearCell(1, 9);
+    expect(grid.collapseAbove(1, 9)).toEqual([]);
+
+    grid.clearCell(0, 9);
+    expect(grid.collapseAbove(0, 9)).toEqual(['1,8']);
+    expect(grid.isOccupied(2, 8)).toBe(true);
+    expect(grid.isOccupied(1, 7)).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { ATTACK_PHASE, HIT_TYPE, classifyHit, applyHitType } from '../../js/systems/CounterHit.js';
+import { COMBAT } from '../../js/utils/combat.js';
+
+describe('CounterHit', () => {
+  /**
+   * Hit a defender caught in the given phase, like applyHit() would
+   */
+  function hit(phase, fields = {}) {
+    const hitData = {
+      defender: { getAttackPhase: () => phase },
+      damage: 20,
+      poiseDamage: 20,
+      hitstun: 200,
+      ...fields,
+    };
+    applyHitType(hitData);
+    return hitData;
+  }
+
+  it('should classify hits by the phase the target is in', () => {
+    expect(classifyHit(ATTACK_PHASE.STARTUP)).toBe(HIT_TYPE.COUNTER);
+    expect(classifyHit(ATTACK_PHASE.ACTIVE)).toBe(HIT_TYPE.NORMAL);
+    expect(classifyHit(ATTACK_PHASE.RECOVERY)).toBe(HIT_TYPE.PUNISH);
+    expect(classifyHit(null)).toBe(HIT_TYPE.NORMAL);
+  });
+
+  it('should scale damage, poise damage and hitstun of counter-hits', () => {
+    const hitData = hit(ATTACK_PHASE.STARTUP);
+    expect(hitData.hitType).toBe(HIT_TYPE.COUNTER);
+    expect(hitData.damage).toBe(Math.round(20 * COMBAT.COUNTER_HIT.DAMAGE));
+    expect(hitData.poiseDamage).toBe(Math.round(20 * COMBAT.COUNTER_HIT.DAMAGE));
+    expect(hitData.hitstun).toBe(Math.round(200 * COMBAT.COUNTER_HIT.HITSTUN));
+  });
+
+  it('should scale punishes by their own multipliers', () => {
+    const hitData = hit(ATTACK_PHASE.RECOVERY);
+    expect(hitData.hitType).toBe(HIT_TYPE.PUNISH);
+    expect(hitData.damage).toBe(Math.round(20 * COMBAT.PUNISH.DAMAGE));
+    expect(hitData.hitstun).toBe(Math.round(200 * COMBAT.PUNISH.HITSTUN));
+  });
+
+  it('should leave normal hits alone', () => {
+    const hitData = hit(ATTACK_PHASE.ACTIVE);
+    expect(hitData.hitType).toBe(HIT_TYPE.NORMAL);
+    expect(hitData.damage).toBe(20);
+    expect(hitData.hitstun).toBe(200);
+  });
+
+  it('should treat defenders without attack phases as never attacking', () => {
+    const hitData = { defender: {}, damage: 20, poiseDamage: 20, hitstun: 200 };
+    expect(applyHitType(hitData)).toBe(HIT_TYPE.NORMAL);
+    expect(hitData.damage).toBe(20);
+  });
+});
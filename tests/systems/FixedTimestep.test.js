@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FixedTimestep } from '../../js/systems/FixedTimestep.js';
+import { SpriteInterpolator, INTERPOLATION_SNAP_DISTANCE } from '../../js/systems/SpriteInterpolator.js';
+import { SIMULATION } from '../../js/utils/timing.js';
+
+describe('FixedTimestep', () => {
+  let simulation;
+
+  beforeEach(() => {
+    simulation = new FixedTimestep();
+  });
+
+  it('should run two steps per 60Hz frame', () => {
+    for (let i = 0; i < 60; i++) {
+      expect(simulation.advance(1000 / 60)).toBe(2);
+      for (let s = 0; s < 2; s++) simulation.tick();
+    }
+    expect(simulation.stepCount).toBe(120);
+    expect(simulation.time).toBeCloseTo(1000);
+  });
+
+  it('should run the same steps per second at any refresh rate', () => {
+    const count = (fps) => {
+      const sim = new FixedTimestep();
+      let steps = 0;
+      for (let i = 0; i < fps; i++) steps += sim.advance(1000 / fps);
+      return steps;
+    };
+    expect(count(60)).toBe(SIMULATION.RATE);
+    expect(count(144)).toBeGreaterThanOrEqual(SIMULATION.RATE - 1);
+    expect(count(144)).toBeLessThanOrEqual(SIMULATION.RATE);
+    expect(count(30)).toBe(SIMULATION.RATE);
+  });
+
+  it('should carry leftover time and report it as alpha', () => {
+    expect(simulation.advance(SIMULATION.STEP_MS / 2)).toBe(0);
+    expect(simulation.alpha).toBeCloseTo(0.5);
+    expect(simulation.advance(SIMULATION.STEP_MS / 2)).toBe(1);
+    expect(simulation.alpha).toBeCloseTo(0);
+  });
+
+  it('should cap steps after a stall and drop the rest', () => {
+    const steps = simulation.advance(1000);
+    expect(steps).toBe(SIMULATION.MAX_STEPS_PER_FRAME);
+    expect(simulation.accumulator).toBeLessThan(SIMULATION.STEP_MS);
+    expect(simulation.droppedTime).toBeGreaterThan(0);
+  });
+
+  it('should ignore negative deltas', () => {
+    expect(simulation.advance(-50)).toBe(0);
+    expect(simulation.accumulator).toBe(0);
+  });
+
+  it('should reset to time 0', () => {
+    simulation.advance(100);
+    simulation.tick();
+    simulation.reset();
+    expect(simulation.time).toBe(0);
+    expect(simulation.alpha).toBe(0);
+  });
+});
+
+describe('SpriteInterpolator', () => {
+  let interpolator;
+  let sprite;
+
+  beforeEach(() => {
+    interpolator = new SpriteInterpolator();
+    sprite = { x: 0, y: 0 };
+  });
+
+  it('should draw between the last two simulated positions', () => {
+    interpolator.capture([sprite]);
+    sprite.x = 10;
+    sprite.y = -4;
+
+    interpolator.apply(0.25);
+    expect(sprite.x).toBeCloseTo(2.5);
+    expect(sprite.y).toBeCloseTo(-1);
+  });
+
+  it('should restore simulated positions', () => {
+    interpolator.capture([sprite]);
+    sprite.x = 10;
+    interpolator.apply(0.5);
+    interpolator.restore();
+    expect(sprite.x).toBe(10);
+  });
+
+  it('should keep positions set after drawing', () => {
+    interpolator.capture([sprite]);
+    sprite.x = 10;
+    interpolator.apply(0.5);
+
+    sprite.x = 300; // e.g. a respawn from a debug key
+    interpolator.restore();
+    expect(sprite.x).toBe(300);
+  });
+
+  it('should not slide teleports across the screen', () => {
+    interpolator.capture([sprite]);
+    sprite.x = INTERPOLATION_SNAP_DISTANCE + 1;
+    interpolator.apply(0.5);
+    expect(sprite.x).toBe(INTERPOLATION_SNAP_DISTANCE + 1);
+  });
+
+  it('should forget objects that are no longer captured', () => {
+    const other = { x: 0, y: 0 };
+    interpolator.capture([sprite, other]);
+    interpolator.capture([sprite]);
+    other.x = 10;
+    interpolator.apply(0.5);
+    expect(other.x).toBe(10);
+  });
+});
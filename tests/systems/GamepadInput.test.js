@@ -0,0 +1,248 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  GamepadInput,
+  GAMEPAD_BUTTONS,
+  GAMEPAD_AXES,
+  applyDeadZone,
+  applyRadialDeadZone,
+} from '../../js/systems/GamepadInput.js';
+import { ACTIONS, DEFAULT_GAMEPAD_LAYOUT } from '../../js/systems/InputManager.js';
+
+/**
+ * Mock Phaser gamepad with 16 buttons and 4 axes
+ */
+function createPad(id = 'pad') {
+  return {
+    id,
+    connected: true,
+    buttons: Array.from({ length: 16 }, () => ({ value: 0 })),
+    axes: Array.from({ length: 4 }, () => ({ value: 0 })),
+  };
+}
+
+/**
+ * Mock GamepadPlugin with connect/disconnect events
+ */
+function createPlugin(pads = []) {
+  const listeners = {};
+  return {
+    pads,
+    getAll: () => pads.filter((pad) => pad.connected),
+    on: vi.fn((event, fn, context) => {
+      listeners[event] = { fn, context };
+    }),
+    off: vi.fn((event) => {
+      delete listeners[event];
+    }),
+    emit(event, pad) {
+      const listener = listeners[event];
+      if (listener) listener.fn.call(listener.context, pad);
+    },
+    hasListener: (event) => !!listeners[event],
+  };
+}
+
+describe('dead zones', () => {
+  it('should zero values inside the dead zone', () => {
+    expect(applyDeadZone(0.1, 0.2)).toBe(0);
+    expect(applyDeadZone(-0.2, 0.2)).toBe(0);
+  });
+
+  it('should rescale values outside the dead zone to the full range', () => {
+    expect(applyDeadZone(1, 0.2)).toBe(1);
+    expect(applyDeadZone(0.6, 0.2)).toBeCloseTo(0.5);
+    expect(applyDeadZone(-0.6, 0.2)).toBeCloseTo(-0.5);
+  });
+
+  it('should apply a radial dead zone that keeps direction', () => {
+    expect(applyRadialDeadZone(0.1, 0.1, 0.2)).toEqual({ x: 0, y: 0 });
+
+    const diagonal = applyRadialDeadZone(0.5, 0.5, 0.2);
+    expect(diagonal.x).toBeCloseTo(diagonal.y);
+    expect(Math.hypot(diagonal.x, diagonal.y)).toBeCloseTo((Math.SQRT1_2 - 0.2) / 0.8);
+  });
+});
+
+describe('DEFAULT_GAMEPAD_LAYOUT', () => {
+  it('should bind every action', () => {
+    for (const action of Object.values(ACTIONS)) {
+      expect(DEFAULT_GAMEPAD_LAYOUT[action]?.length, action).toBeGreaterThan(0);
+    }
+  });
+
+  it('should never put two actions on the same button or stick direction', () => {
+    const owners = new Map();
+    for (const [action, inputs] of Object.entries(DEFAULT_GAMEPAD_LAYOUT)) {
+      for (const input of inputs) {
+        const id = input.button !== undefined ? `button ${input.button}` : `axis ${input.axis} ${input.direction}`;
+        expect(owners.get(id), `${action} and ${owners.get(id)} share ${id}`).toBeUndefined();
+        owners.set(id, action);
+      }
+    }
+  });
+});
+
+describe('GamepadInput', () => {
+  let pad;
+  let plugin;
+  let gamepad;
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    pad = createPad();
+    plugin = createPlugin([pad]);
+    gamepad = new GamepadInput(plugin, DEFAULT_GAMEPAD_LAYOUT);
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe('buttons', () => {
+    it('should report held buttons as down', () => {
+      pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.JUMP)).toBe(true);
+      expect(gamepad.isDown(ACTIONS.ATTACK_LIGHT)).toBe(false);
+    });
+
+    it('should report a press once, like Keyboard.JustDown', () => {
+      pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+      gamepad.update();
+      expect(gamepad.justPressed(ACTIONS.JUMP)).toBe(true);
+      expect(gamepad.justPressed(ACTIONS.JUMP)).toBe(false);
+
+      // Still held next frame - no new press
+      gamepad.update();
+      expect(gamepad.justPressed(ACTIONS.JUMP)).toBe(false);
+    });
+
+    it('should report releases', () => {
+      pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+      gamepad.update();
+      pad.buttons[GAMEPAD_BUTTONS.A].value = 0;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.JUMP)).toBe(false);
+      expect(gamepad.justReleased(ACTIONS.JUMP)).toBe(true);
+      expect(gamepad.justReleased(ACTIONS.JUMP)).toBe(false);
+    });
+  });
+
+  describe('triggers', () => {
+    it('should ignore trigger noise inside the dead zone', () => {
+      pad.buttons[GAMEPAD_BUTTONS.RT].value = 0.1;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.SPIN)).toBe(false);
+      expect(gamepad.getActionValue(ACTIONS.SPIN)).toBe(0);
+    });
+
+    it('should give a partial value for a partial pull', () => {
+      pad.buttons[GAMEPAD_BUTTONS.RT].value = 0.575;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.SPIN)).toBe(true);
+      expect(gamepad.getActionValue(ACTIONS.SPIN)).toBeCloseTo(0.5);
+    });
+
+    it('should use a configurable trigger dead zone', () => {
+      gamepad.setDeadZones({ trigger: 0.5 });
+      pad.buttons[GAMEPAD_BUTTONS.RT].value = 0.4;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.SPIN)).toBe(false);
+    });
+  });
+
+  describe('sticks', () => {
+    it('should give analog horizontal movement outside the dead zone', () => {
+      pad.axes[GAMEPAD_AXES.LEFT_X].value = 0.6;
+      expect(gamepad.getHorizontalAxis()).toBeCloseTo(0.5);
+
+      pad.axes[GAMEPAD_AXES.LEFT_X].value = 0.1;
+      expect(gamepad.getHorizontalAxis()).toBe(0);
+    });
+
+    it('should fall back to the D-pad for horizontal movement', () => {
+      pad.buttons[GAMEPAD_BUTTONS.DPAD_LEFT].value = 1;
+      expect(gamepad.getHorizontalAxis()).toBe(-1);
+    });
+
+    it('should read vertical movement with up negative', () => {
+      pad.axes[GAMEPAD_AXES.LEFT_Y].value = -1;
+      expect(gamepad.getVerticalAxis()).toBe(-1);
+    });
+
+    it('should treat a firm stick push as a digital press', () => {
+      pad.axes[GAMEPAD_AXES.LEFT_X].value = -0.4;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.MOVE_LEFT)).toBe(false);
+
+      pad.axes[GAMEPAD_AXES.LEFT_X].value = -0.9;
+      gamepad.update();
+      expect(gamepad.isDown(ACTIONS.MOVE_LEFT)).toBe(true);
+      expect(gamepad.isDown(ACTIONS.MOVE_RIGHT)).toBe(false);
+    });
+
+    it('should map right stick directions to quick slots', () => {
+      pad.axes[GAMEPAD_AXES.RIGHT_Y].value = -1;
+      gamepad.update();
+      expect(gamepad.justPressed(ACTIONS.WEAPON_1)).toBe(true);
+      expect(gamepad.isDown(ACTIONS.WEAPON_3)).toBe(false);
+    });
+  });
+
+  describe('hot-plugging', () => {
+    it('should read nothing without a pad', () => {
+      const empty = new GamepadInput(createPlugin([]), DEFAULT_GAMEPAD_LAYOUT);
+      empty.update();
+      expect(empty.isConnected()).toBe(false);
+      expect(empty.isDown(ACTIONS.JUMP)).toBe(false);
+      expect(empty.getHorizontalAxis()).toBe(0);
+    });
+
+    it('should work without a gamepad plugin', () => {
+      const disabled = new GamepadInput(null, DEFAULT_GAMEPAD_LAYOUT);
+      disabled.update();
+      expect(disabled.justPressed(ACTIONS.JUMP)).toBe(false);
+      expect(() => disabled.destroy()).not.toThrow();
+    });
+
+    it('should pick up a pad connected later', () => {
+      const emptyPlugin = createPlugin([]);
+      const late = new GamepadInput(emptyPlugin, DEFAULT_GAMEPAD_LAYOUT);
+      const newPad = createPad('late');
+      newPad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+
+      emptyPlugin.emit('connected', newPad);
+      late.update();
+      expect(late.isConnected()).toBe(true);
+      expect(late.isDown(ACTIONS.JUMP)).toBe(true);
+    });
+
+    it('should release held actions and switch pads on disconnect', () => {
+      const second = createPad('second');
+      plugin.pads.push(second);
+
+      pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+      gamepad.update();
+      gamepad.justPressed(ACTIONS.JUMP);
+
+      pad.connected = false;
+      plugin.emit('disconnected', pad);
+
+      expect(gamepad.pad).toBe(second);
+      expect(gamepad.isDown(ACTIONS.JUMP)).toBe(false);
+      expect(gamepad.justReleased(ACTIONS.JUMP)).toBe(true);
+    });
+
+    it('should ignore other pads disconnecting', () => {
+      plugin.emit('disconnected', createPad('other'));
+      expect(gamepad.pad).toBe(pad);
+    });
+
+    it('should stop listening on destroy', () => {
+      gamepad.destroy();
+      expect(plugin.hasListener('connected')).toBe(false);
+      expect(plugin.hasListener('disconnected')).toBe(false);
+    });
+  });
+});
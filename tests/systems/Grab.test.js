@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GRAB_WEIGHT,
+  canGrab,
+  getGrabWeight,
+  getThrowVelocity,
+  getThrowDamage,
+} from '../../js/systems/Grab.js';
+import { ENEMY_PRESETS } from '../../js/entities/Enemy.js';
+import { COMBAT } from '../../js/utils/combat.js';
+
+describe('Grab', () => {
+  it('should only seize enemies that can be pulled', () => {
+    expect(canGrab(ENEMY_PRESETS.SWARMER)).toBe(true);
+    expect(canGrab(ENEMY_PRESETS.SHIELD_BEARER)).toBe(true);
+    expect(canGrab(ENEMY_PRESETS.BRUTE)).toBe(false);
+    expect(canGrab({})).toBe(false);
+  });
+
+  it('should weigh bodies by grappleWeight, MEDIUM when unset', () => {
+    expect(getGrabWeight(ENEMY_PRESETS.SWARMER)).toBe(GRAB_WEIGHT.LIGHT);
+    expect(getGrabWeight(ENEMY_PRESETS.BRUTE)).toBe(GRAB_WEIGHT.HEAVY);
+    expect(getGrabWeight({})).toBe(GRAB_WEIGHT.MEDIUM);
+    expect(getGrabWeight(undefined)).toBe(GRAB_WEIGHT.MEDIUM);
+  });
+
+  it('should throw forward with an arc when no direction is held', () => {
+    const velocity = getThrowVelocity(0, 0, false, GRAB_WEIGHT.LIGHT);
+    expect(velocity.x).toBe(-COMBAT.GRAB.THROW_SPEED);
+    expect(velocity.y).toBe(COMBAT.GRAB.THROW_LIFT);
+  });
+
+  it('should aim along the held direction and spike straight down', () => {
+    const up = getThrowVelocity(0, -1, true, GRAB_WEIGHT.LIGHT);
+    expect(up.x).toBeCloseTo(0);
+    expect(up.y).toBe(-COMBAT.GRAB.THROW_SPEED + COMBAT.GRAB.THROW_LIFT);
+
+    const down = getThrowVelocity(0, 1, true, GRAB_WEIGHT.LIGHT);
+    expect(down.y).toBe(COMBAT.GRAB.THROW_SPEED);
+  });
+
+  it('should throw heavier bodies slower but harder', () => {
+    const light = getThrowVelocity(1, 0, true, GRAB_WEIGHT.LIGHT);
+    const heavy = getThrowVelocity(1, 0, true, GRAB_WEIGHT.HEAVY);
+    expect(heavy.x).toBeLessThan(light.x);
+    expect(getThrowDamage(GRAB_WEIGHT.HEAVY)).toBeGreaterThan(getThrowDamage(GRAB_WEIGHT.LIGHT));
+    expect(getThrowDamage(GRAB_WEIGHT.LIGHT)).toBe(COMBAT.GRAB.THROW_DAMAGE);
+  });
+});
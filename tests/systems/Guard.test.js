@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Guard, GUARD_RESULT, DEFAULT_GUARD, isHitInFront } from '../../js/systems/Guard.js';
+import { COMBAT } from '../../js/utils/combat.js';
+
+const STATS = Object.freeze({
+  ...DEFAULT_GUARD,
+  damageReduction: 0.8,
+  chipDamage: 1,
+  meter: 50,
+  meterDamage: 1,
+  crushStun: 600,
+  regenDelay: 500,
+  regenRate: 20,
+});
+
+describe('Guard', () => {
+  let guard;
+
+  beforeEach(() => {
+    guard = new Guard(STATS);
+  });
+
+  /**
+   * Block a hit like BlockState would
+   */
+  function block(damage, fields = {}) {
+    const hitData = {
+      damage,
+      knockback: { x: 300, y: -200 },
+      launches: true,
+      ...fields,
+    };
+    return { taken: guard.block(damage, hitData), hitData };
+  }
+
+  it('should let only chip damage through and soften the push', () => {
+    const { taken, hitData } = block(20);
+    expect(taken).toBe(4);
+    expect(hitData.guardResult).toBe(GUARD_RESULT.BLOCKED);
+    expect(hitData.knockback).toEqual({ x: 300 * COMBAT.GUARD.PUSHBACK, y: 0 });
+    expect(hitData.launches).toBe(false);
+    expect(guard.current).toBe(30);
+  });
+
+  it('should always chip at least chipDamage, but never more than the hit', () => {
+    expect(block(3).taken).toBe(1);
+    expect(block(0).taken).toBe(0);
+  });
+
+  it('should wear the meter down by poise damage when the hit has it', () => {
+    block(10, { poiseDamage: 30 });
+    expect(guard.current).toBe(20);
+  });
+
+  it('should crush when the meter runs out, letting the whole hit through', () => {
+    block(10, { poiseDamage: 40 });
+    const { taken, hitData } = block(10, { poiseDamage: 40 });
+
+    expect(taken).toBe(10);
+    expect(hitData.guardResult).toBe(GUARD_RESULT.CRUSHED);
+    expect(hitData.knockback).toEqual({ x: 300, y: -200 });
+    expect(guard.isCrushed()).toBe(true);
+    expect(guard.canBlock()).toBe(false);
+
+    guard.update(600);
+    expect(guard.canBlock()).toBe(true);
+    expect(guard.current).toBe(50);
+  });
+
+  it('should start refilling only after the regen delay', () => {
+    block(20);
+    guard.update(500);
+    expect(guard.current).toBe(30);
+
+    guard.update(500);
+    expect(guard.current).toBe(40);
+  });
+
+  it('should keep the fill share across weapon swaps', () => {
+    block(25);
+    guard.setStats({ ...STATS, meter: 100 });
+    expect(guard.current).toBe(50);
+  });
+
+  it('should go back to full on reset', () => {
+    block(10, { poiseDamage: 100 });
+    guard.reset();
+    expect(guard.isCrushed()).toBe(false);
+    expect(guard.current).toBe(50);
+  });
+});
+
+describe('isHitInFront', () => {
+  it('should face hits that push back against the guard', () => {
+    expect(isHitInFront({ direction: -1 }, true)).toBe(true);
+    expect(isHitInFront({ direction: 1 }, false)).toBe(true);
+  });
+
+  it('should not face hits from behind', () => {
+    expect(isHitInFront({ direction: 1 }, true)).toBe(false);
+    expect(isHitInFront({ direction: -1 }, false)).toBe(false);
+  });
+
+  it('should fall back to the knockback when the hit has no direction', () => {
+    expect(isHitInFront({ knockback: { x: -300, y: -150 } }, true)).toBe(true);
+    expect(isHitInFront({ knockback: { x: 300, y: -150 } }, true)).toBe(false);
+  });
+
+  it('should count hits that push neither way as in front', () => {
+    expect(isHitInFront({}, true)).toBe(true);
+    expect(isHitInFront({ knockback: { x: 0, y: -300 } }, false)).toBe(true);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  BindingProfile,
+  BINDING_CONFLICT,
+  BINDINGS_STORAGE_KEY,
+  MAX_KEYS_PER_ACTION,
+} from '../../js/systems/InputBindings.js';
+import { ACTIONS, DEFAULT_BINDINGS } from '../../js/systems/InputManager.js';
+import { MemoryStorageAdapter } from '../../js/systems/SaveStorage.js';
+
+describe('BindingProfile', () => {
+  let storage;
+  let profile;
+  let warnSpy;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    profile = new BindingProfile(DEFAULT_BINDINGS, storage);
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe('defaults', () => {
+    it('should start with the default bindings', () => {
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['J']);
+      expect(profile.getKeys(ACTIONS.JUMP)).toEqual(['SPACE', 'W', 'UP']);
+      expect(profile.isDefault()).toBe(true);
+    });
+
+    it('should not share arrays with the defaults table', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      expect(DEFAULT_BINDINGS[ACTIONS.ATTACK_LIGHT]).toEqual(['J']);
+    });
+
+    it('should have no key bound to two actions', () => {
+      for (const action of profile.getActions()) {
+        for (const key of profile.getKeys(action)) {
+          expect(profile.findConflicts(key, action), key).toEqual([]);
+        }
+      }
+    });
+  });
+
+  describe('rebind', () => {
+    it('should replace the key in a slot', () => {
+      const result = profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      expect(result).toEqual({ ok: true, conflicts: [] });
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['H']);
+      expect(profile.isDefault(ACTIONS.ATTACK_LIGHT)).toBe(false);
+    });
+
+    it('should append when the slot is past the end', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H', { slot: 2 });
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['J', 'H']);
+    });
+
+    it('should reject conflicts by default', () => {
+      const result = profile.rebind(ACTIONS.ATTACK_LIGHT, 'K');
+      expect(result.ok).toBe(false);
+      expect(result.conflicts).toEqual([ACTIONS.ATTACK_HEAVY]);
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['J']);
+    });
+
+    it('should swap keys with the conflicting action', () => {
+      const result = profile.rebind(ACTIONS.ATTACK_LIGHT, 'K', { onConflict: BINDING_CONFLICT.SWAP });
+      expect(result.ok).toBe(true);
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['K']);
+      expect(profile.getKeys(ACTIONS.ATTACK_HEAVY)).toEqual(['J']);
+    });
+
+    it('should remove the key from the conflicting action on replace', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'K', { onConflict: BINDING_CONFLICT.REPLACE });
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['K']);
+      expect(profile.getKeys(ACTIONS.ATTACK_HEAVY)).toEqual([]);
+    });
+
+    it('should move a key within the same action', () => {
+      profile.rebind(ACTIONS.JUMP, 'UP', { slot: 0 });
+      expect(profile.getKeys(ACTIONS.JUMP)).toEqual(['UP', 'W', 'SPACE']);
+    });
+
+    it('should reject unknown actions, invalid keys and slots', () => {
+      expect(profile.rebind('dance', 'H').ok).toBe(false);
+      expect(profile.rebind(ACTIONS.JUMP, 'space').ok).toBe(false);
+      expect(profile.rebind(ACTIONS.JUMP, 'H', { slot: MAX_KEYS_PER_ACTION }).ok).toBe(false);
+      expect(profile.revision).toBe(0);
+    });
+
+    it('should bump the revision on change', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      expect(profile.revision).toBe(1);
+    });
+  });
+
+  describe('unbind and reset', () => {
+    it('should clear a slot', () => {
+      expect(profile.unbind(ACTIONS.JUMP, 1)).toBe(true);
+      expect(profile.getKeys(ACTIONS.JUMP)).toEqual(['SPACE', 'UP']);
+      expect(profile.unbind(ACTIONS.ATTACK_LIGHT, 3)).toBe(false);
+    });
+
+    it('should reset one action and take its defaults back', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      profile.rebind(ACTIONS.SPIN, 'J');
+      profile.resetAction(ACTIONS.ATTACK_LIGHT);
+
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['J']);
+      expect(profile.getKeys(ACTIONS.SPIN)).toEqual([]);
+    });
+
+    it('should reset everything', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      profile.unbind(ACTIONS.JUMP, 0);
+      profile.resetAll();
+      expect(profile.isDefault()).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should store custom bindings and reload them', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+
+      const reloaded = BindingProfile.load(DEFAULT_BINDINGS, storage);
+      expect(reloaded.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['H']);
+    });
+
+    it('should clear storage when bindings return to defaults', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      profile.resetAll();
+      expect(storage.getItem(BINDINGS_STORAGE_KEY)).toBeNull();
+    });
+
+    it('should fall back to defaults when stored bindings are corrupt', () => {
+      storage.setItem(BINDINGS_STORAGE_KEY, '{not json');
+      const reloaded = BindingProfile.load(DEFAULT_BINDINGS, storage);
+      expect(reloaded.isDefault()).toBe(true);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should survive storage write failures', () => {
+      storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+      };
+      expect(profile.rebind(ACTIONS.ATTACK_LIGHT, 'H').ok).toBe(true);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('import/export', () => {
+    it('should round-trip through JSON', () => {
+      profile.rebind(ACTIONS.ATTACK_LIGHT, 'H');
+      profile.rebind(ACTIONS.ATTACK_HEAVY, 'N');
+      const json = profile.exportJSON();
+
+      const other = new BindingProfile(DEFAULT_BINDINGS);
+      expect(other.importJSON(json)).toEqual({ ok: true, errors: [] });
+      expect(other.getAll()).toEqual(profile.getAll());
+    });
+
+    it('should keep defaults for actions missing from the profile', () => {
+      const result = profile.importJSON({ version: 1, bindings: { [ACTIONS.SPIN]: ['H'] } });
+      expect(result.ok).toBe(true);
+      expect(profile.getKeys(ACTIONS.SPIN)).toEqual(['H']);
+      expect(profile.getKeys(ACTIONS.ATTACK_LIGHT)).toEqual(['J']);
+    });
+
+    it('should reject profiles with conflicting keys', () => {
+      const result = profile.importJSON({ version: 1, bindings: { [ACTIONS.SPIN]: ['J'] } });
+      expect(result.ok).toBe(false);
+      expect(result.errors[0]).toMatch(/J/);
+      expect(profile.getKeys(ACTIONS.SPIN)).toEqual(['L']);
+    });
+
+    it('should reject malformed and future profiles', () => {
+      expect(profile.importJSON('nope').ok).toBe(false);
+      expect(profile.importJSON({ version: 1 }).ok).toBe(false);
+      expect(profile.importJSON({ version: 99, bindings: {} }).ok).toBe(false);
+      expect(profile.importJSON({ version: 1, bindings: { [ACTIONS.SPIN]: 'L' } }).ok).toBe(false);
+      expect(profile.isDefault()).toBe(true);
+    });
+
+    it('should ignore unknown actions', () => {
+      const result = profile.importJSON({ version: 1, bindings: { dance: ['H'] } });
+      expect(result.ok).toBe(true);
+      expect(profile.isDefault()).toBe(true);
+    });
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { ACTIONS } from '../../js/systems/InputManager.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ACTIONS, HOLD_MODE, InputManager, createInputFrame, DEFAULT_BINDINGS } from '../../js/systems/InputManager.js';
+import { BindingProfile } from '../../js/systems/InputBindings.js';
+import { SettingsService } from '../../js/systems/SettingsService.js';
 
 // We can't easily test the full InputManager without Phaser,
 // but we can test the buffer logic by extracting it or testing
@@ -31,7 +33,6 @@ describe('ACTIONS enum', () => {
   });
 
   it('should define weapon actions', () => {
-    expect(ACTIONS.WEAPON_SWAP).toBe('weapon_swap');
     expect(ACTIONS.WEAPON_NEXT).toBe('weapon_next');
     expect(ACTIONS.WEAPON_PREV).toBe('weapon_prev');
   });
@@ -273,3 +274,84 @@ describe('Axis calculation logic', () => {
     });
   });
 });
+
+describe('InputManager hold modes', () => {
+  let input;
+
+  /**
+   * Feed one frame with the given actions held (and optionally just pressed)
+   */
+  function step(down = [], pressed = [], values = {}) {
+    const frame = createInputFrame();
+    down.forEach((action) => frame.down.add(action));
+    pressed.forEach((action) => frame.pressed.add(action));
+    Object.assign(frame.values, values);
+    input.feedFrame(frame);
+    input.update(0);
+  }
+
+  beforeEach(() => {
+    globalThis.Phaser = { Input: { Keyboard: { KeyCodes: { A: 65 } } } };
+    const scene = {
+      input: {
+        keyboard: { addKey: (code) => ({ code, isDown: false }), removeKey: () => {} },
+      },
+    };
+    input = new InputManager(scene, new BindingProfile(DEFAULT_BINDINGS));
+    input.startPlayback();
+  });
+
+  afterEach(() => {
+    delete globalThis.Phaser;
+  });
+
+  it('should default to holding', () => {
+    expect(input.getHoldMode(ACTIONS.SPIN)).toBe(HOLD_MODE.HOLD);
+
+    step([ACTIONS.SPIN], [], { [ACTIONS.SPIN]: 0.5 });
+    expect(input.isHoldReleased(ACTIONS.SPIN)).toBe(false);
+    expect(input.getHoldValue(ACTIONS.SPIN)).toBe(0.5);
+
+    step();
+    expect(input.isHoldReleased(ACTIONS.SPIN)).toBe(true);
+  });
+
+  it('should let go on the next press in toggle mode, consuming it', () => {
+    input.setHoldMode(ACTIONS.SPIN, HOLD_MODE.TOGGLE);
+
+    step();
+    expect(input.isHoldReleased(ACTIONS.SPIN)).toBe(false);
+    expect(input.getHoldValue(ACTIONS.SPIN)).toBe(1);
+
+    step([ACTIONS.SPIN], [ACTIONS.SPIN]);
+    expect(input.isHoldReleased(ACTIONS.SPIN)).toBe(true);
+    expect(input.justPressed(ACTIONS.SPIN)).toBe(false);
+  });
+
+  it('should copy and replace hold modes for replays', () => {
+    input.setHoldMode(ACTIONS.SPECIAL, HOLD_MODE.TOGGLE);
+    const modes = input.getHoldModes();
+    expect(modes).toEqual({ [ACTIONS.SPECIAL]: HOLD_MODE.TOGGLE });
+
+    input.setHoldModes({ [ACTIONS.SPIN]: HOLD_MODE.TOGGLE });
+    expect(input.getHoldMode(ACTIONS.SPECIAL)).toBe(HOLD_MODE.HOLD);
+    expect(input.getHoldMode(ACTIONS.SPIN)).toBe(HOLD_MODE.TOGGLE);
+
+    input.setHoldModes();
+    expect(input.getHoldModes()).toEqual({});
+  });
+
+  it('should follow the spin and block settings until destroyed', () => {
+    const settings = new SettingsService();
+    settings.set('accessibility.blockInput', HOLD_MODE.TOGGLE);
+    input.useSettings(settings);
+    expect(input.getHoldMode(ACTIONS.BLOCK)).toBe(HOLD_MODE.TOGGLE);
+
+    settings.set('accessibility.spinInput', HOLD_MODE.TOGGLE);
+    expect(input.getHoldMode(ACTIONS.SPIN)).toBe(HOLD_MODE.TOGGLE);
+
+    input.destroy();
+    settings.set('accessibility.spinInput', HOLD_MODE.HOLD);
+    expect(input.getHoldMode(ACTIONS.SPIN)).toBe(HOLD_MODE.TOGGLE);
+  });
+});
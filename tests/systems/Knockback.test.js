@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  Juggle,
+  JUGGLE_EVENT,
+  getLaunchProperties,
+  resolveKnockbackVector,
+} from '../../js/systems/Knockback.js';
+import { COMBAT } from '../../js/utils/combat.js';
+import { createBody } from '../helpers/mocks.js';
+
+/**
+ * Put the body in the air or on the floor
+ */
+function setOnFloor(body, onFloor) {
+  body.blocked.down = onFloor;
+}
+
+const STEP = 1000 / 120;
+
+describe('resolveKnockbackVector', () => {
+  it('should push away from the attacker whatever the vector\'s sign', () => {
+    expect(resolveKnockbackVector({ knockback: { x: 300, y: -100 } }, -1, false)).toEqual({ x: -300, y: -100 });
+    expect(resolveKnockbackVector({ knockback: { x: -300, y: -100 } }, 1, false)).toEqual({ x: 300, y: -100 });
+  });
+
+  it('should use airKnockback on airborne targets only', () => {
+    const hit = { knockback: { x: 100, y: 150 }, airKnockback: { x: 80, y: -160 } };
+    expect(resolveKnockbackVector(hit, 1, false)).toEqual({ x: 100, y: 150 });
+    expect(resolveKnockbackVector(hit, 1, true)).toEqual({ x: 80, y: -160 });
+    expect(resolveKnockbackVector({ knockback: { x: 100, y: 150 } }, 1, true)).toEqual({ x: 100, y: 150 });
+  });
+
+  it('should aim along knockbackAngle with the vector\'s strength', () => {
+    const up = resolveKnockbackVector({ knockback: { x: 300, y: -400 }, knockbackAngle: 90 }, 1, false);
+    expect(up.x).toBeCloseTo(0);
+    expect(up.y).toBeCloseTo(-500);
+
+    const spike = resolveKnockbackVector({ knockback: { x: 0, y: 200 }, knockbackAngle: -45 }, -1, false);
+    expect(spike.x).toBeCloseTo(-200 * Math.SQRT1_2);
+    expect(spike.y).toBeCloseTo(200 * Math.SQRT1_2);
+  });
+});
+
+describe('getLaunchProperties', () => {
+  it('should default every field', () => {
+    expect(getLaunchProperties(null)).toEqual({
+      airKnockback: null,
+      knockbackAngle: null,
+      launches: false,
+      wallBounce: false,
+      groundBounce: false,
+    });
+    expect(getLaunchProperties({ launches: true, knockbackAngle: 0 })).toMatchObject({ launches: true, knockbackAngle: 0 });
+  });
+});
+
+describe('Juggle', () => {
+  let juggle;
+  let body;
+
+  beforeEach(() => {
+    juggle = new Juggle({ limit: 3 });
+    body = createBody();
+  });
+
+  /**
+   * Hit the body like CombatManager would
+   */
+  function hit(fields = {}) {
+    const hitData = {
+      knockback: { x: 200, y: -300 },
+      airborne: !body.blocked.down,
+      ...fields,
+    };
+    juggle.onHit(hitData, body);
+    return hitData;
+  }
+
+  it('should start on a launcher and leave grounded hits alone', () => {
+    const grounded = hit({ knockback: { x: 200, y: -50 } });
+    expect(juggle.isJuggled()).toBe(false);
+    expect(grounded.launches).toBe(false);
+
+    const launcher = hit({ launches: true });
+    expect(juggle.isJuggled()).toBe(true);
+    expect(launcher.launches).toBe(true);
+    expect(launcher.juggleHits).toBe(1);
+  });
+
+  it('should scale gravity with each airborne hit', () => {
+    hit({ launches: true });
+    setOnFloor(body, false);
+    hit();
+    hit();
+    expect(body.gravity.y).toBeCloseTo(1000 * (1 + COMBAT.JUGGLE.GRAVITY_SCALING * 2));
+  });
+
+  it('should drop the target once past the limit', () => {
+    hit({ launches: true });
+    setOnFloor(body, false);
+    hit();
+    hit();
+
+    const dropped = hit({ launches: true });
+    expect(dropped.juggleDropped).toBe(true);
+    expect(dropped.launches).toBe(false);
+    expect(dropped.knockback.y).toBe(COMBAT.JUGGLE.DROP_VELOCITY);
+  });
+
+  it('should shrink launches by launchResistance and refuse them at 1', () => {
+    juggle = new Juggle({ launchResistance: 0.5 });
+    expect(hit({ launches: true }).knockback.y).toBe(-150);
+
+    juggle = new Juggle({ launchResistance: 1 });
+    body = createBody();
+    const resisted = hit({ launches: true });
+    expect(resisted.launches).toBe(false);
+    expect(juggle.isJuggled()).toBe(false);
+  });
+
+  it('should end on landing and put gravity back', () => {
+    hit({ launches: true });
+    expect(juggle.update(STEP, body)).toBeNull(); // Still on the floor the step it was hit
+
+    setOnFloor(body, false);
+    hit();
+    expect(juggle.update(STEP, body)).toBeNull();
+
+    setOnFloor(body, true);
+    expect(juggle.update(STEP, body)).toBe(JUGGLE_EVENT.LANDED);
+    expect(juggle.isJuggled()).toBe(false);
+    expect(body.gravity.y).toBe(1000);
+  });
+
+  it('should end a launch that never left the ground', () => {
+    hit({ launches: true, knockback: { x: 0, y: -1 } });
+    let event = null;
+    for (let i = 0; i < 10 && !event; i++) event = juggle.update(STEP, body);
+    expect(event).toBe(JUGGLE_EVENT.LANDED);
+  });
+
+  it('should bounce a spiked target off the floor into a juggle', () => {
+    hit({ knockback: { x: 100, y: 300 }, groundBounce: true });
+
+    expect(juggle.update(STEP, body)).toBe(JUGGLE_EVENT.GROUND_BOUNCE);
+    expect(body.velocity.y).toBeCloseTo(-300 * COMBAT.BOUNCE.GROUND_RESTITUTION);
+    expect(juggle.isJuggled()).toBe(true);
+
+    // Only once
+    setOnFloor(body, false);
+    juggle.update(STEP, body);
+    body.velocity.y = 400;
+    juggle.update(STEP, body);
+    setOnFloor(body, true);
+    expect(juggle.update(STEP, body)).toBe(JUGGLE_EVENT.LANDED);
+  });
+
+  it('should bounce off the wall it was knocked into', () => {
+    hit({ knockback: { x: -400, y: -100 }, wallBounce: true });
+    body.blocked.left = true;
+
+    expect(juggle.update(STEP, body)).toBe(JUGGLE_EVENT.WALL_BOUNCE);
+    expect(body.velocity.x).toBeCloseTo(400 * COMBAT.BOUNCE.WALL_RESTITUTION);
+    expect(body.velocity.y).toBe(COMBAT.BOUNCE.WALL_LIFT);
+  });
+
+  it('should not bounce once the window has passed', () => {
+    hit({ knockback: { x: -400, y: -50 }, wallBounce: true });
+    body.velocity.x = -400;
+    for (let t = 0; t <= COMBAT.BOUNCE.WINDOW; t += STEP) juggle.update(STEP, body);
+
+    body.blocked.left = true;
+    expect(juggle.update(STEP, body)).toBeNull();
+  });
+});
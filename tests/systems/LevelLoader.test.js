@@ -0,0 +1,317 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { LevelLoader, LEVELS } from '../../js/systems/LevelLoader.js';
+
+/**
+ * Build a minimal Tiled map for tests
+ * @param {object} overrides
+ */
+function createMap(overrides = {}) {
+  return {
+    width: 4,
+    height: 3,
+    tilewidth: 32,
+    tileheight: 32,
+    infinite: false,
+    layers: [
+      {
+        name: 'ground',
+        type: 'tilelayer',
+        width: 4,
+        height: 3,
+        data: [
+          0, 0, 0, 0,
+          0, 0, 0, 0,
+          1, 1, 1, 1,
+        ],
+      },
+      {
+        name: 'spawns',
+        type: 'objectgroup',
+        objects: [
+          { id: 1, type: 'player_spawn', x: 40, y: 50, point: true },
+        ],
+      },
+    ],
+    ...overrides,
+  };
+}
+
+function createObjectLayer(objects) {
+  return { name: 'objects', type: 'objectgroup', objects };
+}
+
+describe('LevelLoader', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe('parse validation', () => {
+    it('should throw for missing map data', () => {
+      expect(() => LevelLoader.parse(null)).toThrow();
+    });
+
+    it('should throw for infinite maps', () => {
+      expect(() => LevelLoader.parse(createMap({ infinite: true }))).toThrow(/Infinite/);
+    });
+
+    it('should throw when tile size is missing', () => {
+      expect(() => LevelLoader.parse(createMap({ tilewidth: 0 }))).toThrow();
+    });
+
+    it('should throw when there is no player spawn', () => {
+      const map = createMap();
+      map.layers[1].objects = [];
+      expect(() => LevelLoader.parse(map)).toThrow(/player_spawn/);
+    });
+
+    it('should throw for base64-encoded tile layers', () => {
+      const map = createMap();
+      map.layers[0].data = 'AAAA';
+      map.layers[0].encoding = 'base64';
+      expect(() => LevelLoader.parse(map)).toThrow(/CSV/);
+    });
+  });
+
+  describe('tile layers', () => {
+    it('should compute level size in pixels', () => {
+      const level = LevelLoader.parse(createMap());
+      expect(level.width).toBe(128);
+      expect(level.height).toBe(96);
+    });
+
+    it('should create one ground rect per filled tile, centered', () => {
+      const level = LevelLoader.parse(createMap());
+      expect(level.ground).toHaveLength(4);
+      expect(level.ground[0]).toEqual({ x: 16, y: 80, width: 32, height: 32 });
+    });
+
+    it('should apply layer offsets', () => {
+      const map = createMap();
+      map.layers[0].offsety = -24;
+      const level = LevelLoader.parse(map);
+      expect(level.ground[0].y).toBe(56);
+    });
+
+    it('should merge horizontal platform runs into single rects', () => {
+      const map = createMap();
+      map.layers.push({
+        name: 'platforms',
+        type: 'tilelayer',
+        width: 4,
+        height: 3,
+        data: [
+          2, 2, 0, 2,
+          0, 0, 0, 0,
+          0, 0, 0, 0,
+        ],
+      });
+      const level = LevelLoader.parse(map);
+      expect(level.platforms).toEqual([
+        { x: 32, y: 16, width: 64, height: 32 },
+        { x: 112, y: 16, width: 32, height: 32 },
+      ]);
+    });
+
+    it('should ignore decorative tile layers', () => {
+      const map = createMap();
+      map.layers.push({ name: 'background', type: 'tilelayer', data: [1, 1, 1, 1] });
+      const level = LevelLoader.parse(map);
+      expect(level.ground).toHaveLength(4);
+      expect(level.platforms).toHaveLength(0);
+    });
+
+    it('should flatten group layers and apply group offsets', () => {
+      const map = createMap();
+      const groundLayer = map.layers.shift();
+      map.layers.push({ type: 'group', offsetx: 10, layers: [groundLayer] });
+      const level = LevelLoader.parse(map);
+      expect(level.ground[0].x).toBe(26);
+    });
+  });
+
+  describe('object layers', () => {
+    it('should read the player spawn', () => {
+      const level = LevelLoader.parse(createMap());
+      expect(level.playerSpawn).toEqual({ x: 40, y: 50 });
+    });
+
+    it('should read enemy spawns by preset type', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        {
+          id: 2,
+          type: 'enemy_spawn',
+          x: 100,
+          y: 20,
+          properties: [{ name: 'enemyType', type: 'string', value: 'LUNGER' }],
+        },
+        { id: 3, class: 'enemy_spawn', name: 'SWARMER', x: 60, y: 20 },
+      ]));
+      const level = LevelLoader.parse(map);
+      expect(level.enemySpawns).toEqual([
+        { x: 100, y: 20, type: 'LUNGER' },
+        { x: 60, y: 20, type: 'SWARMER' },
+      ]);
+    });
+
+    it('should skip unknown enemy types with a warning', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        { id: 2, type: 'enemy_spawn', name: 'DRAGON', x: 0, y: 0 },
+      ]));
+      const level = LevelLoader.parse(map);
+      expect(level.enemySpawns).toHaveLength(0);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should read boss triggers as zones with a spawn point', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        {
+          id: 4,
+          type: 'boss_trigger',
+          x: 64,
+          y: 0,
+          width: 32,
+          height: 64,
+          properties: [
+            { name: 'boss', type: 'string', value: 'tonfa_warden' },
+            { name: 'spawnX', type: 'int', value: 120 },
+          ],
+        },
+      ]));
+      const level = LevelLoader.parse(map);
+      expect(level.bossTriggers).toEqual([{
+        id: 4,
+        bossId: 'tonfa_warden',
+        x: 64,
+        y: 0,
+        width: 32,
+        height: 64,
+        spawnX: 120,
+        spawnY: 32,
+      }]);
+    });
+
+    it('should read corpse settings, treating 0 maxCorpses as unlimited', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        {
+          id: 5,
+          type: 'corpse_settings',
+          x: 0,
+          y: 0,
+          properties: [
+            { name: 'maxCorpses', type: 'int', value: 0 },
+            { name: 'cleanupMode', type: 'string', value: 'none' },
+            { name: 'decayEnabled', type: 'bool', value: false },
+          ],
+        },
+      ]));
+      const level = LevelLoader.parse(map);
+      expect(level.corpseSettings).toEqual({
+        maxCorpses: Infinity,
+        cleanupMode: 'none',
+        decayEnabled: false,
+      });
+    });
+
+    it('should leave corpse settings null when the map has none', () => {
+      const level = LevelLoader.parse(createMap());
+      expect(level.corpseSettings).toBeNull();
+    });
+
+    it('should read exits with kind and entry spawn point', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        { id: 6, type: 'exit', name: 'west', x: 0, y: 32, width: 32, height: 64 },
+        {
+          id: 7,
+          type: 'exit',
+          name: 'door',
+          x: 64,
+          y: 32,
+          width: 32,
+          height: 64,
+          properties: [
+            { name: 'kind', type: 'string', value: 'door' },
+            { name: 'spawnX', type: 'int', value: 40 },
+          ],
+        },
+      ]));
+      const level = LevelLoader.parse(map);
+      expect(level.exits[0]).toEqual({
+        name: 'west', kind: 'edge', x: 0, y: 32, width: 32, height: 64, spawnX: 16, spawnY: 64,
+      });
+      expect(level.exits[1].kind).toBe('door');
+      expect(level.exits[1].spawnX).toBe(40);
+      expect(LevelLoader.getExit(level, 'door')).toBe(level.exits[1]);
+      expect(LevelLoader.getExit(level, 'missing')).toBeNull();
+    });
+
+    it('should skip unnamed exits and unknown exit kinds', () => {
+      const map = createMap();
+      map.layers.push(createObjectLayer([
+        { id: 8, type: 'exit', x: 0, y: 0, width: 32, height: 32 },
+        {
+          id: 9,
+          type: 'exit',
+          name: 'hatch',
+          x: 0,
+          y: 0,
+          width: 32,
+          height: 32,
+          properties: [{ name: 'kind', type: 'string', value: 'teleporter' }],
+        },
+      ]));
+      expect(LevelLoader.parse(map).exits).toHaveLength(0);
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore invalid cleanup modes', () => {
+      const settings = LevelLoader.parseCorpseSettings({ maxCorpses: 20, cleanupMode: 'random' });
+      expect(settings).toEqual({ maxCorpses: 20 });
+      expect(warnSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('bundled maps', () => {
+    it('should parse every registered level', () => {
+      for (const levelKey of Object.values(LEVELS)) {
+        const mapData = JSON.parse(readFileSync(LevelLoader.getMapPath(levelKey), 'utf8'));
+        const level = LevelLoader.parse(mapData);
+        expect(level.playerSpawn).not.toBeNull();
+        expect(level.ground.length).toBeGreaterThan(0);
+      }
+    });
+
+    it('should reproduce the test arena layout', () => {
+      const mapData = JSON.parse(readFileSync(LevelLoader.getMapPath(LEVELS.TEST_ARENA), 'utf8'));
+      const level = LevelLoader.parse(mapData);
+      expect(level.platforms).toHaveLength(4);
+      expect(level.enemySpawns).toHaveLength(11);
+      expect(level.corpseSettings.maxCorpses).toBe(Infinity);
+    });
+  });
+
+  describe('load', () => {
+    it('should return null with a warning when the map is not cached', () => {
+      const loader = new LevelLoader({ cache: { json: { get: () => undefined } } });
+      expect(loader.load('missing')).toBeNull();
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should parse maps from the JSON cache', () => {
+      const map = createMap();
+      const loader = new LevelLoader({ cache: { json: { get: () => map } } });
+      expect(loader.load('test').ground).toHaveLength(4);
+    });
+  });
+});
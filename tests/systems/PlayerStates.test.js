@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AttackState } from '../../js/systems/PlayerStates.js';
+import { TimingEvaluator, TIMING_GRADE } from '../../js/systems/TimingEvaluator.js';
+import { COMBO_INPUT } from '../../js/weapons/ComboGraph.js';
+import { TIMING } from '../../js/utils/timing.js';
+
+describe('AttackState', () => {
+  describe('gradeLink', () => {
+    let player;
+    let attack;
+    let pressTime;
+
+    // Recovery runs from step 24 to step 60
+    const RECOVERY_START = 24;
+    const RECOVERY_STEPS = 36;
+
+    beforeEach(() => {
+      pressTime = null;
+      player = {
+        timing: new TimingEvaluator(),
+        scene: {
+          time: { now: 1000 },
+          inputManager: { getPressTime: () => pressTime },
+        },
+      };
+
+      attack = new AttackState({ owner: player });
+      attack.activeEndSteps = RECOVERY_START;
+      attack.totalSteps = RECOVERY_START + RECOVERY_STEPS;
+    });
+
+    /**
+     * Take a link at a step, pressed at another (as fractions of recovery)
+     */
+    function takeLinkAt(edge, takenAt, pressedAt) {
+      attack.elapsedSteps = RECOVERY_START + takenAt * RECOVERY_STEPS;
+      pressTime = player.scene.time.now - TIMING.stepsToMs((takenAt - pressedAt) * RECOVERY_STEPS);
+      return attack.gradeLink(edge);
+    }
+
+    it('should grade a press as recovery starts as perfect', () => {
+      const edge = { to: 'light2', input: COMBO_INPUT.LIGHT };
+
+      expect(takeLinkAt(edge, 0, 0)).toBe(TIMING_GRADE.PERFECT);
+    });
+
+    it('should grade from the start of the cancel window, not the edge\'s own window', () => {
+      const edge = { to: 'heavy2', input: COMBO_INPUT.HEAVY, window: [0.5, 1] };
+
+      // Buffered at the start of recovery, taken once the edge opens
+      expect(takeLinkAt(edge, 0.5, 0)).toBe(TIMING_GRADE.PERFECT);
+      expect(takeLinkAt(edge, 0.5, 0.5)).toBe(TIMING_GRADE.LATE);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Poise, POISE_RESULT } from '../../js/systems/Poise.js';
+import { COMBAT } from '../../js/utils/combat.js';
+
+describe('Poise', () => {
+  let poise;
+
+  beforeEach(() => {
+    poise = new Poise({ max: 40, staggerDuration: 1000 });
+  });
+
+  /**
+   * Hit like an entity's takeDamage() would
+   */
+  function hit(fields = {}) {
+    const hitData = {
+      damage: 10,
+      knockback: { x: 200, y: -300 },
+      launches: true,
+      ...fields,
+    };
+    poise.onHit(hitData);
+    return hitData;
+  }
+
+  it('should flinch on every hit without a meter', () => {
+    poise = new Poise();
+    const hitData = hit();
+    expect(hitData.poiseResult).toBe(POISE_RESULT.FLINCH);
+    expect(hitData.knockback).toEqual({ x: 200, y: -300 });
+    expect(hitData.launches).toBe(true);
+  });
+
+  it('should absorb hits into the meter, keeping the push but not the lift', () => {
+    const hitData = hit({ poiseDamage: 15 });
+    expect(hitData.poiseResult).toBe(POISE_RESULT.ABSORBED);
+    expect(hitData.knockback).toEqual({ x: 200, y: 0 });
+    expect(hitData.launches).toBe(false);
+    expect(poise.current).toBe(25);
+  });
+
+  it('should fall back to damage when a hit has no poise damage', () => {
+    hit({ damage: 12 });
+    expect(poise.current).toBe(28);
+  });
+
+  it('should stop all knockback under super armor and take less poise', () => {
+    poise.setArmor(true);
+    const hitData = hit({ poiseDamage: 20 });
+    expect(hitData.poiseResult).toBe(POISE_RESULT.ARMORED);
+    expect(hitData.knockback).toEqual({ x: 0, y: 0 });
+    expect(poise.current).toBe(40 - 20 * COMBAT.POISE.ARMOR_SCALING);
+  });
+
+  it('should break when the meter runs out, flinch while staggered and refill after', () => {
+    poise.setArmor(true);
+    hit({ poiseDamage: 60 });
+    const broken = hit({ poiseDamage: 60 });
+    expect(broken.poiseResult).toBe(POISE_RESULT.BROKEN);
+    expect(poise.isBroken()).toBe(true);
+    expect(poise.hasArmor()).toBe(false);
+
+    expect(hit().poiseResult).toBe(POISE_RESULT.FLINCH);
+
+    poise.update(999);
+    expect(poise.isBroken()).toBe(true);
+    poise.update(1);
+    expect(poise.isBroken()).toBe(false);
+    expect(poise.current).toBe(40);
+  });
+
+  it('should start refilling only after the regen delay', () => {
+    hit({ poiseDamage: 30 });
+    poise.update(COMBAT.POISE.REGEN_DELAY);
+    expect(poise.current).toBe(10);
+
+    poise.update(1000);
+    expect(poise.current).toBeCloseTo(10 + COMBAT.POISE.REGEN_RATE);
+  });
+
+  it('should never break armor without a meter', () => {
+    poise = new Poise();
+    poise.setArmor(true);
+    for (let i = 0; i < 5; i++) {
+      expect(hit({ poiseDamage: 100 }).poiseResult).toBe(POISE_RESULT.ARMORED);
+    }
+  });
+
+  it('should go back to full without armor on reset', () => {
+    poise.setArmor(true);
+    hit({ poiseDamage: 200 });
+    poise.setArmor(true);
+    poise.reset();
+    expect(poise.current).toBe(40);
+    expect(poise.isBroken()).toBe(false);
+    expect(poise.hasArmor()).toBe(false);
+  });
+});
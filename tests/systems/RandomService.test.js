@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RandomService,
+  RANDOM_STREAMS,
+  GAMEPLAY_STREAMS,
+  deriveStreamSeed,
+} from '../../js/systems/RandomService.js';
+
+/**
+ * Roll a stream n times
+ */
+function roll(stream, count = 10) {
+  return Array.from({ length: count }, () => stream.next());
+}
+
+describe('RandomService', () => {
+  it('should give the same numbers per stream for the same seed', () => {
+    const a = new RandomService(1234);
+    const b = new RandomService(1234);
+    expect(roll(a.ai)).toEqual(roll(b.ai));
+    expect(roll(a.loot)).toEqual(roll(b.loot));
+  });
+
+  it('should give each stream its own sequence', () => {
+    const random = new RandomService(1234);
+    expect(roll(random.ai)).not.toEqual(roll(random.vfx));
+  });
+
+  it('should keep gameplay streams unaffected by cosmetic rolls', () => {
+    const quiet = new RandomService(99);
+    const noisy = new RandomService(99);
+
+    // One run spawns far more particles and varied sounds than the other
+    roll(noisy.vfx, 500);
+    roll(noisy.audio, 37);
+
+    expect(roll(noisy.ai)).toEqual(roll(quiet.ai));
+    expect(roll(noisy.loot)).toEqual(roll(quiet.loot));
+  });
+
+  it('should return the same stream object on every access', () => {
+    const random = new RandomService(5);
+    expect(random.ai).toBe(random.stream(RANDOM_STREAMS.AI));
+  });
+
+  it('should allow custom stream names', () => {
+    const a = new RandomService(5);
+    const b = new RandomService(5);
+    expect(roll(a.stream('weather'))).toEqual(roll(b.stream('weather')));
+  });
+
+  it('should restart held streams in place on reseed', () => {
+    const random = new RandomService(7);
+    const ai = random.ai;
+    const first = roll(ai);
+
+    random.reseed();
+    expect(roll(ai)).toEqual(first);
+
+    random.reseed(8);
+    expect(random.seed).toBe(8);
+    expect(roll(ai)).toEqual(roll(new RandomService(8).ai));
+  });
+
+  it('should pick a fresh seed when none is given', () => {
+    const random = new RandomService();
+    expect(Number.isInteger(random.seed)).toBe(true);
+  });
+
+  it('should mark only ai and loot as gameplay streams', () => {
+    expect(GAMEPLAY_STREAMS).toEqual([RANDOM_STREAMS.AI, RANDOM_STREAMS.LOOT]);
+    expect(RandomService.isGameplayStream(RANDOM_STREAMS.AI)).toBe(true);
+    expect(RandomService.isGameplayStream(RANDOM_STREAMS.VFX)).toBe(false);
+  });
+});
+
+describe('deriveStreamSeed', () => {
+  it('should be stable and differ by name and seed', () => {
+    expect(deriveStreamSeed(1, 'ai')).toBe(deriveStreamSeed(1, 'ai'));
+    expect(deriveStreamSeed(1, 'ai')).not.toBe(deriveStreamSeed(1, 'vfx'));
+    expect(deriveStreamSeed(1, 'ai')).not.toBe(deriveStreamSeed(2, 'ai'));
+  });
+});
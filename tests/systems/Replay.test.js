@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  ReplayRecorder,
+  ReplayPlayer,
+  REPLAY_VERSION,
+  REPLAY_TRACE,
+  encodeInputFrame,
+  decodeInputFrame,
+  serializeReplay,
+  parseReplay,
+} from '../../js/systems/Replay.js';
+import { ACTIONS, InputManager, createInputFrame, DEFAULT_BINDINGS } from '../../js/systems/InputManager.js';
+import { BindingProfile } from '../../js/systems/InputBindings.js';
+
+const ALL_ACTIONS = Object.values(ACTIONS);
+
+/**
+ * Build an input frame from a short description
+ */
+function makeFrame({ down = [], pressed = [], released = [], values = {}, horizontal = 0, vertical = 0 } = {}) {
+  const frame = createInputFrame();
+  down.forEach((action) => frame.down.add(action));
+  pressed.forEach((action) => frame.pressed.add(action));
+  released.forEach((action) => frame.released.add(action));
+  Object.assign(frame.values, values);
+  frame.horizontal = horizontal;
+  frame.vertical = vertical;
+  return frame;
+}
+
+/**
+ * Record a short session: idle, jump press, run right with an analog trigger
+ */
+function recordSession() {
+  const recorder = new ReplayRecorder({ seed: 1234, setup: { roomId: 'arena', kills: 0 } });
+  for (let i = 0; i < 10; i++) {
+    recorder.recordFrame(16.6, makeFrame());
+  }
+  recorder.addTrace(REPLAY_TRACE.STATE, 'idle → [jump]');
+  recorder.recordFrame(16.6, makeFrame({ down: [ACTIONS.JUMP], pressed: [ACTIONS.JUMP], vertical: -1 }));
+  for (let i = 0; i < 5; i++) {
+    if (i === 4) recorder.addTrace(REPLAY_TRACE.HIT, 'player>SWARMER 10 @400,500');
+    recorder.recordFrame(16.7, makeFrame({
+      down: [ACTIONS.MOVE_RIGHT, ACTIONS.SPIN],
+      values: { [ACTIONS.SPIN]: 0.5 },
+      horizontal: 0.75,
+    }));
+  }
+  return recorder.finish();
+}
+
+describe('input frame encoding', () => {
+  it('should round-trip a frame', () => {
+    const frame = makeFrame({
+      down: [ACTIONS.MOVE_LEFT, ACTIONS.SPIN],
+      pressed: [ACTIONS.SPIN],
+      released: [ACTIONS.JUMP],
+      values: { [ACTIONS.SPIN]: 0.4 },
+      horizontal: -1,
+      vertical: 0.25,
+    });
+
+    const decoded = decodeInputFrame(encodeInputFrame(frame, ALL_ACTIONS), ALL_ACTIONS);
+    expect(decoded).toEqual(frame);
+  });
+
+  it('should pack an idle frame into five zeros', () => {
+    expect(encodeInputFrame(createInputFrame(), ALL_ACTIONS)).toEqual([0, 0, 0, 0, 0]);
+  });
+});
+
+describe('ReplayRecorder', () => {
+  it('should store the seed, setup and frame count', () => {
+    const replay = recordSession();
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay.seed).toBe(1234);
+    expect(replay.setup.roomId).toBe('arena');
+    expect(replay.frameCount).toBe(16);
+  });
+
+  it('should run-length encode identical frames', () => {
+    const replay = recordSession();
+    expect(replay.frames).toHaveLength(3);
+    expect(replay.frames[0][0]).toBe(10);
+    expect(replay.frames[2][0]).toBe(5);
+  });
+
+  it('should tag trace entries with the frame being simulated', () => {
+    const replay = recordSession();
+    expect(replay.trace[0]).toEqual([10, REPLAY_TRACE.STATE, 'idle → [jump]']);
+    expect(replay.trace[1][0]).toBe(15);
+  });
+});
+
+describe('parseReplay', () => {
+  it('should accept serialized replays', () => {
+    const replay = recordSession();
+    const result = parseReplay(serializeReplay(replay));
+    expect(result.ok).toBe(true);
+    expect(result.replay).toEqual(replay);
+  });
+
+  it('should reject malformed and future replays', () => {
+    expect(parseReplay('{nope').ok).toBe(false);
+    expect(parseReplay({ ...recordSession(), version: REPLAY_VERSION + 1 }).ok).toBe(false);
+    expect(parseReplay({ ...recordSession(), seed: 'abc' }).ok).toBe(false);
+    expect(parseReplay({ ...recordSession(), actions: ['dance'] }).ok).toBe(false);
+    expect(parseReplay({ ...recordSession(), frames: [[0, 16]] }).ok).toBe(false);
+  });
+});
+
+describe('ReplayPlayer', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should hand out every recorded frame in order', () => {
+    const player = new ReplayPlayer(recordSession());
+    const frames = [];
+    let frame;
+    while ((frame = player.next())) {
+      frames.push(frame);
+    }
+
+    expect(frames).toHaveLength(16);
+    expect(frames[10].input.pressed.has(ACTIONS.JUMP)).toBe(true);
+    expect(frames[15].delta).toBe(16.7);
+    expect(frames[15].input.values[ACTIONS.SPIN]).toBe(0.5);
+    expect(player.isFinished()).toBe(true);
+  });
+
+  it('should stay in sync when events match the trace', () => {
+    const player = new ReplayPlayer(recordSession());
+    for (let i = 0; i < 16; i++) {
+      player.next();
+      if (i === 10) expect(player.check(REPLAY_TRACE.STATE, 'idle → [jump]')).toBe(true);
+      if (i === 15) expect(player.check(REPLAY_TRACE.HIT, 'player>SWARMER 10 @400,500')).toBe(true);
+      expect(player.checkFrameEnd()).toBe(true);
+    }
+    expect(player.getResult()).toEqual({ frames: 16, totalFrames: 16, inSync: true, desync: null });
+  });
+
+  it('should report the first frame where an event differs', () => {
+    const player = new ReplayPlayer(recordSession());
+    for (let i = 0; i <= 10; i++) player.next();
+    expect(player.check(REPLAY_TRACE.STATE, 'idle → [run]')).toBe(false);
+
+    const { desync } = player.getResult();
+    expect(desync.frame).toBe(10);
+    expect(desync.expected[2]).toBe('idle → [jump]');
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report a recorded event that never happened', () => {
+    const player = new ReplayPlayer(recordSession());
+    for (let i = 0; i <= 10; i++) player.next();
+    expect(player.checkFrameEnd()).toBe(false);
+    expect(player.getResult().desync.actual).toBeNull();
+  });
+});
+
+describe('InputManager playback', () => {
+  let input;
+
+  beforeEach(() => {
+    // Minimal Phaser surface used by setupKeys
+    globalThis.Phaser = { Input: { Keyboard: { KeyCodes: { A: 65 } } } };
+    const scene = {
+      input: {
+        keyboard: { addKey: (code) => ({ code, isDown: false }), removeKey: () => {} },
+      },
+    };
+    input = new InputManager(scene, new BindingProfile(DEFAULT_BINDINGS));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    input.startPlayback();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete globalThis.Phaser;
+  });
+
+  it('should read fed frames instead of devices', () => {
+    input.feedFrame(makeFrame({ down: [ACTIONS.MOVE_RIGHT], horizontal: 1 }));
+    input.update(0);
+    expect(input.isDown(ACTIONS.MOVE_RIGHT)).toBe(true);
+    expect(input.getHorizontalAxis()).toBe(1);
+    expect(input.getActionValue(ACTIONS.MOVE_RIGHT)).toBe(1);
+  });
+
+  it('should consume presses on read like JustDown', () => {
+    input.feedFrame(makeFrame({ down: [ACTIONS.JUMP], pressed: [ACTIONS.JUMP] }));
+    input.update(0);
+    expect(input.justPressed(ACTIONS.JUMP)).toBe(true);
+    expect(input.justPressed(ACTIONS.JUMP)).toBe(false);
+  });
+
+  it('should keep an unread press for a later frame', () => {
+    input.feedFrame(makeFrame({ down: [ACTIONS.JUMP], pressed: [ACTIONS.JUMP] }));
+    input.update(0);
+    input.feedFrame(makeFrame({ down: [ACTIONS.JUMP] }));
+    input.update(16);
+    expect(input.justPressed(ACTIONS.JUMP)).toBe(true);
+  });
+
+  it('should treat a missing frame as everything released', () => {
+    input.feedFrame(makeFrame({ down: [ACTIONS.MOVE_LEFT], horizontal: -1 }));
+    input.update(0);
+    input.update(16);
+    expect(input.isDown(ACTIONS.MOVE_LEFT)).toBe(false);
+    expect(input.getHorizontalAxis()).toBe(0);
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  SaveManager,
+  SAVE_VERSION,
+  SAVE_ERROR,
+  createDefaultSaveData,
+} from '../../js/systems/SaveManager.js';
+import { LocalStorageAdapter, MemoryStorageAdapter } from '../../js/systems/SaveStorage.js';
+
+function createSaveData(overrides = {}) {
+  return {
+    ...createDefaultSaveData(),
+    weapons: {
+      unlocked: ['fists', 'tonfas'],
+      equipped: 'tonfas',
+      quickSlots: ['fists', 'tonfas', null, null],
+    },
+    defeatedBosses: ['tonfa_warden'],
+    roomId: 'corridor',
+    kills: 42,
+    settings: { audio: { volumes: { master: 0.5 }, muted: { music: true } } },
+    ...overrides,
+  };
+}
+
+describe('SaveManager', () => {
+  let storage;
+  let saves;
+  let warnSpy;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    saves = new SaveManager(storage);
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe('save and load', () => {
+    it('should round-trip save data', () => {
+      const data = createSaveData();
+      expect(saves.save(0, data).ok).toBe(true);
+
+      const result = saves.load(0);
+      expect(result.ok).toBe(true);
+      expect(result.data).toEqual(data);
+      expect(result.version).toBe(SAVE_VERSION);
+      expect(result.migrated).toBe(false);
+    });
+
+    it('should keep slots independent', () => {
+      saves.save(0, createSaveData({ kills: 1 }));
+      saves.save(2, createSaveData({ kills: 3 }));
+
+      expect(saves.load(0).data.kills).toBe(1);
+      expect(saves.load(2).data.kills).toBe(3);
+      expect(saves.load(1).error).toBe(SAVE_ERROR.EMPTY);
+    });
+
+    it('should write a versioned envelope with a checksum', () => {
+      saves.save(1, createSaveData());
+      const envelope = JSON.parse(storage.getItem(saves.getKey(1)));
+
+      expect(envelope.version).toBe(SAVE_VERSION);
+      expect(envelope.checksum).toBe(SaveManager.checksum(JSON.stringify(envelope.data)));
+      expect(typeof envelope.savedAt).toBe('number');
+    });
+
+    it('should reject invalid slots', () => {
+      expect(saves.save(-1, createSaveData()).error).toBe(SAVE_ERROR.INVALID_SLOT);
+      expect(saves.load(3).error).toBe(SAVE_ERROR.INVALID_SLOT);
+      expect(saves.load(0.5).error).toBe(SAVE_ERROR.INVALID_SLOT);
+      expect(saves.delete(5)).toBe(false);
+    });
+
+    it('should refuse to write data that does not match the schema', () => {
+      const result = saves.save(0, createSaveData({ kills: -1 }));
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe(SAVE_ERROR.CORRUPT);
+      expect(saves.hasSave(0)).toBe(false);
+    });
+
+    it('should report storage write failures', () => {
+      storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+      };
+      const result = saves.save(0, createSaveData());
+      expect(result.error).toBe(SAVE_ERROR.WRITE_FAILED);
+      expect(result.message).toMatch(/Quota/);
+    });
+
+    it('should delete slots', () => {
+      saves.save(0, createSaveData());
+      expect(saves.hasSave(0)).toBe(true);
+      expect(saves.delete(0)).toBe(true);
+      expect(saves.hasSave(0)).toBe(false);
+    });
+  });
+
+  describe('corrupt saves', () => {
+    it('should reject unparseable JSON', () => {
+      storage.setItem(saves.getKey(0), '{"version":1,');
+      const result = saves.load(0);
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe(SAVE_ERROR.CORRUPT);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should reject a malformed envelope', () => {
+      storage.setItem(saves.getKey(0), JSON.stringify({ data: createSaveData() }));
+      expect(saves.load(0).error).toBe(SAVE_ERROR.CORRUPT);
+    });
+
+    it('should reject data that fails the checksum', () => {
+      saves.save(0, createSaveData());
+      const envelope = JSON.parse(storage.getItem(saves.getKey(0)));
+      envelope.data.kills = 9999;
+      storage.setItem(saves.getKey(0), JSON.stringify(envelope));
+
+      const result = saves.load(0);
+      expect(result.error).toBe(SAVE_ERROR.CORRUPT);
+      expect(result.message).toMatch(/checksum/);
+    });
+
+    it('should reject checksummed data with the wrong shape', () => {
+      const data = { weapons: 'fists' };
+      storage.setItem(saves.getKey(0), JSON.stringify({
+        version: SAVE_VERSION,
+        checksum: SaveManager.checksum(JSON.stringify(data)),
+        data,
+      }));
+      expect(saves.load(0).error).toBe(SAVE_ERROR.CORRUPT);
+    });
+  });
+
+  describe('versions and migrations', () => {
+    function writeEnvelope(version, data) {
+      storage.setItem(saves.getKey(0), JSON.stringify({
+        version,
+        savedAt: 0,
+        checksum: SaveManager.checksum(JSON.stringify(data)),
+        data,
+      }));
+    }
+
+    it('should refuse saves from a newer version', () => {
+      writeEnvelope(SAVE_VERSION + 1, createSaveData());
+      const result = saves.load(0);
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe(SAVE_ERROR.FUTURE_VERSION);
+    });
+
+    it('should migrate old saves one version at a time', () => {
+      const migrated = new SaveManager(storage, {
+        version: 3,
+        migrations: {
+          1: (data) => ({ ...data, bosses: data.bosses || [] }),
+          2: ({ bosses, ...rest }) => ({ ...rest, defeatedBosses: bosses }),
+        },
+      });
+      const { defeatedBosses, ...v1Data } = createSaveData();
+      writeEnvelope(1, { ...v1Data, bosses: ['tonfa_warden'] });
+
+      const result = migrated.load(0);
+      expect(result.ok).toBe(true);
+      expect(result.migrated).toBe(true);
+      expect(result.version).toBe(1);
+      expect(result.data.defeatedBosses).toEqual(['tonfa_warden']);
+      expect(result.data.bosses).toBeUndefined();
+    });
+
+    it('should fail when a migration step is missing', () => {
+      const migrated = new SaveManager(storage, { version: 2, migrations: {} });
+      writeEnvelope(1, createSaveData());
+      expect(migrated.load(0).error).toBe(SAVE_ERROR.MIGRATION_FAILED);
+    });
+
+    it('should fail when a migration throws', () => {
+      const migrated = new SaveManager(storage, {
+        version: 2,
+        migrations: { 1: () => { throw new Error('bad data'); } },
+      });
+      writeEnvelope(1, createSaveData());
+      const result = migrated.load(0);
+      expect(result.error).toBe(SAVE_ERROR.MIGRATION_FAILED);
+      expect(result.message).toMatch(/bad data/);
+    });
+  });
+
+  describe('listSlots', () => {
+    it('should summarize empty, valid and broken slots', () => {
+      saves.save(0, createSaveData());
+      storage.setItem(saves.getKey(2), 'garbage');
+
+      const slots = saves.listSlots();
+      expect(slots).toHaveLength(3);
+      expect(slots[0]).toMatchObject({ slot: 0, empty: false, ok: true, roomId: 'corridor', kills: 42 });
+      expect(slots[1]).toMatchObject({ slot: 1, empty: true });
+      expect(slots[2]).toMatchObject({ slot: 2, empty: false, ok: false, error: SAVE_ERROR.CORRUPT });
+    });
+  });
+
+  describe('getLatestSlot', () => {
+    it('should pick the most recently saved slot that loads', () => {
+      const nowSpy = vi.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1000);
+      saves.save(2, createSaveData());
+      nowSpy.mockReturnValue(3000);
+      saves.save(0, createSaveData());
+      nowSpy.mockReturnValue(2000);
+      saves.save(1, createSaveData());
+      nowSpy.mockRestore();
+
+      expect(saves.getLatestSlot()).toBe(0);
+
+      storage.setItem(saves.getKey(0), 'garbage');
+      expect(saves.getLatestSlot()).toBe(1);
+    });
+
+    it('should return null when nothing loads', () => {
+      expect(saves.getLatestSlot()).toBeNull();
+      storage.setItem(saves.getKey(0), 'garbage');
+      expect(saves.getLatestSlot()).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept default save data', () => {
+      expect(SaveManager.validate(createDefaultSaveData())).toEqual([]);
+    });
+
+    it('should list every problem', () => {
+      const errors = SaveManager.validate({ weapons: {}, defeatedBosses: 'x', roomId: 5, kills: 1.5 });
+      expect(errors.length).toBeGreaterThanOrEqual(5);
+    });
+  });
+
+  describe('checksum', () => {
+    it('should be stable and sensitive to changes', () => {
+      expect(SaveManager.checksum('abc')).toBe(SaveManager.checksum('abc'));
+      expect(SaveManager.checksum('abc')).not.toBe(SaveManager.checksum('abd'));
+      expect(SaveManager.checksum('')).toMatch(/^[0-9a-f]{8}$/);
+    });
+  });
+});
+
+describe('LocalStorageAdapter', () => {
+  it('should delegate to the wrapped storage', () => {
+    const backing = new MemoryStorageAdapter();
+    const adapter = new LocalStorageAdapter(backing);
+
+    adapter.setItem('key', 'value');
+    expect(adapter.getItem('key')).toBe('value');
+    adapter.removeItem('key');
+    expect(backing.getItem('key')).toBeNull();
+  });
+
+  it('should report unavailable storage', () => {
+    const adapter = new LocalStorageAdapter(null);
+    expect(adapter.isAvailable()).toBe(false);
+    expect(adapter.getItem('key')).toBeNull();
+    expect(() => adapter.setItem('key', 'value')).toThrow();
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  SettingsService,
+  SETTING_DEFINITIONS,
+  SETTING_CATEGORY,
+  SETTINGS_STORAGE_KEY,
+} from '../../js/systems/SettingsService.js';
+import { MemoryStorageAdapter } from '../../js/systems/SaveStorage.js';
+import { AudioManager } from '../../js/systems/AudioManager.js';
+import { COLORBLIND_MODE } from '../../js/utils/palette.js';
+
+describe('SettingsService', () => {
+  let storage;
+  let settings;
+  let warnSpy;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    settings = SettingsService.load(storage);
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should start at the defaults', () => {
+    expect(settings.get('audio.master')).toBe(SETTING_DEFINITIONS['audio.master'].default);
+    expect(settings.get('effects.particles')).toBe(true);
+    expect(settings.isDefault()).toBe(true);
+  });
+
+  it('should list keys by category in definition order', () => {
+    expect(settings.getKeys(SETTING_CATEGORY.AUDIO)).toEqual(['audio.master', 'audio.music', 'audio.sfx', 'audio.ui']);
+    expect(settings.getKeys()).toHaveLength(Object.keys(SETTING_DEFINITIONS).length);
+  });
+
+  it('should clamp ranges and snap them to their step', () => {
+    settings.set('audio.music', 1.7);
+    expect(settings.get('audio.music')).toBe(1);
+
+    settings.set('audio.music', 0.33);
+    expect(settings.get('audio.music')).toBe(0.3);
+
+    settings.set('display.shakeIntensity', 1.1);
+    expect(settings.get('display.shakeIntensity')).toBe(1);
+  });
+
+  it('should reject unknown keys and wrong types', () => {
+    expect(settings.set('audio.cowbell', 1)).toBe(false);
+    expect(settings.set('effects.trails', 1)).toBe(false);
+    expect(settings.set('audio.master', 'loud')).toBe(false);
+    expect(settings.get('audio.master')).toBe(0.8);
+  });
+
+  it('should adjust ranges in steps and flip toggles', () => {
+    settings.adjust('audio.master', -3);
+    expect(settings.get('audio.master')).toBe(0.5);
+
+    expect(settings.toggle('display.damageNumbers')).toBe(true);
+    expect(settings.get('display.damageNumbers')).toBe(false);
+
+    // Wrong kind of setting for the operation
+    expect(settings.adjust('display.damageNumbers', 1)).toBe(false);
+    expect(settings.toggle('audio.master')).toBe(false);
+  });
+
+  it('should step through choices, wrapping at the ends', () => {
+    expect(settings.get('accessibility.palette')).toBe(COLORBLIND_MODE.OFF);
+
+    settings.adjust('accessibility.palette', -1);
+    expect(settings.get('accessibility.palette')).toBe(COLORBLIND_MODE.TRITANOPIA);
+    settings.adjust('accessibility.palette', 2);
+    expect(settings.get('accessibility.palette')).toBe(COLORBLIND_MODE.DEUTERANOPIA);
+
+    expect(settings.set('accessibility.palette', 'sepia')).toBe(false);
+    expect(settings.toggle('accessibility.spinInput')).toBe(false);
+  });
+
+  it('should tell subscribers about changes only', () => {
+    const listener = vi.fn();
+    const unsubscribe = settings.subscribe(listener);
+
+    settings.set('effects.trails', false);
+    settings.set('effects.trails', false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('effects.trails', false, settings);
+
+    unsubscribe();
+    settings.set('effects.trails', true);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should store only changed values and reload them', () => {
+    settings.set('audio.sfx', 0.5);
+    settings.set('effects.chromatic', false);
+    expect(JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY))).toEqual({
+      'audio.sfx': 0.5,
+      'effects.chromatic': false,
+    });
+
+    const reloaded = SettingsService.load(storage);
+    expect(reloaded.get('audio.sfx')).toBe(0.5);
+    expect(reloaded.get('effects.chromatic')).toBe(false);
+  });
+
+  it('should clear storage when everything is back to default', () => {
+    settings.set('audio.sfx', 0.5);
+    settings.reset();
+    expect(storage.getItem(SETTINGS_STORAGE_KEY)).toBeNull();
+    expect(settings.get('audio.sfx')).toBe(1);
+  });
+
+  it('should keep good entries from damaged storage', () => {
+    storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ 'audio.ui': 0.2, 'audio.cowbell': 1, 'effects.trails': 'no' }));
+    const loaded = SettingsService.load(storage);
+
+    expect(loaded.get('audio.ui')).toBe(0.2);
+    expect(loaded.get('effects.trails')).toBe(true);
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  it('should ignore unparseable storage', () => {
+    storage.setItem(SETTINGS_STORAGE_KEY, '{oops');
+    expect(SettingsService.load(storage).isDefault()).toBe(true);
+  });
+});
+
+describe('AudioManager.useSettings', () => {
+  it('should follow volume settings until destroyed', () => {
+    const scene = { cache: { audio: { exists: () => false } }, sound: {} };
+    const audio = new AudioManager(scene);
+    const settings = new SettingsService();
+
+    settings.set('audio.music', 0.2);
+    audio.useSettings(settings);
+    expect(audio.volumes.music).toBe(0.2);
+
+    settings.set('audio.master', 0.5);
+    expect(audio.volumes.master).toBe(0.5);
+
+    audio.destroy();
+    settings.set('audio.master', 1);
+    expect(audio.volumes.master).toBe(0.5);
+  });
+});
@@ -275,6 +275,28 @@ describe('StateMachine', () => {
       sm.update(1000, 16);
       expect(sm.currentState.name).toBe('auto');
     });
+
+    it('should pass params when update returns a transition object', () => {
+      const idle = new TestIdleState(sm);
+      sm.addStates([new AutoTransitionState(sm, { state: 'idle', params: { from: 'auto' } }), idle]);
+      sm.start('auto');
+
+      sm.update(1000, 16);
+      expect(sm.currentState).toBe(idle);
+      expect(idle.params).toEqual({ from: 'auto' });
+    });
+
+    it('should re-enter the current state when a transition object names it', () => {
+      const idle = new TestIdleState(sm);
+      idle.update = () => ({ state: 'idle', params: { again: true } });
+      sm.addState(idle);
+      sm.start('idle');
+
+      sm.update(1000, 16);
+      expect(idle.exitCalled).toBe(true);
+      expect(idle.params).toEqual({ again: true });
+      expect(sm.getStateTime()).toBe(0);
+    });
   });
 
   describe('state query methods', () => {
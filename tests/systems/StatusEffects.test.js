@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  StatusEffects,
+  STATUS_EFFECT,
+  STATUS_EFFECT_DEFS,
+} from '../../js/systems/StatusEffects.js';
+import { CUE, getCueColor } from '../../js/utils/palette.js';
+import { createBody } from '../helpers/mocks.js';
+
+describe('StatusEffects', () => {
+  let status;
+
+  beforeEach(() => {
+    status = new StatusEffects();
+  });
+
+  describe('apply', () => {
+    it('should use the effect\'s own duration unless the attack sets one', () => {
+      expect(status.apply(STATUS_EFFECT.BURN)).toEqual({ type: 'burn', stacks: 1, duration: 2000 });
+      expect(status.apply(STATUS_EFFECT.STUN, { duration: 400 })).toEqual({ type: 'stun', stacks: 1, duration: 400 });
+      expect(status.has(STATUS_EFFECT.BURN)).toBe(true);
+    });
+
+    it('should warn and skip unknown effects', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(status.apply('poison')).toBeNull();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should refresh to the longer duration', () => {
+      status.apply(STATUS_EFFECT.SLOW, { duration: 2000 });
+      status.update(1500);
+      status.apply(STATUS_EFFECT.SLOW, { duration: 1000 });
+      expect(status.get(STATUS_EFFECT.SLOW).remaining).toBe(1000);
+
+      status.apply(STATUS_EFFECT.SLOW, { duration: 300 });
+      expect(status.get(STATUS_EFFECT.SLOW).remaining).toBe(1000);
+    });
+
+    it('should stack up to maxStacks', () => {
+      const { maxStacks } = STATUS_EFFECT_DEFS[STATUS_EFFECT.BLEED];
+      status.apply(STATUS_EFFECT.BLEED, { stacks: 2 });
+      status.apply(STATUS_EFFECT.BLEED);
+      expect(status.get(STATUS_EFFECT.BLEED).stacks).toBe(3);
+
+      status.apply(STATUS_EFFECT.BLEED, { stacks: 10 });
+      expect(status.get(STATUS_EFFECT.BLEED).stacks).toBe(maxStacks);
+    });
+
+    it('should extend up to maxDuration', () => {
+      const { maxDuration } = STATUS_EFFECT_DEFS[STATUS_EFFECT.ARMOR_BREAK];
+      status.apply(STATUS_EFFECT.ARMOR_BREAK, { duration: 3000 });
+      status.apply(STATUS_EFFECT.ARMOR_BREAK, { duration: 3000 });
+      expect(status.get(STATUS_EFFECT.ARMOR_BREAK).remaining).toBe(6000);
+
+      status.apply(STATUS_EFFECT.ARMOR_BREAK, { duration: 3000 });
+      expect(status.get(STATUS_EFFECT.ARMOR_BREAK).remaining).toBe(maxDuration);
+    });
+
+    it('should report only the effects that landed', () => {
+      status = new StatusEffects({ immunities: [STATUS_EFFECT.STUN] });
+      expect(status.applyAll([{ type: 'stun' }, { type: 'bleed', stacks: 2 }])).toEqual([
+        { type: 'bleed', stacks: 2, duration: 3000 },
+      ]);
+      expect(status.applyAll()).toEqual([]);
+    });
+  });
+
+  describe('immunity and resistance', () => {
+    it('should shorten resisted effects and block immune ones', () => {
+      status = new StatusEffects({
+        immunities: [STATUS_EFFECT.BURN],
+        resistance: { stun: 0.5, slow: 1 },
+      });
+
+      expect(status.apply(STATUS_EFFECT.BURN)).toBeNull();
+      expect(status.apply(STATUS_EFFECT.SLOW)).toBeNull();
+      expect(status.apply(STATUS_EFFECT.STUN, { duration: 600 }).duration).toBe(300);
+      expect(status.isImmune(STATUS_EFFECT.SLOW)).toBe(true);
+      expect(status.isImmune(STATUS_EFFECT.BLEED)).toBe(false);
+    });
+  });
+
+  describe('update', () => {
+    it('should deal tick damage per stack and expire', () => {
+      status.apply(STATUS_EFFECT.BLEED, { stacks: 3, duration: 1000 });
+
+      expect(status.update(400)).toBe(0);
+      expect(status.update(100)).toBe(3);
+      expect(status.update(2000)).toBe(3); // Only the 500ms it had left
+      expect(status.has(STATUS_EFFECT.BLEED)).toBe(false);
+    });
+
+    it('should stand still when no time passes (hitstop)', () => {
+      status.apply(STATUS_EFFECT.BURN);
+      expect(status.update(0)).toBe(0);
+      expect(status.get(STATUS_EFFECT.BURN).remaining).toBe(2000);
+    });
+
+    it('should count burn ticks over its whole duration', () => {
+      status.apply(STATUS_EFFECT.BURN);
+      let total = 0;
+      for (let i = 0; i < 240; i++) total += status.update(1000 / 120);
+      expect(total).toBe(8);
+      expect(status.has(STATUS_EFFECT.BURN)).toBe(false);
+    });
+  });
+
+  describe('modifiers', () => {
+    it('should read stun, slow and armor break', () => {
+      expect(status.isStunned()).toBe(false);
+      expect(status.getSpeedMultiplier()).toBe(1);
+      expect(status.getDamageTakenMultiplier()).toBe(1);
+
+      status.applyAll([{ type: 'stun' }, { type: 'slow' }, { type: 'armor_break' }]);
+
+      expect(status.isStunned()).toBe(true);
+      expect(status.isArmorBroken()).toBe(true);
+      expect(status.getSpeedMultiplier()).toBe(0.5);
+      expect(status.getDamageTakenMultiplier()).toBe(1.25);
+    });
+
+    it('should list active effects in a stable order', () => {
+      status.applyAll([{ type: 'armor_break' }, { type: 'bleed', stacks: 2 }]);
+      expect(status.getActive().map((effect) => [effect.type, effect.stacks])).toEqual([
+        ['bleed', 2],
+        ['armor_break', 1],
+      ]);
+
+      status.clear();
+      expect(status.getActive()).toEqual([]);
+    });
+  });
+
+  describe('slow', () => {
+    it('should scale speed each step without compounding', () => {
+      status.apply(STATUS_EFFECT.SLOW);
+      const body = createBody({ velocityX: 200 });
+
+      status.applySlow(body);
+      expect(body.velocity.x).toBe(100);
+
+      // AI didn't touch it - it goes back to 200 before being slowed again
+      status.restoreSpeed(body);
+      expect(body.velocity.x).toBe(200);
+      status.applySlow(body);
+      expect(body.velocity.x).toBe(100);
+    });
+
+    it('should leave velocities something else set alone', () => {
+      status.apply(STATUS_EFFECT.SLOW);
+      const body = createBody({ velocityX: 200 });
+      status.applySlow(body);
+
+      body.velocity.x = -300; // Knockback
+      status.restoreSpeed(body);
+      expect(body.velocity.x).toBe(-300);
+    });
+
+    it('should do nothing when not slowed', () => {
+      const body = createBody({ velocityX: 200 });
+      status.applySlow(body);
+      status.restoreSpeed(body);
+      expect(body.setVelocityX).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should give every effect a label and a palette cue', () => {
+    for (const type of Object.values(STATUS_EFFECT)) {
+      const def = STATUS_EFFECT_DEFS[type];
+      expect(def.label).toMatch(/^[A-Z]{3}$/);
+      expect(Object.values(CUE)).toContain(def.cue);
+      expect(getCueColor(def.cue)).toBeTypeOf('number');
+    }
+  });
+});
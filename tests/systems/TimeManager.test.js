@@ -48,6 +48,58 @@ describe('TimeManager', () => {
     });
   });
 
+  describe('entity hitstop', () => {
+    it('should freeze only the entities it is applied to', () => {
+      const player = { sprite: { body: { moves: true } } };
+      const enemy = { sprite: { body: { moves: true } } };
+
+      tm.applyEntityHitstop(player, 50);
+
+      expect(tm.isEntityFrozen(player)).toBe(true);
+      expect(tm.isEntityFrozen(enemy)).toBe(false);
+      expect(tm.isFrozen()).toBe(false);
+      expect(player.sprite.body.moves).toBe(false);
+    });
+
+    it('should keep the longer duration and thaw when it runs out', () => {
+      const enemy = { sprite: { body: { moves: true } } };
+      tm.applyEntityHitstop(enemy, 100);
+      tm.applyEntityHitstop(enemy, 30);
+
+      tm.update(60);
+      expect(tm.isEntityFrozen(enemy)).toBe(true);
+
+      tm.update(40);
+      expect(tm.isEntityFrozen(enemy)).toBe(false);
+      expect(enemy.sprite.body.moves).toBe(true);
+    });
+
+    it('should put back a body that was already held', () => {
+      const enemy = { sprite: { body: { moves: false } } };
+      tm.applyEntityHitstop(enemy, 50);
+      tm.clearEntityHitstop(enemy);
+      expect(enemy.sprite.body.moves).toBe(false);
+    });
+
+    it('should ignore zero durations and entities without bodies', () => {
+      const entity = {};
+      tm.applyEntityHitstop(entity, 0);
+      expect(tm.isEntityFrozen(entity)).toBe(false);
+
+      tm.applyEntityHitstop(entity, 50);
+      expect(tm.isEntityFrozen(entity)).toBe(true);
+      tm.update(50);
+      expect(tm.getFrozenEntities()).toEqual([]);
+    });
+
+    it('should list frozen entities in debug info', () => {
+      expect(tm.getDebugInfo().frozen).toBe('none');
+      tm.applyEntityHitstop({ name: 'Tonfa Warden' }, 50);
+      tm.applyEntityHitstop({ config: { type: 'SWARMER' } }, 50);
+      expect(tm.getDebugInfo().frozen).toBe('Tonfa Warden, SWARMER');
+    });
+  });
+
   describe('applySlowmo', () => {
     it('should set slowmo remaining and scale', () => {
       tm.applySlowmo(500, 0.5);
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TimingEvaluator, TIMING_GRADE } from '../../js/systems/TimingEvaluator.js';
+import { COMBAT } from '../../js/utils/combat.js';
+
+describe('TimingEvaluator', () => {
+  let timing;
+
+  beforeEach(() => {
+    timing = new TimingEvaluator();
+  });
+
+  it('should grade presses around the moment the link opens', () => {
+    const { PERFECT, GOOD } = COMBAT.TIMING_WINDOWS;
+
+    expect(timing.grade(0)).toBe(TIMING_GRADE.PERFECT);
+    expect(timing.grade(-PERFECT / 2)).toBe(TIMING_GRADE.PERFECT);
+    expect(timing.grade(PERFECT / 2 + 1)).toBe(TIMING_GRADE.GOOD);
+    expect(timing.grade(-GOOD / 2)).toBe(TIMING_GRADE.GOOD);
+    expect(timing.grade(-GOOD / 2 - 1)).toBe(TIMING_GRADE.EARLY);
+    expect(timing.grade(GOOD / 2 + 1)).toBe(TIMING_GRADE.LATE);
+  });
+
+  it('should count links and track the perfect streak', () => {
+    timing.evaluateLink(0);
+    timing.evaluateLink(5);
+    expect(timing.perfectStreak).toBe(2);
+    expect(timing.lastGrade).toBe(TIMING_GRADE.PERFECT);
+
+    timing.evaluateLink(1000);
+    expect(timing.perfectStreak).toBe(0);
+    expect(timing.counts).toMatchObject({
+      [TIMING_GRADE.PERFECT]: 2,
+      [TIMING_GRADE.LATE]: 1,
+    });
+  });
+
+  it('should forget the streak on reset but keep the counts', () => {
+    timing.evaluateLink(0);
+    timing.reset();
+    expect(timing.lastGrade).toBeNull();
+    expect(timing.perfectStreak).toBe(0);
+    expect(timing.counts[TIMING_GRADE.PERFECT]).toBe(1);
+  });
+
+  it('should crit only on perfect links', () => {
+    expect(timing.getBonus(TIMING_GRADE.PERFECT)).toEqual({
+      damageMultiplier: COMBAT.TIMING_BONUS.PERFECT_DAMAGE,
+      critical: true,
+    });
+    expect(timing.getBonus(TIMING_GRADE.GOOD)).toEqual({
+      damageMultiplier: COMBAT.TIMING_BONUS.GOOD_DAMAGE,
+      critical: false,
+    });
+    expect(timing.getBonus(TIMING_GRADE.LATE)).toEqual({ damageMultiplier: 1, critical: false });
+    expect(timing.getBonus(null)).toEqual({ damageMultiplier: 1, critical: false });
+  });
+
+  it('should accept custom windows', () => {
+    timing = new TimingEvaluator({ windows: { PERFECT: 20, GOOD: 40 } });
+    expect(timing.grade(15)).toBe(TIMING_GRADE.GOOD);
+    expect(timing.grade(-25)).toBe(TIMING_GRADE.EARLY);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { WorldGraph, ROOM_PERSISTENCE } from '../../js/systems/WorldGraph.js';
+import { WorldState } from '../../js/systems/WorldState.js';
+import { LevelLoader } from '../../js/systems/LevelLoader.js';
+import { WORLD } from '../../js/data/world.js';
+
+function createDefinition() {
+  return {
+    startRoom: 'a',
+    rooms: {
+      a: {
+        levelKey: 'map_a',
+        exits: {
+          east: { to: 'b', entry: 'west' },
+          door: { to: 'b', entry: 'west' },
+        },
+      },
+      b: {
+        levelKey: 'map_b',
+        persistence: ROOM_PERSISTENCE.PERSIST,
+        exits: {
+          west: { to: 'a', entry: 'east' },
+        },
+      },
+    },
+  };
+}
+
+describe('WorldGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new WorldGraph(createDefinition());
+  });
+
+  describe('rooms', () => {
+    it('should look up rooms by id', () => {
+      expect(graph.getRoom('a').levelKey).toBe('map_a');
+      expect(graph.getRoom('missing')).toBeNull();
+    });
+
+    it('should default persistence to reset', () => {
+      expect(graph.getRoom('a').persistence).toBe(ROOM_PERSISTENCE.RESET);
+      expect(graph.getRoom('b').persistence).toBe(ROOM_PERSISTENCE.PERSIST);
+    });
+
+    it('should find the room that owns a level', () => {
+      expect(graph.getRoomByLevel('map_b').id).toBe('b');
+      expect(graph.getRoomByLevel('unknown')).toBeNull();
+    });
+  });
+
+  describe('exits', () => {
+    it('should resolve an exit to its destination and entry', () => {
+      expect(graph.getExit('a', 'east')).toEqual({ to: 'b', entry: 'west' });
+    });
+
+    it('should return null for unknown exits or rooms', () => {
+      expect(graph.getExit('a', 'north')).toBeNull();
+      expect(graph.getExit('missing', 'east')).toBeNull();
+    });
+
+    it('should list unique neighbors', () => {
+      expect(graph.getNeighbors('a')).toEqual(['b']);
+      expect(graph.getNeighbors('missing')).toEqual([]);
+    });
+  });
+
+  describe('validate', () => {
+    it('should pass for a consistent graph', () => {
+      expect(graph.validate()).toEqual([]);
+    });
+
+    it('should report exits to unknown rooms', () => {
+      const definition = createDefinition();
+      definition.rooms.a.exits.east.to = 'nowhere';
+      const errors = new WorldGraph(definition).validate();
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('nowhere');
+    });
+
+    it('should report a missing start room', () => {
+      const definition = createDefinition();
+      definition.startRoom = 'z';
+      expect(new WorldGraph(definition).validate()[0]).toContain('Start room');
+    });
+
+    it('should report unknown persistence rules', () => {
+      const definition = createDefinition();
+      definition.rooms.a.persistence = 'sometimes';
+      expect(new WorldGraph(definition).validate()[0]).toContain('persistence');
+    });
+  });
+
+  describe('bundled world', () => {
+    const world = new WorldGraph(WORLD);
+    const loadLevel = (levelKey) =>
+      LevelLoader.parse(JSON.parse(readFileSync(LevelLoader.getMapPath(levelKey), 'utf8')));
+
+    it('should be a valid graph', () => {
+      expect(world.validate()).toEqual([]);
+    });
+
+    it('should have every exit and entry present in the room maps', () => {
+      for (const room of world.rooms.values()) {
+        const level = loadLevel(room.levelKey);
+        for (const [exitName, exit] of Object.entries(room.exits)) {
+          expect(LevelLoader.getExit(level, exitName), `${room.id}.${exitName}`).not.toBeNull();
+
+          const target = loadLevel(world.getRoom(exit.to).levelKey);
+          expect(LevelLoader.getExit(target, exit.entry), `${exit.to}.${exit.entry}`).not.toBeNull();
+        }
+      }
+    });
+  });
+});
+
+describe('WorldState', () => {
+  let state;
+  const snapshot = { enemies: [{ type: 'SWARMER', x: 10, y: 20, health: 5 }], corpses: [], triggeredBossTriggers: [] };
+
+  beforeEach(() => {
+    state = new WorldState(new WorldGraph(createDefinition()));
+  });
+
+  it('should start in the start room', () => {
+    expect(state.currentRoomId).toBe('a');
+  });
+
+  it('should store snapshots for persistent rooms', () => {
+    state.leaveRoom('b', snapshot);
+    expect(state.enterRoom('b')).toBe(snapshot);
+    expect(state.currentRoomId).toBe('b');
+  });
+
+  it('should discard snapshots for reset rooms', () => {
+    state.leaveRoom('a', snapshot);
+    expect(state.enterRoom('a')).toBeNull();
+  });
+
+  it('should forget a room on resetRoom', () => {
+    state.leaveRoom('b', snapshot);
+    state.resetRoom('b');
+    expect(state.getRoomSnapshot('b')).toBeNull();
+  });
+
+  it('should clear everything on resetAll', () => {
+    state.leaveRoom('b', snapshot);
+    state.enterRoom('b');
+    state.markBossDefeated('tonfa_warden');
+    state.resetAll();
+    expect(state.getRoomSnapshot('b')).toBeNull();
+    expect(state.currentRoomId).toBe('a');
+    expect(state.isBossDefeated('tonfa_warden')).toBe(false);
+  });
+
+  it('should track defeated bosses', () => {
+    expect(state.isBossDefeated('tonfa_warden')).toBe(false);
+    state.markBossDefeated('tonfa_warden');
+    expect(state.isBossDefeated('tonfa_warden')).toBe(true);
+  });
+
+  it('should restore progress from a save', () => {
+    state.leaveRoom('b', snapshot);
+    state.restore({ roomId: 'b', defeatedBosses: ['tonfa_warden'] });
+    expect(state.currentRoomId).toBe('b');
+    expect(state.isBossDefeated('tonfa_warden')).toBe(true);
+    expect(state.getRoomSnapshot('b')).toBeNull();
+  });
+
+  it('should fall back to the start room for unknown saved rooms', () => {
+    state.enterRoom('b');
+    state.restore({ roomId: 'deleted_room', defeatedBosses: [] });
+    expect(state.currentRoomId).toBe('a');
+  });
+});
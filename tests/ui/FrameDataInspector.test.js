@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FrameDataInspector, INPUT_RESULT } from '../../js/ui/FrameDataInspector.js';
+import { ACTIONS, createInputFrame } from '../../js/systems/InputManager.js';
+
+// 6/12/24 frames, 36 frames of hitstun, cancel window frames 19-30
+const LIGHT = {
+  startupTime: 50,
+  activeTime: 100,
+  recoveryTime: 200,
+  hitstun: 300,
+  cancelWindow: 0.5,
+  canComboInto: [{ input: 'light', to: 'light2' }],
+};
+
+/**
+ * Stand-in for an AttackState
+ */
+function createAttackState(attackType, attackData = LIGHT) {
+  return {
+    attackType,
+    attackData,
+    elapsedSteps: 0,
+    getFrameState() {
+      return { attackType: this.attackType, attackData: this.attackData, elapsedSteps: this.elapsedSteps };
+    },
+  };
+}
+
+describe('FrameDataInspector', () => {
+  let scene;
+  let player;
+  let inspector;
+
+  /**
+   * Start a new input frame, optionally with presses
+   */
+  function press(...actions) {
+    const frame = createInputFrame();
+    for (const action of actions) frame.pressed.add(action);
+    scene.frame = frame;
+  }
+
+  /**
+   * Put the player in a state at a given elapsed step and run track()
+   */
+  function step(state, elapsedSteps = 0) {
+    if (state) state.elapsedSteps = elapsedSteps;
+    player.stateMachine.currentState = state;
+    inspector.track();
+  }
+
+  beforeEach(() => {
+    scene = {
+      frame: createInputFrame(),
+      inputManager: { getFrame: () => scene.frame },
+    };
+    player = {
+      stateMachine: { currentState: null },
+      getCurrentWeapon: () => ({ id: 'fists' }),
+    };
+    inspector = new FrameDataInspector(scene, player);
+    // Tracking only - no display
+    inspector.enabled = true;
+  });
+
+  it('should do nothing while disabled', () => {
+    inspector.enabled = false;
+    step(createAttackState('light1'), 3);
+    expect(inspector.getTimeline()).toBeNull();
+  });
+
+  it('should follow the attack frame by frame', () => {
+    const light1 = createAttackState('light1');
+    step(light1, 0);
+    step(light1, 5);
+
+    const timeline = inspector.getTimeline();
+    expect(timeline).toMatchObject({ weaponId: 'fists', attackType: 'light1', frame: 6, finished: false });
+    expect(timeline.frameData.total).toBe(42);
+
+    step(null);
+    expect(timeline.finished).toBe(true);
+  });
+
+  it('should mark a press accepted when the attack cancels into the next one', () => {
+    const light1 = createAttackState('light1');
+    step(light1, 0);
+    press(ACTIONS.ATTACK_LIGHT);
+    step(light1, 4);
+
+    // Waiting in startup, read at the first cancel frame
+    expect(inspector.getTimeline().inputs).toEqual([
+      { action: ACTIONS.ATTACK_LIGHT, frame: 5, result: INPUT_RESULT.PENDING },
+    ]);
+    const first = inspector.getTimeline();
+    step(createAttackState('light2'), 0);
+
+    expect(first.inputs[0].result).toBe(INPUT_RESULT.ACCEPTED);
+    expect(inspector.getTimeline().attackType).toBe('light2');
+  });
+
+  it('should start a new timeline when the attack state re-enters with another attack', () => {
+    const attack = createAttackState('light1');
+    step(attack, 20);
+    const first = inspector.getTimeline();
+
+    press(ACTIONS.ATTACK_LIGHT);
+    attack.attackType = 'light2';
+    step(attack, 0);
+
+    expect(first).toMatchObject({ finished: true, inputs: [{ frame: 21, result: INPUT_RESULT.ACCEPTED }] });
+    expect(inspector.getTimeline().attackType).toBe('light2');
+  });
+
+  it('should credit a press read in the same step it was made', () => {
+    const light1 = createAttackState('light1');
+    step(light1, 20);
+    const first = inspector.getTimeline();
+
+    press(ACTIONS.ATTACK_HEAVY);
+    step(createAttackState('heavy'), 0);
+
+    expect(first.inputs).toEqual([{ action: ACTIONS.ATTACK_HEAVY, frame: 21, result: INPUT_RESULT.ACCEPTED }]);
+    expect(inspector.getTimeline().inputs).toEqual([]);
+  });
+
+  it('should mark presses dropped when the attack ends without them', () => {
+    const light3 = createAttackState('light3', { ...LIGHT, canComboInto: [] });
+    step(light3, 10);
+    press(ACTIONS.ATTACK_LIGHT);
+    step(light3, 35);
+    step(null);
+
+    expect(inspector.getTimeline().inputs[0]).toMatchObject({ frame: 36, result: INPUT_RESULT.DROPPED });
+  });
+
+  it('should start a new timeline when the same attack restarts', () => {
+    const light1 = createAttackState('light1');
+    step(light1, 30);
+    const first = inspector.getTimeline();
+    step(light1, 1);
+
+    expect(first.finished).toBe(true);
+    expect(inspector.getTimeline()).not.toBe(first);
+  });
+
+  it('should report advantage against the defender hitstun', () => {
+    const light1 = createAttackState('light1');
+    step(light1, 6); // First active frame
+
+    inspector.recordHit({ attacker: player, defender: { hitstunRemaining: 300 }, hitstun: 300 });
+    // Swarmers stretch hitstun - advantage follows the defender, not the attack
+    inspector.recordHit({ attacker: player, defender: { hitstunRemaining: 450 }, hitstun: 300 });
+    // Hits by others are ignored
+    inspector.recordHit({ attacker: {}, defender: player, hitstun: 300 });
+
+    expect(inspector.getTimeline().hits).toEqual([
+      { frame: 7, hitstun: 36, advantage: 0, cancelAdvantage: 24 },
+      { frame: 7, hitstun: 54, advantage: 18, cancelAdvantage: 42 },
+    ]);
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MenuList, MENU_INPUT } from '../../js/ui/MenuList.js';
+import { GAMEPAD_BUTTONS } from '../../js/systems/GamepadInput.js';
+import { SOUNDS } from '../../js/utils/audio.js';
+
+/**
+ * Mock Phaser text object
+ */
+function createText(label) {
+  const text = {
+    text: label,
+    color: null,
+    visible: true,
+    destroyed: false,
+    setOrigin: () => text,
+    setText: (value) => { text.text = value; return text; },
+    setColor: (value) => { text.color = value; return text; },
+    setVisible: (value) => { text.visible = value; return text; },
+    destroy: () => { text.destroyed = true; },
+  };
+  return text;
+}
+
+/**
+ * Mock scene with keyboard events and one gamepad
+ */
+function createScene() {
+  const listeners = [];
+  const pad = {
+    connected: true,
+    buttons: Array.from({ length: 16 }, () => ({ value: 0 })),
+    axes: Array.from({ length: 4 }, () => ({ value: 0 })),
+  };
+
+  return {
+    pad,
+    add: { text: (x, y, label) => createText(label) },
+    input: {
+      keyboard: {
+        on: (event, fn, context) => listeners.push({ fn, context }),
+        off: (event, fn, context) => {
+          const index = listeners.findIndex((entry) => entry.fn === fn && entry.context === context);
+          if (index > -1) listeners.splice(index, 1);
+        },
+      },
+      gamepad: { getAll: () => [pad], on: () => {}, off: () => {} },
+    },
+    keydown(keyCode, repeat = false) {
+      const event = { keyCode, repeat };
+      for (const { fn, context } of [...listeners]) {
+        fn.call(context, event);
+      }
+    },
+    listenerCount: () => listeners.length,
+  };
+}
+
+const KEY = { UP: 38, DOWN: 40, ENTER: 13, ESC: 27 };
+
+describe('MenuList', () => {
+  let scene;
+  let chosen;
+  let items;
+
+  beforeEach(() => {
+    globalThis.Phaser = { Input: { Keyboard: { KeyCodes: { ...KEY, W: 87, S: 83, SPACE: 32, BACKSPACE: 8 } } } };
+    scene = createScene();
+    chosen = [];
+    items = [
+      { id: 'a', label: 'A' },
+      { id: 'b', label: 'B', disabled: true },
+      { id: 'c', label: 'C' },
+    ];
+  });
+
+  afterEach(() => {
+    delete globalThis.Phaser;
+  });
+
+  function createMenu(options = {}) {
+    return new MenuList(scene, {
+      x: 0,
+      y: 0,
+      items,
+      onSelect: (item) => chosen.push(item.id),
+      ...options,
+    });
+  }
+
+  it('should skip disabled items and wrap', () => {
+    const menu = createMenu();
+    expect(menu.getSelected().id).toBe('a');
+
+    menu.handleInput(MENU_INPUT.DOWN);
+    expect(menu.getSelected().id).toBe('c');
+    menu.handleInput(MENU_INPUT.DOWN);
+    expect(menu.getSelected().id).toBe('a');
+    menu.handleInput(MENU_INPUT.UP);
+    expect(menu.getSelected().id).toBe('c');
+  });
+
+  it('should start on the first enabled item', () => {
+    items[0].disabled = true;
+    const menu = createMenu();
+    expect(menu.getSelected().id).toBe('c');
+  });
+
+  it('should call the item handler before the list handler', () => {
+    const onItem = vi.fn();
+    items[2].onSelect = onItem;
+    const menu = createMenu();
+
+    menu.handleInput(MENU_INPUT.CONFIRM);
+    expect(chosen).toEqual(['a']);
+
+    menu.handleInput(MENU_INPUT.DOWN);
+    menu.handleInput(MENU_INPUT.CONFIRM);
+    expect(onItem).toHaveBeenCalledWith(expect.objectContaining({ id: 'c' }));
+    expect(chosen).toEqual(['a']);
+  });
+
+  it('should only go back when it has a back handler', () => {
+    expect(createMenu().handleInput(MENU_INPUT.BACK)).toBe(false);
+
+    const onBack = vi.fn();
+    expect(createMenu({ onBack }).handleInput(MENU_INPUT.BACK)).toBe(true);
+    expect(onBack).toHaveBeenCalled();
+  });
+
+  it('should adjust the selected item left and right', () => {
+    const audio = { playUI: vi.fn() };
+    const steps = [];
+    items[0].onAdjust = (item, step) => steps.push(step);
+    items[2].onAdjust = () => false;
+    const menu = createMenu({ audio });
+
+    expect(menu.handleInput(MENU_INPUT.LEFT)).toBe(true);
+    expect(menu.handleInput(MENU_INPUT.RIGHT)).toBe(true);
+    expect(steps).toEqual([-1, 1]);
+    expect(audio.playUI).toHaveBeenCalledTimes(2);
+
+    // No change, no sound
+    menu.select('c');
+    expect(menu.handleInput(MENU_INPUT.RIGHT)).toBe(false);
+    expect(audio.playUI).toHaveBeenCalledTimes(2);
+  });
+
+  it('should play menu sounds through the audio manager', () => {
+    const audio = { playUI: vi.fn() };
+    const menu = createMenu({ audio, onBack: () => {} });
+
+    menu.handleInput(MENU_INPUT.DOWN);
+    menu.handleInput(MENU_INPUT.CONFIRM);
+    menu.handleInput(MENU_INPUT.BACK);
+    expect(audio.playUI.mock.calls.map(([key]) => key)).toEqual([
+      SOUNDS.MENU_SELECT,
+      SOUNDS.MENU_CONFIRM,
+      SOUNDS.MENU_BACK,
+    ]);
+  });
+
+  it('should move off an item when it is disabled', () => {
+    const menu = createMenu();
+    menu.setDisabled('a', true);
+    expect(menu.getSelected().id).toBe('c');
+
+    menu.setDisabled('b', false);
+    expect(menu.select('b')).toBe(true);
+  });
+
+  it('should keep the selection when items are replaced', () => {
+    const menu = createMenu();
+    menu.select('c');
+    menu.setItems([{ id: 'x', label: 'X' }, { id: 'c', label: 'C' }]);
+    expect(menu.getSelected().id).toBe('c');
+  });
+
+  it('should highlight the selection and dim disabled items', () => {
+    const menu = createMenu();
+    expect(menu.texts[0].text).toBe('> A <');
+    expect(menu.texts[1].color).not.toBe(menu.texts[2].color);
+  });
+
+  it('should read keyboard presses and ignore key repeat', () => {
+    const menu = createMenu();
+    scene.keydown(KEY.DOWN, true);
+    expect(menu.getSelected().id).toBe('a');
+
+    scene.keydown(KEY.DOWN);
+    scene.keydown(KEY.ENTER);
+    expect(chosen).toEqual(['c']);
+  });
+
+  it('should let one key press drive only one menu', () => {
+    let sub = null;
+    const main = createMenu({
+      onSelect: () => {
+        main.setEnabled(false);
+        sub = createMenu({ onSelect: (item) => chosen.push(`sub:${item.id}`) });
+      },
+    });
+
+    scene.keydown(KEY.ENTER);
+    expect(sub).not.toBeNull();
+    expect(chosen).toEqual([]);
+
+    scene.keydown(KEY.ENTER);
+    expect(chosen).toEqual(['sub:a']);
+  });
+
+  it('should ignore a pad button held when the menu opened until it is released', () => {
+    scene.pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+    const menu = createMenu();
+
+    menu.update();
+    menu.update();
+    expect(chosen).toEqual([]);
+
+    scene.pad.buttons[GAMEPAD_BUTTONS.A].value = 0;
+    menu.update();
+    scene.pad.buttons[GAMEPAD_BUTTONS.A].value = 1;
+    menu.update();
+    expect(chosen).toEqual(['a']);
+  });
+
+  it('should ignore input while disabled or hidden', () => {
+    const menu = createMenu();
+    menu.setVisible(false);
+    scene.keydown(KEY.ENTER);
+    expect(chosen).toEqual([]);
+    expect(menu.texts[0].visible).toBe(false);
+
+    menu.setVisible(true);
+    scene.keydown(KEY.ENTER);
+    expect(chosen).toEqual(['a']);
+  });
+
+  it('should remove texts and listeners on destroy', () => {
+    const menu = createMenu();
+    const texts = menu.texts;
+    menu.destroy();
+    expect(texts.every((text) => text.destroyed)).toBe(true);
+    expect(scene.listenerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { CUE, COLORBLIND_MODE, PALETTES, getCueColor } from '../../js/utils/palette.js';
+
+describe('palette', () => {
+  it('should give every cue a color in every palette', () => {
+    for (const mode of Object.values(COLORBLIND_MODE)) {
+      for (const cue of Object.values(CUE)) {
+        expect(Number.isInteger(PALETTES[mode][cue])).toBe(true);
+      }
+    }
+  });
+
+  it('should keep the standard colors when colorblind mode is off', () => {
+    expect(getCueColor(CUE.DEFENSIVE_STANCE)).toBe(0x88aaff);
+    expect(getCueColor(CUE.PROJECTILE, COLORBLIND_MODE.OFF)).toBe(0x88ff44);
+  });
+
+  it('should swap color-only cues in colorblind palettes', () => {
+    expect(getCueColor(CUE.PROJECTILE, COLORBLIND_MODE.DEUTERANOPIA)).not.toBe(0x88ff44);
+    expect(getCueColor(CUE.DEFENSIVE_STANCE, COLORBLIND_MODE.TRITANOPIA)).not.toBe(0x88aaff);
+  });
+
+  it('should keep the health bar stages apart in every palette', () => {
+    for (const mode of Object.values(COLORBLIND_MODE)) {
+      const colors = [CUE.HEALTH, CUE.HEALTH_MID, CUE.HEALTH_LOW].map((cue) => getCueColor(cue, mode));
+      expect(new Set(colors).size).toBe(3);
+    }
+  });
+
+  it('should fall back to the standard palette for an unknown mode', () => {
+    expect(getCueColor(CUE.HURT, 'sepia')).toBe(getCueColor(CUE.HURT));
+  });
+});
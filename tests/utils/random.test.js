@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom, createSeed } from '../../js/utils/random.js';
+
+describe('SeededRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const first = Array.from({ length: 20 }, () => a.next());
+    const second = Array.from({ length: 20 }, () => b.next());
+    expect(first).toEqual(second);
+  });
+
+  it('should give different sequences for different seeds', () => {
+    const a = new SeededRandom(1);
+    const b = new SeededRandom(2);
+    expect(a.next()).not.toBe(b.next());
+  });
+
+  it('should restart the sequence on reset', () => {
+    const random = new SeededRandom(7);
+    const first = random.next();
+    random.next();
+    random.reset();
+    expect(random.next()).toBe(first);
+  });
+
+  it('should stay within [0, 1)', () => {
+    const random = new SeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('should roll inclusive integers and pick from arrays', () => {
+    const random = new SeededRandom(5);
+    const seen = new Set();
+    for (let i = 0; i < 200; i++) {
+      seen.add(random.between(1, 3));
+    }
+    expect([...seen].sort()).toEqual([1, 2, 3]);
+    expect(['a', 'b']).toContain(random.pick(['a', 'b']));
+  });
+
+  it('should make 32-bit unsigned seeds', () => {
+    const seed = createSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 32);
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { TIMING } from '../../js/utils/timing.js';
+import { TIMING, SIMULATION } from '../../js/utils/timing.js';
+import { AttackData } from '../../js/weapons/Weapon.js';
 
 describe('TIMING utilities', () => {
   describe('framesToMs', () => {
@@ -77,3 +78,23 @@ describe('TIMING utilities', () => {
     });
   });
 });
+
+describe('simulation steps', () => {
+  it('should convert between milliseconds and 120Hz steps', () => {
+    expect(SIMULATION.STEP_MS).toBeCloseTo(1000 / 120);
+    expect(TIMING.msToSteps(100)).toBe(12);
+    expect(TIMING.stepsToMs(12)).toBeCloseTo(100);
+  });
+
+  it('should snap durations to whole steps', () => {
+    expect(TIMING.snapToStep(45)).toBeCloseTo(TIMING.stepsToMs(5));
+    expect(TIMING.snapToStep(1)).toBeCloseTo(SIMULATION.STEP_MS);
+    expect(TIMING.snapToStep(0)).toBe(0);
+  });
+
+  it('should line attack frame data up with steps', () => {
+    const attack = new AttackData({ startupTime: 45, activeTime: 70, recoveryTime: 110 });
+    expect(attack.getSteps()).toEqual({ startup: 5, active: 8, recovery: 13, total: 26 });
+    expect(attack.startupTime).toBeCloseTo(TIMING.stepsToMs(5));
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ComboGraph,
+  COMBO_DIRECTION,
+  DEFAULT_STARTERS,
+  getHeldDirections,
+} from '../../js/weapons/ComboGraph.js';
+import { createWeapon } from '../../js/weapons/WeaponRegistry.js';
+import { validateWeaponDefinition } from '../../js/weapons/WeaponSchema.js';
+
+const HIT = {
+  startupTime: 50,
+  activeTime: 50,
+  recoveryTime: 100,
+  damage: 5,
+  hitbox: { width: 40, height: 30 },
+};
+
+// Five lights in a row, with a down+heavy launcher off the first hit and on its own
+const FIVE_HIT = {
+  id: 'five_hit',
+  name: 'Five Hit',
+  starters: [
+    { input: 'light', to: 'jab' },
+    { input: 'heavy', to: 'launcher', direction: 'down' },
+    { input: 'heavy', to: 'slam', air: true },
+  ],
+  attacks: {
+    light1: HIT,
+    jab: { ...HIT, canComboInto: [{ input: 'heavy', to: 'launcher', direction: 'down' }, { input: 'light', to: 'hit2' }] },
+    hit2: { ...HIT, canComboInto: [{ input: 'light', to: 'hit3' }] },
+    hit3: { ...HIT, canComboInto: [{ input: 'light', to: 'hit4' }] },
+    hit4: { ...HIT, canComboInto: [{ input: 'light', to: 'finisher', window: [0.5, 1] }] },
+    finisher: HIT,
+    launcher: { ...HIT, launches: true },
+    slam: HIT,
+  },
+};
+
+/**
+ * @param {...string} inputs - Buttons pressed this step
+ * @returns {(input: string) => boolean} Press reader that consumes presses
+ */
+function pressed(...inputs) {
+  return (input) => {
+    const index = inputs.indexOf(input);
+    if (index === -1) return false;
+    inputs.splice(index, 1);
+    return true;
+  };
+}
+
+const NEUTRAL = new Set();
+const DOWN = new Set([COMBO_DIRECTION.DOWN]);
+
+describe('ComboGraph', () => {
+  const weapon = createWeapon(FIVE_HIT);
+  const graph = weapon.comboGraph;
+
+  it('should be valid weapon data', () => {
+    expect(validateWeaponDefinition(FIVE_HIT)).toEqual({ ok: true, errors: [] });
+  });
+
+  it('should walk a 5-hit chain on light presses', () => {
+    let attack = ComboGraph.pick(graph.getStarters(false), NEUTRAL, pressed('light')).to;
+    const chain = [attack];
+    for (;;) {
+      const edge = ComboGraph.pick(graph.getRoutes(attack, 0.5), NEUTRAL, pressed('light'));
+      if (!edge) break;
+      attack = edge.to;
+      chain.push(attack);
+    }
+    expect(chain).toEqual(['jab', 'hit2', 'hit3', 'hit4', 'finisher']);
+  });
+
+  it('should launch on down+heavy from neutral or off the first hit', () => {
+    expect(ComboGraph.pick(graph.getStarters(false), DOWN, pressed('heavy')).to).toBe('launcher');
+    expect(ComboGraph.pick(graph.getRoutes('jab', 0), DOWN, pressed('heavy')).to).toBe('launcher');
+    expect(ComboGraph.pick(graph.getStarters(false), NEUTRAL, pressed('heavy'))).toBeNull();
+  });
+
+  it('should keep air starters separate', () => {
+    expect(graph.getStarters(true).map((edge) => edge.to)).toEqual(['slam']);
+    expect(ComboGraph.pick(graph.getStarters(true), NEUTRAL, pressed('light'))).toBeNull();
+  });
+
+  it('should only offer edges inside their window', () => {
+    // Default window is [0, cancelWindow] - 0.6
+    expect(graph.getRoutes('hit2', 0)).toHaveLength(1);
+    expect(graph.getRoutes('hit2', 0.6)).toHaveLength(0);
+
+    expect(graph.getRoutes('hit4', 0.25)).toHaveLength(0);
+    expect(graph.getRoutes('hit4', 0.5)).toHaveLength(1);
+    expect(graph.getRoutes('hit4')).toHaveLength(1);
+  });
+
+  it('should try edges with a direction first', () => {
+    const sorted = new ComboGraph(FIVE_HIT.attacks, [
+      { input: 'heavy', to: 'slam' },
+      { input: 'heavy', to: 'launcher', direction: 'down' },
+    ]);
+    expect(ComboGraph.pick(sorted.getStarters(false), DOWN, pressed('heavy')).to).toBe('launcher');
+    expect(ComboGraph.pick(sorted.getStarters(false), NEUTRAL, pressed('heavy')).to).toBe('slam');
+  });
+
+  it('should only read presses for edges whose direction is held', () => {
+    const wasPressed = vi.fn(() => false);
+    ComboGraph.pick(graph.getRoutes('jab', 0), NEUTRAL, wasPressed);
+    expect(wasPressed.mock.calls).toEqual([['light']]);
+  });
+
+  it('should drop edges to attacks the weapon does not have', () => {
+    const fallback = new ComboGraph({ light1: HIT, heavy: null }, DEFAULT_STARTERS);
+    expect(fallback.getStarters(false).map((edge) => edge.to)).toEqual(['light1']);
+    expect(fallback.getStarters(true)).toEqual([]);
+  });
+});
+
+describe('getHeldDirections', () => {
+  it('should read directions relative to facing', () => {
+    expect([...getHeldDirections(1, 0, true)]).toEqual([COMBO_DIRECTION.FORWARD]);
+    expect([...getHeldDirections(1, 0, false)]).toEqual([COMBO_DIRECTION.BACK]);
+    expect([...getHeldDirections(-0.8, 1, true)]).toEqual([COMBO_DIRECTION.DOWN, COMBO_DIRECTION.BACK]);
+    expect(getHeldDirections(0.3, -0.2, true).size).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { AttackData, Weapon } from '../../js/weapons/Weapon.js';
+import {
+  getFrameData,
+  formatAdvantage,
+  buildFrameDataRows,
+  formatFrameDataCSV,
+  formatFrameDataMarkdown,
+} from '../../js/weapons/FrameData.js';
+
+// 50/100/200ms at 120 Hz = 6/12/24 frames; 300ms hitstun = 36 frames
+const ATTACK = {
+  startupTime: 50,
+  activeTime: 100,
+  recoveryTime: 200,
+  damage: 10,
+  hitstun: 300,
+  cancelWindow: 0.5,
+  canComboInto: [{ input: 'light', to: 'light2' }],
+  hitbox: { width: 40, height: 30 },
+};
+
+describe('getFrameData', () => {
+  it('should count phases in simulation frames', () => {
+    expect(getFrameData(new AttackData(ATTACK))).toEqual({
+      startup: 6,
+      active: 12,
+      recovery: 24,
+      total: 42,
+      cancelStart: 19,
+      cancelEnd: 30,
+      hitstun: 36,
+      onHit: 0,
+      onCancel: 24,
+    });
+  });
+
+  it('should have no cancel window without combo follow-ups', () => {
+    const data = getFrameData({ ...ATTACK, canComboInto: [] });
+    expect(data.cancelStart).toBeNull();
+    expect(data.onCancel).toBeNull();
+  });
+
+  it('should match the recovery progress test AttackState uses', () => {
+    // 14 recovery frames at 0.7: progress 0/14 .. 9/14 is below 0.7
+    const data = getFrameData({ ...ATTACK, recoveryTime: 14 * (1000 / 120), cancelWindow: 0.7 });
+    expect(data.cancelEnd - data.cancelStart + 1).toBe(10);
+  });
+
+  it('should span every combo edge window', () => {
+    // Windows in 24 recovery frames: 0.25-0.5 is frames 6-11, 0.75-1 is 18-23
+    const data = getFrameData({
+      ...ATTACK,
+      canComboInto: [
+        { input: 'light', to: 'light2', window: [0.25, 0.5] },
+        { input: 'heavy', to: 'heavy', window: [0.75, 1] },
+      ],
+    });
+    expect(data.cancelStart).toBe(19 + 6);
+    expect(data.cancelEnd).toBe(19 + 23);
+    expect(data.onCancel).toBe(36 - (12 + 6));
+  });
+});
+
+describe('formatAdvantage', () => {
+  it('should sign advantage and show missing values as a dash', () => {
+    expect(formatAdvantage(5)).toBe('+5');
+    expect(formatAdvantage(-3)).toBe('-3');
+    expect(formatAdvantage(0)).toBe('0');
+    expect(formatAdvantage(null)).toBe('-');
+  });
+});
+
+describe('frame-data table', () => {
+  const weapon = new Weapon({
+    id: 'test_weapon',
+    name: 'Test',
+    attacks: {
+      light1: new AttackData(ATTACK),
+      heavy: new AttackData({ ...ATTACK, canComboInto: [] }),
+      launcher: new AttackData({ ...ATTACK, canComboInto: [] }),
+    },
+  });
+
+  it('should list every attack of every weapon in attack order', () => {
+    const rows = buildFrameDataRows([weapon]);
+    expect(rows.map((row) => row.attack)).toEqual(['light1', 'heavy', 'launcher']);
+    expect(rows[0]).toMatchObject({ weapon: 'test_weapon', cancel: '19-30', onHit: '0', onCancel: '+24' });
+    expect(rows[1]).toMatchObject({ cancel: '-', onCancel: '-' });
+  });
+
+  it('should export CSV', () => {
+    const lines = formatFrameDataCSV(buildFrameDataRows([weapon])).trim().split('\n');
+    expect(lines[0]).toBe('Weapon,Attack,Startup,Active,Recovery,Total,Cancel,Damage,Hitstun,On Hit,On Cancel');
+    expect(lines[1]).toBe('test_weapon,light1,6,12,24,42,19-30,10,36,0,+24');
+    expect(lines).toHaveLength(4);
+  });
+
+  it('should export a Markdown table', () => {
+    const lines = formatFrameDataMarkdown(buildFrameDataRows([weapon])).trim().split('\n');
+    expect(lines[0]).toBe('| Weapon | Attack | Startup | Active | Recovery | Total | Cancel | Damage | Hitstun | On Hit | On Cancel |');
+    expect(lines[1]).toMatch(/^\| --- \|/);
+    expect(lines[3]).toBe('| test_weapon | heavy | 6 | 12 | 24 | 42 | - | 10 | 36 | 0 | - |');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  registerSpecialBehavior,
+  getSpecialBehavior,
+  getSpecialBehaviorIds,
+} from '../../js/weapons/SpecialMoves.js';
+import { SpecialState } from '../../js/systems/PlayerStates.js';
+import { TEAM } from '../../js/systems/CombatBox.js';
+
+/**
+ * Stand-in for a SpecialState, as the behavior hooks see it
+ */
+function createSpecial(params = {}) {
+  return {
+    move: { params },
+    player: { scene: {} },
+    sprite: { x: 0, y: 0 },
+    body: {
+      onFloor: vi.fn(() => false),
+      setVelocity: vi.fn(),
+      setVelocityY: vi.fn(),
+      setAllowGravity: vi.fn(),
+    },
+    elapsedSteps: 0,
+    startupSteps: 12,
+    scratch: {},
+    hitEnemiesInRange: vi.fn(() => 0),
+  };
+}
+
+describe('special behaviors', () => {
+  it('should register and look up behaviors by id', () => {
+    const behavior = { activate: () => true };
+    registerSpecialBehavior('test_move', behavior);
+
+    expect(getSpecialBehavior('test_move')).toBe(behavior);
+    expect(getSpecialBehavior('nope')).toBeNull();
+    expect(getSpecialBehaviorIds()).toEqual(expect.arrayContaining(['strike', 'rising_fist', 'chain_sweep', 'hammer_drop']));
+  });
+
+  it('rising_fist should launch the player and keep the hitbox', () => {
+    const special = createSpecial({ rise: 500 });
+    expect(getSpecialBehavior('rising_fist').activate(special)).toBe(false);
+    expect(special.body.setVelocityY).toHaveBeenCalledWith(-500);
+  });
+
+  it('chain_sweep should hit everything in whip range instead of using the hitbox', () => {
+    const special = createSpecial({ range: 200 });
+    expect(getSpecialBehavior('chain_sweep').activate(special)).toBe(true);
+    expect(special.hitEnemiesInRange).toHaveBeenCalledWith(200, 100);
+  });
+
+  it('hammer_drop should send one shockwave when it lands after startup', () => {
+    const hammerDrop = getSpecialBehavior('hammer_drop');
+    const special = createSpecial({ shockwaveRange: 150 });
+    hammerDrop.enter(special);
+    expect(special.body.setAllowGravity).toHaveBeenCalledWith(false);
+
+    // Still hanging in startup - landing here doesn't count
+    special.body.onFloor.mockReturnValue(true);
+    hammerDrop.update(special);
+    expect(special.hitEnemiesInRange).not.toHaveBeenCalled();
+
+    special.elapsedSteps = 20;
+    hammerDrop.update(special);
+    hammerDrop.update(special);
+    expect(special.hitEnemiesInRange).toHaveBeenCalledTimes(1);
+    expect(special.hitEnemiesInRange).toHaveBeenCalledWith(150, 60);
+
+    hammerDrop.exit(special);
+    expect(special.body.setAllowGravity).toHaveBeenLastCalledWith(true);
+  });
+});
+
+describe('SpecialState.hitEnemiesInRange', () => {
+  it('should hit each enemy in range once, knocked away from the player', () => {
+    const enemy = (x, y, isAlive = true) => ({ sprite: { x, y }, isAlive, hurtbox: {} });
+    const left = enemy(-150, 0);
+    const right = enemy(100, 20);
+    const far = enemy(400, 0);
+    const high = enemy(50, -200);
+    const dead = enemy(10, 0, false);
+
+    const combatManager = { applyHit: vi.fn() };
+    const player = {
+      sprite: { x: 0, y: 0 },
+      scene: { enemies: [left, right, far, high, dead], combatManager },
+    };
+    const special = new SpecialState({ owner: player });
+    special.attackData = { damage: 20, knockback: { x: 300, y: -100 }, hitstun: 300, hitstop: 60 };
+
+    expect(special.hitEnemiesInRange(200, 100)).toBe(2);
+    expect(special.hitEnemiesInRange(200, 100)).toBe(0);
+
+    const hits = combatManager.applyHit.mock.calls;
+    expect(hits.map(([hitData]) => hitData.defender)).toEqual([left, right]);
+    expect(hits[0][0]).toMatchObject({ attacker: player, damage: 20, knockback: { x: -300, y: -100 }, hitbox: null });
+    expect(hits[1][0].knockback.x).toBe(300);
+    expect(hits[0][1]).toBe(TEAM.PLAYER);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { WeaponManager } from '../../js/weapons/WeaponManager.js';
+import { WEAPON_FILES, getWeaponPath, loadWeaponDefinition } from '../../js/weapons/WeaponRegistry.js';
+
+// Register all weapons, as PreloadScene does
+for (const id of WEAPON_FILES) {
+  loadWeaponDefinition(JSON.parse(readFileSync(getWeaponPath(id), 'utf8')));
+}
+
+describe('WeaponManager', () => {
+  let manager;
+  let mockPlayer;
+
+  beforeEach(() => {
+    mockPlayer = { scene: { events: { emit: vi.fn() } } };
+    manager = new WeaponManager(mockPlayer);
+  });
+
+  it('should start with fists equipped', () => {
+    expect(manager.getEquippedWeapon().id).toBe('fists');
+    expect(manager.getUnlockedWeapons()).toEqual(['fists']);
+  });
+
+  describe('getState / applyState', () => {
+    it('should snapshot unlocked weapons, equipped weapon and quick slots', () => {
+      manager.unlockWeapon('tonfas');
+      manager.setQuickSlot(1, 'tonfas');
+      manager.equipWeapon('tonfas');
+
+      expect(manager.getState()).toEqual({
+        unlocked: ['fists', 'tonfas'],
+        equipped: 'tonfas',
+        quickSlots: [null, 'tonfas', null, null],
+      });
+    });
+
+    it('should restore a snapshot into a fresh manager', () => {
+      manager.unlockWeapon('tonfas');
+      manager.unlockWeapon('chain_whip');
+      manager.setQuickSlot(0, 'chain_whip');
+      manager.equipWeapon('chain_whip');
+      const state = manager.getState();
+
+      const restored = new WeaponManager(mockPlayer);
+      restored.applyState(state);
+
+      expect(restored.getState()).toEqual(state);
+    });
+
+    it('should not emit equip or unlock events when restoring', () => {
+      mockPlayer.scene.events.emit.mockClear();
+      manager.applyState({ unlocked: ['fists', 'tonfas'], equipped: 'tonfas', quickSlots: [] });
+
+      expect(manager.getEquippedWeapon().id).toBe('tonfas');
+      expect(mockPlayer.scene.events.emit).not.toHaveBeenCalled();
+    });
+
+    it('should skip unknown weapon ids', () => {
+      manager.applyState({ unlocked: ['fists', 'laser_sword'], equipped: 'fists', quickSlots: ['laser_sword'] });
+      expect(manager.getUnlockedWeapons()).toEqual(['fists']);
+      expect(manager.quickSlots[0]).toBeNull();
+    });
+
+    it('should cancel an in-progress swap', () => {
+      manager.unlockWeapon('tonfas');
+      manager.startSwap('tonfas');
+      manager.applyState(manager.getState());
+      expect(manager.isSwapping).toBe(false);
+    });
+  });
+
+  describe('special cooldowns', () => {
+    it('should count down the equipped weapon\'s cooldown', () => {
+      manager.startSpecialCooldown();
+      expect(manager.getSpecialCooldown()).toBe(3000);
+
+      manager.update(1000);
+      expect(manager.getSpecialCooldown()).toBe(2000);
+      manager.update(2500);
+      expect(manager.getSpecialCooldown()).toBe(0);
+    });
+
+    it('should keep each weapon\'s cooldown through swaps', () => {
+      manager.unlockWeapon('chain_whip');
+      manager.startSpecialCooldown();
+      manager.equipWeapon('chain_whip');
+
+      expect(manager.getSpecialCooldown()).toBe(0);
+      expect(manager.getSpecialCooldown('fists')).toBe(3000);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { validateWeaponDefinition } from '../../js/weapons/WeaponSchema.js';
+import { DEFAULT_GUARD } from '../../js/systems/Guard.js';
+import {
+  WEAPON_FILES,
+  getWeaponPath,
+  createWeapon,
+  loadWeaponDefinition,
+  getWeapon,
+} from '../../js/weapons/WeaponRegistry.js';
+
+/**
+ * @param {string} id
+ * @returns {object} Parsed weapon file
+ */
+function readWeapon(id) {
+  return JSON.parse(readFileSync(getWeaponPath(id), 'utf8'));
+}
+
+describe('weapon definition files', () => {
+  for (const id of WEAPON_FILES) {
+    it(`${id}.json should be a valid weapon`, () => {
+      const data = readWeapon(id);
+      expect(validateWeaponDefinition(data)).toEqual({ ok: true, errors: [] });
+      expect(data.id).toBe(id);
+    });
+  }
+});
+
+describe('validateWeaponDefinition', () => {
+  let data;
+
+  beforeEach(() => {
+    data = readWeapon('fists');
+  });
+
+  it('should name a misspelled attack field', () => {
+    data.attacks.light2.startupTim = 40;
+    delete data.attacks.light2.startupTime;
+
+    const { ok, errors } = validateWeaponDefinition(data);
+    expect(ok).toBe(false);
+    expect(errors).toContain('attacks.light2.startupTime: required');
+    expect(errors).toContain('attacks.light2.startupTim: unknown field');
+  });
+
+  it('should require light1', () => {
+    delete data.attacks.light1;
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.light1: required',
+      'starters[0].to: "light1" is not an attack of this weapon',
+    ]);
+  });
+
+  it('should reject combo links to attacks the weapon does not have', () => {
+    data.attacks.light1.canComboInto = [
+      { input: 'light', to: 'light2' },
+      { input: 'light', to: 'light4' },
+    ];
+    delete data.attacks.heavy;
+    data.attacks.light2.canComboInto = [{ input: 'light', to: 'light3' }];
+    data.starters = data.starters.filter((starter) => starter.to !== 'heavy');
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.light1.canComboInto[1].to: "light4" is not an attack of this weapon',
+    ]);
+
+    data.attacks.light1.canComboInto = [{ input: 'heavy', to: 'heavy' }];
+    data.starters.push({ input: 'heavy', direction: 'down', to: 'heavy' });
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'starters[3].to: "heavy" is not an attack of this weapon',
+      'attacks.light1.canComboInto[0].to: "heavy" is not an attack of this weapon',
+    ]);
+  });
+
+  it('should check combo edge buttons, directions and windows', () => {
+    data.attacks.light1.canComboInto = [
+      { input: 'kick', to: 'light2' },
+      { input: 'heavy', direction: 'sideways', to: 'heavy' },
+      { input: 'light', window: [0.5, 0.2], to: 'light2' },
+      { input: 'light', window: [0.5], to: 'light2' },
+    ];
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.light1.canComboInto[0].input: "kick" is not one of light, heavy',
+      'attacks.light1.canComboInto[1].direction: "sideways" is not one of neutral, up, down, forward, back',
+      'attacks.light1.canComboInto[3].window: expected 2 items',
+      'attacks.light1.canComboInto[2].window: opens at 0.5 but closes at 0.2',
+    ]);
+  });
+
+  it('should check types and ranges', () => {
+    data.attacks.heavy.damage = '25';
+    data.attacks.heavy.cancelWindow = 1.5;
+    data.attacks.air.hitbox.width = 0;
+    data.trailColor = 'white';
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'trailColor: expected a color like "#88aaff"',
+      'attacks.heavy.damage: expected a number',
+      'attacks.heavy.cancelWindow: 1.5 is above the maximum of 1',
+      'attacks.air.hitbox.width: 0 is below the minimum of 1',
+    ]);
+  });
+
+  it('should allow extra attacks but reject bad attack names and unknown movement modifiers', () => {
+    data.attacks.uppercut = { ...data.attacks.heavy, launches: true };
+    data.attacks.heavy.canComboInto = [{ input: 'heavy', direction: 'up', to: 'uppercut' }];
+    expect(validateWeaponDefinition(data).ok).toBe(true);
+
+    data.attacks['Upper Cut'] = data.attacks.heavy;
+    data.movementMods.wallrun = {};
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.Upper Cut: name does not match /^[a-z][a-z0-9_]*$/',
+      'movementMods.wallrun: unknown field',
+    ]);
+  });
+
+  it('should check the special move has an attack and a known behavior', () => {
+    data.specialMove = { attack: 'haymaker', behavior: 'moonwalk', cooldown: -1 };
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'specialMove.cooldown: -1 is below the minimum of 0',
+      'specialMove.attack: "haymaker" is not an attack of this weapon',
+      'specialMove.behavior: "moonwalk" is not a registered special behavior',
+    ]);
+  });
+
+  it('should check status effects on attacks', () => {
+    data.attacks.heavy.statusEffects = [{ type: 'bleed', stacks: 2 }, { type: 'poison' }, { type: 'slow', stacks: 0 }];
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.heavy.statusEffects[1].type: "poison" is not one of bleed, burn, stun, slow, armor_break',
+      'attacks.heavy.statusEffects[2].stacks: 0 is below the minimum of 1',
+    ]);
+  });
+
+  it('should check knockback shaping on attacks', () => {
+    data.attacks.heavy.airKnockback = { x: 100 };
+    data.attacks.heavy.knockbackAngle = 270;
+    data.attacks.heavy.wallBounce = 'yes';
+
+    expect(validateWeaponDefinition(data).errors).toHaveLength(3);
+    expect(validateWeaponDefinition(data).errors[0]).toMatch(/^attacks\.heavy\.airKnockback\.y/);
+  });
+
+  it('should check poise damage on attacks', () => {
+    data.attacks.heavy.poiseDamage = -5;
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'attacks.heavy.poiseDamage: -5 is below the minimum of 0',
+    ]);
+  });
+
+  it('should check guard stats', () => {
+    data.guard = { damageReduction: 1.5, meter: 0, parry: true };
+
+    expect(validateWeaponDefinition(data).errors).toEqual([
+      'guard.damageReduction: 1.5 is above the maximum of 1',
+      'guard.meter: 0 is below the minimum of 1',
+      'guard.parry: unknown field',
+    ]);
+  });
+
+  it('should reject anything that is not an object', () => {
+    expect(validateWeaponDefinition(null).ok).toBe(false);
+    expect(validateWeaponDefinition([]).ok).toBe(false);
+  });
+});
+
+describe('loading weapons', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should build attack data and movement modifiers from the file', () => {
+    const whip = createWeapon(readWeapon('chain_whip'));
+
+    expect(whip.trailColor).toBe(0x888888);
+    expect(whip.getAttack('light1').canComboInto).toEqual([
+      { input: 'light', to: 'light2' },
+      { input: 'heavy', to: 'heavy' },
+    ]);
+    expect(whip.getMovementMod('grapple')).toEqual({ multiPull: true, maxTargets: 3, range: 500 });
+    expect(whip.hasMovementMod('flip')).toBe(false);
+  });
+
+  it('should fill special move defaults', () => {
+    const tonfas = createWeapon(readWeapon('tonfas'));
+    expect(tonfas.specialMove).toMatchObject({ attack: 'hammer_drop', ground: false, air: true, meterCost: 20 });
+
+    const plain = createWeapon({ ...readWeapon('fists'), specialMove: undefined });
+    expect(plain.specialMove).toMatchObject({ attack: 'special', behavior: 'strike', cooldown: 0, ground: true });
+
+    const noSpecial = readWeapon('fists');
+    delete noSpecial.attacks.special;
+    delete noSpecial.specialMove;
+    expect(createWeapon(noSpecial).specialMove).toBeNull();
+  });
+
+  it('should read attack status effects, defaulting to none', () => {
+    const whip = createWeapon(readWeapon('chain_whip'));
+    expect(whip.getAttack('light3').statusEffects).toEqual([{ type: 'bleed', stacks: 1 }]);
+    expect(whip.getAttack('light1').statusEffects).toEqual([]);
+  });
+
+  it('should read knockback shaping, defaulting to plain knockback', () => {
+    const tonfas = createWeapon(readWeapon('tonfas'));
+    expect(tonfas.getAttack('special')).toMatchObject({ launches: true, wallBounce: true, groundBounce: false });
+    expect(tonfas.getAttack('light1')).toMatchObject({ airKnockback: null, knockbackAngle: null, wallBounce: false });
+  });
+
+  it('should read poise damage, defaulting to the attack\'s damage', () => {
+    const tonfas = createWeapon(readWeapon('tonfas'));
+    expect(tonfas.getAttack('heavy').poiseDamage).toBe(40);
+    expect(tonfas.getAttack('light1').poiseDamage).toBe(tonfas.getAttack('light1').damage);
+  });
+
+  it('should fill guard stats from the defaults', () => {
+    const tonfas = createWeapon(readWeapon('tonfas'));
+    expect(tonfas.guard).toMatchObject({ damageReduction: 0.85, meter: 130, regenDelay: DEFAULT_GUARD.regenDelay });
+
+    const plain = createWeapon({ ...readWeapon('fists'), guard: undefined });
+    expect(plain.guard).toEqual(DEFAULT_GUARD);
+  });
+
+  it('should keep explicit zeros instead of defaults', () => {
+    const spin = createWeapon(readWeapon('fists')).getAttack('spin');
+    expect(spin.startupTime).toBe(0);
+    expect(spin.recoveryTime).toBe(0);
+  });
+
+  it('should register valid weapons and skip invalid ones with a warning', () => {
+    expect(loadWeaponDefinition(readWeapon('tonfas'))).toBe(getWeapon('tonfas'));
+
+    const broken = { ...readWeapon('fists'), id: 'broken_fists', power: 9000 };
+    expect(loadWeaponDefinition(broken)).toBeNull();
+    expect(getWeapon('broken_fists')).toBeNull();
+    expect(warnSpy.mock.calls[0][0]).toContain('power: unknown field');
+  });
+});